@@ -0,0 +1,312 @@
+// backend/controllers/accountController.js
+import Account from '../models/Account.js';
+import Transaction from '../models/Transaction.js';
+import {
+  getBalances,
+  getLedger as buildLedger,
+  getBalanceHistory as buildBalanceHistory
+} from '../services/accountService.js';
+
+const ACCOUNT_FIELDS = ['name', 'type', 'institution', 'accountNumber', 'currency', 'openingBalance', 'openingDate', 'creditLimit', 'color', 'isArchived'];
+
+// Helper function to keep only the editable account fields from a request body
+const pickAccountFields = (body) => ACCOUNT_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+/**
+ * @desc    List accounts with their current balances
+ * @route   GET /api/accounts
+ * @access  Private
+ */
+export const getAccounts = async (req, res) => {
+  try {
+    const filter = { tenantId: req.tenantId };
+    if (req.query.includeArchived !== 'true') filter.isArchived = false;
+
+    const accounts = await Account.find(filter).sort({ type: 1, name: 1 });
+    const balances = await getBalances(req.tenantId, accounts);
+
+    const data = accounts.map(account => ({
+      ...account.toJSON(),
+      ...balances.get(String(account._id))
+    }));
+
+    // Net worth per currency: assets minus what is owed on cards and loans
+    const totals = data.reduce((acc, account) => {
+      const currency = account.currency;
+      if (!acc[currency]) acc[currency] = { assets: 0, liabilities: 0, netWorth: 0 };
+      if (account.balance >= 0) acc[currency].assets += account.balance;
+      else acc[currency].liabilities += -account.balance;
+      acc[currency].netWorth += account.balance;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data,
+      totals
+    });
+  } catch (error) {
+    console.error('❌ Error fetching accounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch accounts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create an account
+ * @route   POST /api/accounts
+ * @access  Private
+ */
+export const createAccount = async (req, res) => {
+  try {
+    const fields = pickAccountFields(req.body);
+
+    if (!fields.name || !fields.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: name, type'
+      });
+    }
+
+    const account = await Account.create({
+      ...fields,
+      tenantId: req.tenantId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: account,
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error creating account:', error);
+    res.status(error.code === 11000 ? 409 : 400).json({
+      success: false,
+      message: error.code === 11000 ? 'An account with this name already exists' : 'Failed to create account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update an account
+ * @route   PUT /api/accounts/:id
+ * @access  Private
+ */
+export const updateAccount = async (req, res) => {
+  try {
+    const account = await Account.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId },
+      pickAccountFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: account,
+      message: 'Account updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating account:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete an account; accounts that have transactions are archived instead
+ * @route   DELETE /api/accounts/:id
+ * @access  Private
+ */
+export const deleteAccount = async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const linked = await Transaction.countDocuments({ tenantId: req.tenantId, accountId: account._id, isDeleted: false });
+
+    if (linked > 0) {
+      account.isArchived = true;
+      await account.save();
+      return res.json({
+        success: true,
+        data: account,
+        message: `Account has ${linked} transactions and was archived instead of deleted`
+      });
+    }
+
+    await account.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Link transactions to an account (by id, or all with the account's number)
+ * @route   POST /api/accounts/:id/assign
+ * @access  Private
+ */
+export const assignTransactions = async (req, res) => {
+  try {
+    const { transactionIds, matchAccountNumber } = req.body;
+
+    const account = await Account.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    let filter;
+    if (Array.isArray(transactionIds) && transactionIds.length) {
+      filter = { tenantId: req.tenantId, _id: { $in: transactionIds } };
+    } else if (matchAccountNumber && account.accountNumber) {
+      filter = { tenantId: req.tenantId, accountNumber: account.accountNumber, accountId: null };
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide transactionIds or matchAccountNumber'
+      });
+    }
+
+    const result = await Transaction.updateMany(filter, { $set: { accountId: account._id } });
+
+    res.json({
+      success: true,
+      data: { modified: result.modifiedCount },
+      message: `${result.modifiedCount} transactions linked to ${account.name}`
+    });
+  } catch (error) {
+    console.error('❌ Error linking transactions:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to link transactions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Account ledger with running balance
+ * @route   GET /api/accounts/:id/ledger?startDate=&endDate=
+ * @access  Private
+ */
+export const getLedger = async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const ledger = await buildLedger(account, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        account,
+        ...ledger
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error building ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build ledger',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Balance history for one account, or all accounts in one currency when no id is given
+ * @route   GET /api/accounts/balance-history?currency=INR, GET /api/accounts/:id/balance-history
+ * @access  Private
+ */
+export const getBalanceHistory = async (req, res) => {
+  try {
+    const { startDate, endDate, interval = 'day', days } = req.query;
+
+    let accounts;
+    if (req.params.id) {
+      accounts = await Account.find({ _id: req.params.id, tenantId: req.tenantId });
+      if (!accounts.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+      }
+    } else {
+      accounts = await Account.find({ tenantId: req.tenantId, isArchived: false });
+
+      // Balances in different currencies cannot be added up, so the combined history is per currency
+      const currencies = [...new Set(accounts.map(account => account.currency))];
+      const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+      if (currency) {
+        accounts = accounts.filter(account => account.currency === currency);
+      } else if (currencies.length > 1) {
+        return res.status(400).json({
+          success: false,
+          message: `Accounts use more than one currency (${currencies.join(', ')}); pass currency to pick one`,
+          currencies
+        });
+      }
+    }
+
+    const start = startDate || (days ? new Date(Date.now() - (parseInt(days) - 1) * 24 * 60 * 60 * 1000) : undefined);
+    const history = await buildBalanceHistory(req.tenantId, accounts, {
+      startDate: start,
+      endDate,
+      interval: ['day', 'week', 'month'].includes(interval) ? interval : 'day'
+    });
+
+    res.json({
+      success: true,
+      data: history,
+      currency: accounts[0]?.currency || req.query.currency || null
+    });
+  } catch (error) {
+    console.error('❌ Error building balance history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build balance history',
+      error: error.message
+    });
+  }
+};
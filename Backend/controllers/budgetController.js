@@ -0,0 +1,231 @@
+// backend/controllers/budgetController.js
+import Budget from '../models/Budget.js';
+import {
+  PERIODS,
+  getBudgetStatus,
+  getBudgetHistory as buildBudgetHistory,
+  getBudgetVsActual as buildBudgetVsActual,
+  checkBudgetAlerts as raiseBudgetAlerts
+} from '../services/budgetService.js';
+
+const BUDGET_FIELDS = ['name', 'scope', 'category', 'subCategory', 'tag', 'amount', 'period', 'rollover', 'startDate', 'isActive', 'note'];
+
+// Changing any of these starts the budget's alert tracking over
+const PERIOD_FIELDS = ['scope', 'category', 'subCategory', 'tag', 'period', 'startDate'];
+
+// Helper function to pick the editable fields from a request body
+const pickBudgetFields = (body) => BUDGET_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Helper function to load one of the tenant's budgets
+const findBudget = async (req, res) => {
+  const budget = await Budget.findOne({ _id: req.params.id, tenantId: req.tenantId });
+  if (!budget) {
+    res.status(404).json({ success: false, message: 'Budget not found' });
+    return null;
+  }
+  return budget;
+};
+
+/**
+ * @desc    List budgets with their current period
+ * @route   GET /api/budgets
+ * @access  Private
+ */
+export const getBudgets = async (req, res) => {
+  try {
+    const filter = { tenantId: req.tenantId };
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+    const budgets = await Budget.find(filter).sort({ isActive: -1, period: 1, name: 1 });
+    const data = await Promise.all(budgets.map(async budget => ({
+      ...budget.toObject(),
+      current: budget.isActive ? await getBudgetStatus(budget) : null
+    })));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error fetching budgets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch budgets',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a budget for a category or tag
+ * @route   POST /api/budgets
+ * @access  Private
+ */
+export const createBudget = async (req, res) => {
+  try {
+    const fields = pickBudgetFields(req.body);
+
+    if (!(parseFloat(fields.amount) > 0) || (fields.period && !PERIODS.includes(fields.period))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a positive amount and a period of monthly, quarterly or yearly'
+      });
+    }
+
+    const budget = await Budget.create({
+      ...fields,
+      amount: parseFloat(fields.amount),
+      startDate: fields.startDate ? new Date(fields.startDate) : new Date(),
+      tenantId: req.tenantId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: budget,
+      message: 'Budget created successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error creating budget:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create budget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a budget
+ * @route   PUT /api/budgets/:id
+ * @access  Private
+ */
+export const updateBudget = async (req, res) => {
+  try {
+    const budget = await findBudget(req, res);
+    if (!budget) return;
+
+    const fields = pickBudgetFields(req.body);
+    if (fields.amount !== undefined) fields.amount = parseFloat(fields.amount);
+
+    budget.set(fields);
+    if (PERIOD_FIELDS.some(field => budget.isModified(field))) budget.alertsSent = [];
+    await budget.save();
+
+    res.json({
+      success: true,
+      data: budget,
+      message: 'Budget updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating budget:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update budget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a budget
+ * @route   DELETE /api/budgets/:id
+ * @access  Private
+ */
+export const deleteBudget = async (req, res) => {
+  try {
+    const budget = await findBudget(req, res);
+    if (!budget) return;
+
+    await budget.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting budget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete budget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Budget vs actual spend for the current (or given) period of every active budget
+ * @route   GET /api/budgets/vs-actual?date=
+ * @access  Private
+ */
+export const getBudgetVsActual = async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const report = await buildBudgetVsActual(req.tenantId, { date });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Error building budget vs actual:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build budget vs actual',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Raise notifications for budgets that crossed 80% / 100% this period
+ * @route   POST /api/budgets/check-alerts
+ * @access  Private
+ */
+export const checkBudgetAlerts = async (req, res) => {
+  try {
+    const result = await raiseBudgetAlerts(req.tenantId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.notifications} budget alerts raised`
+    });
+  } catch (error) {
+    console.error('❌ Error checking budget alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check budget alerts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Budget vs actual for the last N periods of one budget, including rolled-over amounts
+ * @route   GET /api/budgets/:id/history?periods=6
+ * @access  Private
+ */
+export const getBudgetHistory = async (req, res) => {
+  try {
+    const budget = await findBudget(req, res);
+    if (!budget) return;
+
+    const periods = Math.min(Math.max(parseInt(req.query.periods) || 6, 1), 36);
+    const history = await buildBudgetHistory(budget, { periods });
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('❌ Error fetching budget history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch budget history',
+      error: error.message
+    });
+  }
+};
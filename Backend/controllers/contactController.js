@@ -0,0 +1,364 @@
+// backend/controllers/contactController.js
+import Contact from '../models/Contact.js';
+import MoneyTransaction from '../models/moneyTransaction.js';
+import {
+  normalizeName,
+  normalizePhone,
+  findMatchingContact,
+  syncContacts as linkRecords,
+  listContacts,
+  getContactPosition,
+  getContactTimeline as buildTimeline,
+  settleUp as settleWithContact,
+  undoSettlement as reverseSettlement,
+  findDuplicateContacts,
+  mergeContacts as foldContacts
+} from '../services/contactService.js';
+
+// Helper function to load one of the tenant's contacts
+const findContact = async (req, res) => {
+  const contact = await Contact.findOne({ _id: req.params.id, tenantId: req.tenantId });
+  if (!contact) {
+    res.status(404).json({ success: false, message: 'Contact not found' });
+    return null;
+  }
+  return contact;
+};
+
+/**
+ * @desc    Contacts with their net position (they owe me / I owe them) across borrow/lend records
+ * @route   GET /api/contacts?search=
+ * @access  Private
+ */
+export const getContacts = async (req, res) => {
+  try {
+    const { contacts, totals } = await listContacts(req.tenantId, { search: req.query.search });
+
+    res.json({
+      success: true,
+      data: contacts,
+      totals
+    });
+  } catch (error) {
+    console.error('❌ Error fetching contacts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contacts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add a contact (an existing match by email, phone or name is returned instead)
+ * @route   POST /api/contacts
+ * @access  Private
+ */
+export const createContact = async (req, res) => {
+  try {
+    const { name, email, phone, notes } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const existing = await findMatchingContact(req.tenantId, { name, email, phone });
+    if (existing) {
+      return res.json({
+        success: true,
+        data: existing,
+        duplicate: true,
+        message: `Matches existing contact ${existing.name}`
+      });
+    }
+
+    const contact = await Contact.create({
+      tenantId: req.tenantId,
+      name: name.trim(),
+      normalizedName: normalizeName(name),
+      email: email || '',
+      phone: normalizePhone(phone),
+      notes: notes || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      data: contact,
+      message: 'Contact added'
+    });
+  } catch (error) {
+    console.error('❌ Error creating contact:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create contact',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Link borrow/lend records without a contact to a (new or matching) contact
+ * @route   POST /api/contacts/sync
+ * @access  Private
+ */
+export const syncContacts = async (req, res) => {
+  try {
+    const result = await linkRecords(req.tenantId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.linked} records linked, ${result.created} contacts created`
+    });
+  } catch (error) {
+    console.error('❌ Error syncing contacts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync contacts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Contacts that look like the same person
+ * @route   GET /api/contacts/duplicates
+ * @access  Private
+ */
+export const getDuplicateContacts = async (req, res) => {
+  try {
+    const pairs = await findDuplicateContacts(req.tenantId);
+
+    res.json({
+      success: true,
+      data: pairs,
+      count: pairs.length
+    });
+  } catch (error) {
+    console.error('❌ Error finding duplicate contacts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find duplicate contacts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Contact with their net position and records
+ * @route   GET /api/contacts/:id
+ * @access  Private
+ */
+export const getContact = async (req, res) => {
+  try {
+    const contact = await findContact(req, res);
+    if (!contact) return;
+
+    const position = await getContactPosition(contact);
+    const records = await MoneyTransaction.find({ tenantId: req.tenantId, contactId: contact._id, isDeleted: false })
+      .sort({ dueDate: 1 });
+
+    res.json({
+      success: true,
+      data: { ...contact.toObject(), ...position, records }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching contact:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contact',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a contact (the old name is kept as an alias)
+ * @route   PUT /api/contacts/:id
+ * @access  Private
+ */
+export const updateContact = async (req, res) => {
+  try {
+    const contact = await findContact(req, res);
+    if (!contact) return;
+
+    const { name, email, phone, notes } = req.body;
+    if (name !== undefined && name.trim() && normalizeName(name) !== contact.normalizedName) {
+      if (!contact.aliases.includes(contact.normalizedName)) contact.aliases.push(contact.normalizedName);
+      contact.normalizedName = normalizeName(name);
+      contact.aliases.pull(contact.normalizedName);
+    }
+    if (name !== undefined && name.trim()) contact.name = name.trim();
+    if (email !== undefined) contact.email = email;
+    if (phone !== undefined) contact.phone = normalizePhone(phone);
+    if (notes !== undefined) contact.notes = notes;
+
+    await contact.save();
+
+    res.json({
+      success: true,
+      data: contact,
+      message: 'Contact updated'
+    });
+  } catch (error) {
+    console.error('❌ Error updating contact:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update contact',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a contact that has no borrow/lend records
+ * @route   DELETE /api/contacts/:id
+ * @access  Private
+ */
+export const deleteContact = async (req, res) => {
+  try {
+    const contact = await findContact(req, res);
+    if (!contact) return;
+
+    const records = await MoneyTransaction.countDocuments({ tenantId: req.tenantId, contactId: contact._id, isDeleted: false });
+    if (records > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Contact has ${records} borrow/lend records; merge it into another contact instead`
+      });
+    }
+
+    await contact.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Contact deleted'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting contact:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete contact',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Merge other contacts into this one
+ * @route   POST /api/contacts/:id/merge
+ * @access  Private
+ */
+export const mergeContacts = async (req, res) => {
+  try {
+    const contact = await findContact(req, res);
+    if (!contact) return;
+
+    const { sourceIds } = req.body;
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'sourceIds must list the contacts to merge'
+      });
+    }
+
+    const result = await foldContacts(contact, sourceIds);
+
+    res.json({
+      success: true,
+      data: result.contact,
+      message: `${result.merged} contacts merged, ${result.recordsMoved} records moved`
+    });
+  } catch (error) {
+    console.error('❌ Error merging contacts:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to merge contacts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Everything that happened with the contact, with a running balance
+ * @route   GET /api/contacts/:id/timeline
+ * @access  Private
+ */
+export const getContactTimeline = async (req, res) => {
+  try {
+    const contact = await findContact(req, res);
+    if (!contact) return;
+
+    const timeline = await buildTimeline(contact);
+
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    console.error('❌ Error fetching contact timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contact timeline',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Settle open records with the contact in one payment (default: the whole net balance)
+ * @route   POST /api/contacts/:id/settle
+ * @access  Private
+ */
+export const settleUp = async (req, res) => {
+  try {
+    const contact = await findContact(req, res);
+    if (!contact) return;
+
+    const { amount, method, note } = req.body;
+    const result = await settleWithContact(contact, { amount, method, note });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `Settled ${result.records.length} records with ${contact.name}`
+    });
+  } catch (error) {
+    console.error('❌ Error settling up:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to settle up',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reverse a settle-up
+ * @route   DELETE /api/contacts/:id/settlements/:settlementId
+ * @access  Private
+ */
+export const undoSettlement = async (req, res) => {
+  try {
+    const contact = await findContact(req, res);
+    if (!contact) return;
+
+    const result = await reverseSettlement(contact, req.params.settlementId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Settle-up reversed'
+    });
+  } catch (error) {
+    console.error('❌ Error reversing settle-up:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to reverse settle-up',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,45 @@
+// backend/controllers/forecastController.js
+import { getCashFlowForecast as buildCashFlowForecast } from '../services/forecastService.js';
+
+/**
+ * @desc    Day-by-day projected balance with the days it goes negative and what drives each dip
+ * @route   GET /api/forecast/cashflow?days=90&lookbackDays=90&openingBalance=&businessType=&state=
+ * @access  Private
+ */
+export const getCashFlowForecast = async (req, res) => {
+  try {
+    const { openingBalance, businessType, state } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 366);
+    const lookbackDays = Math.min(Math.max(parseInt(req.query.lookbackDays) || 90, 7), 365);
+
+    if (openingBalance !== undefined && isNaN(parseFloat(openingBalance))) {
+      return res.status(400).json({
+        success: false,
+        message: 'openingBalance must be a number'
+      });
+    }
+
+    const forecast = await buildCashFlowForecast(req.tenantId, {
+      days,
+      lookbackDays,
+      openingBalance: openingBalance !== undefined ? parseFloat(openingBalance) : undefined,
+      businessType,
+      state
+    });
+
+    res.json({
+      success: true,
+      data: forecast,
+      message: forecast.negativeDays > 0
+        ? `Balance projected to go negative on ${forecast.negativeDays} of the next ${days} days`
+        : `Balance stays positive for the next ${days} days`
+    });
+  } catch (error) {
+    console.error('❌ Error building cash-flow forecast:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build cash-flow forecast',
+      error: error.message
+    });
+  }
+};
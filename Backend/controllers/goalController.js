@@ -0,0 +1,265 @@
+// backend/controllers/goalController.js
+import Goal from '../models/Goal.js';
+import Account from '../models/Account.js';
+import {
+  getGoalProgress,
+  getGoalsSummary,
+  addContribution as recordContribution,
+  removeContribution as dropContribution
+} from '../services/goalService.js';
+
+const GOAL_FIELDS = ['name', 'targetAmount', 'targetDate', 'startDate', 'initialAmount', 'linkType', 'accountId', 'tag', 'priority', 'icon', 'status'];
+
+// Helper function to pick the editable fields from a request body
+const pickGoalFields = (body) => GOAL_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field] === '' && ['targetDate', 'accountId'].includes(field) ? null : body[field];
+  return acc;
+}, {});
+
+// Helper function to check that a linked account belongs to the tenant
+const validateAccount = async (req, res, accountId) => {
+  if (!accountId) return true;
+  const account = await Account.findOne({ _id: accountId, tenantId: req.tenantId });
+  if (!account) {
+    res.status(400).json({ success: false, message: 'Linked account not found' });
+    return false;
+  }
+  return true;
+};
+
+// Helper function to load one of the tenant's goals
+const findGoal = async (req, res) => {
+  const goal = await Goal.findOne({ _id: req.params.id, tenantId: req.tenantId });
+  if (!goal) {
+    res.status(404).json({ success: false, message: 'Goal not found' });
+    return null;
+  }
+  return goal;
+};
+
+/**
+ * @desc    Goals with progress, required monthly contribution and projected completion
+ * @route   GET /api/goals?includeArchived=true
+ * @access  Private
+ */
+export const getGoals = async (req, res) => {
+  try {
+    const summary = await getGoalsSummary(req.tenantId, { includeArchived: req.query.includeArchived === 'true' });
+
+    res.json({
+      success: true,
+      data: summary.items,
+      totals: summary.totals,
+      counts: summary.counts
+    });
+  } catch (error) {
+    console.error('❌ Error fetching goals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch goals',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Goal with its contributions and progress
+ * @route   GET /api/goals/:id
+ * @access  Private
+ */
+export const getGoal = async (req, res) => {
+  try {
+    const goal = await findGoal(req, res);
+    if (!goal) return;
+
+    const progress = await getGoalProgress(goal);
+    await goal.populate([
+      { path: 'contributions.transactionId', select: 'date amount description category' },
+      { path: 'contributions.investmentId', select: 'name type amount createdAt' },
+      { path: 'accountId', select: 'name type' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        goal,
+        progress
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching goal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch goal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a savings goal
+ * @route   POST /api/goals
+ * @access  Private
+ */
+export const createGoal = async (req, res) => {
+  try {
+    const fields = pickGoalFields(req.body);
+
+    if (!fields.name || !(parseFloat(fields.targetAmount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: name, targetAmount'
+      });
+    }
+    if (!(await validateAccount(req, res, fields.accountId))) return;
+
+    const goal = await Goal.create({ ...fields, tenantId: req.tenantId });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        goal,
+        progress: await getGoalProgress(goal)
+      },
+      message: 'Goal created successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error creating goal:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create goal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a goal (status "archived" hides it, "active" brings it back)
+ * @route   PUT /api/goals/:id
+ * @access  Private
+ */
+export const updateGoal = async (req, res) => {
+  try {
+    const goal = await findGoal(req, res);
+    if (!goal) return;
+
+    const fields = pickGoalFields(req.body);
+    if (!(await validateAccount(req, res, fields.accountId))) return;
+
+    goal.set(fields);
+    if (goal.isModified('status') && goal.status !== 'achieved') goal.achievedAt = null;
+    await goal.save();
+
+    res.json({
+      success: true,
+      data: {
+        goal,
+        progress: await getGoalProgress(goal)
+      },
+      message: 'Goal updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating goal:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update goal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a goal and its contributions (linked transactions and investments are kept)
+ * @route   DELETE /api/goals/:id
+ * @access  Private
+ */
+export const deleteGoal = async (req, res) => {
+  try {
+    const goal = await findGoal(req, res);
+    if (!goal) return;
+
+    await goal.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Goal deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting goal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete goal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add a contribution by amount, or link one from a transaction or investment
+ * @route   POST /api/goals/:id/contributions
+ * @access  Private
+ */
+export const addContribution = async (req, res) => {
+  try {
+    const { amount, transactionId, investmentId } = req.body;
+
+    if (!transactionId && !investmentId && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide an amount, a transactionId or an investmentId'
+      });
+    }
+
+    const goal = await findGoal(req, res);
+    if (!goal) return;
+
+    const result = await recordContribution(goal, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Contribution added'
+    });
+  } catch (error) {
+    console.error('❌ Error adding goal contribution:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to add contribution',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a contribution from a goal
+ * @route   DELETE /api/goals/:id/contributions/:contributionId
+ * @access  Private
+ */
+export const removeContribution = async (req, res) => {
+  try {
+    const goal = await findGoal(req, res);
+    if (!goal) return;
+
+    const result = await dropContribution(goal, req.params.contributionId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contribution not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Contribution removed'
+    });
+  } catch (error) {
+    console.error('❌ Error removing goal contribution:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove contribution',
+      error: error.message
+    });
+  }
+};
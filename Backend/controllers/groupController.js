@@ -0,0 +1,518 @@
+// backend/controllers/groupController.js
+import Group from '../models/Group.js';
+import GroupExpense from '../models/GroupExpense.js';
+import {
+  createExpense as addExpense,
+  updateExpense as changeExpense,
+  recordSettlement,
+  getGroupBalances as computeBalances,
+  addMember as joinGroup,
+  readCsvText,
+  importSplitwise
+} from '../services/groupService.js';
+
+// Helper function to load one of the tenant's groups
+const findGroup = async (req, res) => {
+  const group = await Group.findOne({ _id: req.params.id, tenantId: req.tenantId });
+  if (!group) {
+    res.status(404).json({ success: false, message: 'Group not found' });
+    return null;
+  }
+  return group;
+};
+
+// Helper function to load an expense of the group
+const findExpense = async (req, res) => {
+  const expense = await GroupExpense.findOne({ _id: req.params.expenseId, groupId: req.params.id, tenantId: req.tenantId });
+  if (!expense) {
+    res.status(404).json({ success: false, message: 'Expense not found' });
+    return null;
+  }
+  return expense;
+};
+
+/**
+ * @desc    Groups with total spent and where the user stands in each
+ * @route   GET /api/groups?includeArchived=true
+ * @access  Private
+ */
+export const getGroups = async (req, res) => {
+  try {
+    const filter = { tenantId: req.tenantId };
+    if (req.query.includeArchived !== 'true') filter.isArchived = false;
+
+    const groups = await Group.find(filter).sort({ updatedAt: -1 });
+    const data = await Promise.all(groups.map(async (group) => {
+      const balances = await computeBalances(group);
+      const self = balances.members.find(member => member.isSelf);
+      return {
+        ...group.toObject(),
+        totalSpent: balances.totalSpent,
+        expenseCount: balances.expenseCount,
+        myBalance: self ? self.net : null
+      };
+    }));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error fetching groups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch groups',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a group; the user joins as "You" unless includeSelf is false
+ * @route   POST /api/groups
+ * @access  Private
+ */
+export const createGroup = async (req, res) => {
+  try {
+    const { name, description, currency, members = [], includeSelf = true } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group name is required'
+      });
+    }
+
+    const group = new Group({
+      tenantId: req.tenantId,
+      name: name.trim(),
+      description: description || '',
+      currency: currency || 'INR'
+    });
+
+    if (includeSelf && !members.some(member => member.isSelf)) {
+      await joinGroup(group, { name: 'You', isSelf: true });
+    }
+    for (const member of members) {
+      await joinGroup(group, member);
+    }
+
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      data: group,
+      message: 'Group created'
+    });
+  } catch (error) {
+    console.error('❌ Error creating group:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Group with balances, suggested settle-up transfers and recent expenses
+ * @route   GET /api/groups/:id
+ * @access  Private
+ */
+export const getGroup = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const [balances, expenses] = await Promise.all([
+      computeBalances(group),
+      GroupExpense.find({ tenantId: req.tenantId, groupId: group._id }).sort({ date: -1 }).limit(20)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...group.toObject(), balances, recentExpenses: expenses }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rename, describe or archive a group
+ * @route   PUT /api/groups/:id
+ * @access  Private
+ */
+export const updateGroup = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    ['name', 'description', 'currency', 'isArchived'].forEach(field => {
+      if (req.body[field] !== undefined) group[field] = req.body[field];
+    });
+    await group.save();
+
+    res.json({
+      success: true,
+      data: group,
+      message: 'Group updated'
+    });
+  } catch (error) {
+    console.error('❌ Error updating group:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a group and all its expenses
+ * @route   DELETE /api/groups/:id
+ * @access  Private
+ */
+export const deleteGroup = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const { deletedCount } = await GroupExpense.deleteMany({ tenantId: req.tenantId, groupId: group._id });
+    await group.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Group deleted with ${deletedCount} expenses`
+    });
+  } catch (error) {
+    console.error('❌ Error deleting group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add a member (linked to their contact in the people ledger)
+ * @route   POST /api/groups/:id/members
+ * @access  Private
+ */
+export const addMember = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const { name, email, isSelf, contactId } = req.body;
+    const member = await joinGroup(group, { name, email, isSelf: isSelf === true, contactId });
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      data: member,
+      message: `${member.name} added to ${group.name}`
+    });
+  } catch (error) {
+    console.error('❌ Error adding group member:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to add member',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a member who has no expenses or settlements in the group
+ * @route   DELETE /api/groups/:id/members/:memberId
+ * @access  Private
+ */
+export const removeMember = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const member = group.members.id(req.params.memberId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const involved = await GroupExpense.countDocuments({
+      tenantId: req.tenantId,
+      groupId: group._id,
+      $or: [{ paidBy: member._id }, { 'splits.memberId': member._id }]
+    });
+    if (involved > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${member.name} is part of ${involved} expenses; remove those first`
+      });
+    }
+
+    group.members.pull(member._id);
+    await group.save();
+
+    res.json({
+      success: true,
+      data: group,
+      message: `${member.name} removed from ${group.name}`
+    });
+  } catch (error) {
+    console.error('❌ Error removing group member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Expenses and settlements of a group, newest first
+ * @route   GET /api/groups/:id/expenses?page=1&limit=50
+ * @access  Private
+ */
+export const getExpenses = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const filter = { tenantId: req.tenantId, groupId: group._id };
+
+    const [expenses, total] = await Promise.all([
+      GroupExpense.find(filter).sort({ date: -1 }).skip((page - 1) * limit).limit(limit),
+      GroupExpense.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: expenses,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('❌ Error fetching group expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group expenses',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record an expense paid by one member, split equally, by shares or by exact amounts
+ * @route   POST /api/groups/:id/expenses
+ * @access  Private
+ */
+export const createExpense = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const { description, amount, date, category, paidBy, splitType, participants, note } = req.body;
+    const expense = await addExpense(group, { description, amount, date, category, paidBy, splitType, participants, note });
+
+    res.status(201).json({
+      success: true,
+      data: expense,
+      message: 'Expense added'
+    });
+  } catch (error) {
+    console.error('❌ Error adding group expense:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to add expense',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update an expense (re-splits it when the amount, payer or split changes)
+ * @route   PUT /api/groups/:id/expenses/:expenseId
+ * @access  Private
+ */
+export const updateExpense = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+    const expense = await findExpense(req, res);
+    if (!expense) return;
+
+    await changeExpense(expense, group, req.body);
+
+    res.json({
+      success: true,
+      data: expense,
+      message: 'Expense updated'
+    });
+  } catch (error) {
+    console.error('❌ Error updating group expense:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update expense',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete an expense or settlement
+ * @route   DELETE /api/groups/:id/expenses/:expenseId
+ * @access  Private
+ */
+export const deleteExpense = async (req, res) => {
+  try {
+    const expense = await findExpense(req, res);
+    if (!expense) return;
+
+    await expense.deleteOne();
+
+    res.json({
+      success: true,
+      message: expense.kind === 'settlement' ? 'Settlement deleted' : 'Expense deleted'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting group expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete expense',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Who owes whom, with the fewest transfers that settle the group
+ * @route   GET /api/groups/:id/balances
+ * @access  Private
+ */
+export const getGroupBalances = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const balances = await computeBalances(group);
+
+    res.json({
+      success: true,
+      data: balances
+    });
+  } catch (error) {
+    console.error('❌ Error fetching group balances:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group balances',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record a settle-up payment from one member to another
+ * @route   POST /api/groups/:id/settlements
+ * @access  Private
+ */
+export const settleUp = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const { from, to, amount, date, note } = req.body;
+    const settlement = await recordSettlement(group, { from, to, amount, date, note });
+
+    res.status(201).json({
+      success: true,
+      data: settlement,
+      message: settlement.description
+    });
+  } catch (error) {
+    console.error('❌ Error recording group settlement:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to record settlement',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Import a Splitwise CSV export (file upload, or the CSV text as `csv`)
+ * @route   POST /api/groups/:id/import/splitwise
+ * @access  Private
+ */
+export const importFromSplitwise = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the Splitwise CSV export'
+      });
+    }
+
+    const rows = await readCsvText(String(text).replace(/^\uFEFF/, ''));
+    const result = await importSplitwise(group, rows, { selfName: req.body.selfName });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `${result.expenses} expenses and ${result.settlements} settlements imported` +
+        (result.otherCurrency ? `; ${result.otherCurrency} rows in ${result.otherCurrencies.join(', ')} left out (group currency is ${group.currency || 'INR'})` : '')
+    });
+  } catch (error) {
+    console.error('❌ Error importing Splitwise export:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to import Splitwise export',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Undo a Splitwise import
+ * @route   DELETE /api/groups/:id/imports/:batchId
+ * @access  Private
+ */
+export const undoImport = async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    const { deletedCount } = await GroupExpense.deleteMany({
+      tenantId: req.tenantId,
+      groupId: group._id,
+      importBatchId: req.params.batchId
+    });
+
+    res.json({
+      success: true,
+      message: `${deletedCount} imported expenses removed`
+    });
+  } catch (error) {
+    console.error('❌ Error undoing Splitwise import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to undo import',
+      error: error.message
+    });
+  }
+};
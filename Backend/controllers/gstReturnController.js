@@ -0,0 +1,269 @@
+// backend/controllers/gstReturnController.js
+import {
+  getGstSettings as readGstSettings,
+  saveGstSettings,
+  buildGstr1,
+  buildGstr3b,
+  getItcLedger as buildItcLedger,
+  getGstr2bReconciliation as reconcileStoredGstr2b,
+  uploadGstr2b as storeGstr2b,
+  toGstr1Json
+} from '../services/gstReturnService.js';
+
+// Return period from ?year=&month=, defaulting to last month (the one being filed)
+const periodFrom = (query) => {
+  if (query.year || query.month) return { year: query.year, month: query.month };
+  const lastMonth = new Date();
+  lastMonth.setDate(1);
+  lastMonth.setMonth(lastMonth.getMonth() - 1);
+  return { year: lastMonth.getFullYear(), month: lastMonth.getMonth() + 1 };
+};
+
+// Refuse to export a return with invalid invoices unless they are to be left out (?skipInvalid=true)
+const blockedByErrors = (req, res, validation) => {
+  if (validation.valid || req.query.skipInvalid === 'true') return false;
+  res.status(422).json({
+    success: false,
+    message: `${validation.errorCount} validation errors; fix them or export with skipInvalid=true to leave those invoices out`,
+    validation
+  });
+  return true;
+};
+
+const sendJsonFile = (res, filename, json) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', 'attachment; filename=' + filename);
+  res.send(JSON.stringify(json, null, 2));
+};
+
+/**
+ * @desc    GST registration used for returns
+ * @route   GET /api/gst-returns/settings
+ * @access  Private
+ */
+export const getGstSettings = async (req, res) => {
+  try {
+    const settings = await readGstSettings(req.tenantId);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('❌ Error fetching GST settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch GST settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Save the GSTIN and business names
+ * @route   PUT /api/gst-returns/settings
+ * @access  Private
+ */
+export const updateGstSettings = async (req, res) => {
+  try {
+    const settings = await saveGstSettings(req.tenantId, req.body);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'GST settings saved'
+    });
+  } catch (error) {
+    console.error('❌ Error saving GST settings:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to save GST settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    GSTR-1 tables (B2B, B2CL, B2CS, notes, exports, nil-rated, HSN summary) with validation per invoice
+ * @route   GET /api/gst-returns/gstr1?year=&month=
+ * @access  Private
+ */
+export const getGstr1 = async (req, res) => {
+  try {
+    const report = await buildGstr1(req.tenantId, periodFrom(req.query));
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Error building GSTR-1:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to build GSTR-1',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download GSTR-1 as JSON for the GST offline tool
+ * @route   GET /api/gst-returns/gstr1/export?year=&month=&skipInvalid=
+ * @access  Private
+ */
+export const exportGstr1 = async (req, res) => {
+  try {
+    const report = await buildGstr1(req.tenantId, periodFrom(req.query));
+    if (blockedByErrors(req, res, report.validation)) return;
+
+    sendJsonFile(res, `GSTR1_${report.gstin}_${report.period.fp}.json`, toGstr1Json(report));
+  } catch (error) {
+    console.error('❌ Error exporting GSTR-1:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to export GSTR-1',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    GSTR-3B summary with the tax payable in cash after input tax credit
+ * @route   GET /api/gst-returns/gstr3b?year=&month=
+ * @access  Private
+ */
+export const getGstr3b = async (req, res) => {
+  try {
+    const summary = await buildGstr3b(req.tenantId, periodFrom(req.query));
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('❌ Error building GSTR-3B:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to build GSTR-3B',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download GSTR-3B as JSON for the GST offline tool
+ * @route   GET /api/gst-returns/gstr3b/export?year=&month=&skipInvalid=
+ * @access  Private
+ */
+export const exportGstr3b = async (req, res) => {
+  try {
+    const summary = await buildGstr3b(req.tenantId, periodFrom(req.query));
+    if (blockedByErrors(req, res, summary.validation)) return;
+
+    sendJsonFile(res, `GSTR3B_${summary.gstin}_${summary.period.fp}.json`, summary.json);
+  } catch (error) {
+    console.error('❌ Error exporting GSTR-3B:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to export GSTR-3B',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Input tax credit ledger for a financial year: availed, blocked (17(5)), ineligible, reversed and reclaimed credit
+ * @route   GET /api/gst-returns/itc-ledger?financialYear=
+ * @access  Private
+ */
+export const getItcLedger = async (req, res) => {
+  try {
+    const ledger = await buildItcLedger(req.tenantId, { financialYear: req.query.financialYear });
+
+    res.json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    console.error('❌ Error building ITC ledger:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to build ITC ledger',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Upload a GSTR-2B JSON from the GST portal and match it against recorded purchases
+ * @route   POST /api/gst-returns/gstr2b (multipart "file", or the JSON itself as "gstr2b")
+ * @access  Private
+ */
+export const uploadGstr2b = async (req, res) => {
+  try {
+    let json = req.body.gstr2b;
+    if (req.file) {
+      try {
+        json = JSON.parse(req.file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'The file is not valid JSON'
+        });
+      }
+    }
+    if (!json) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the GSTR-2B JSON file'
+      });
+    }
+
+    const reconciliation = await storeGstr2b(req.tenantId, req.user?._id, {
+      json,
+      fileName: req.file?.originalname
+    });
+
+    res.status(201).json({
+      success: true,
+      data: reconciliation,
+      message: `${reconciliation.summary.mismatched} mismatched and ${reconciliation.summary.missingInBooks} missing supplier invoices`
+    });
+  } catch (error) {
+    console.error('❌ Error uploading GSTR-2B:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to upload GSTR-2B',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reconciliation of the uploaded GSTR-2B for a month with the books
+ * @route   GET /api/gst-returns/gstr2b/reconciliation?year=&month=
+ * @access  Private
+ */
+export const getGstr2bReconciliation = async (req, res) => {
+  try {
+    const reconciliation = await reconcileStoredGstr2b(req.tenantId, periodFrom(req.query));
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No GSTR-2B uploaded for this month'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: reconciliation
+    });
+  } catch (error) {
+    console.error('❌ Error reconciling GSTR-2B:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to reconcile GSTR-2B',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,468 @@
+// backend/controllers/reconciliationController.js
+import fs from 'fs';
+import Reconciliation from '../models/Reconciliation.js';
+import Transaction from '../models/Transaction.js';
+import Account from '../models/Account.js';
+import { readImportFile, parseMappingInput } from '../services/importService.js';
+import { findAccountByNumber } from '../services/accountService.js';
+import {
+  autoMatch as runAutoMatch,
+  buildReport,
+  clearReconciled,
+  manualMatchProblem,
+  saveReconciliation
+} from '../services/reconciliationService.js';
+
+// Helper function to read match tolerances from a request body
+const matchOptions = (body = {}) => {
+  const options = {};
+  if (body.dateToleranceDays !== undefined) options.dateToleranceDays = Math.max(0, parseInt(body.dateToleranceDays) || 0);
+  if (body.amountTolerance !== undefined) options.amountTolerance = Math.max(0, parseFloat(body.amountTolerance) || 0);
+  if (body.minScore !== undefined) options.minScore = Math.min(1, Math.max(0, parseFloat(body.minScore) || 0));
+  return options;
+};
+
+// Helper function to parse an optional balance field from multipart or JSON input
+const parseBalance = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// Helper function to load a reconciliation that may still be edited
+const findOpenReconciliation = async (req, res) => {
+  const reconciliation = await Reconciliation.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+  if (!reconciliation) {
+    res.status(404).json({ success: false, message: 'Reconciliation not found' });
+    return null;
+  }
+
+  if (reconciliation.status === 'completed') {
+    res.status(400).json({ success: false, message: 'Reconciliation is completed and can no longer be changed' });
+    return null;
+  }
+
+  return reconciliation;
+};
+
+/**
+ * @desc    Upload a statement for an account/period and auto-match it
+ * @route   POST /api/reconciliations
+ * @access  Private
+ */
+export const createReconciliation = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statement file is required'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await readImportFile(req.file.path, parseMappingInput(req.body.mapping));
+    } finally {
+      fs.unlink(req.file.path, () => {});
+    }
+
+    // The statement is reconciled against one account: the one chosen, or the one with its account number
+    const accountNumber = req.body.accountNumber || parsed.mapping.accountNumber || '';
+    const account = req.body.accountId
+      ? await Account.findOne({ _id: req.body.accountId, tenantId: req.tenantId })
+      : await findAccountByNumber(req.tenantId, accountNumber);
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.accountId
+          ? 'Account not found or access denied'
+          : 'Choose the account this statement belongs to (accountId)'
+      });
+    }
+
+    const validLines = parsed.transactions.filter(row => row.valid);
+    if (!validLines.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No readable lines found in the statement'
+      });
+    }
+
+    const dates = validLines.map(row => row.date.getTime());
+    const periodStart = req.body.periodStart ? new Date(req.body.periodStart) : new Date(Math.min(...dates));
+    const periodEnd = req.body.periodEnd ? new Date(req.body.periodEnd) : new Date(Math.max(...dates));
+
+    const lines = validLines
+      .filter(row => row.date >= periodStart && row.date <= new Date(periodEnd.getTime() + 24 * 60 * 60 * 1000 - 1))
+      .sort((a, b) => a.date - b.date)
+      .map((row, index) => ({
+        lineNo: index + 1,
+        date: row.date,
+        description: row.description,
+        amount: row.amount,
+        type: row.type,
+        referenceNumber: row.referenceNumber || '',
+        externalId: row.externalId || '',
+        balance: row.balance ?? null
+      }));
+
+    // Fall back to the running balance column when the statement has no explicit balances
+    const first = lines[0];
+    const last = lines[lines.length - 1];
+    let openingBalance = parseBalance(req.body.openingBalance) ?? parsed.balances.opening ?? null;
+    let closingBalance = parseBalance(req.body.closingBalance) ?? parsed.balances.closing ?? null;
+    if (openingBalance === null && first?.balance !== null && first?.balance !== undefined) {
+      openingBalance = first.balance - (first.type === 'income' ? first.amount : -first.amount);
+    }
+    if (closingBalance === null && last?.balance !== null && last?.balance !== undefined) {
+      closingBalance = last.balance;
+    }
+
+    const reconciliation = new Reconciliation({
+      tenantId: req.tenantId,
+      accountId: account._id,
+      accountNumber: accountNumber || account.accountNumber,
+      bankName: req.body.bankName || '',
+      fileName: req.file.originalname,
+      periodStart,
+      periodEnd,
+      openingBalance,
+      closingBalance,
+      lines
+    });
+
+    const result = await runAutoMatch(reconciliation, matchOptions(req.body));
+    await saveReconciliation(reconciliation, { matched: result.matchedIds });
+
+    console.log(`✅ Reconciliation created: ${result.matched}/${lines.length} lines auto-matched`);
+    res.status(201).json({
+      success: true,
+      data: reconciliation,
+      message: `${result.matched} of ${lines.length} statement lines matched automatically`
+    });
+  } catch (error) {
+    console.error('❌ Error creating reconciliation:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create reconciliation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List reconciliations
+ * @route   GET /api/reconciliations
+ * @access  Private
+ */
+export const getReconciliations = async (req, res) => {
+  try {
+    const filter = { tenantId: req.tenantId };
+    if (req.query.accountId) filter.accountId = req.query.accountId;
+    if (req.query.accountNumber) filter.accountNumber = req.query.accountNumber;
+    if (req.query.status) filter.status = req.query.status;
+
+    const reconciliations = await Reconciliation.find(filter)
+      .select('-lines')
+      .sort({ periodStart: -1 });
+
+    res.json({
+      success: true,
+      data: reconciliations
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reconciliations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reconciliation with its statement lines and matched transactions
+ * @route   GET /api/reconciliations/:id
+ * @access  Private
+ */
+export const getReconciliation = async (req, res) => {
+  try {
+    const reconciliation = await Reconciliation.findOne({ _id: req.params.id, tenantId: req.tenantId })
+      .populate('lines.transactionId', 'date type amount description category referenceNumber');
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: reconciliation
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Re-run automatic matching for lines that are still unmatched
+ * @route   POST /api/reconciliations/:id/auto-match
+ * @access  Private
+ */
+export const autoMatchReconciliation = async (req, res) => {
+  try {
+    const reconciliation = await findOpenReconciliation(req, res);
+    if (!reconciliation) return;
+
+    const result = await runAutoMatch(reconciliation, matchOptions(req.body));
+    await saveReconciliation(reconciliation, { matched: result.matchedIds });
+
+    res.json({
+      success: true,
+      data: reconciliation,
+      message: `${result.matched} more lines matched, ${result.remaining} still unmatched`
+    });
+  } catch (error) {
+    console.error('❌ Error auto-matching reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to auto-match statement lines',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Manually match a statement line to a transaction (or ignore the line)
+ * @route   POST /api/reconciliations/:id/match
+ * @access  Private
+ */
+export const matchLine = async (req, res) => {
+  try {
+    const { lineId, transactionId, ignore, allowAmountMismatch } = req.body;
+
+    const reconciliation = await findOpenReconciliation(req, res);
+    if (!reconciliation) return;
+
+    const line = reconciliation.lines.id(lineId);
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement line not found'
+      });
+    }
+
+    if (line.status === 'matched') {
+      return res.status(400).json({
+        success: false,
+        message: 'Unmatch the line before matching it again'
+      });
+    }
+
+    if (ignore) {
+      line.status = 'ignored';
+      await reconciliation.save();
+      return res.json({
+        success: true,
+        data: reconciliation,
+        message: 'Statement line ignored'
+      });
+    }
+
+    const transaction = await Transaction.findOne({ _id: transactionId, tenantId: req.tenantId, isDeleted: false });
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found or access denied'
+      });
+    }
+
+    const alreadyMatched = transaction.reconciled ||
+      reconciliation.lines.some(other => String(other.transactionId) === String(transaction._id));
+    if (alreadyMatched) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transaction is already reconciled against another statement line'
+      });
+    }
+
+    const problem = manualMatchProblem(reconciliation, line, transaction, {
+      allowAmountMismatch: allowAmountMismatch === true || allowAmountMismatch === 'true'
+    });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    line.status = 'matched';
+    line.transactionId = transaction._id;
+    line.matchScore = null;
+    line.matchedBy = 'manual';
+
+    await saveReconciliation(reconciliation, { matched: [transaction._id] });
+
+    res.json({
+      success: true,
+      data: reconciliation,
+      message: 'Statement line matched'
+    });
+  } catch (error) {
+    console.error('❌ Error matching statement line:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to match statement line',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a match (or un-ignore a line)
+ * @route   POST /api/reconciliations/:id/unmatch
+ * @access  Private
+ */
+export const unmatchLine = async (req, res) => {
+  try {
+    const reconciliation = await findOpenReconciliation(req, res);
+    if (!reconciliation) return;
+
+    const line = reconciliation.lines.id(req.body.lineId);
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement line not found'
+      });
+    }
+
+    const released = line.transactionId ? [line.transactionId] : [];
+
+    line.status = 'unmatched';
+    line.transactionId = null;
+    line.matchScore = null;
+    line.matchedBy = null;
+    await saveReconciliation(reconciliation, { unmatched: released });
+
+    res.json({
+      success: true,
+      data: reconciliation,
+      message: 'Statement line unmatched'
+    });
+  } catch (error) {
+    console.error('❌ Error unmatching statement line:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to unmatch statement line',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reconciliation report: balances, differences and unmatched items
+ * @route   GET /api/reconciliations/:id/report
+ * @access  Private
+ */
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const reconciliation = await Reconciliation.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const report = await buildReport(reconciliation);
+
+    res.json({
+      success: true,
+      data: {
+        reconciliationId: reconciliation._id,
+        accountId: reconciliation.accountId,
+        accountNumber: reconciliation.accountNumber,
+        status: reconciliation.status,
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error building reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build reconciliation report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Lock a reconciliation once it has been reviewed
+ * @route   POST /api/reconciliations/:id/complete
+ * @access  Private
+ */
+export const completeReconciliation = async (req, res) => {
+  try {
+    const reconciliation = await findOpenReconciliation(req, res);
+    if (!reconciliation) return;
+
+    reconciliation.status = 'completed';
+    reconciliation.completedAt = new Date();
+    await reconciliation.save();
+
+    res.json({
+      success: true,
+      data: reconciliation,
+      message: 'Reconciliation completed'
+    });
+  } catch (error) {
+    console.error('❌ Error completing reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete reconciliation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a reconciliation and release its matched transactions
+ * @route   DELETE /api/reconciliations/:id
+ * @access  Private
+ */
+export const deleteReconciliation = async (req, res) => {
+  try {
+    const reconciliation = await Reconciliation.findOneAndDelete({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const matchedIds = reconciliation.lines.filter(line => line.transactionId).map(line => line.transactionId);
+    await clearReconciled(req.tenantId, matchedIds);
+
+    res.json({
+      success: true,
+      message: 'Reconciliation deleted'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete reconciliation',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,356 @@
+// backend/controllers/recurringController.js
+import RecurringTemplate from '../models/RecurringTemplate.js';
+import Transaction from '../models/Transaction.js';
+import Income from '../models/income.js';
+import {
+  EDITABLE_FIELDS,
+  createTemplate,
+  fieldsFromRecord,
+  generateDueOccurrences,
+  runRecurringEngine,
+  skipOccurrence as skipScheduledOccurrence,
+  editOccurrence,
+  updateSchedule,
+  stopTemplate,
+  listOccurrences,
+  getForecast as buildForecast
+} from '../services/recurringService.js';
+
+// Helper function to load one of the tenant's templates
+const findTemplate = async (req, res) => {
+  const template = await RecurringTemplate.findOne({ _id: req.params.id, tenantId: req.tenantId });
+  if (!template) {
+    res.status(404).json({ success: false, message: 'Recurring template not found' });
+    return null;
+  }
+  return template;
+};
+
+/**
+ * @desc    List recurring templates with their next dates
+ * @route   GET /api/recurring
+ * @access  Private
+ */
+export const getTemplates = async (req, res) => {
+  try {
+    const filter = { tenantId: req.tenantId };
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+    const templates = await RecurringTemplate.find(filter).sort({ isActive: -1, nextDate: 1 });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('❌ Error fetching recurring templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring templates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a recurring template, from scratch or from an existing transaction/income
+ * @route   POST /api/recurring
+ * @access  Private
+ */
+export const createRecurringTemplate = async (req, res) => {
+  try {
+    const { fromTransactionId, fromIncomeId, frequency, interval, startDate, endDate, maxOccurrences, leadDays, name } = req.body;
+    const schedule = { frequency, interval, startDate, endDate, maxOccurrences, leadDays, name };
+
+    let template;
+    if (fromTransactionId || fromIncomeId) {
+      const target = fromIncomeId ? 'income' : 'transaction';
+      const Model = fromIncomeId ? Income : Transaction;
+      const record = await Model.findOne({ _id: fromIncomeId || fromTransactionId, tenantId: req.tenantId, isDeleted: false });
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: 'Source record not found'
+        });
+      }
+      if (record.recurringTemplateId) {
+        return res.status(409).json({
+          success: false,
+          message: 'This record already belongs to a recurring series'
+        });
+      }
+      if (record.type === 'transfer') {
+        return res.status(400).json({
+          success: false,
+          message: 'Transfers cannot be made recurring'
+        });
+      }
+
+      template = await createTemplate(req.tenantId, {
+        ...schedule,
+        target,
+        fields: fieldsFromRecord(record, target),
+        record
+      });
+    } else {
+      const { target = 'transaction', type, amount, category } = req.body;
+      if (!amount || !category || (target === 'transaction' && !type)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: amount, category, type'
+        });
+      }
+
+      const fields = EDITABLE_FIELDS.reduce((acc, field) => {
+        if (req.body[field] !== undefined) acc[field] = req.body[field];
+        return acc;
+      }, { type: target === 'income' ? 'income' : String(type).toLowerCase() });
+      fields.amount = parseFloat(amount);
+
+      template = await createTemplate(req.tenantId, { ...schedule, target, fields });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Recurring template created'
+    });
+  } catch (error) {
+    console.error('❌ Error creating recurring template:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create recurring template',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Template with its generated records and the next scheduled occurrences
+ * @route   GET /api/recurring/:id
+ * @access  Private
+ */
+export const getTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const Model = template.target === 'income' ? Income : Transaction;
+    const generated = await Model.find({ tenantId: req.tenantId, recurringTemplateId: template._id })
+      .select('date amount category description isDeleted occurrenceDate')
+      .sort({ occurrenceDate: -1 })
+      .limit(parseInt(req.query.limit) || 24);
+
+    const upcoming = template.isActive
+      ? listOccurrences(template, { limit: 12 }).map(({ date, exception }) => ({
+        date,
+        skipped: Boolean(exception?.skip),
+        overrides: exception?.overrides || {}
+      }))
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        template,
+        generated,
+        upcoming
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching recurring template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring template',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Change the schedule, or the values of all occurrences not generated yet
+ * @route   PUT /api/recurring/:id
+ * @access  Private
+ */
+export const updateTemplate = async (req, res) => {
+  try {
+    let template = await findTemplate(req, res);
+    if (!template) return;
+
+    template = await updateSchedule(template, req.body);
+
+    // Field changes apply from the next occurrence onwards
+    const hasFieldChanges = EDITABLE_FIELDS.some(field => req.body[field] !== undefined);
+    if (hasFieldChanges && template.nextDate) {
+      template = await editOccurrence(template, template.nextDate, req.body, 'future');
+    }
+
+    res.json({
+      success: true,
+      data: template,
+      message: 'Recurring template updated'
+    });
+  } catch (error) {
+    console.error('❌ Error updating recurring template:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update recurring template',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Edit one occurrence (scope "this") or this and all later ones (scope "future")
+ * @route   PUT /api/recurring/:id/occurrences
+ * @access  Private
+ */
+export const updateOccurrence = async (req, res) => {
+  try {
+    const { date, scope = 'this', ...changes } = req.body;
+
+    if (!date || !['this', 'future'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide the occurrence date and a scope of "this" or "future"'
+      });
+    }
+
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const result = await editOccurrence(template, new Date(date), changes, scope);
+
+    res.json({
+      success: true,
+      data: result,
+      message: scope === 'this' ? 'Occurrence updated' : 'This and all future occurrences updated'
+    });
+  } catch (error) {
+    console.error('❌ Error updating occurrence:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update occurrence',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Skip one occurrence (or restore it with { skip: false })
+ * @route   POST /api/recurring/:id/skip
+ * @access  Private
+ */
+export const skipOccurrence = async (req, res) => {
+  try {
+    const { date, skip = true } = req.body;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occurrence date is required'
+      });
+    }
+
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const result = await skipScheduledOccurrence(template, new Date(date), skip !== false);
+
+    res.json({
+      success: true,
+      data: { template, ...result },
+      message: skip !== false ? 'Occurrence skipped' : 'Occurrence restored'
+    });
+  } catch (error) {
+    console.error('❌ Error skipping occurrence:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to skip occurrence',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Generate due occurrences now (one template, or all of the tenant's)
+ * @route   POST /api/recurring/run, POST /api/recurring/:id/run
+ * @access  Private
+ */
+export const runTemplates = async (req, res) => {
+  try {
+    let result;
+    if (req.params.id) {
+      const template = await findTemplate(req, res);
+      if (!template) return;
+      result = await generateDueOccurrences(template);
+    } else {
+      result = await runRecurringEngine(new Date(), { tenantId: req.tenantId });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.created} occurrences generated`
+    });
+  } catch (error) {
+    console.error('❌ Error running recurring templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate occurrences',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Stop a series (?removeFuture=true also deletes occurrences generated ahead of time)
+ * @route   DELETE /api/recurring/:id
+ * @access  Private
+ */
+export const deleteTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const removed = await stopTemplate(template, { removeFuture: req.query.removeFuture === 'true' });
+
+    res.json({
+      success: true,
+      data: { removed },
+      message: 'Recurring series stopped'
+    });
+  } catch (error) {
+    console.error('❌ Error stopping recurring template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stop recurring series',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Upcoming recurring income and expenses
+ * @route   GET /api/recurring/forecast?days=90
+ * @access  Private
+ */
+export const getForecast = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 366);
+    const forecast = await buildForecast(req.tenantId, { days });
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    console.error('❌ Error building recurring forecast:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build recurring forecast',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,325 @@
+// backend/controllers/ruleController.js
+import CategoryRule from '../models/CategoryRule.js';
+import {
+  DEFAULT_RULES,
+  unsafePatternReason,
+  testRule as runRuleTest,
+  reapplyRules as runReapply
+} from '../services/categorizationService.js';
+
+// Helper function to keep only the editable rule fields from a request body
+const pickRuleFields = (body) => {
+  const fields = ['name', 'priority', 'isActive', 'stopProcessing', 'conditions', 'actions'];
+  return fields.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+};
+
+// Helper function to reject rules that would match nothing or change nothing
+const validateRule = ({ conditions = {}, actions = {} }) => {
+  const hasCondition = ['descriptionRegex', 'vendor', 'account', 'paymentMode'].some(field => conditions[field]) ||
+    (conditions.minAmount !== null && conditions.minAmount !== undefined) ||
+    (conditions.maxAmount !== null && conditions.maxAmount !== undefined) ||
+    (conditions.transactionType && conditions.transactionType !== 'any');
+  const hasAction = ['category', 'subCategory', 'paymentMode', 'projectId'].some(field => actions[field]) ||
+    (actions.tags && actions.tags.length > 0);
+
+  if (!hasCondition) return 'At least one condition is required';
+  if (!hasAction) return 'At least one action is required';
+  if (conditions.descriptionRegex) return unsafePatternReason(conditions.descriptionRegex);
+  return null;
+};
+
+/**
+ * @desc    List categorization rules in the order they run
+ * @route   GET /api/rules
+ * @access  Private
+ */
+export const getRules = async (req, res) => {
+  try {
+    const rules = await CategoryRule.find({ tenantId: req.tenantId })
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('❌ Error fetching rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a categorization rule
+ * @route   POST /api/rules
+ * @access  Private
+ */
+export const createRule = async (req, res) => {
+  try {
+    const fields = pickRuleFields(req.body);
+
+    if (!fields.name || !String(fields.name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rule name is required'
+      });
+    }
+
+    const validationError = validateRule(fields);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const rule = await CategoryRule.create({
+      ...fields,
+      tenantId: req.tenantId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Rule created successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error creating rule:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a categorization rule
+ * @route   PUT /api/rules/:id
+ * @access  Private
+ */
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await CategoryRule.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+
+    const validationError = validateRule(rule.toObject());
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Rule updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating rule:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a categorization rule
+ * @route   DELETE /api/rules/:id
+ * @access  Private
+ */
+export const deleteRule = async (req, res) => {
+  try {
+    const rule = await CategoryRule.findOneAndDelete({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set rule priorities from an ordered list of ids
+ * @route   PUT /api/rules/reorder
+ * @access  Private
+ */
+export const reorderRules = async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || !order.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'order must be a non-empty array of rule ids'
+      });
+    }
+
+    await CategoryRule.bulkWrite(order.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, tenantId: req.tenantId },
+        update: { $set: { priority: (index + 1) * 10 } }
+      }
+    })));
+
+    const rules = await CategoryRule.find({ tenantId: req.tenantId })
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: rules,
+      message: 'Rules reordered successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error reordering rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Copy the built-in keyword rules into the tenant's rule set
+ * @route   POST /api/rules/defaults
+ * @access  Private
+ */
+export const installDefaultRules = async (req, res) => {
+  try {
+    const existing = await CategoryRule.find({ tenantId: req.tenantId }).distinct('name');
+    const toCreate = DEFAULT_RULES
+      .filter(rule => !existing.includes(rule.name))
+      .map(({ isDefault, ...rule }) => ({ ...rule, tenantId: req.tenantId }));
+
+    const rules = toCreate.length ? await CategoryRule.insertMany(toCreate) : [];
+
+    res.status(201).json({
+      success: true,
+      data: rules,
+      message: `${rules.length} default rules added`
+    });
+  } catch (error) {
+    console.error('❌ Error installing default rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to install default rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Dry-run a rule (saved or unsaved) against recent transactions
+ * @route   POST /api/rules/test
+ * @access  Private
+ */
+export const testRule = async (req, res) => {
+  try {
+    const { ruleId, days = 90 } = req.body;
+    let rule;
+
+    if (ruleId) {
+      rule = await CategoryRule.findOne({ _id: ruleId, tenantId: req.tenantId }).lean();
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rule not found'
+        });
+      }
+    } else {
+      rule = pickRuleFields(req.body);
+      const validationError = validateRule(rule);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+      // Run the same validators a save would, without saving
+      await new CategoryRule({ name: 'test', ...rule, tenantId: req.tenantId }).validate();
+    }
+
+    const result = await runRuleTest(req.tenantId, rule, {
+      days: Math.min(Math.max(parseInt(days) || 90, 1), 365)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error testing rule:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to test rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Re-apply all active rules to existing transactions
+ * @route   POST /api/rules/reapply
+ * @access  Private
+ */
+export const reapplyRules = async (req, res) => {
+  try {
+    const { startDate, endDate, overwrite = false, importedOnly = false } = req.body;
+
+    const result = await runReapply(req.tenantId, {
+      startDate,
+      endDate,
+      overwrite: Boolean(overwrite),
+      importedOnly: Boolean(importedOnly)
+    });
+
+    console.log(`✅ Re-applied rules for tenant ${req.tenantId}: ${result.updated}/${result.scanned} updated`);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.updated} transactions updated`
+    });
+  } catch (error) {
+    console.error('❌ Error re-applying rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-apply rules',
+      error: error.message
+    });
+  }
+};
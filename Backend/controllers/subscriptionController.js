@@ -0,0 +1,155 @@
+// backend/controllers/subscriptionController.js
+import Subscription from '../models/Subscription.js';
+import {
+  detectSubscriptions as scanSubscriptions,
+  listSubscriptions,
+  confirmSubscription as makeRecurring,
+  flagForCancellation,
+  dismissSubscription as hideSubscription
+} from '../services/subscriptionService.js';
+
+// Helper function to load one of the tenant's subscriptions
+const findSubscription = async (req, res) => {
+  const subscription = await Subscription.findOne({ _id: req.params.id, tenantId: req.tenantId });
+  if (!subscription) {
+    res.status(404).json({ success: false, message: 'Subscription not found' });
+    return null;
+  }
+  return subscription;
+};
+
+/**
+ * @desc    Detected subscriptions with cadence, next charge, annual cost and price changes
+ * @route   GET /api/subscriptions?includeDismissed=true
+ * @access  Private
+ */
+export const getSubscriptions = async (req, res) => {
+  try {
+    const { subscriptions, totals } = await listSubscriptions(req.tenantId, {
+      includeDismissed: req.query.includeDismissed === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      totals
+    });
+  } catch (error) {
+    console.error('❌ Error fetching subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscriptions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Scan transaction history for repeating charges
+ * @route   POST /api/subscriptions/detect
+ * @access  Private
+ */
+export const detectSubscriptions = async (req, res) => {
+  try {
+    const lookbackDays = Math.min(Math.max(parseInt(req.body.lookbackDays) || 400, 60), 1100);
+    const result = await scanSubscriptions(req.tenantId, { lookbackDays });
+
+    res.json({
+      success: true,
+      data: result.subscriptions,
+      scanned: result.scanned,
+      message: `${result.subscriptions.length} subscriptions found in ${result.scanned} transactions`
+    });
+  } catch (error) {
+    console.error('❌ Error detecting subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to detect subscriptions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Confirm a subscription and turn it into a recurring template
+ * @route   POST /api/subscriptions/:id/confirm
+ * @access  Private
+ */
+export const confirmSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+
+    const { name, category, startDate } = req.body;
+    const result = await makeRecurring(subscription, { name, category, startDate });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Subscription added as a recurring expense'
+    });
+  } catch (error) {
+    console.error('❌ Error confirming subscription:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to confirm subscription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Flag a subscription for cancellation (or unflag it with { flag: false })
+ * @route   POST /api/subscriptions/:id/flag
+ * @access  Private
+ */
+export const flagSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+
+    const { flag = true, note } = req.body;
+    const result = await flagForCancellation(subscription, { flag: flag !== false, note });
+
+    res.json({
+      success: true,
+      data: result,
+      message: flag !== false ? 'Subscription flagged for cancellation' : 'Cancellation flag removed'
+    });
+  } catch (error) {
+    console.error('❌ Error flagging subscription:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to flag subscription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark a detection as not a subscription (or restore it with { dismiss: false })
+ * @route   POST /api/subscriptions/:id/dismiss
+ * @access  Private
+ */
+export const dismissSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+
+    const { dismiss = true } = req.body;
+    const result = await hideSubscription(subscription, dismiss !== false);
+
+    res.json({
+      success: true,
+      data: result,
+      message: dismiss !== false ? 'Subscription dismissed' : 'Subscription restored'
+    });
+  } catch (error) {
+    console.error('❌ Error dismissing subscription:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to dismiss subscription',
+      error: error.message
+    });
+  }
+};
@@ -1,10 +1,27 @@
 import Transaction from '../models/Transaction.js'; // Adjust path to your Transaction model
+import ImportProfile from '../models/ImportProfile.js';
+import ImportBatch from '../models/ImportBatch.js';
+import Account from '../models/Account.js';
+import Reconciliation from '../models/Reconciliation.js';
+import Bill from '../models/Bill.js';
+import RecurringTemplate from '../models/RecurringTemplate.js';
 import fs from 'fs';
-import csv from 'csv-parser';
-import xlsx from 'xlsx';
+import path from 'path';
+import crypto from 'crypto';
+import { readImportFile, parseMappingInput } from '../services/importService.js';
+import { createCategorizer } from '../services/categorizationService.js';
+import { findAccountByNumber } from '../services/accountService.js';
+import { detectTransfers, unlinkTransfer, sameFlowFilter, withAtomicWrites } from '../services/transferService.js';
+import {
+  getModel,
+  invalidateModel,
+  rankSuggestions
+} from '../services/suggestionService.js';
+
+const UPLOAD_DIR = 'uploads';
 
 const syncController = {
-  // Upload file
+  // Upload file and return a parsed preview (nothing is written yet)
   uploadFile: async (req, res) => {
     try {
       if (!req.file) {
@@ -14,18 +31,28 @@ const syncController = {
         });
       }
 
+      const tenantId = req.tenantId || req.body.tenantId;
+      const { profile, preview } = await loadImportFile(req.file.filename, tenantId, req.body);
+      const previousImport = await findPreviousImport(tenantId, hashFile(req.file.path));
+
       res.json({
         success: true,
-        message: 'File uploaded successfully',
+        message: previousImport
+          ? `This file was already imported on ${previousImport.createdAt.toLocaleDateString('en-IN')}. Importing it again requires confirmation.`
+          : 'File uploaded successfully. Review the preview and confirm to import.',
         data: {
           filename: req.file.filename,
           originalname: req.file.originalname,
           path: req.file.path,
-          size: req.file.size
+          size: req.file.size,
+          profileId: profile?._id || null,
+          previousImport,
+          preview
         }
       });
     } catch (error) {
       console.error('File upload error:', error);
+      if (req.file) fs.unlink(req.file.path, () => {});
       res.status(500).json({
         success: false,
         message: 'File upload failed: ' + error.message
@@ -33,11 +60,51 @@ const syncController = {
     }
   },
 
-  // Process transactions from uploaded file
+  // Re-run the preview for an uploaded file with a different profile or mapping
+  previewFile: async (req, res) => {
+    try {
+      const { filename } = req.body;
+      const tenantId = req.tenantId || req.body.tenantId;
+
+      if (!filename) {
+        return res.status(400).json({
+          success: false,
+          message: 'Filename is required'
+        });
+      }
+
+      if (!fs.existsSync(uploadPath(filename))) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+
+      const { profile, preview } = await loadImportFile(filename, tenantId, req.body);
+
+      res.json({
+        success: true,
+        data: {
+          filename,
+          profileId: profile?._id || null,
+          preview
+        }
+      });
+    } catch (error) {
+      console.error('Preview error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Preview failed: ' + error.message
+      });
+    }
+  },
+
+  // Process transactions from uploaded file once the preview is confirmed
   processTransactions: async (req, res) => {
     try {
-      const { filename, tenantId } = req.body;
-      
+      const { filename, confirmed } = req.body;
+      const tenantId = req.tenantId || req.body.tenantId;
+
       if (!filename) {
         return res.status(400).json({
           success: false,
@@ -45,8 +112,15 @@ const syncController = {
         });
       }
 
-      const filePath = `uploads/${filename}`;
-      
+      if (!confirmed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Review the import preview and confirm it before processing'
+        });
+      }
+
+      const filePath = uploadPath(filename);
+
       if (!fs.existsSync(filePath)) {
         return res.status(404).json({
           success: false,
@@ -54,25 +128,81 @@ const syncController = {
         });
       }
 
-      let transactions = [];
+      // Warn instead of silently importing the same statement twice
+      const fileHash = hashFile(filePath);
+      const previousImport = await findPreviousImport(tenantId, fileHash);
+      if (previousImport && !req.body.allowDuplicateFile) {
+        return res.status(409).json({
+          success: false,
+          message: `This file was already imported on ${previousImport.createdAt.toLocaleDateString('en-IN')} (${previousImport.counts.saved} transactions). Confirm again to import it anyway.`,
+          data: { previousImport }
+        });
+      }
+
       const fileExtension = filename.split('.').pop().toLowerCase();
+      const { mapping, profile, transactions } = await loadImportFile(filename, tenantId, req.body);
+      const importSource = profile ? profile.name : (mapping.format || fileExtension);
 
-      // Parse different file types
-      if (fileExtension === 'csv') {
-        transactions = await parseCSV(filePath);
-      } else if (fileExtension === 'xlsx' || fileExtension === 'xls') {
-        transactions = await parseExcel(filePath);
-      } else if (fileExtension === 'json') {
-        transactions = await parseJSON(filePath);
-      } else {
+      // Link to the chosen account, or to the one matching the statement's account number
+      const account = req.body.accountId
+        ? await Account.findOne({ _id: req.body.accountId, tenantId })
+        : await findAccountByNumber(tenantId, mapping.accountNumber);
+      if (req.body.accountId && !account) {
         return res.status(400).json({
           success: false,
-          message: 'Unsupported file format'
+          message: 'Account not found'
         });
       }
 
+      const batch = await ImportBatch.create({
+        tenantId,
+        fileName: req.body.originalName || filename,
+        fileHash,
+        fileType: fileExtension,
+        importSource,
+        profileId: profile?._id || null,
+        accountId: account?._id || null,
+        mapping
+      });
+
       // Process and save transactions
-      const result = await saveTransactions(transactions, tenantId);
+      let result;
+      try {
+        result = await saveTransactions(transactions, tenantId, {
+          importSource,
+          importBatchId: batch._id,
+          accountId: account?._id || null,
+          externalSource: mapping.format ? `${mapping.format}:${mapping.accountNumber || ''}` : ''
+        });
+      } catch (error) {
+        batch.status = 'failed';
+        await batch.save();
+        throw error;
+      }
+
+      // When both legs of a transfer have now been imported (e.g. savings debit and card credit), suggest
+      // linking them; the user confirms each pair through /api/transfers/link
+      const transfers = account && result.saved > 0
+        ? await detectTransfers(tenantId, { importBatchId: batch._id })
+        : [];
+
+      batch.status = 'completed';
+      batch.counts = {
+        total: transactions.length,
+        saved: result.saved,
+        income: result.income,
+        expense: result.expense,
+        duplicates: result.duplicates,
+        failed: result.failed,
+        transfers: transfers.length
+      };
+      batch.rowIssues = result.rowIssues;
+      await batch.save();
+
+      if (profile) {
+        profile.lastUsedAt = new Date();
+        await profile.save();
+      }
 
       // Clean up uploaded file
       fs.unlinkSync(filePath);
@@ -81,10 +211,17 @@ const syncController = {
         success: true,
         message: `Successfully processed ${result.saved} transactions`,
         data: {
+          batchId: batch._id,
+          account: account ? { _id: account._id, name: account.name } : null,
           total: transactions.length,
           saved: result.saved,
+          income: result.income,
+          expense: result.expense,
           duplicates: result.duplicates,
-          failed: result.failed
+          failed: result.failed,
+          transfers: transfers.length,
+          transferSuggestions: transfers,
+          rowIssues: result.rowIssues
         }
       });
 
@@ -95,148 +232,454 @@ const syncController = {
         message: 'Processing failed: ' + error.message
       });
     }
+  },
+
+  // List mapping profiles for the tenant
+  getProfiles: async (req, res) => {
+    try {
+      const profiles = await ImportProfile.find({ tenantId: req.tenantId })
+        .sort({ lastUsedAt: -1, name: 1 });
+
+      res.json({
+        success: true,
+        data: profiles
+      });
+    } catch (error) {
+      console.error('Fetch import profiles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch import profiles: ' + error.message
+      });
+    }
+  },
+
+  // Save a reusable mapping profile ("HDFC savings CSV", "ICICI XLSX")
+  createProfile: async (req, res) => {
+    try {
+      const { name } = req.body;
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Profile name is required'
+        });
+      }
+
+      const profile = await ImportProfile.create({
+        ...pickProfileFields(req.body),
+        name: name.trim(),
+        tenantId: req.tenantId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Import profile saved',
+        data: profile
+      });
+    } catch (error) {
+      console.error('Create import profile error:', error);
+      const status = error.code === 11000 ? 409 : 400;
+      res.status(status).json({
+        success: false,
+        message: error.code === 11000
+          ? 'A profile with this name already exists'
+          : 'Failed to save import profile: ' + error.message
+      });
+    }
+  },
+
+  // Update a mapping profile
+  updateProfile: async (req, res) => {
+    try {
+      const profile = await ImportProfile.findOneAndUpdate(
+        { _id: req.params.id, tenantId: req.tenantId },
+        pickProfileFields(req.body),
+        { new: true, runValidators: true }
+      );
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Import profile updated',
+        data: profile
+      });
+    } catch (error) {
+      console.error('Update import profile error:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update import profile: ' + error.message
+      });
+    }
+  },
+
+  // Delete a mapping profile
+  deleteProfile: async (req, res) => {
+    try {
+      const profile = await ImportProfile.findOneAndDelete({
+        _id: req.params.id,
+        tenantId: req.tenantId
+      });
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Import profile deleted'
+      });
+    } catch (error) {
+      console.error('Delete import profile error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete import profile: ' + error.message
+      });
+    }
+  },
+
+  // List import batches for the tenant, newest first
+  getBatches: async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const filter = { tenantId: req.tenantId };
+
+      const batches = await ImportBatch.find(filter)
+        .select('-rowIssues -mapping')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await ImportBatch.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: batches,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          totalRecords: total
+        }
+      });
+    } catch (error) {
+      console.error('Fetch import batches error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch import batches: ' + error.message
+      });
+    }
+  },
+
+  // Batch detail with mapping used and per-row issues
+  getBatch: async (req, res) => {
+    try {
+      const batch = await ImportBatch.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import batch not found'
+        });
+      }
+
+      const activeTransactions = await Transaction.countDocuments({
+        tenantId: req.tenantId,
+        importBatchId: batch._id,
+        isDeleted: false
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...batch.toObject(),
+          activeTransactions
+        }
+      });
+    } catch (error) {
+      console.error('Fetch import batch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch import batch: ' + error.message
+      });
+    }
+  },
+
+  // Undo an import: soft-delete the transactions the batch created and undo what was linked to them
+  // (merged duplicates, statement matches with ?force=true, bill payments, recurring series)
+  rollbackBatch: async (req, res) => {
+    try {
+      const batch = await ImportBatch.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import batch not found'
+        });
+      }
+
+      if (batch.status === 'rolled_back') {
+        return res.status(400).json({
+          success: false,
+          message: 'Import batch has already been rolled back'
+        });
+      }
+
+      const rows = await Transaction.find({ tenantId: req.tenantId, importBatchId: batch._id, isDeleted: false })
+        .select('_id transferId reconciled reconciliationId')
+        .lean();
+      const rowIds = rows.map(row => row._id);
+
+      // Reconciled rows are matched to statement lines; those matches are only undone on request (?force=true)
+      const reconciled = rows.filter(row => row.reconciled);
+      if (reconciled.length && req.query.force !== 'true') {
+        return res.status(409).json({
+          success: false,
+          message: `${reconciled.length} transactions from this import are reconciled against a bank statement; roll back with force=true to unmatch them`,
+          data: {
+            reconciled: reconciled.length,
+            reconciliationIds: [...new Set(reconciled.map(row => String(row.reconciliationId)).filter(id => id !== 'null'))]
+          }
+        });
+      }
+
+      // Transfers paired with rows from other imports go back to plain income/expense on the other side
+      const transferIds = [...new Set(rows.filter(row => row.transferId).map(row => String(row.transferId)))];
+      for (const transferId of transferIds) {
+        await unlinkTransfer(req.tenantId, transferId);
+      }
+
+      const restored = await withAtomicWrites(async (session) => {
+        const now = new Date();
+
+        await Transaction.updateMany(
+          { _id: { $in: rowIds }, tenantId: req.tenantId },
+          { $set: { isDeleted: true, deletedAt: now, reconciled: false, reconciledAt: null, reconciliationId: null } },
+          { session }
+        );
+
+        // Records that were merged into an imported row as its duplicate come back
+        const { modifiedCount } = await Transaction.updateMany(
+          { tenantId: req.tenantId, mergedInto: { $in: rowIds }, isDeleted: true },
+          { $set: { isDeleted: false, deletedAt: null, mergedInto: null } },
+          { session }
+        );
+
+        // Statement lines matched to the rows become unmatched again, reopening their reconciliations
+        if (reconciled.length) {
+          await Reconciliation.updateMany(
+            { tenantId: req.tenantId, 'lines.transactionId': { $in: rowIds } },
+            {
+              $set: {
+                status: 'open',
+                completedAt: null,
+                'lines.$[line].status': 'unmatched',
+                'lines.$[line].transactionId': null,
+                'lines.$[line].matchScore': null,
+                'lines.$[line].matchedBy': null
+              }
+            },
+            { arrayFilters: [{ 'line.transactionId': { $in: rowIds } }], session }
+          );
+        }
+
+        // Bill payments and recurring series started from an imported row no longer point at it
+        await Bill.updateMany(
+          { tenantId: req.tenantId, 'payments.transactionId': { $in: rowIds } },
+          { $set: { 'payments.$[payment].transactionId': null } },
+          { arrayFilters: [{ 'payment.transactionId': { $in: rowIds } }], session }
+        );
+        await RecurringTemplate.updateMany(
+          { tenantId: req.tenantId, sourceId: { $in: rowIds } },
+          { $set: { sourceId: null } },
+          { session }
+        );
+
+        batch.status = 'rolled_back';
+        batch.rolledBackAt = now;
+        batch.rolledBackCount = rowIds.length;
+        await batch.save({ session });
+
+        return modifiedCount;
+      });
+
+      res.json({
+        success: true,
+        message: `Rolled back ${rowIds.length} transactions`
+          + (restored ? `, restored ${restored} merged duplicates` : '')
+          + (reconciled.length ? `, unmatched ${reconciled.length} reconciled transactions` : ''),
+        data: batch
+      });
+    } catch (error) {
+      console.error('Rollback import batch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Rollback failed: ' + error.message
+      });
+    }
   }
 };
 
-// Helper function to parse CSV
-function parseCSV(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
-  });
+// Helper function to resolve an uploaded file name inside the upload directory
+function uploadPath(filename) {
+  return path.join(UPLOAD_DIR, path.basename(filename));
 }
 
-// Helper function to parse Excel
-function parseExcel(filePath) {
-  const workbook = xlsx.readFile(filePath);
-  const sheetName = workbook.SheetNames[0];
-  const worksheet = workbook.Sheets[sheetName];
-  return xlsx.utils.sheet_to_json(worksheet);
+// Helper function to keep only the editable profile fields from a request body
+function pickProfileFields(body) {
+  const fields = ['name', 'bankName', 'fileType', 'skipRows', 'dateFormat', 'signConvention', 'creditValues', 'columns'];
+  return fields.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
 }
 
-// Helper function to parse JSON
-function parseJSON(filePath) {
-  const data = fs.readFileSync(filePath, 'utf8');
-  return JSON.parse(data);
+// Helper function to fingerprint an uploaded file
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
 }
 
-// Helper function to detect category from description
-function detectCategory(description) {
-  if (!description) return 'Miscellaneous Expenses';
-  
-  const desc = description.toLowerCase();
-  
-  if (desc.includes('food') || desc.includes('restaurant') || desc.includes('grocery') || desc.includes('coffee')) {
-    return 'Food';
-  } else if (desc.includes('travel') || desc.includes('fuel') || desc.includes('transport') || desc.includes('uber')) {
-    return 'Travel & Commuting';
-  } else if (desc.includes('shopping') || desc.includes('clothing') || desc.includes('saree') || desc.includes('jeans')) {
-    return 'Clothing';
-  } else if (desc.includes('salary') || desc.includes('employee') || desc.includes('rent') || desc.includes('utility')) {
-    return 'Operating Expenses';
-  } else if (desc.includes('loan') || desc.includes('interest') || desc.includes('tax')) {
-    return 'Non-Operating Expenses';
-  } else if (desc.includes('pos') || desc.includes('card') || desc.includes('payment')) {
-    return 'POS';
-  } else {
-    return 'Miscellaneous Expenses';
-  }
+// Helper function to find an earlier, still-applied import of the same file
+function findPreviousImport(tenantId, fileHash) {
+  return ImportBatch.findOne({ tenantId, fileHash, status: 'completed' })
+    .select('fileName createdAt counts')
+    .sort({ createdAt: -1 });
 }
 
-// Helper function to detect payment mode
-function detectPaymentMode(description, amount) {
-  if (!description) return 'Other';
-  
-  const desc = description.toLowerCase();
-  
-  if (desc.includes('cash') || desc.includes('atm')) {
-    return 'Cash';
-  } else if (desc.includes('transfer') || desc.includes('bank') || desc.includes('upi')) {
-    return 'Bank Transfer';
-  } else if (desc.includes('card') || desc.includes('debit') || desc.includes('credit')) {
-    return 'Card';
-  } else if (desc.includes('gpay') || desc.includes('phonepe') || desc.includes('paytm')) {
-    return 'GPay';
-  } else {
-    return 'Other';
+// Helper function to read an uploaded file with its mapping: saved profile, explicit mapping, or auto-detected
+async function loadImportFile(filename, tenantId, { profileId, mapping } = {}) {
+  let profile = null;
+  if (profileId) {
+    profile = await ImportProfile.findOne({ _id: profileId, tenantId });
+    if (!profile) {
+      throw new Error('Import profile not found');
+    }
   }
+
+  const override = profile ? profile.toMapping() : parseMappingInput(mapping);
+  const result = await readImportFile(uploadPath(filename), override);
+
+  return { ...result, profile };
 }
 
-// Helper function to save transactions with duplicate check
-async function saveTransactions(transactions, tenantId) {
+// Helper function to save normalized rows with duplicate check
+async function saveTransactions(transactions, tenantId, { importSource = '', importBatchId = null, accountId = null, externalSource = '' } = {}) {
   let saved = 0;
+  let income = 0;
+  let expense = 0;
   let duplicates = 0;
   let failed = 0;
+  const rowIssues = [];
+
+  // Row numbers are 1-based data rows, matching the preview
+  const recordIssue = (index, status, reason, transaction) => rowIssues.push({
+    row: index + 1,
+    status,
+    reason,
+    description: transaction.description || '',
+    amount: transaction.amount ?? null,
+    date: transaction.date || null
+  });
 
-  for (const transaction of transactions) {
+  // Tenant rules first, then confident suggestions learned from the tenant's history,
+  // then the built-in keyword rules for anything still empty
+  const model = await getModel(tenantId);
+  const categorizer = await createCategorizer(tenantId, {
+    useDefaults: true,
+    suggest: (transaction) => {
+      const [best] = rankSuggestions(model, transaction, 1);
+      return best?.autoApply ? best : null;
+    }
+  });
+
+  for (const [index, transaction] of transactions.entries()) {
     try {
-      // Extract and normalize data
-      const amount = Math.abs(parseFloat(transaction.amount) || parseFloat(transaction.debit) || parseFloat(transaction.credit) || 0);
-      const description = transaction.description || transaction.narration || transaction.remarks || 'Imported transaction';
-      
-      // Skip if no valid amount
-      if (amount <= 0) {
+      // Skip rows the mapping could not read (no amount, bad date)
+      if (!transaction.valid) {
         failed++;
+        recordIssue(index, 'failed', (transaction.errors || []).join(', ') || 'Unreadable row', transaction);
         continue;
       }
 
-      // Parse date - handle multiple formats
-      let date = transaction.date || transaction.transactionDate;
-      if (date) {
-        // Simple date parsing - you might want to enhance this
-        const parsedDate = new Date(date);
-        if (isNaN(parsedDate.getTime())) {
-          date = new Date().toISOString().split('T')[0];
-        } else {
-          date = parsedDate.toISOString().split('T')[0];
-        }
-      } else {
-        date = new Date().toISOString().split('T')[0];
-      }
+      const { date, description, amount, type } = transaction;
 
-      // Check for duplicates (same date, amount, and description)
-      const existingTransaction = await Transaction.findOne({
-        date: date,
-        amount: amount,
-        description: description,
-        tenantId: tenantId
-      });
+      // Statement formats carry a bank id (FITID, entry reference) that identifies the row exactly;
+      // otherwise check for the same date, amount, type and description. Rows of a rolled-back import are
+      // soft-deleted and must not block importing the file again
+      const existingTransaction = transaction.externalId
+        ? await Transaction.findOne({
+          externalId: transaction.externalId,
+          externalSource: externalSource,
+          tenantId: tenantId,
+          isDeleted: { $ne: true }
+        })
+        : await Transaction.findOne({
+          date: date,
+          amount: amount,
+          ...sameFlowFilter(type),
+          description: description,
+          tenantId: tenantId,
+          isDeleted: { $ne: true }
+        });
 
       if (existingTransaction) {
         duplicates++;
+        recordIssue(index, 'duplicate', `Matches existing transaction ${existingTransaction._id}`, transaction);
         continue;
       }
 
-      // Create new transaction
+      const { changes } = categorizer.categorize(transaction);
+
+      // Credits become income, debits become expenses
       const newTransaction = new Transaction({
         date: date,
-        type: 'expense',
-        category: transaction.category || detectCategory(description),
-        subCategory: transaction.subCategory || '',
+        type: type,
+        category: transaction.category || changes.category || (type === 'income' ? 'Other Income' : 'Miscellaneous Expenses'),
+        subCategory: transaction.subCategory || changes.subCategory || '',
         description: description,
         amount: amount,
-        paymentMode: transaction.paymentMode || detectPaymentMode(description, amount),
-        remark: transaction.remark || transaction.notes || '',
+        paymentMode: transaction.paymentMode || changes.paymentMode || 'Other',
+        tags: changes.tags || [],
+        projectId: changes.projectId,
+        categoryRuleId: changes.categoryRuleId || null,
+        categorySource: transaction.category ? 'import' : changes.categorySource || 'default',
+        referenceNumber: transaction.referenceNumber || '',
+        accountId: accountId,
+        accountNumber: transaction.accountNumber || '',
+        externalId: transaction.externalId || '',
+        externalSource: transaction.externalId ? externalSource : '',
+        remark: transaction.remark || '',
         tenantId: tenantId,
         imported: true,
+        importSource: importSource,
+        importBatchId: importBatchId,
         createdAt: new Date(),
         updatedAt: new Date()
       });
 
       await newTransaction.save();
       saved++;
+      if (type === 'income') income++;
+      else expense++;
 
     } catch (error) {
       console.error('Error saving transaction:', error);
       failed++;
+      recordIssue(index, 'failed', error.message, transaction);
     }
   }
 
-  return { saved, duplicates, failed };
+  await categorizer.recordMatches();
+  if (saved) invalidateModel(tenantId);
+
+  return { saved, income, expense, duplicates, failed, rowIssues };
 }
 
-export default syncController;
\ No newline at end of file
+export default syncController;
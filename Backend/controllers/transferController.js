@@ -0,0 +1,251 @@
+// backend/controllers/transferController.js
+import {
+  createTransfer as recordTransfer,
+  getTransfer as findTransfer,
+  listTransfers,
+  updateTransfer as applyTransferChanges,
+  deleteTransfer as removeTransfer,
+  linkAsTransfer,
+  unlinkTransfer as splitTransfer,
+  detectTransfers as findTransferPairs
+} from '../services/transferService.js';
+
+/**
+ * @desc    List transfers between accounts
+ * @route   GET /api/transfers?startDate=&endDate=&accountId=
+ * @access  Private
+ */
+export const getTransfers = async (req, res) => {
+  try {
+    const { startDate, endDate, accountId, limit } = req.query;
+    const transfers = await listTransfers(req.tenantId, {
+      startDate,
+      endDate,
+      accountId,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: transfers
+    });
+  } catch (error) {
+    console.error('❌ Error fetching transfers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transfers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Move money from one account to another
+ * @route   POST /api/transfers
+ * @access  Private
+ */
+export const createTransfer = async (req, res) => {
+  try {
+    const transfer = await recordTransfer(req.tenantId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: transfer,
+      message: 'Transfer recorded successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error creating transfer:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create transfer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Transfer with both legs
+ * @route   GET /api/transfers/:id
+ * @access  Private
+ */
+export const getTransfer = async (req, res) => {
+  try {
+    const transfer = await findTransfer(req.tenantId, req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    console.error('❌ Error fetching transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transfer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update amount, date, description or accounts on both legs
+ * @route   PUT /api/transfers/:id
+ * @access  Private
+ */
+export const updateTransfer = async (req, res) => {
+  try {
+    const transfer = await applyTransferChanges(req.tenantId, req.params.id, req.body);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer,
+      message: 'Transfer updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating transfer:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update transfer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete both legs of a transfer
+ * @route   DELETE /api/transfers/:id
+ * @access  Private
+ */
+export const deleteTransfer = async (req, res) => {
+  try {
+    const removed = await removeTransfer(req.tenantId, req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete transfer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark an existing expense and income as the two legs of one transfer
+ * @route   POST /api/transfers/link
+ * @access  Private
+ */
+export const linkTransfer = async (req, res) => {
+  try {
+    const { transactionIds = [] } = req.body;
+
+    if (!Array.isArray(transactionIds) || transactionIds.length !== 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide exactly two transactionIds'
+      });
+    }
+
+    const transfer = await linkAsTransfer(req.tenantId, transactionIds[0], transactionIds[1]);
+
+    res.json({
+      success: true,
+      data: transfer,
+      message: 'Transactions linked as a transfer'
+    });
+  } catch (error) {
+    console.error('❌ Error linking transfer:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to link transactions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Turn a transfer back into a separate expense and income
+ * @route   POST /api/transfers/:id/unlink
+ * @access  Private
+ */
+export const unlinkTransfer = async (req, res) => {
+  try {
+    const count = await splitTransfer(req.tenantId, req.params.id);
+
+    if (!count) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer split into separate transactions'
+    });
+  } catch (error) {
+    console.error('❌ Error unlinking transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink transfer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Find expense/income pairs across accounts that look like transfers (optionally link them)
+ * @route   POST /api/transfers/detect
+ * @access  Private
+ */
+export const detectTransfers = async (req, res) => {
+  try {
+    const { startDate, endDate, dateWindowDays, apply } = req.body;
+
+    const matches = await findTransferPairs(req.tenantId, {
+      startDate,
+      endDate,
+      dateWindowDays: dateWindowDays !== undefined ? Math.max(0, parseInt(dateWindowDays) || 0) : undefined,
+      apply: Boolean(apply)
+    });
+
+    res.json({
+      success: true,
+      data: matches,
+      message: apply
+        ? `${matches.length} transfers linked`
+        : `${matches.length} possible transfers found`
+    });
+  } catch (error) {
+    console.error('❌ Error detecting transfers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to detect transfers',
+      error: error.message
+    });
+  }
+};
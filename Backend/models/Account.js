@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Where money is held (or owed): bank account, cash in hand, credit card, UPI wallet, loan
+const accountSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: ['bank', 'cash', 'credit_card', 'upi_wallet', 'loan'],
+    required: true
+  },
+  institution: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Full or masked number; used to link imported statements to the account
+  accountNumber: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true
+  },
+  // Balance on openingDate. Credit cards and loans carry a negative balance when money is owed
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  openingDate: {
+    type: Date,
+    default: () => new Date()
+  },
+  creditLimit: {
+    type: Number,
+    default: null
+  },
+  color: {
+    type: String,
+    default: '#667eea'
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+accountSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Credit cards and loans are liabilities
+accountSchema.virtual('isLiability').get(function() {
+  return this.type === 'credit_card' || this.type === 'loan';
+});
+
+accountSchema.set('toJSON', { virtuals: true });
+accountSchema.set('toObject', { virtuals: true });
+
+const Account = mongoose.models.Account || mongoose.model('Account', accountSchema);
+
+export default Account;
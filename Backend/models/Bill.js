@@ -1,5 +1,27 @@
 import mongoose from 'mongoose';
 
+// One payment of a bill; recurring bills keep their history here as they roll forward
+const billPaymentSchema = new mongoose.Schema({
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  }
+});
+
 const billSchema = new mongoose.Schema({
   tenantId: {
     type: String,
@@ -29,6 +51,46 @@ const billSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Recurring bills move to their next due date when paid ('none' is a one-off bill)
+  frequency: {
+    type: String,
+    enum: ['none', 'weekly', 'monthly', 'quarterly', 'yearly'],
+    default: 'none'
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // First due date of the series; later due dates keep its day of month
+  seriesStart: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Defaults for the expense recorded when the bill is paid
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  paymentMode: {
+    type: String,
+    trim: true,
+    default: 'Other'
+  },
+  payments: [billPaymentSchema],
+  notificationSent: {
+    type: Boolean,
+    default: false
+  },
+  lastNotificationSent: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -39,10 +101,12 @@ const billSchema = new mongoose.Schema({
   }
 });
 
+billSchema.index({ tenantId: 1, paid: 1, dueDate: 1 });
+
 // Update the updatedAt field before saving
 billSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-export default mongoose.model('Bill', billSchema);
\ No newline at end of file
+export default mongoose.model('Bill', billSchema);
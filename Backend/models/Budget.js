@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// Threshold alert already raised for one budget period
+const alertSentSchema = new mongoose.Schema({
+  periodStart: { type: Date, required: true },
+  threshold: { type: Number, required: true },
+  sentAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Spending limit for a category (optionally a sub-category) or a tag, per month/quarter/year
+const budgetSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  scope: {
+    type: String,
+    enum: ['category', 'tag'],
+    default: 'category'
+  },
+  category: {
+    type: String,
+    trim: true,
+    required: [function() { return this.scope === 'category'; }, 'Category is required for a category budget'],
+    default: ''
+  },
+  subCategory: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  tag: {
+    type: String,
+    trim: true,
+    required: [function() { return this.scope === 'tag'; }, 'Tag is required for a tag budget'],
+    default: ''
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  period: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'yearly'],
+    default: 'monthly'
+  },
+  // Carry what was left unspent in one period over into the next
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  // Periods start on the 1st of this date's month (an April start gives financial-year quarters/years)
+  startDate: {
+    type: Date,
+    required: true
+  },
+  alertsSent: [alertSentSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+budgetSchema.index({ tenantId: 1, isActive: 1 });
+
+const Budget = mongoose.models.Budget || mongoose.model('Budget', budgetSchema);
+
+export default Budget;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+const categoryRuleSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Lower numbers run first
+  priority: {
+    type: Number,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // When false, later rules may still fill fields this rule left empty
+  stopProcessing: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    transactionType: {
+      type: String,
+      enum: ['income', 'expense', 'any'],
+      default: 'any'
+    },
+    descriptionRegex: { type: String, trim: true, maxlength: 200, default: '' },
+    vendor: { type: String, trim: true, default: '' },
+    minAmount: { type: Number, default: null },
+    maxAmount: { type: Number, default: null },
+    // Matches accountNumber or bankName
+    account: { type: String, trim: true, default: '' },
+    paymentMode: { type: String, trim: true, default: '' }
+  },
+  actions: {
+    category: { type: String, trim: true, default: '' },
+    subCategory: { type: String, trim: true, default: '' },
+    paymentMode: { type: String, trim: true, default: '' },
+    tags: [{ type: String, trim: true }],
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null
+    }
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+categoryRuleSchema.index({ tenantId: 1, isActive: 1, priority: 1 });
+
+// Reject patterns that cannot be compiled before they reach the engine
+categoryRuleSchema.path('conditions.descriptionRegex').validate(function(value) {
+  if (!value) return true;
+  try {
+    new RegExp(value, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}, 'Description pattern is not a valid regular expression');
+
+const CategoryRule = mongoose.models.CategoryRule || mongoose.model('CategoryRule', categoryRuleSchema);
+
+export default CategoryRule;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// Part of a settle-up applied to one borrow/lend record
+const allocationSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MoneyTransaction',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // set_off: netted against a record in the other direction; payment: covered by the money that changed hands
+  kind: {
+    type: String,
+    enum: ['set_off', 'payment'],
+    required: true
+  }
+}, { _id: false });
+
+// One settle-up: a single payment (plus set-offs) closing several open records with the person
+const settlementSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // received: they paid me; paid: I paid them
+  direction: {
+    type: String,
+    enum: ['received', 'paid', 'none'],
+    required: true
+  },
+  offsetAmount: {
+    type: Number,
+    default: 0
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    trim: true,
+    default: 'Cash'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  allocations: [allocationSchema]
+});
+
+// A person money is borrowed from or lent to; borrow/lend records link here through contactId
+const contactSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Lower-cased name without titles/punctuation, used to match free-text names
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  // Other names (normalised) the person appears under on borrow/lend records
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 255,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: 20,
+    default: ''
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  settlements: [settlementSchema]
+}, {
+  timestamps: true
+});
+
+contactSchema.index({ tenantId: 1, normalizedName: 1 });
+contactSchema.index({ tenantId: 1, email: 1 });
+contactSchema.index({ tenantId: 1, phone: 1 });
+
+const Contact = mongoose.models.Contact || mongoose.model('Contact', contactSchema);
+
+export default Contact;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// Money put towards a goal, entered by hand or linked from a transaction or investment
+const contributionSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  investmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+});
+
+// Savings target (laptop, wedding, emergency fund...). Progress comes from the contributions plus,
+// when linked, the balance of a dedicated account or the transfers into savings carrying a tag
+const goalSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  targetAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  targetDate: {
+    type: Date,
+    default: null
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Amount already saved before tracking started
+  initialAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  linkType: {
+    type: String,
+    enum: ['none', 'account', 'tag'],
+    default: 'none'
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [function() { return this.linkType === 'account'; }, 'Account is required for an account-linked goal'],
+    default: null
+  },
+  tag: {
+    type: String,
+    trim: true,
+    required: [function() { return this.linkType === 'tag'; }, 'Tag is required for a tag-linked goal'],
+    default: ''
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  icon: {
+    type: String,
+    default: '🎯'
+  },
+  contributions: [contributionSchema],
+  status: {
+    type: String,
+    enum: ['active', 'achieved', 'archived'],
+    default: 'active'
+  },
+  achievedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+goalSchema.index({ tenantId: 1, status: 1 });
+goalSchema.index({ tenantId: 1, 'contributions.transactionId': 1 });
+
+const Goal = mongoose.models.Goal || mongoose.model('Goal', goalSchema);
+
+export default Goal;
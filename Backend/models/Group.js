@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Someone in the group; people other than the user link to their contact in the people ledger
+const memberSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  // The tenant's own member ("You")
+  isSelf: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// A trip, household or team that shares expenses (see services/groupService.js)
+const groupSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    maxlength: 10
+  },
+  members: [memberSchema],
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const Group = mongoose.models.Group || mongoose.model('Group', groupSchema);
+
+export default Group;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// What one member owes for an expense (or receives, for a settlement)
+const splitSchema = new mongoose.Schema({
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Weight for 'shares' splits
+  shares: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// An expense paid by one member and split between members, or a settlement payment between two members
+const groupExpenseSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['expense', 'settlement'],
+    default: 'expense'
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: 'General'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  splitType: {
+    type: String,
+    enum: ['equal', 'shares', 'exact'],
+    default: 'equal'
+  },
+  splits: [splitSchema],
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'splitwise'],
+    default: 'manual'
+  },
+  // Rows from the same Splitwise import share this id, so an import can be undone
+  importBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+groupExpenseSchema.index({ tenantId: 1, groupId: 1, date: -1 });
+
+const GroupExpense = mongoose.models.GroupExpense || mongoose.model('GroupExpense', groupExpenseSchema);
+
+export default GroupExpense;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// One supplier invoice or note from the GSTR-2B statement
+const gstr2bDocumentSchema = new mongoose.Schema({
+  ctin: { type: String, required: true, uppercase: true, trim: true },
+  supplierName: { type: String, trim: true, default: '' },
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit_note', 'debit_note'],
+    default: 'invoice'
+  },
+  invoiceNumber: { type: String, required: true, trim: true },
+  date: { type: Date, default: null },
+  value: { type: Number, default: 0 },
+  taxableValue: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  cess: { type: Number, default: 0 },
+  placeOfSupply: { type: String, default: '' },
+  reverseCharge: { type: Boolean, default: false },
+  // "N" in the statement: the credit cannot be taken (reason in itcReason)
+  itcAvailable: { type: Boolean, default: true },
+  itcReason: { type: String, default: '' }
+}, { _id: false });
+
+// A GSTR-2B JSON downloaded from the GST portal and uploaded here; one per tenant and return period
+const gstr2bSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  gstin: { type: String, uppercase: true, trim: true, default: '' },
+  // Return period as MMYYYY
+  period: {
+    type: String,
+    required: true,
+    match: [/^(0[1-9]|1[0-2])\d{4}$/, 'Return period must look like 092026']
+  },
+  fileName: { type: String, trim: true, default: '' },
+  documents: [gstr2bDocumentSchema],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+gstr2bSchema.index({ tenantId: 1, period: 1 }, { unique: true });
+
+const Gstr2b = mongoose.models.Gstr2b || mongoose.model('Gstr2b', gstr2bSchema);
+
+export default Gstr2b;
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Why a row of the file was not imported
+const rowIssueSchema = new mongoose.Schema({
+  row: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['failed', 'duplicate'],
+    required: true
+  },
+  reason: { type: String, default: '' },
+  description: { type: String, default: '' },
+  amount: { type: Number, default: null },
+  date: { type: Date, default: null }
+}, { _id: false });
+
+const importBatchSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // SHA-256 of the uploaded file, used to warn about re-uploads
+  fileHash: {
+    type: String,
+    required: true
+  },
+  fileType: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  importSource: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportProfile',
+    default: null
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  // Snapshot of the column mapping the rows were read with
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed', 'rolled_back'],
+    default: 'processing'
+  },
+  counts: {
+    total: { type: Number, default: 0 },
+    saved: { type: Number, default: 0 },
+    income: { type: Number, default: 0 },
+    expense: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    // Rows that look like one side of a transfer between own accounts (suggested, not linked)
+    transfers: { type: Number, default: 0 }
+  },
+  rowIssues: [rowIssueSchema],
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  rolledBackCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ tenantId: 1, fileHash: 1 });
+importBatchSchema.index({ tenantId: 1, createdAt: -1 });
+
+const ImportBatch = mongoose.models.ImportBatch || mongoose.model('ImportBatch', importBatchSchema);
+
+export default ImportBatch;
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// Column mapping used to read a bank statement file
+const columnMappingSchema = new mongoose.Schema({
+  date: { type: String, trim: true, default: '' },
+  description: { type: String, trim: true, default: '' },
+  amount: { type: String, trim: true, default: '' },
+  debit: { type: String, trim: true, default: '' },
+  credit: { type: String, trim: true, default: '' },
+  type: { type: String, trim: true, default: '' },
+  reference: { type: String, trim: true, default: '' },
+  balance: { type: String, trim: true, default: '' },
+  category: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+const importProfileSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  bankName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  fileType: {
+    type: String,
+    enum: ['csv', 'xlsx', 'json', 'any'],
+    default: 'any'
+  },
+  // Number of rows above the header row (bank name, account summary, etc.)
+  skipRows: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // e.g. DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD, DD-MMM-YY. Empty = auto-detect
+  dateFormat: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // How debits and credits are told apart in the file
+  signConvention: {
+    type: String,
+    enum: ['split_columns', 'negative_is_debit', 'negative_is_credit', 'type_column'],
+    default: 'negative_is_debit'
+  },
+  // Values of the type column that mean "credit" (type_column convention)
+  creditValues: {
+    type: [String],
+    default: ['CR', 'CREDIT', 'C', 'DEPOSIT']
+  },
+  columns: {
+    type: columnMappingSchema,
+    default: () => ({})
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+importProfileSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Plain mapping object consumed by importService
+importProfileSchema.methods.toMapping = function() {
+  return {
+    skipRows: this.skipRows,
+    dateFormat: this.dateFormat,
+    signConvention: this.signConvention,
+    creditValues: this.creditValues,
+    columns: this.columns ? this.columns.toObject() : {}
+  };
+};
+
+const ImportProfile = mongoose.models.ImportProfile || mongoose.model('ImportProfile', importProfileSchema);
+
+export default ImportProfile;
@@ -14,10 +14,14 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Bill'
   },
+  budgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
   type: {
     type: String,
     required: true,
-    enum: ['reminder', 'payment', 'overdue', 'system']
+    enum: ['reminder', 'payment', 'overdue', 'system', 'budget']
   },
   title: {
     type: String,
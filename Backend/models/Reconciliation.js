@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+// One line of the bank statement being reconciled
+const statementLineSchema = new mongoose.Schema({
+  lineNo: { type: Number, required: true },
+  date: { type: Date, required: true },
+  description: { type: String, trim: true, default: '' },
+  amount: { type: Number, required: true, min: 0 },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  referenceNumber: { type: String, trim: true, default: '' },
+  externalId: { type: String, trim: true, default: '' },
+  balance: { type: Number, default: null },
+  status: {
+    type: String,
+    enum: ['unmatched', 'matched', 'ignored'],
+    default: 'unmatched'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  matchScore: { type: Number, default: null },
+  matchedBy: {
+    type: String,
+    enum: ['auto', 'manual', null],
+    default: null
+  }
+});
+
+const reconciliationSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Account the statement belongs to; only its transactions are matched
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  accountNumber: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  bankName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Balances as printed on the statement
+  openingBalance: {
+    type: Number,
+    default: null
+  },
+  closingBalance: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['open', 'completed'],
+    default: 'open'
+  },
+  lines: [statementLineSchema],
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationSchema.index({ tenantId: 1, accountNumber: 1, periodStart: -1 });
+reconciliationSchema.index({ tenantId: 1, accountId: 1, periodStart: -1 });
+
+const Reconciliation = mongoose.models.Reconciliation || mongoose.model('Reconciliation', reconciliationSchema);
+
+export default Reconciliation;
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+
+// Field values copied onto every generated occurrence
+const templateFieldsSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  amount: { type: Number, required: true, min: 0 },
+  category: { type: String, required: true, trim: true },
+  subCategory: { type: String, trim: true, default: '' },
+  description: { type: String, trim: true, default: '' },
+  paymentMode: { type: String, trim: true, default: 'Other' },
+  vendor: { type: String, trim: true, default: '' },
+  note: { type: String, trim: true, default: '' },
+  // Income records only
+  source: { type: String, trim: true, default: '' },
+  tags: [{ type: String, trim: true }],
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+// A single occurrence that was skipped or edited before it was generated
+const exceptionSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  skip: { type: Boolean, default: false },
+  overrides: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
+
+const recurringTemplateSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Collection the occurrences are written to
+  target: {
+    type: String,
+    enum: ['transaction', 'income'],
+    default: 'transaction'
+  },
+  fields: {
+    type: templateFieldsSchema,
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'],
+    required: true
+  },
+  // Every N days/weeks/months/...
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  maxOccurrences: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Create occurrences this many days before they are due
+  leadDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Index of the next occurrence to generate (occurrence 0 falls on startDate)
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+  nextDate: {
+    type: Date,
+    default: null
+  },
+  exceptions: [exceptionSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Record the series was started from, and the series this one continues after an "all future" edit
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  previousTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTemplate',
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+recurringTemplateSchema.index({ isActive: 1, nextDate: 1 });
+recurringTemplateSchema.index({ tenantId: 1, isActive: 1 });
+
+const RecurringTemplate = mongoose.models.RecurringTemplate || mongoose.model('RecurringTemplate', recurringTemplateSchema);
+
+export default RecurringTemplate;
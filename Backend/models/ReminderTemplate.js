@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// A tenant's wording for the reminders emailed to people who owe them; missing keys fall back to the
+// defaults in services/emailService.js
+const reminderTemplateSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  key: {
+    type: String,
+    enum: ['upcoming', 'overdue'],
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  }
+}, { timestamps: true });
+
+reminderTemplateSchema.index({ tenantId: 1, key: 1 }, { unique: true });
+
+const ReminderTemplate = mongoose.models.ReminderTemplate || mongoose.model('ReminderTemplate', reminderTemplateSchema);
+
+export default ReminderTemplate;
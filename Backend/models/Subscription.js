@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+
+// Price change seen between two consecutive charges
+const priceChangeSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  from: { type: Number, required: true },
+  to: { type: Number, required: true },
+  changePercent: { type: Number, required: true }
+}, { _id: false });
+
+// Repeating charge found in a tenant's transactions (see services/subscriptionService.js).
+// Detected fields are refreshed on every scan; status and the user's decisions are kept
+const subscriptionSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Normalised merchant the charges were grouped by
+  merchantKey: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  cadence: {
+    type: String,
+    enum: ['weekly', 'monthly', 'quarterly', 'yearly'],
+    required: true
+  },
+  intervalDays: {
+    type: Number,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  averageAmount: {
+    type: Number,
+    default: 0
+  },
+  // Usage-billed services (cloud hosting, telecom) vary from charge to charge
+  variableAmount: {
+    type: Boolean,
+    default: false
+  },
+  annualCost: {
+    type: Number,
+    default: 0
+  },
+  firstChargeDate: {
+    type: Date,
+    default: null
+  },
+  lastChargeDate: {
+    type: Date,
+    default: null
+  },
+  nextExpectedDate: {
+    type: Date,
+    default: null
+  },
+  chargeCount: {
+    type: Number,
+    default: 0
+  },
+  // How regular the interval and amount are (0..1)
+  confidence: {
+    type: Number,
+    default: 0
+  },
+  priceChanges: [priceChangeSchema],
+  transactionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  // No charge for well past the expected date
+  isLapsed: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['detected', 'confirmed', 'cancel_flagged', 'dismissed'],
+    default: 'detected'
+  },
+  recurringTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTemplate',
+    default: null
+  },
+  flaggedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the merchant charges again after being flagged for cancellation
+  chargedAfterFlag: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  lastDetectedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ tenantId: 1, merchantKey: 1 }, { unique: true });
+subscriptionSchema.index({ tenantId: 1, status: 1 });
+
+const Subscription = mongoose.models.Subscription || mongoose.model('Subscription', subscriptionSchema);
+
+export default Subscription;
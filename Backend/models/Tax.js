@@ -4,7 +4,8 @@ const taxSchema = new mongoose.Schema({
   projectId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Project',
-    required: true
+    // Advance tax paid for the year is not tied to a project
+    required: [function() { return !this.advanceTax?.financialYear; }, 'Project is required']
   },
   taxType: {
     type: String,
@@ -120,6 +121,20 @@ const taxSchema = new mongoose.Schema({
     }
   },
   
+  // Advance tax paid through Challan 280 (see services/advanceTaxService.js)
+  advanceTax: {
+    financialYear: {
+      type: String,
+      trim: true,
+      match: [/^\d{4}-\d{2}$/, 'Financial year must look like 2025-26']
+    },
+    // 1-4 for the 15 Jun / 15 Sep / 15 Dec / 15 Mar installments; empty for self-assessment tax
+    installment: {
+      type: Number,
+      min: 1,
+      max: 4
+    }
+  },
   // Common fields for all tax types
   paymentDetails: {
     paymentDate: Date,
@@ -180,6 +195,7 @@ taxSchema.index({ tenantId: 1, taxType: 1 });
 taxSchema.index({ tenantId: 1, dueDate: 1 });
 taxSchema.index({ tenantId: 1, status: 1 });
 taxSchema.index({ tenantId: 1, priority: 1 });
+taxSchema.index({ tenantId: 1, 'advanceTax.financialYear': 1 });
 
 // Prevent model overwrite during hot reloads
 const Tax = mongoose.models.Tax || mongoose.model('Tax', taxSchema);
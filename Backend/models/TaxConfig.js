@@ -27,6 +27,24 @@ const TaxConfigSchema = new mongoose.Schema({
   cess: { type: Number, default: 0.04 },
   taxTypes: [TaxTypeSchema],
   regime: { type: String, enum: ['old', 'new'], default: 'new' },
+  // Advance tax planner settings (see services/advanceTaxService.js)
+  advanceTax: {
+    age: { type: Number, min: 0, max: 120 },
+    // TDS/TCS expected for the year; when empty, the tax on salary income is assumed to be covered by TDS
+    expectedTds: { type: Number, min: 0, default: null },
+    // Presumptive taxation (44AD/44ADA): the whole advance tax is due by 15 March
+    presumptive: { type: Boolean, default: false },
+    hasBusinessIncome: { type: Boolean, default: true },
+    remindersEnabled: { type: Boolean, default: true }
+  },
+  // GST registration the returns are filed under (see services/gstReturnService.js)
+  gst: {
+    gstin: { type: String, trim: true, uppercase: true },
+    legalName: { type: String, trim: true },
+    tradeName: { type: String, trim: true },
+    // State of business when there is no GSTIN (otherwise its first two digits)
+    state: { type: String, trim: true }
+  },
   lastUpdated: { type: Date, default: Date.now }
 }, { timestamps: true });
 
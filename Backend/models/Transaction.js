@@ -12,11 +12,23 @@ const transactionSchema = new mongoose.Schema(
     // income or expense
     type: {
       type: String,
-      enum: ["income", "expense"],
+      enum: ["income", "expense", "transfer"],
       required: true,
       lowercase: true,
     },
 
+    // Transfers between own accounts: both legs share a transferId
+    transferId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    transferDirection: {
+      type: String,
+      enum: ["in", "out", null],
+      default: null,
+    },
+
     // Normal category from frontend (Food, Travel, Salary…)
     category: {
       type: String,
@@ -130,7 +142,14 @@ const transactionSchema = new mongoose.Schema(
       default: "",
     },
 
-    // Account information
+    // Account the money moved through (see Account)
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+
+    // Account information (free text from imports)
     accountNumber: {
       type: String,
       trim: true,
@@ -155,6 +174,28 @@ const transactionSchema = new mongoose.Schema(
       default: "",
     },
 
+    // Upload that created this transaction (see ImportBatch)
+    importBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportBatch",
+      default: null,
+    },
+
+    // Categorization rule that last filled this transaction's fields
+    categoryRuleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CategoryRule",
+      default: null,
+    },
+
+    // Who chose the category: the user, the imported file's category column, a tenant rule, a learned
+    // suggestion or the built-in defaults. Only user choices train the suggestion model (see services/suggestionService.js)
+    categorySource: {
+      type: String,
+      enum: ["user", "import", "rule", "suggestion", "default"],
+      default: "user",
+    },
+
     // Recurring transaction settings
     isRecurring: {
       type: Boolean,
@@ -163,10 +204,29 @@ const transactionSchema = new mongoose.Schema(
 
     recurringFrequency: {
       type: String,
-      enum: ["daily", "weekly", "monthly", "yearly", "none"],
+      enum: ["daily", "weekly", "monthly", "quarterly", "yearly", "none"],
       default: "none",
     },
 
+    // Series this record belongs to (see RecurringTemplate) and the date it was scheduled for
+    recurringTemplateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringTemplate",
+      default: null,
+    },
+
+    occurrenceDate: {
+      type: Date,
+      default: null,
+    },
+
+    // Bill this transaction paid (see routes/billRoutes.js)
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bill",
+      default: null,
+    },
+
     // Soft delete functionality
     isDeleted: {
       type: Boolean,
@@ -178,6 +238,13 @@ const transactionSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Set when this record was merged into another as a duplicate
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+
     // User who created the transaction (optional)
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -261,6 +328,134 @@ const transactionSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // Supplier and recipient state (GST state codes) and gstAmount split into CGST + SGST (intra-state)
+    // or IGST (inter-state); stored by the save/insertMany hooks below from location.state, GSTINs and the
+    // place of supply (see services/gstReturnService.js), so reports keep the split the record was saved with
+    gstSplit: {
+      supplierState: {
+        type: String,
+        default: "",
+      },
+      recipientState: {
+        type: String,
+        default: "",
+      },
+      interState: {
+        type: Boolean,
+        default: false,
+      },
+      igst: {
+        type: Number,
+        default: 0,
+      },
+      cgst: {
+        type: Number,
+        default: 0,
+      },
+      sgst: {
+        type: Number,
+        default: 0,
+      },
+    },
+
+    // GST invoice details used for GSTR-1 / GSTR-3B (see services/gstReturnService.js).
+    // Sales are income records with an invoice number, purchases are expenses carrying GST
+    gstInvoice: {
+      invoiceNumber: {
+        type: String,
+        trim: true,
+        default: "",
+      },
+      documentType: {
+        type: String,
+        enum: ["invoice", "credit_note", "debit_note"],
+        default: "invoice",
+      },
+      // Invoice a credit/debit note adjusts
+      originalInvoiceNumber: {
+        type: String,
+        trim: true,
+        default: "",
+      },
+      originalInvoiceDate: {
+        type: Date,
+        default: null,
+      },
+      hsnCode: {
+        type: String,
+        trim: true,
+        default: "",
+      },
+      // Unit quantity code for the HSN summary (NOS, KGS, OTH…)
+      uqc: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: "NOS",
+      },
+      quantity: {
+        type: Number,
+        default: 0,
+      },
+      // Value before GST; when empty, amount - gstAmount is used
+      taxableValue: {
+        type: Number,
+        default: null,
+      },
+      // GST rate in percent; when empty, taxPercentage is used
+      rate: {
+        type: Number,
+        default: null,
+      },
+      // Two-digit state code of the place of supply (e.g. "29" for Karnataka)
+      placeOfSupply: {
+        type: String,
+        trim: true,
+        default: "",
+      },
+      reverseCharge: {
+        type: Boolean,
+        default: false,
+      },
+      cess: {
+        type: Number,
+        default: 0,
+      },
+      supplyType: {
+        type: String,
+        enum: ["taxable", "zero_rated", "nil_rated", "exempt", "non_gst"],
+        default: "taxable",
+      },
+      // Purchases: "auto" blocks credit for section 17(5) categories (see services/itcService.js)
+      itcEligibility: {
+        type: String,
+        enum: ["auto", "eligible", "blocked"],
+        default: "auto",
+      },
+      // Purchases: when the supplier was paid, if not on the record's date. Pending records count as unpaid
+      paidOn: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    // Bank reconciliation
+    reconciled: {
+      type: Boolean,
+      default: false,
+    },
+
+    reconciledAt: {
+      type: Date,
+      default: null,
+    },
+
+    reconciliationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Reconciliation",
+      default: null,
+    },
+
     // Sync status for external integrations
     syncStatus: {
       type: String,
@@ -322,6 +517,12 @@ transactionSchema.index({ tenantId: 1, category: 1, type: 1 });
 transactionSchema.index({ tenantId: 1, status: 1 });
 transactionSchema.index({ tenantId: 1, createdAt: -1 });
 transactionSchema.index({ projectId: 1, tenantId: 1 });
+transactionSchema.index({ tenantId: 1, importBatchId: 1 });
+transactionSchema.index({ tenantId: 1, accountId: 1, date: 1 });
+transactionSchema.index({ tenantId: 1, transferId: 1 });
+transactionSchema.index({ recurringTemplateId: 1, occurrenceDate: 1 });
+transactionSchema.index({ tenantId: 1, billId: 1 });
+transactionSchema.index({ tenantId: 1, "gstInvoice.invoiceNumber": 1 });
 
 // Text index for search functionality
 transactionSchema.index({
@@ -366,7 +567,31 @@ transactionSchema.pre("save", function (next) {
   next();
 });
 
-// Pre-update middleware
+// GST split. The service imports this model, so it is loaded on first use
+const GST_SPLIT_PATHS = ["type", "gstAmount", "gstNumber", "location", "gstInvoice"];
+
+const storeGstSplits = async (records) => {
+  const { applyGstSplit } = await import("../services/gstReturnService.js");
+  const byTenant = new Map();
+  records.forEach((record) => {
+    byTenant.set(record.tenantId, [...(byTenant.get(record.tenantId) || []), record]);
+  });
+  for (const [tenantId, list] of byTenant) {
+    await applyGstSplit(tenantId, list);
+  }
+};
+
+transactionSchema.pre("save", async function () {
+  if (this.isNew || GST_SPLIT_PATHS.some((path) => this.isModified(path))) {
+    await storeGstSplits([this]);
+  }
+});
+
+transactionSchema.pre("insertMany", async function (next, docs) {
+  await storeGstSplits(Array.isArray(docs) ? docs : [docs]);
+});
+
+// Pre-update middleware (findOneAndUpdate skips the GST split hook; callers re-save after GST changes)
 transactionSchema.pre("findOneAndUpdate", function (next) {
   const update = this.getUpdate();
 
@@ -92,6 +92,24 @@ const incomeSchema = new mongoose.Schema(
       default: false
     },
 
+    recurringFrequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'none'],
+      default: 'none'
+    },
+
+    // Series this record belongs to (see RecurringTemplate) and the date it was scheduled for
+    recurringTemplateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringTemplate',
+      default: null
+    },
+
+    occurrenceDate: {
+      type: Date,
+      default: null
+    },
+
     // Income status
     status: {
       type: String,
@@ -136,6 +154,7 @@ incomeSchema.index({ tenantId: 1, category: 1 });
 incomeSchema.index({ tenantId: 1, isDeleted: 1 });
 incomeSchema.index({ tenantId: 1, createdAt: -1 });
 incomeSchema.index({ date: 1 });
+incomeSchema.index({ recurringTemplateId: 1, occurrenceDate: 1 });
 
 // Virtual for formatted date
 incomeSchema.virtual('formattedDate').get(function() {
@@ -1,5 +1,113 @@
 import mongoose from "mongoose";
 
+// One repayment towards a borrow/lend record
+const repaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    trim: true,
+    default: "Cash"
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Set when the repayment came from a settle-up with the contact
+  settlementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One installment of an EMI schedule; paidAmount/status are filled from the repayments, oldest installment first
+const installmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Interest part of the installment (reducing-balance EMI)
+  interest: {
+    type: Number,
+    default: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ["pending", "partially_paid", "paid", "overdue"],
+    default: "pending"
+  }
+});
+
+// One reminder emailed to the counterparty
+const reminderLogSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ["email"],
+    default: "email"
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    enum: ["upcoming", "overdue"],
+    required: true
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ["sent", "failed"],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  // Sent by the reminder cron or from the app
+  trigger: {
+    type: String,
+    enum: ["auto", "manual"],
+    default: "auto"
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const moneyTransactionSchema = new mongoose.Schema({
   tenantId: {
     type: String,
@@ -30,6 +138,12 @@ const moneyTransactionSchema = new mongoose.Schema({
     trim: true,
     maxlength: 20
   },
+  // Person this record is with (see services/contactService.js)
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Contact",
+    default: null
+  },
   amount: {
     type: Number,
     required: true,
@@ -66,6 +180,23 @@ const moneyTransactionSchema = new mongoose.Schema({
     min: 1,
     max: 30
   },
+  // Opt-in reminders emailed to personEmail; a person gets at most one email per intervalDays
+  emailReminders: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    intervalDays: {
+      type: Number,
+      default: 7,
+      min: 1,
+      max: 90
+    },
+    lastSentAt: {
+      type: Date
+    }
+  },
+  reminderLog: [reminderLogSchema],
   transactionDate: {
     type: Date,
     default: Date.now
@@ -73,6 +204,62 @@ const moneyTransactionSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  repayments: [repaymentSchema],
+  // Kept in step with the repayments by services/moneyService.js
+  amountRepaid: {
+    type: Number,
+    default: 0
+  },
+  outstandingAmount: {
+    type: Number,
+    default: function() {
+      return this.amount;
+    }
+  },
+  // Interest charged on the outstanding balance; rate is % per year
+  interest: {
+    type: {
+      type: String,
+      enum: ["none", "simple", "compound"],
+      default: "none"
+    },
+    rate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    compounding: {
+      type: String,
+      enum: ["monthly", "quarterly", "half_yearly", "yearly"],
+      default: "yearly"
+    },
+    // Defaults to the transaction date
+    startDate: {
+      type: Date
+    }
+  },
+  // Interest accrued and not yet repaid, as of the last balance refresh
+  interestAccrued: {
+    type: Number,
+    default: 0
+  },
+  // With a schedule, dueDate follows the next unpaid installment
+  installments: [installmentSchema],
+  installmentPlan: {
+    frequency: {
+      type: String,
+      enum: ["weekly", "monthly", "quarterly"]
+    },
+    // Amount already repaid when the schedule was generated; it does not count towards the installments
+    repaidBefore: {
+      type: Number,
+      default: 0
+    },
+    generatedAt: {
+      type: Date
+    }
+  },
   notes: {
     type: String,
     maxlength: 1000
@@ -113,6 +300,8 @@ moneyTransactionSchema.index({ tenantId: 1, status: 1 });
 moneyTransactionSchema.index({ tenantId: 1, type: 1 });
 moneyTransactionSchema.index({ dueDate: 1, status: 1 });
 moneyTransactionSchema.index({ tenantId: 1, personName: 1 });
+moneyTransactionSchema.index({ tenantId: 1, contactId: 1 });
+moneyTransactionSchema.index({ tenantId: 1, 'reminderLog.to': 1 });
 
 // Pre-save middleware to update updatedAt
 moneyTransactionSchema.pre('save', function(next) {
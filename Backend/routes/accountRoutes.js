@@ -0,0 +1,27 @@
+// backend/routes/accountRoutes.js
+import express from 'express';
+import {
+  getAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  assignTransactions,
+  getLedger,
+  getBalanceHistory
+} from '../controllers/accountController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+router.get('/', getAccounts);
+router.post('/', createAccount);
+router.get('/balance-history', getBalanceHistory);
+router.put('/:id', updateAccount);
+router.delete('/:id', deleteAccount);
+router.post('/:id/assign', assignTransactions);
+router.get('/:id/ledger', getLedger);
+router.get('/:id/balance-history', getBalanceHistory);
+
+export default router;
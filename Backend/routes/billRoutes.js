@@ -2,6 +2,8 @@
 import express from 'express';
 import { protect, tenantMiddleware } from '../middleware/authMiddleware.js'; // ✅ Corrected import
 import Bill from '../models/Bill.js'; // ✅ Corrected relative path
+import Transaction from '../models/Transaction.js';
+import { BILL_FREQUENCIES, payBill, undoLastPayment } from '../services/billService.js';
 
 const router = express.Router();
 
@@ -27,18 +29,28 @@ router.get('/', protect, tenantMiddleware, async (req, res) => {
 // =====================================
 router.post('/', protect, tenantMiddleware, async (req, res) => {
   try {
-    const { name, amount, dueDate, category, paid } = req.body;
+    const { name, amount, dueDate, category, paid, frequency, interval, endDate, accountId, paymentMode } = req.body;
 
     if (!name || !amount || !dueDate || !category) {
       return res.status(400).json({ message: 'All fields are required' });
     }
 
+    if (frequency && frequency !== 'none' && !BILL_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ message: `Frequency must be one of: none, ${BILL_FREQUENCIES.join(', ')}` });
+    }
+
     const newBill = new Bill({
       name,
       amount,
       dueDate,
       category,
       paid: paid || false,
+      frequency: frequency || 'none',
+      interval: interval || 1,
+      seriesStart: frequency && frequency !== 'none' ? dueDate : null,
+      endDate: endDate || null,
+      accountId: accountId || null,
+      paymentMode: paymentMode || 'Other',
       tenantId: req.tenantId,
       user: req.user.userId
     });
@@ -51,4 +63,129 @@ router.post('/', protect, tenantMiddleware, async (req, res) => {
   }
 });
 
+// Helper function to load one of the tenant's bills
+const findBill = async (req, res) => {
+  const bill = await Bill.findOne({ _id: req.params.id, tenantId: req.tenantId });
+  if (!bill) {
+    res.status(404).json({ message: 'Bill not found' });
+    return null;
+  }
+  return bill;
+};
+
+const UPDATABLE_FIELDS = ['name', 'amount', 'dueDate', 'category', 'frequency', 'interval', 'endDate', 'accountId', 'paymentMode'];
+
+// =====================================
+// UPDATE a bill (details or its repeat schedule)
+// =====================================
+router.put('/:id', protect, tenantMiddleware, async (req, res) => {
+  try {
+    const bill = await findBill(req, res);
+    if (!bill) return;
+
+    const { frequency } = req.body;
+    if (frequency && frequency !== 'none' && !BILL_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ message: `Frequency must be one of: none, ${BILL_FREQUENCIES.join(', ')}` });
+    }
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) bill.set(field, req.body[field] === '' ? null : req.body[field]);
+    });
+
+    // A new due date or schedule restarts the series from the current due date
+    if (bill.isModified('dueDate') || bill.isModified('frequency') || bill.isModified('interval')) {
+      bill.seriesStart = bill.frequency === 'none' ? null : bill.dueDate;
+      bill.notificationSent = false;
+      bill.lastNotificationSent = null;
+    }
+
+    const savedBill = await bill.save();
+    res.json(savedBill);
+  } catch (err) {
+    console.error('❌ Error updating bill:', err.message);
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// =====================================
+// DELETE a bill (expenses already recorded for it are kept)
+// =====================================
+router.delete('/:id', protect, tenantMiddleware, async (req, res) => {
+  try {
+    const bill = await findBill(req, res);
+    if (!bill) return;
+
+    await Transaction.updateMany(
+      { tenantId: req.tenantId, billId: bill._id },
+      { $set: { billId: null } }
+    );
+    await bill.deleteOne();
+
+    res.json({ message: 'Bill deleted', id: bill._id });
+  } catch (err) {
+    console.error('❌ Error deleting bill:', err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// =====================================
+// PAY a bill: records the expense and rolls a recurring bill to its next due date
+// =====================================
+router.post('/:id/pay', protect, tenantMiddleware, async (req, res) => {
+  try {
+    const bill = await findBill(req, res);
+    if (!bill) return;
+
+    const { amount, paidDate, accountId, paymentMode, description, recordTransaction } = req.body;
+    const result = await payBill(bill, {
+      amount,
+      paidDate,
+      accountId,
+      paymentMode,
+      description,
+      recordTransaction: recordTransaction !== false
+    });
+
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('❌ Error paying bill:', err.message);
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// =====================================
+// UNDO the latest payment of a bill
+// =====================================
+router.post('/:id/undo', protect, tenantMiddleware, async (req, res) => {
+  try {
+    const bill = await findBill(req, res);
+    if (!bill) return;
+
+    const result = await undoLastPayment(bill);
+    res.json(result);
+  } catch (err) {
+    console.error('❌ Error undoing bill payment:', err.message);
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// =====================================
+// TOGGLE paid: pays an unpaid bill (recording the expense) or undoes the latest payment
+// =====================================
+router.put('/:id/toggle', protect, tenantMiddleware, async (req, res) => {
+  try {
+    const bill = await findBill(req, res);
+    if (!bill) return;
+
+    const result = bill.paid ? await undoLastPayment(bill) : await payBill(bill);
+    res.json(result.bill);
+  } catch (err) {
+    console.error('❌ Error toggling bill:', err.message);
+    res.status(400).json({ message: err.message });
+  }
+});
+
 export default router;
\ No newline at end of file
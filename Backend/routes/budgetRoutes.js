@@ -0,0 +1,26 @@
+// backend/routes/budgetRoutes.js
+import express from 'express';
+import {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetVsActual,
+  checkBudgetAlerts,
+  getBudgetHistory
+} from '../controllers/budgetController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+router.get('/', getBudgets);
+router.post('/', createBudget);
+router.get('/vs-actual', getBudgetVsActual);
+router.post('/check-alerts', checkBudgetAlerts);
+router.put('/:id', updateBudget);
+router.delete('/:id', deleteBudget);
+router.get('/:id/history', getBudgetHistory);
+
+export default router;
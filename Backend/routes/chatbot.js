@@ -7,6 +7,7 @@ import FormData from 'form-data';
 import Transaction from '../models/Transaction.js';
 import Income from '../models/income.js';
 import { protect } from '../middleware/authMiddleware.js';
+import { getGoalsSummary } from '../services/goalService.js';
 
 dotenv.config();
 
@@ -30,7 +31,7 @@ const upload = multer({
 // Helper function to get financial data
 async function getFinancialSummary(tenantId) {
   try {
-    const [incomeResult, expenseResult, recentTransactions] = await Promise.all([
+    const [incomeResult, expenseResult, recentTransactions, goalSummary] = await Promise.all([
       Income.aggregate([
         { $match: { tenantId } },
         { $group: { _id: null, total: { $sum: "$amount" } } }
@@ -42,7 +43,8 @@ async function getFinancialSummary(tenantId) {
       Transaction.find({ tenantId })
         .sort({ date: -1 })
         .limit(5)
-        .select('description amount type date category')
+        .select('description amount type date category'),
+      getGoalsSummary(tenantId, { readOnly: true }).catch(() => ({ items: [] }))
     ]);
 
     const income = incomeResult[0]?.total || 0;
@@ -56,15 +58,28 @@ async function getFinancialSummary(tenantId) {
         ).join(', ')
       : 'No recent transactions';
 
+    // Format active savings goals for context
+    const activeGoals = goalSummary.items.filter(goal => goal.goalStatus === 'active');
+    const goalsInfo = activeGoals.length > 0
+      ? activeGoals.map(goal =>
+          `${goal.name}: ₹${goal.saved} of ₹${goal.targetAmount} saved (${goal.percent}%)` +
+          (goal.targetDate ? `, target ${new Date(goal.targetDate).toLocaleDateString()}, needs ₹${goal.requiredMonthly}/month` : '') +
+          `, saving ₹${goal.monthlyRate}/month, ` +
+          (goal.projectedCompletionDate ? `projected to finish ${new Date(goal.projectedCompletionDate).toLocaleDateString()}` : 'no recent contributions') +
+          ` (${goal.status.replace('_', ' ')})`
+        ).join('; ')
+      : 'No savings goals set';
+
     return {
       income,
       expense,
       balance,
-      recentTransactions: recentInfo
+      recentTransactions: recentInfo,
+      goals: goalsInfo
     };
   } catch (err) {
     console.error("Error calculating summary:", err);
-    return { income: 0, expense: 0, balance: 0, recentTransactions: 'No data available' };
+    return { income: 0, expense: 0, balance: 0, recentTransactions: 'No data available', goals: 'No data available' };
   }
 }
 
@@ -154,6 +169,7 @@ Current User's Financial Summary:
 - Total Expenses: ₹${financialData.expense.toLocaleString('en-IN')}
 - Current Balance: ₹${financialData.balance.toLocaleString('en-IN')}
 - Recent Transactions: ${financialData.recentTransactions}
+- Savings Goals: ${financialData.goals}
 
 Your capabilities:
 1. Answer questions about the user's income, expenses, and balance
@@ -161,6 +177,7 @@ Your capabilities:
 3. Offer budgeting advice based on their financial data
 4. Suggest ways to save money or optimize spending
 5. Explain financial concepts in simple terms
+6. Tell the user whether they are on track for their savings goals and what monthly amount would get them there
 
 Guidelines:
 - Be friendly, conversational, and supportive
@@ -173,6 +190,7 @@ Guidelines:
 Example interactions:
 - "What's my balance?" → "Your current balance is ₹${financialData.balance.toLocaleString('en-IN')}. You've earned ₹${financialData.income.toLocaleString('en-IN')} and spent ₹${financialData.expense.toLocaleString('en-IN')} so far."
 - "How am I doing?" → Provide analysis based on income vs expenses ratio
+- "Am I on track for my laptop?" → Compare the goal's monthly saving with the amount it needs per month
 - "Tips to save money" → Offer 2-3 practical tips based on their spending patterns`;
 
     // Prepare messages for API
@@ -0,0 +1,34 @@
+// backend/routes/contactRoutes.js
+import express from 'express';
+import {
+  getContacts,
+  createContact,
+  syncContacts,
+  getDuplicateContacts,
+  getContact,
+  updateContact,
+  deleteContact,
+  mergeContacts,
+  getContactTimeline,
+  settleUp,
+  undoSettlement
+} from '../controllers/contactController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+router.get('/', getContacts);
+router.post('/', createContact);
+router.post('/sync', syncContacts);
+router.get('/duplicates', getDuplicateContacts);
+router.get('/:id', getContact);
+router.put('/:id', updateContact);
+router.delete('/:id', deleteContact);
+router.post('/:id/merge', mergeContacts);
+router.get('/:id/timeline', getContactTimeline);
+router.post('/:id/settle', settleUp);
+router.delete('/:id/settlements/:settlementId', undoSettlement);
+
+export default router;
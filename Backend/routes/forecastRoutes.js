@@ -0,0 +1,12 @@
+// backend/routes/forecastRoutes.js
+import express from 'express';
+import { getCashFlowForecast } from '../controllers/forecastController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+router.get('/cashflow', getCashFlowForecast);
+
+export default router;
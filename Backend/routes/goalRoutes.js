@@ -0,0 +1,26 @@
+// backend/routes/goalRoutes.js
+import express from 'express';
+import {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  addContribution,
+  removeContribution
+} from '../controllers/goalController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+router.get('/', getGoals);
+router.post('/', createGoal);
+router.get('/:id', getGoal);
+router.put('/:id', updateGoal);
+router.delete('/:id', deleteGoal);
+router.post('/:id/contributions', addContribution);
+router.delete('/:id/contributions/:contributionId', removeContribution);
+
+export default router;
@@ -0,0 +1,57 @@
+// backend/routes/groupRoutes.js
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import {
+  getGroups,
+  createGroup,
+  getGroup,
+  updateGroup,
+  deleteGroup,
+  addMember,
+  removeMember,
+  getExpenses,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  getGroupBalances,
+  settleUp,
+  importFromSplitwise,
+  undoImport
+} from '../controllers/groupController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+// Splitwise exports are small CSV files, kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+router.get('/', getGroups);
+router.post('/', createGroup);
+router.get('/:id', getGroup);
+router.put('/:id', updateGroup);
+router.delete('/:id', deleteGroup);
+router.post('/:id/members', addMember);
+router.delete('/:id/members/:memberId', removeMember);
+router.get('/:id/expenses', getExpenses);
+router.post('/:id/expenses', createExpense);
+router.put('/:id/expenses/:expenseId', updateExpense);
+router.delete('/:id/expenses/:expenseId', deleteExpense);
+router.get('/:id/balances', getGroupBalances);
+router.post('/:id/settlements', settleUp);
+router.post('/:id/import/splitwise', upload.single('file'), importFromSplitwise);
+router.delete('/:id/imports/:batchId', undoImport);
+
+export default router;
@@ -0,0 +1,45 @@
+// backend/routes/gstReturnRoutes.js
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import {
+  getGstSettings,
+  updateGstSettings,
+  getGstr1,
+  exportGstr1,
+  getGstr3b,
+  exportGstr3b,
+  getItcLedger,
+  uploadGstr2b,
+  getGstr2bReconciliation
+} from '../controllers/gstReturnController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+// GSTR-2B downloads are JSON files, kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || path.extname(file.originalname).toLowerCase() === '.json') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON files are allowed'));
+    }
+  }
+});
+
+router.get('/settings', getGstSettings);
+router.put('/settings', updateGstSettings);
+router.get('/gstr1', getGstr1);
+router.get('/gstr1/export', exportGstr1);
+router.get('/gstr3b', getGstr3b);
+router.get('/gstr3b/export', exportGstr3b);
+router.get('/itc-ledger', getItcLedger);
+router.post('/gstr2b', upload.single('file'), uploadGstr2b);
+router.get('/gstr2b/reconciliation', getGstr2bReconciliation);
+
+export default router;
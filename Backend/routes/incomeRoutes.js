@@ -1,5 +1,6 @@
 import express from 'express';
 import Income from '../models/income.js';
+import { createTemplate, fieldsFromRecord, FREQUENCIES } from '../services/recurringService.js';
 
 const router = express.Router();
 
@@ -308,7 +309,7 @@ router.post('/', async (req, res) => {
     console.log(`📝 [POST /income] Creating income for tenant: ${tenantId}`);
     console.log(`📦 [POST /income] Request body:`, req.body);
 
-    const { date, amount, category, subCategory, description, paymentMode, source, remarks, tags } = req.body;
+    const { date, amount, category, subCategory, description, paymentMode, source, remarks, tags, recurring, recurringFrequency } = req.body;
 
     // Validate required fields
     if (!date || !amount || !category) {
@@ -338,12 +339,27 @@ router.post('/', async (req, res) => {
       source: source?.trim() || '',
       remarks: remarks?.trim() || '',
       tags: tags || [],
+      recurring: Boolean(recurring),
+      recurringFrequency: recurring ? (recurringFrequency || 'monthly') : 'none',
       status: 'received',
       isDeleted: false
     };
 
     const income = await Income.create(incomeData);
 
+    // Recurring income starts a series with this record as the first occurrence
+    if (income.recurring && FREQUENCIES.includes(income.recurringFrequency)) {
+      await createTemplate(tenantId, {
+        target: 'income',
+        fields: fieldsFromRecord(income, 'income'),
+        frequency: income.recurringFrequency,
+        interval: req.body.recurringInterval,
+        endDate: req.body.recurringEndDate,
+        maxOccurrences: req.body.recurringCount,
+        record: income
+      });
+    }
+
     console.log(`✅ [POST /income] Income created: ${income._id}`);
 
     res.status(201).json({
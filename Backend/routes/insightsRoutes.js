@@ -2,6 +2,7 @@ import express from 'express';
 import Transaction from '../models/Transaction.js';
 import Income from '../models/income.js';
 import Expense from '../models/expense.js';
+import { storedGstSplit } from '../services/gstReturnService.js';
 
 const router = express.Router();
 
@@ -104,6 +105,18 @@ router.get('/debug-data', async (req, res) => {
   }
 });
 
+/**
+ * CGST/SGST/IGST split stored with the record when it was saved. Records without one (saved
+ * before the split was stored, or from the Income/Expense models) are taken as intra-state,
+ * the same as the P&L page does
+ */
+const gstComponentsOf = (txn) => {
+  const split = storedGstSplit(txn);
+  if (split) return split;
+  const gstAmount = Number(txn.gstAmount) || 0;
+  return { cgst: gstAmount / 2, sgst: gstAmount / 2, igst: 0 };
+};
+
 /**
  * Calculate GST breakdown for Indian transactions
  */
@@ -122,11 +135,11 @@ const calculateGSTBreakdown = (transactions) => {
       gstData.totalGST += txn.gstAmount;
       gstData.transactionsWithGST++;
 
-      // For Indian GST, typically split as CGST + SGST (intra-state) or IGST (inter-state)
-      // Assuming equal split for CGST and SGST if not inter-state
-      const halfGST = txn.gstAmount / 2;
-      gstData.cgst += halfGST;
-      gstData.sgst += halfGST;
+      // CGST + SGST for intra-state supplies, IGST for inter-state ones
+      const { cgst, sgst, igst } = gstComponentsOf(txn);
+      gstData.cgst += cgst;
+      gstData.sgst += sgst;
+      gstData.igst += igst;
 
       // Category-wise GST
       const category = txn.category || 'Uncategorized';
@@ -506,6 +519,12 @@ router.get('/gst-report', async (req, res) => {
     ]);
 
     const allWithGST = [...transactions, ...incomes, ...expenses];
+    const emptyComponents = () => ({ cgst: 0, sgst: 0, igst: 0 });
+    const addComponents = (target, split) => {
+      target.cgst += split.cgst;
+      target.sgst += split.sgst;
+      target.igst += split.igst;
+    };
 
     // Monthly breakdown
     const monthlyGST = Array.from({ length: 12 }, (_, i) => ({
@@ -514,20 +533,32 @@ router.get('/gst-report', async (req, res) => {
       totalGST: 0,
       income: 0,
       expense: 0,
+      ...emptyComponents(),
+      output: emptyComponents(),
+      input: emptyComponents(),
       transactionCount: 0
     }));
+    const output = emptyComponents();
+    const input = emptyComponents();
 
     allWithGST.forEach(txn => {
       const txnMonth = new Date(txn.date).getMonth();
       const gstAmount = Number(txn.gstAmount) || 0;
+      const isIncome = txn.type === 'income' || incomes.includes(txn);
+      const split = gstComponentsOf(txn);
       
       monthlyGST[txnMonth].totalGST += gstAmount;
       monthlyGST[txnMonth].transactionCount++;
+      addComponents(monthlyGST[txnMonth], split);
       
-      if (txn.type === 'income' || incomes.includes(txn)) {
+      if (isIncome) {
         monthlyGST[txnMonth].income += gstAmount;
+        addComponents(monthlyGST[txnMonth].output, split);
+        addComponents(output, split);
       } else {
         monthlyGST[txnMonth].expense += gstAmount;
+        addComponents(monthlyGST[txnMonth].input, split);
+        addComponents(input, split);
       }
     });
 
@@ -536,11 +567,12 @@ router.get('/gst-report', async (req, res) => {
     allWithGST.forEach(txn => {
       const rate = txn.taxPercentage || 0;
       if (!gstRates[rate]) {
-        gstRates[rate] = { count: 0, totalGST: 0, totalAmount: 0 };
+        gstRates[rate] = { count: 0, totalGST: 0, totalAmount: 0, ...emptyComponents() };
       }
       gstRates[rate].count++;
       gstRates[rate].totalGST += Number(txn.gstAmount) || 0;
       gstRates[rate].totalAmount += Number(txn.amount) || 0;
+      addComponents(gstRates[rate], gstComponentsOf(txn));
     });
 
     const gstRateBreakdown = Object.entries(gstRates)
@@ -557,6 +589,11 @@ router.get('/gst-report', async (req, res) => {
         : `Year ${year}`,
       summary: {
         totalGST: allWithGST.reduce((sum, t) => sum + (Number(t.gstAmount) || 0), 0),
+        cgst: output.cgst + input.cgst,
+        sgst: output.sgst + input.sgst,
+        igst: output.igst + input.igst,
+        output,
+        input,
         transactionsWithGST: allWithGST.length,
         avgGSTPerTransaction: allWithGST.length > 0 
           ? (allWithGST.reduce((sum, t) => sum + (Number(t.gstAmount) || 0), 0) / allWithGST.length).toFixed(2)
@@ -1,22 +1,79 @@
 import express from 'express';
 import MoneyTransaction from '../models/moneyTransaction.js';
 import Notification from '../models/Notification.js';
+import Contact from '../models/Contact.js';
 import { tenantMiddleware } from '../middleware/authMiddleware.js';
+import {
+  INTEREST_TYPES,
+  refreshBalance,
+  accrueInterest,
+  getInterestReport,
+  addRepayment,
+  removeRepayment,
+  generateSchedule,
+  clearSchedule,
+  getLedger
+} from '../services/moneyService.js';
+import { findOrCreateContact } from '../services/contactService.js';
+import {
+  getReminderTemplates,
+  saveReminderTemplate,
+  resetReminderTemplate,
+  counterpartyEmail,
+  nextReminderAllowedAt,
+  previewReminder,
+  sendCounterpartyReminder
+} from '../services/reminderService.js';
+import { REMINDER_PLACEHOLDERS } from '../services/emailService.js';
 
 const router = express.Router();
 
 // Apply tenant middleware to all routes
 router.use(tenantMiddleware);
 
+// Helper function to read the interest terms of a create/update request
+const interestFromBody = ({ interestType, interestRate, compounding, interestStartDate }) => {
+  if (interestType === undefined && interestRate === undefined) return {};
+
+  const type = interestType || 'simple';
+  const rate = parseFloat(interestRate) || 0;
+  if (!INTEREST_TYPES.includes(type)) {
+    return { error: `Interest type must be one of: ${INTEREST_TYPES.join(', ')}` };
+  }
+  if (rate < 0 || rate > 100) {
+    return { error: 'Interest rate must be between 0 and 100% per year' };
+  }
+
+  return {
+    interest: {
+      type: rate > 0 ? type : 'none',
+      rate: type === 'none' ? 0 : rate,
+      compounding: compounding || 'yearly',
+      startDate: interestStartDate || undefined
+    }
+  };
+};
+
+// Helper function to resolve the contact a record is with: an explicit contactId, or a match on the person's details
+const resolveContact = async (tenantId, { contactId, personName, personEmail, personPhone }) => {
+  if (contactId) {
+    const contact = await Contact.findOne({ _id: contactId, tenantId });
+    if (!contact) throw new Error('Contact not found');
+    return contact;
+  }
+  return findOrCreateContact(tenantId, { name: personName, email: personEmail, phone: personPhone });
+};
+
 // Get all money transactions with filters
 router.get('/', async (req, res) => {
   try {
-    const { type, status, page = 1, limit = 10, sortBy = 'dueDate', sortOrder = 'asc' } = req.query;
+    const { type, status, contactId, page = 1, limit = 10, sortBy = 'dueDate', sortOrder = 'asc' } = req.query;
     const tenantId = req.tenantId;
 
     let filter = { tenantId };
     if (type) filter.type = type;
     if (status) filter.status = status;
+    if (contactId) filter.contactId = contactId;
 
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -80,6 +137,9 @@ router.post('/', async (req, res) => {
     const {
       type,
       personName,
+      personEmail,
+      personPhone,
+      contactId,
       amount,
       purpose,
       transactionDate,
@@ -111,6 +171,14 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const { interest, error: interestError } = interestFromBody(req.body);
+    if (interestError) {
+      return res.status(400).json({
+        success: false,
+        message: interestError
+      });
+    }
+
     // Validate due date is in the future
     const dueDateObj = new Date(dueDate);
     const today = new Date();
@@ -123,17 +191,31 @@ router.post('/', async (req, res) => {
       });
     }
 
+    let contact;
+    try {
+      contact = await resolveContact(req.tenantId, { contactId, personName: personName.trim(), personEmail, personPhone });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     const transaction = new MoneyTransaction({
       tenantId: req.tenantId,
       type,
       personName: personName.trim(),
+      personEmail,
+      personPhone,
+      contactId: contact._id,
       amount: parseFloat(amount),
       purpose: purpose.trim(),
       transactionDate: transactionDate || new Date(),
       dueDate: dueDateObj,
       upiLink,
       notes,
-      reminderEnabled
+      reminderEnabled,
+      interest
     });
 
     await transaction.save();
@@ -173,6 +255,9 @@ router.put('/:id', async (req, res) => {
   try {
     const {
       personName,
+      personEmail,
+      personPhone,
+      contactId,
       amount,
       purpose,
       transactionDate,
@@ -182,10 +267,45 @@ router.put('/:id', async (req, res) => {
       reminderEnabled
     } = req.body;
 
+    const { interest, error: interestError } = interestFromBody(req.body);
+    if (interestError) {
+      return res.status(400).json({
+        success: false,
+        message: interestError
+      });
+    }
+
+    // A different person (or contact) moves the record to the matching contact
+    let contact;
+    const current = await MoneyTransaction.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    if (current) {
+      const personChanged = (personName !== undefined && personName.trim() !== current.personName) ||
+        (personEmail !== undefined && personEmail !== (current.personEmail || '')) ||
+        (personPhone !== undefined && personPhone !== (current.personPhone || ''));
+      if (contactId || personChanged || !current.contactId) {
+        try {
+          contact = await resolveContact(req.tenantId, {
+            contactId,
+            personName: personName || current.personName,
+            personEmail: personEmail ?? current.personEmail,
+            personPhone: personPhone ?? current.personPhone
+          });
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: error.message
+          });
+        }
+      }
+    }
+
     const transaction = await MoneyTransaction.findOneAndUpdate(
       { _id: req.params.id, tenantId: req.tenantId },
       {
         personName,
+        personEmail,
+        personPhone,
+        contactId: contact?._id,
         amount,
         purpose,
         transactionDate,
@@ -193,6 +313,7 @@ router.put('/:id', async (req, res) => {
         upiLink,
         notes,
         reminderEnabled,
+        interest,
         updatedAt: new Date()
       },
       { new: true, runValidators: true }
@@ -205,6 +326,10 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // The outstanding balance depends on the amount and interest and, without a schedule, the status on the due date
+    refreshBalance(transaction);
+    if (transaction.isModified()) await transaction.save();
+
     res.status(200).json({
       success: true,
       message: 'Transaction updated successfully',
@@ -223,15 +348,10 @@ router.put('/:id', async (req, res) => {
 // Mark transaction as completed
 router.patch('/:id/complete', async (req, res) => {
   try {
-    const transaction = await MoneyTransaction.findOneAndUpdate(
-      { _id: req.params.id, tenantId: req.tenantId },
-      {
-        status: 'completed',
-        completedAt: new Date(),
-        updatedAt: new Date()
-      },
-      { new: true }
-    );
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
 
     if (!transaction) {
       return res.status(404).json({
@@ -240,6 +360,20 @@ router.patch('/:id/complete', async (req, res) => {
       });
     }
 
+    // Whatever is still outstanding is recorded as a final repayment so the ledger adds up
+    refreshBalance(transaction);
+    if (transaction.outstandingAmount > 0) {
+      transaction.repayments.push({
+        amount: transaction.outstandingAmount,
+        date: new Date(),
+        note: 'Marked as completed'
+      });
+      refreshBalance(transaction);
+    }
+    transaction.status = 'completed';
+    transaction.completedAt = new Date();
+    await transaction.save();
+
     // Create completion notification
     const notification = new Notification({
       tenantId: req.tenantId,
@@ -268,6 +402,493 @@ router.patch('/:id/complete', async (req, res) => {
   }
 });
 
+// Interest earned (lend) and paid (borrow) per financial year, e.g. ?financialYear=2025-26
+router.get('/interest/report', async (req, res) => {
+  try {
+    const { financialYear } = req.query;
+
+    if (financialYear && !/^\d{4}-\d{2}$/.test(financialYear)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Financial year must look like 2025-26'
+      });
+    }
+
+    const report = await getInterestReport(req.tenantId, { financialYear });
+
+    res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('❌ Error building interest report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build interest report',
+      error: error.message
+    });
+  }
+});
+
+// Interest accrued on a transaction up to ?asOf (default today)
+router.get('/:id/interest', async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asOf date'
+      });
+    }
+
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      interest: accrueInterest(transaction, asOf)
+    });
+  } catch (error) {
+    console.error('❌ Error calculating interest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate interest',
+      error: error.message
+    });
+  }
+});
+
+// Repayment ledger: repayments, outstanding balance and installment schedule
+router.get('/:id/repayments', async (req, res) => {
+  try {
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ledger: getLedger(transaction)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching repayments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch repayments',
+      error: error.message
+    });
+  }
+});
+
+// Record a (partial) repayment
+router.post('/:id/repayments', async (req, res) => {
+  try {
+    const { amount, date, method, note } = req.body;
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be greater than 0'
+      });
+    }
+
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    await addRepayment(transaction, { amount, date, method, note });
+
+    if (transaction.status === 'completed') {
+      const notification = new Notification({
+        tenantId: req.tenantId,
+        transactionId: transaction._id,
+        type: 'payment',
+        title: 'Transaction Completed',
+        message: `${transaction.type === 'borrow' ? 'Borrowed' : 'Lent'} amount of ₹${transaction.amount} ${transaction.type === 'borrow' ? 'from' : 'to'} ${transaction.personName} has been fully repaid.`,
+        scheduledFor: new Date(),
+        sent: true,
+        sentAt: new Date()
+      });
+      await notification.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: transaction.status === 'completed'
+        ? 'Repayment recorded, transaction fully repaid'
+        : `Repayment recorded, ₹${transaction.outstandingAmount} outstanding`,
+      transaction
+    });
+  } catch (error) {
+    console.error('❌ Error recording repayment:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to record repayment',
+      error: error.message
+    });
+  }
+});
+
+// Remove a repayment recorded by mistake
+router.delete('/:id/repayments/:repaymentId', async (req, res) => {
+  try {
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    await removeRepayment(transaction, req.params.repaymentId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Repayment removed',
+      transaction
+    });
+  } catch (error) {
+    console.error('❌ Error removing repayment:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to remove repayment',
+      error: error.message
+    });
+  }
+});
+
+// Generate an EMI schedule for the outstanding balance ({ count } or { amount } per installment)
+router.post('/:id/schedule', async (req, res) => {
+  try {
+    const { count, amount, frequency, startDate } = req.body;
+
+    if (!count && !amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Number of installments or installment amount is required'
+      });
+    }
+
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    await generateSchedule(transaction, { count, amount, frequency, startDate });
+
+    res.status(201).json({
+      success: true,
+      message: `${transaction.installments.length} installments scheduled`,
+      transaction
+    });
+  } catch (error) {
+    console.error('❌ Error generating installment schedule:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to generate installment schedule',
+      error: error.message
+    });
+  }
+});
+
+// Remove the EMI schedule
+router.delete('/:id/schedule', async (req, res) => {
+  try {
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    await clearSchedule(transaction);
+
+    res.status(200).json({
+      success: true,
+      message: 'Installment schedule removed',
+      transaction
+    });
+  } catch (error) {
+    console.error('❌ Error removing installment schedule:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to remove installment schedule',
+      error: error.message
+    });
+  }
+});
+
+// Reminder email templates (the defaults until edited)
+router.get('/reminders/templates', async (req, res) => {
+  try {
+    const templates = await getReminderTemplates(req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      templates,
+      placeholders: REMINDER_PLACEHOLDERS
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reminder templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reminder templates',
+      error: error.message
+    });
+  }
+});
+
+// Edit a reminder email template (upcoming or overdue)
+router.put('/reminders/templates/:key', async (req, res) => {
+  try {
+    const { subject, body } = req.body;
+    const template = await saveReminderTemplate(req.tenantId, req.params.key, { subject, body });
+
+    res.status(200).json({
+      success: true,
+      message: 'Reminder template saved',
+      template
+    });
+  } catch (error) {
+    console.error('❌ Error saving reminder template:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to save reminder template',
+      error: error.message
+    });
+  }
+});
+
+// Go back to the default wording
+router.delete('/reminders/templates/:key', async (req, res) => {
+  try {
+    const template = await resetReminderTemplate(req.tenantId, req.params.key);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reminder template reset to default',
+      template
+    });
+  } catch (error) {
+    console.error('❌ Error resetting reminder template:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to reset reminder template',
+      error: error.message
+    });
+  }
+});
+
+// Email reminder settings, the log of emails sent and when the person can be emailed next
+router.get('/:id/reminders', async (req, res) => {
+  try {
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const to = await counterpartyEmail(transaction);
+    const nextAllowedAt = to
+      ? await nextReminderAllowedAt(req.tenantId, to, transaction.emailReminders.intervalDays)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      emailReminders: transaction.emailReminders,
+      to,
+      nextAllowedAt,
+      log: [...transaction.reminderLog].reverse()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reminder log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reminder log',
+      error: error.message
+    });
+  }
+});
+
+// Turn emailed reminders on/off and set how often the person may be emailed
+router.put('/:id/reminders', async (req, res) => {
+  try {
+    const { enabled, intervalDays } = req.body;
+
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (enabled === true) {
+      if (transaction.type !== 'lend') {
+        return res.status(400).json({
+          success: false,
+          message: 'Reminders are only emailed for money you lent'
+        });
+      }
+      if (!(await counterpartyEmail(transaction))) {
+        return res.status(400).json({
+          success: false,
+          message: `Add an email address for ${transaction.personName} first`
+        });
+      }
+    }
+
+    if (enabled !== undefined) transaction.emailReminders.enabled = enabled === true;
+    if (intervalDays !== undefined) transaction.emailReminders.intervalDays = parseInt(intervalDays);
+    await transaction.save();
+
+    res.status(200).json({
+      success: true,
+      message: transaction.emailReminders.enabled
+        ? `${transaction.personName} will be emailed at most once every ${transaction.emailReminders.intervalDays} days`
+        : 'Email reminders turned off',
+      transaction
+    });
+  } catch (error) {
+    console.error('❌ Error updating email reminders:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update email reminders',
+      error: error.message
+    });
+  }
+});
+
+// Preview the email the person would get (?template=upcoming|overdue, default by due date)
+router.get('/:id/reminders/preview', async (req, res) => {
+  try {
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const preview = await previewReminder(transaction, req.query.template || undefined);
+
+    res.status(200).json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    console.error('❌ Error previewing reminder:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to preview reminder',
+      error: error.message
+    });
+  }
+});
+
+// Email a reminder now (still limited to one email per interval for the person)
+router.post('/:id/reminders', async (req, res) => {
+  try {
+    const transaction = await MoneyTransaction.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const result = await sendCounterpartyReminder(transaction, { trigger: 'manual' });
+
+    if (!result.sent && !result.entry) {
+      return res.status(429).json({
+        success: false,
+        message: `${transaction.personName} was emailed recently; next reminder allowed on ${result.nextAllowedAt.toLocaleDateString()}`,
+        nextAllowedAt: result.nextAllowedAt
+      });
+    }
+
+    if (!result.sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send reminder email',
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Reminder emailed to ${result.to}`,
+      reminder: result.entry,
+      nextAllowedAt: result.nextAllowedAt
+    });
+  } catch (error) {
+    console.error('❌ Error sending reminder email:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to send reminder email',
+      error: error.message
+    });
+  }
+});
+
 // Delete transaction
 router.delete('/:id', async (req, res) => {
   try {
@@ -308,15 +929,15 @@ router.get('/statistics/summary', async (req, res) => {
   try {
     const tenantId = req.tenantId;
 
-    // Total amounts for pending transactions only
+    // Outstanding amounts for pending transactions only
     const totalBorrow = await MoneyTransaction.aggregate([
       { $match: { tenantId, type: 'borrow', status: { $in: ['pending', 'overdue'] } } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: null, total: { $sum: { $ifNull: ['$outstandingAmount', '$amount'] } } } }
     ]);
 
     const totalLend = await MoneyTransaction.aggregate([
       { $match: { tenantId, type: 'lend', status: { $in: ['pending', 'overdue'] } } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: null, total: { $sum: { $ifNull: ['$outstandingAmount', '$amount'] } } } }
     ]);
 
     // Counts by status
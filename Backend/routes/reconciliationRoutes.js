@@ -0,0 +1,55 @@
+// backend/routes/reconciliationRoutes.js
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import {
+  createReconciliation,
+  getReconciliations,
+  getReconciliation,
+  autoMatchReconciliation,
+  matchLine,
+  unmatchLine,
+  getReconciliationReport,
+  completeReconciliation,
+  deleteReconciliation
+} from '../controllers/reconciliationController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+// Statements are parsed straight away and not kept on disk
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = 'uploads/';
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'reconcile-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+router.get('/', getReconciliations);
+router.post('/', upload.single('file'), createReconciliation);
+router.get('/:id', getReconciliation);
+router.get('/:id/report', getReconciliationReport);
+router.post('/:id/auto-match', autoMatchReconciliation);
+router.post('/:id/match', matchLine);
+router.post('/:id/unmatch', unmatchLine);
+router.post('/:id/complete', completeReconciliation);
+router.delete('/:id', deleteReconciliation);
+
+export default router;
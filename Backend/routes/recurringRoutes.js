@@ -0,0 +1,31 @@
+// backend/routes/recurringRoutes.js
+import express from 'express';
+import {
+  getTemplates,
+  createRecurringTemplate,
+  getTemplate,
+  updateTemplate,
+  updateOccurrence,
+  skipOccurrence,
+  runTemplates,
+  deleteTemplate,
+  getForecast
+} from '../controllers/recurringController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+router.get('/', getTemplates);
+router.post('/', createRecurringTemplate);
+router.get('/forecast', getForecast);
+router.post('/run', runTemplates);
+router.get('/:id', getTemplate);
+router.put('/:id', updateTemplate);
+router.delete('/:id', deleteTemplate);
+router.put('/:id/occurrences', updateOccurrence);
+router.post('/:id/skip', skipOccurrence);
+router.post('/:id/run', runTemplates);
+
+export default router;
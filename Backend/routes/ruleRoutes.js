@@ -0,0 +1,28 @@
+// backend/routes/ruleRoutes.js
+import express from 'express';
+import {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  reorderRules,
+  installDefaultRules,
+  testRule,
+  reapplyRules
+} from '../controllers/ruleController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+router.get('/', getRules);
+router.post('/', createRule);
+router.post('/defaults', installDefaultRules);
+router.post('/test', testRule);
+router.post('/reapply', reapplyRules);
+router.put('/reorder', reorderRules);
+router.put('/:id', updateRule);
+router.delete('/:id', deleteRule);
+
+export default router;
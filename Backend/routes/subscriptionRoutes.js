@@ -0,0 +1,22 @@
+// backend/routes/subscriptionRoutes.js
+import express from 'express';
+import {
+  getSubscriptions,
+  detectSubscriptions,
+  confirmSubscription,
+  flagSubscription,
+  dismissSubscription
+} from '../controllers/subscriptionController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+router.get('/', getSubscriptions);
+router.post('/detect', detectSubscriptions);
+router.post('/:id/confirm', confirmSubscription);
+router.post('/:id/flag', flagSubscription);
+router.post('/:id/dismiss', dismissSubscription);
+
+export default router;
@@ -3,9 +3,12 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import syncController from '../controllers/syncController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+router.use(tenantMiddleware);
+
 // Configure multer for file upload
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -29,10 +32,14 @@ const fileFilter = (req, file, cb) => {
     'application/json'
   ];
   
-  if (allowedTypes.includes(file.mimetype)) {
+  // Statement exports are often sent as text/plain or application/octet-stream, so trust the extension
+  const statementExtensions = ['.ofx', '.qfx', '.xml', '.sta', '.mt940', '.940', '.txt'];
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedTypes.includes(file.mimetype) || statementExtensions.includes(extension)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only CSV, Excel, and JSON files are allowed.'), false);
+    cb(new Error('Invalid file type. Only CSV, Excel, JSON, OFX/QFX, CAMT.053 and MT940 files are allowed.'), false);
   }
 };
 
@@ -46,6 +53,18 @@ const upload = multer({
 
 // Routes
 router.post('/upload', upload.single('file'), syncController.uploadFile);
+router.post('/preview', syncController.previewFile);
 router.post('/process', syncController.processTransactions);
 
+// Column-mapping profiles
+router.get('/profiles', syncController.getProfiles);
+router.post('/profiles', syncController.createProfile);
+router.put('/profiles/:id', syncController.updateProfile);
+router.delete('/profiles/:id', syncController.deleteProfile);
+
+// Import batches (provenance and undo)
+router.get('/batches', syncController.getBatches);
+router.get('/batches/:id', syncController.getBatch);
+router.post('/batches/:id/rollback', syncController.rollbackBatch);
+
 export default router;
\ No newline at end of file
@@ -20,8 +20,14 @@ import {
   calculateManualTax as calculateManualTaxService,
   getTaxComplianceCalendar,
   calculateIncomeTax,
+  compareTaxRegimes,
   getTaxSavingRecommendations
 } from '../services/taxService.js';
+import {
+  getAdvanceTaxPlan,
+  recordAdvanceTaxPayment,
+  saveAdvanceTaxSettings
+} from '../services/advanceTaxService.js';
 import { protect, tenantMiddleware } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -216,6 +222,44 @@ router.post('/calculate/income-tax', async (req, res) => {
   }
 });
 
+// Old vs new regime for the same salary components and deductions
+router.post('/compare-regimes', async (req, res) => {
+  try {
+    console.log('⚖️ POST /compare-regimes - Request received');
+    const { incomeData } = req.body;
+
+    if (!incomeData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Income data is required for comparison'
+      });
+    }
+
+    let comparison;
+    try {
+      comparison = compareTaxRegimes(incomeData);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: comparison,
+      message: comparison.summary
+    });
+  } catch (error) {
+    console.error('❌ Error comparing tax regimes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare tax regimes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Tax Saving Recommendations
 router.post('/tax-saving-recommendations', async (req, res) => {
   try {
@@ -269,6 +313,109 @@ router.get('/compliance-calendar', async (req, res) => {
   }
 });
 
+// Advance tax: installments due from projected income, payments made and 234B/234C interest.
+// Query values override the saved settings for a what-if plan
+router.get('/advance-tax', protect, tenantMiddleware, async (req, res) => {
+  try {
+    console.log('📆 GET /advance-tax - Request received');
+    const { financialYear, projectedIncome, expectedTds, age, regime } = req.query;
+
+    if (financialYear && !/^\d{4}-\d{2}$/.test(financialYear)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Financial year must look like 2025-26'
+      });
+    }
+    if (regime && !['old', 'new'].includes(regime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Regime must be old or new'
+      });
+    }
+
+    const overrides = {};
+    if (projectedIncome !== undefined) overrides.projectedIncome = parseFloat(projectedIncome) || 0;
+    if (expectedTds !== undefined) overrides.expectedTds = parseFloat(expectedTds) || 0;
+    if (age !== undefined) overrides.age = parseInt(age) || 0;
+    if (regime) overrides.regime = regime;
+
+    let plan;
+    try {
+      plan = await getAdvanceTaxPlan(req.tenantId, { financialYear, overrides });
+    } catch (error) {
+      if (error.name !== 'Error') throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+      message: plan.supported ? 'Advance tax plan generated' : plan.reason
+    });
+  } catch (error) {
+    console.error('❌ Error generating advance tax plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate advance tax plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.put('/advance-tax/settings', protect, tenantMiddleware, async (req, res) => {
+  try {
+    console.log('⚙️ PUT /advance-tax/settings - Request received');
+    const settings = await saveAdvanceTaxSettings(req.tenantId, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+      message: 'Advance tax settings saved'
+    });
+  } catch (error) {
+    console.error('❌ Error saving advance tax settings:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to save advance tax settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record a Challan 280 payment; without an installment it counts as self-assessment tax
+router.post('/advance-tax/payments', protect, tenantMiddleware, async (req, res) => {
+  try {
+    console.log('💳 POST /advance-tax/payments - Request received');
+
+    let payment;
+    try {
+      payment = await recordAdvanceTaxPayment(req.tenantId, req.user._id, req.body);
+    } catch (error) {
+      if (error.name !== 'Error' && error.name !== 'ValidationError') throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      message: 'Advance tax payment recorded'
+    });
+  } catch (error) {
+    console.error('❌ Error recording advance tax payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record advance tax payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Tax Record CRUD Operations
 router.post('/records', (req, res, next) => {
   console.log('📝 POST /records - Request received');
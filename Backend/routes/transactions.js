@@ -1,10 +1,22 @@
 import express from 'express';
 import Transaction from '../models/Transaction.js';
 import Project from '../models/Project.js';
+import Account from '../models/Account.js';
 import { protect, tenantMiddleware } from '../middleware/authMiddleware.js';
+import { createCategorizer } from '../services/categorizationService.js';
+import { suggestCategories, invalidateModel } from '../services/suggestionService.js';
+import { findDuplicates, mergeTransactions } from '../services/duplicateService.js';
+import { updateTransfer, deleteTransfer } from '../services/transferService.js';
+import { createTemplate, fieldsFromRecord, FREQUENCIES } from '../services/recurringService.js';
+import { checkBudgetAlerts } from '../services/budgetService.js';
+import { applyGstSplit } from '../services/gstReturnService.js';
 
 const router = express.Router();
 
+// Changes that move the CGST/SGST/IGST split of a transaction; creates get it from the model's save hook,
+// updates through findOneAndUpdate re-save it
+const GST_SPLIT_FIELDS = ['type', 'gstAmount', 'gstNumber', 'location', 'gstInvoice', 'gstSplit'];
+
 // ==================== TENANT ID MIDDLEWARE ====================
 const handleTenantId = (req, res, next) => {
   // Express lowercases all header names, so always use lowercase
@@ -70,7 +82,18 @@ router.post('/', async (req, res) => {
     console.log('📝 Creating transaction for tenant:', req.tenantId);
     console.log('📦 Request body:', req.body);
     
-    const { date, amount, category, paymentMode, paymentMethod, type, projectId, description, subCategory, vendor, receiptNumber, note } = req.body;
+    const { date, amount, paymentMode, paymentMethod, type, description, subCategory, vendor, receiptNumber, note } = req.body;
+    
+    // Fill empty category, sub-category, payment mode, tags and project from the tenant's rules
+    const categorizer = await createCategorizer(req.tenantId);
+    const { changes: ruleChanges } = categorizer.categorize({
+      ...req.body,
+      type: String(type || '').toLowerCase(),
+      amount: parseFloat(amount),
+      paymentMode: paymentMode || paymentMethod || ''
+    });
+    const category = req.body.category || ruleChanges.category;
+    const projectId = req.body.projectId || ruleChanges.projectId;
     
     // Validate required fields
     if (!date || !amount || !category || !type) {
@@ -97,23 +120,49 @@ router.post('/', async (req, res) => {
       });
     }
     
+    // Validate account belongs to this tenant
+    if (req.body.accountId && !(await Account.exists({ _id: req.body.accountId, tenantId: req.tenantId }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account not found or access denied'
+      });
+    }
+    
     // Handle payment method compatibility
-    const finalPaymentMode = paymentMode || paymentMethod || 'Cash';
+    const finalPaymentMode = paymentMode || paymentMethod || ruleChanges.paymentMode || 'Cash';
     
     const transactionData = { 
       ...req.body,
+      ...ruleChanges,
+      category,
+      categorySource: req.body.category ? 'user' : ruleChanges.categorySource,
       type: type.toLowerCase(),
       paymentMode: finalPaymentMode,
       paymentMethod: finalPaymentMode,
       amount: parseFloat(amount),
       date: new Date(date),
       tenantId: req.tenantId,
-      subCategory: subCategory || '',
+      accountId: req.body.accountId || null,
+      subCategory: subCategory || ruleChanges.subCategory || '',
       note: note || '',
       status: 'completed' // default status
     };
     
     const transaction = await Transaction.create(transactionData);
+    await categorizer.recordMatches();
+    invalidateModel(req.tenantId);
+    
+    // Recurring transactions start a series with this one as the first occurrence
+    if (transaction.isRecurring && FREQUENCIES.includes(transaction.recurringFrequency)) {
+      await createTemplate(req.tenantId, {
+        fields: fieldsFromRecord(transaction),
+        frequency: transaction.recurringFrequency,
+        interval: req.body.recurringInterval,
+        endDate: req.body.recurringEndDate,
+        maxOccurrences: req.body.recurringCount,
+        record: transaction
+      });
+    }
     
     // If it's a project expense, update the project's expenseIds
     if (projectId && type.toLowerCase() === 'expense') {
@@ -121,6 +170,11 @@ router.post('/', async (req, res) => {
         $push: { expenseIds: transaction._id }
       });
     }
+
+    // Alert right away if this expense pushes a budget over 80% / 100% (the hourly job catches the rest)
+    if (transaction.type === 'expense') {
+      checkBudgetAlerts(req.tenantId).catch(error => console.error('❌ Error checking budget alerts:', error));
+    }
     
     // Populate the response
     const populatedTransaction = await Transaction.findById(transaction._id)
@@ -150,7 +204,7 @@ router.post('/expenses', async (req, res) => {
     console.log('📝 Creating expense for tenant:', req.tenantId);
     console.log('📦 Request body:', req.body);
     
-    const { projectId, category, amount, date, description, paymentMethod, paymentMode, vendor, receiptNumber, subCategory, note } = req.body;
+    const { projectId, category, amount, date, description, paymentMethod, paymentMode, vendor, receiptNumber, subCategory, note, gstAmount, gstNumber, location } = req.body;
 
     // Validate required fields
     if (!category || !amount || !date) {
@@ -184,6 +238,9 @@ router.post('/expenses', async (req, res) => {
       vendor: vendor || '',
       receiptNumber: receiptNumber || '',
       note: note || '',
+      gstAmount: parseFloat(gstAmount) || 0,
+      gstNumber: gstNumber || '',
+      location,
       status: 'completed',
       tenantId: req.tenantId
     };
@@ -225,7 +282,7 @@ router.post('/incomes', async (req, res) => {
     console.log('📝 Creating income for tenant:', req.tenantId);
     console.log('📦 Request body:', req.body);
     
-    const { category, amount, date, description, paymentMethod, paymentMode, source, note } = req.body;
+    const { category, amount, date, description, paymentMethod, paymentMode, source, note, gstAmount, gstNumber, location } = req.body;
 
     // Validate required fields
     if (!category || !amount || !date) {
@@ -256,6 +313,9 @@ router.post('/incomes', async (req, res) => {
       paymentMethod: finalPaymentMode,
       source: source || '',
       note: note || '',
+      gstAmount: parseFloat(gstAmount) || 0,
+      gstNumber: gstNumber || '',
+      location,
       status: 'completed',
       tenantId: req.tenantId
     };
@@ -498,6 +558,109 @@ router.get('/incomes', async (req, res) => {
   }
 });
 
+// @desc    Suggest categories from the tenant's own categorised history
+// @route   GET /api/transactions/suggestions?description=&vendor=&type=
+// @access  Private/Public
+router.get('/suggestions', async (req, res) => {
+  try {
+    const { description = '', vendor = '', type } = req.query;
+
+    if (!description.trim() && !vendor.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'description or vendor is required'
+      });
+    }
+
+    const suggestions = await suggestCategories(req.tenantId, {
+      description,
+      vendor,
+      type: type ? String(type).toLowerCase() : undefined
+    }, 3);
+
+    res.status(200).json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('❌ Error suggesting categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suggest categories',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Find likely duplicate transaction pairs for review
+// @route   GET /api/transactions/duplicates?startDate=&endDate=&minScore=&days=
+// @access  Private/Public
+router.get('/duplicates', async (req, res) => {
+  try {
+    const { startDate, endDate, minScore, days, limit } = req.query;
+
+    const result = await findDuplicates(req.tenantId, {
+      startDate,
+      endDate,
+      minScore: minScore ? parseFloat(minScore) : undefined,
+      dateWindowDays: days ? parseInt(days) : undefined,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    console.log(`✅ Found ${result.totalPairs} possible duplicate pairs in ${result.scanned} transactions`);
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error finding duplicates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find duplicates',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Merge a duplicate into the transaction that is kept
+// @route   POST /api/transactions/duplicates/merge
+// @access  Private/Public
+router.post('/duplicates/merge', async (req, res) => {
+  try {
+    const { keepId, removeId } = req.body;
+
+    if (!keepId || !removeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'keepId and removeId are required'
+      });
+    }
+
+    const result = await mergeTransactions(req.tenantId, keepId, removeId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found or access denied'
+      });
+    }
+
+    console.log(`✅ Merged transaction ${removeId} into ${keepId}`);
+    res.status(200).json({
+      success: true,
+      data: result.kept,
+      message: 'Transactions merged successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error merging transactions:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to merge transactions',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get transaction by ID
 // @route   GET /api/transactions/:id
 // @access  Private/Public
@@ -551,8 +714,51 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    // Validate account belongs to this tenant
+    if (req.body.accountId && !(await Account.exists({ _id: req.body.accountId, tenantId: req.tenantId }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account not found or access denied'
+      });
+    }
+    
+    // Transfer legs are edited together; the type can only change through unlinking
+    const existing = await Transaction.findOne({ _id: id, tenantId: req.tenantId }).select('type transferId transferDirection');
+    if (existing && req.body.type && (req.body.type === 'transfer') !== (existing.type === 'transfer')) {
+      return res.status(400).json({
+        success: false,
+        message: existing.type === 'transfer'
+          ? 'Unlink the transfer to turn it into an expense or income'
+          : 'Record transfers through /api/transfers'
+      });
+    }
+    
+    if (existing?.transferId) {
+      const changes = { ...req.body };
+      if (changes.accountId) {
+        changes[existing.transferDirection === 'in' ? 'toAccountId' : 'fromAccountId'] = changes.accountId;
+      }
+      const transfer = await updateTransfer(req.tenantId, existing.transferId, changes);
+      const leg = transfer.legs.find(item => String(item._id) === String(id));
+      
+      console.log('✅ Transfer updated:', existing.transferId);
+      return res.status(200).json({
+        success: true,
+        data: leg,
+        transfer,
+        message: 'Transfer updated successfully'
+      });
+    }
+    
     // Handle payment method compatibility
     const updateData = { ...req.body };
+    if (updateData.accountId === '') {
+      updateData.accountId = null;
+    }
+    // A category saved from the edit form is the user's choice, even if a rule or suggestion filled it first
+    if (updateData.category) {
+      updateData.categorySource = 'user';
+    }
     if (updateData.paymentMode && !updateData.paymentMethod) {
       updateData.paymentMethod = updateData.paymentMode;
     }
@@ -587,6 +793,15 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    if (updateData.category || updateData.subCategory) {
+      invalidateModel(req.tenantId);
+    }
+    
+    if (GST_SPLIT_FIELDS.some(field => field in updateData)) {
+      await applyGstSplit(req.tenantId, transaction);
+      await transaction.save();
+    }
+    
     console.log('✅ Transaction updated:', transaction._id);
     res.status(200).json({
       success: true,
@@ -621,6 +836,9 @@ router.put('/expenses/:id', async (req, res) => {
     
     // Handle payment method compatibility
     const updateData = { ...req.body };
+    if (updateData.category) {
+      updateData.categorySource = 'user';
+    }
     if (updateData.paymentMode && !updateData.paymentMethod) {
       updateData.paymentMethod = updateData.paymentMode;
     }
@@ -645,6 +863,11 @@ router.put('/expenses/:id', async (req, res) => {
       });
     }
     
+    if (GST_SPLIT_FIELDS.some(field => field in updateData)) {
+      await applyGstSplit(req.tenantId, expense);
+      await expense.save();
+    }
+    
     console.log('✅ Expense updated:', expense._id);
     res.status(200).json({
       success: true,
@@ -683,6 +906,11 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    // Deleting one leg of a transfer deletes the other leg too
+    if (transaction.transferId) {
+      await deleteTransfer(req.tenantId, transaction.transferId);
+    }
+    
     // If it was a project expense, remove from project's expenseIds
     if (transaction.projectId && transaction.type === 'expense') {
       await Project.findByIdAndUpdate(transaction.projectId, {
@@ -772,6 +1000,10 @@ router.delete('/:id/hard', async (req, res) => {
       });
     }
     
+    if (transaction.transferId) {
+      await Transaction.deleteMany({ tenantId: req.tenantId, transferId: transaction.transferId });
+    }
+    
     // Remove from project's expenseIds if applicable
     if (transaction.projectId && transaction.type === 'expense') {
       await Project.findByIdAndUpdate(transaction.projectId, {
@@ -821,6 +1053,9 @@ router.get('/stats/summary', async (req, res) => {
       query.projectId = projectId;
     }
     
+    // Transfers between own accounts are neither income nor expense
+    query.type = { $in: ['income', 'expense'] };
+    
     const transactions = await Transaction.find(query);
     
     const totalExpenses = transactions
@@ -0,0 +1,28 @@
+// backend/routes/transferRoutes.js
+import express from 'express';
+import {
+  getTransfers,
+  createTransfer,
+  getTransfer,
+  updateTransfer,
+  deleteTransfer,
+  linkTransfer,
+  unlinkTransfer,
+  detectTransfers
+} from '../controllers/transferController.js';
+import { tenantMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(tenantMiddleware);
+
+router.get('/', getTransfers);
+router.post('/', createTransfer);
+router.post('/link', linkTransfer);
+router.post('/detect', detectTransfers);
+router.get('/:id', getTransfer);
+router.put('/:id', updateTransfer);
+router.delete('/:id', deleteTransfer);
+router.post('/:id/unlink', unlinkTransfer);
+
+export default router;
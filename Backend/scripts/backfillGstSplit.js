@@ -0,0 +1,52 @@
+// backend/scripts/backfillGstSplit.js
+// Stores the supplier/recipient state and CGST/SGST/IGST split on transactions saved before it was kept
+// with each record, so the GST report, P&L and returns all read the same split.
+// Command: node scripts/backfillGstSplit.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Transaction from '../models/Transaction.js';
+import { applyGstSplit, storedGstSplit } from '../services/gstReturnService.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+
+if (!MONGO_URI) {
+  console.error('❌ MONGO_URI not set in environment. Set it before running this script.');
+  process.exit(1);
+}
+
+const backfill = async () => {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const tenantIds = await Transaction.distinct('tenantId', { gstAmount: { $gt: 0 } });
+    let updated = 0;
+
+    for (const tenantId of tenantIds) {
+      const records = await Transaction.find({ tenantId, type: { $in: ['income', 'expense'] }, gstAmount: { $gt: 0 } })
+        .select('tenantId type gstAmount gstNumber location gstInvoice gstSplit')
+        .lean();
+      const missing = records.filter(record => !storedGstSplit(record));
+      if (!missing.length) continue;
+
+      await applyGstSplit(tenantId, missing);
+      await Transaction.bulkWrite(missing.map(record => ({
+        updateOne: { filter: { _id: record._id }, update: { $set: { gstSplit: record.gstSplit } } }
+      })));
+
+      updated += missing.length;
+      console.log(`📝 ${tenantId}: ${missing.length} transactions`);
+    }
+
+    console.log(`🎉 Stored the GST split on ${updated} transactions`);
+  } catch (error) {
+    console.error('❌ Backfill error:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+backfill();
@@ -39,10 +39,29 @@ import insightsRoutes from "./routes/insightsRoutes.js";
 import billRoutes from './routes/billRoutes.js';
 import moneyRoutes from './routes/moneyRoutes.js';
 import schemesRoute from "./routes/Scheme.js";
+import ruleRoutes from "./routes/ruleRoutes.js";
+import reconciliationRoutes from "./routes/reconciliationRoutes.js";
+import accountRoutes from "./routes/accountRoutes.js";
+import transferRoutes from "./routes/transferRoutes.js";
+import recurringRoutes from "./routes/recurringRoutes.js";
+import budgetRoutes from "./routes/budgetRoutes.js";
+import forecastRoutes from "./routes/forecastRoutes.js";
+import goalRoutes from "./routes/goalRoutes.js";
+import subscriptionRoutes from "./routes/subscriptionRoutes.js";
+import contactRoutes from "./routes/contactRoutes.js";
+import groupRoutes from "./routes/groupRoutes.js";
+import gstReturnRoutes from "./routes/gstReturnRoutes.js";
 
 // === Import Middleware ===
 import { protect, optionalAuth } from "./middleware/authMiddleware.js";
 
+// === Import Services ===
+import { runRecurringEngine } from "./services/recurringService.js";
+import { runBudgetAlerts } from "./services/budgetService.js";
+import { updateOpenBalances, refreshBalance, amountDue } from "./services/moneyService.js";
+import { sendCounterpartyReminder } from "./services/reminderService.js";
+import { runAdvanceTaxReminders } from "./services/advanceTaxService.js";
+
 // ========================================================
 // ✅ LOAD ENVIRONMENT VARIABLES FIRST
 // ========================================================
@@ -296,7 +315,8 @@ const notificationSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: false },
   billId: { type: mongoose.Schema.Types.ObjectId, ref: "Bill", required: false },
   transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "MoneyTransaction", required: false },
-  type: { type: String, required: true, enum: ["bill_reminder", "payment_due", "overdue", "reminder", "system", "income", "expense", "investment", "tax"] },
+  budgetId: { type: mongoose.Schema.Types.ObjectId, ref: "Budget", required: false },
+  type: { type: String, required: true, enum: ["bill_reminder", "payment_due", "overdue", "reminder", "system", "income", "expense", "investment", "tax", "budget"] },
   title: { type: String, required: true, trim: true, maxlength: 200 },
   message: { type: String, required: true, trim: true, maxlength: 1000 },
   priority: { type: String, enum: ["low", "medium", "high", "urgent"], default: "medium" },
@@ -354,12 +374,17 @@ const updateOverdueStatus = async () => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
+    // Records with a single due date go overdue once it has passed
     const result = await MoneyTransaction.updateMany(
-      { status: 'pending', dueDate: { $lt: today } },
+      { status: 'pending', dueDate: { $lt: today }, 'installments.0': { $exists: false } },
       { $set: { status: 'overdue', updatedAt: new Date() } }
     );
+
+    // Records with an EMI schedule are overdue while any installment is past due and unpaid;
+    // interest-bearing balances are brought up to date as well
+    const balances = await updateOpenBalances();
     
-    console.log("✅ Updated " + result.modifiedCount + " transactions to overdue status");
+    console.log("✅ Updated " + (result.modifiedCount + balances.overdue) + " transactions to overdue status");
   } catch (error) {
     console.error('❌ Error updating overdue status:', error);
   }
@@ -416,17 +441,30 @@ const checkAndMarkMoneyNotifications = async (tenantId) => {
     const transactions = await MoneyTransaction.find({
       tenantId: tenantId,
       status: { $in: ['pending', 'overdue'] },
-      reminderEnabled: true
+      $or: [{ reminderEnabled: true }, { 'emailReminders.enabled': true }]
     });
     
     let processed = 0;
+    let emailed = 0;
     
     for (const transaction of transactions) {
+      // Bring repayments and accrued interest up to today for the message
+      refreshBalance(transaction);
       const dueDate = new Date(transaction.dueDate);
       dueDate.setHours(0, 0, 0, 0);
       const daysUntilDue = Math.ceil((dueDate - today) / (1000 * 3600 * 24));
+
+      // Opt-in email to the person who owes the money, from reminderDays before the due date
+      if (transaction.type === 'lend' && transaction.emailReminders?.enabled && daysUntilDue <= transaction.reminderDays) {
+        try {
+          const result = await sendCounterpartyReminder(transaction);
+          if (result.sent) emailed++;
+        } catch (error) {
+          console.warn('⚠ Skipped reminder email for ' + transaction._id + ': ' + error.message);
+        }
+      }
       
-      if (daysUntilDue <= moneyReminderDays || daysUntilDue < 0) {
+      if (transaction.reminderEnabled && (daysUntilDue <= moneyReminderDays || daysUntilDue < 0)) {
         const existingNotification = await Notification.findOne({
           tenantId,
           transactionId: transaction._id,
@@ -441,7 +479,11 @@ const checkAndMarkMoneyNotifications = async (tenantId) => {
             transactionId: transaction._id,
             type: daysUntilDue < 0 ? 'overdue' : 'reminder',
             title: "Payment " + (daysUntilDue < 0 ? 'Overdue' : 'Reminder'),
-            message: actionType + " ₹" + transaction.amount + " " + preposition + " " + transaction.personName,
+            message: actionType + " ₹" + transaction.amount + " " + preposition + " " + transaction.personName +
+              (transaction.installments?.length || transaction.amountRepaid > 0 || transaction.interestAccrued > 0
+                ? ". Due now: ₹" + amountDue(transaction) +
+                  (transaction.interestAccrued > 0 ? " (incl. ₹" + transaction.interestAccrued + " interest)" : "")
+                : ""),
             scheduledFor: new Date(),
             sent: true,
             sentAt: new Date()
@@ -452,10 +494,10 @@ const checkAndMarkMoneyNotifications = async (tenantId) => {
       }
     }
     
-    return { transactions: processed };
+    return { transactions: processed, emails: emailed };
   } catch (error) {
     console.error('❌ Error in money notifications:', error);
-    return { transactions: 0, error: error.message };
+    return { transactions: 0, emails: 0, error: error.message };
   }
 };
 
@@ -491,7 +533,10 @@ const initializeNotificationSystem = () => {
 
   cron.schedule('0 * * * *', async () => {
     try {
-      const activeTenants = await MoneyTransaction.distinct('tenantId', { status: { $in: ['pending', 'overdue'] }, reminderEnabled: true });
+      const activeTenants = await MoneyTransaction.distinct('tenantId', {
+        status: { $in: ['pending', 'overdue'] },
+        $or: [{ reminderEnabled: true }, { 'emailReminders.enabled': true }]
+      });
       for (const tenantId of activeTenants) {
         await checkAndMarkMoneyNotifications(tenantId);
       }
@@ -500,6 +545,42 @@ const initializeNotificationSystem = () => {
     }
   });
 
+  // Notify tenants whose budgets crossed 80% / 100% of this period's amount
+  cron.schedule('0 * * * *', async () => {
+    try {
+      await runBudgetAlerts();
+    } catch (error) {
+      console.error('❌ Error in budget alert cron:', error);
+    }
+  });
+
+  // Remind tenants a week before each advance tax installment and when one is missed
+  cron.schedule('0 9 * * *', async () => {
+    try {
+      const result = await runAdvanceTaxReminders();
+      if (result.notifications > 0) {
+        console.log(`📆 Advance tax reminders: ${result.notifications} notifications for ${result.tenants} tenants`);
+      }
+    } catch (error) {
+      console.error('❌ Error in advance tax reminder cron:', error);
+    }
+  });
+
+  // Generate due occurrences of recurring transactions and income
+  cron.schedule('15 0 * * *', async () => {
+    try {
+      const result = await runRecurringEngine();
+      if (result.created > 0) {
+        console.log(`🔁 Recurring engine: ${result.created} occurrences generated from ${result.templates} templates`);
+      }
+    } catch (error) {
+      console.error('❌ Error in recurring transaction cron:', error);
+    }
+  });
+
+  // Catch up on occurrences that fell due while the server was down
+  runRecurringEngine().catch(error => console.error('❌ Error in recurring catch-up run:', error));
+
   console.log("✅ Notification System initialized");
 };
 
@@ -704,6 +785,18 @@ app.use("/api/sync", syncRoutes);
 app.use("/api/bills", billRoutes);
 app.use("/api/money", moneyRoutes);
 app.use("/api/schemes", schemesRoute);
+app.use("/api/rules", ruleRoutes);
+app.use("/api/reconciliations", reconciliationRoutes);
+app.use("/api/accounts", accountRoutes);
+app.use("/api/transfers", transferRoutes);
+app.use("/api/recurring", recurringRoutes);
+app.use("/api/budgets", budgetRoutes);
+app.use("/api/forecast", forecastRoutes);
+app.use("/api/goals", goalRoutes);
+app.use("/api/subscriptions", subscriptionRoutes);
+app.use("/api/contacts", contactRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/gst-returns", gstReturnRoutes);
 
 // ========================================================
 // ✅ NOTIFICATION ROUTES
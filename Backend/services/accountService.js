@@ -0,0 +1,174 @@
+// services/accountService.js - account balances, ledgers and balance history
+import Account from '../models/Account.js';
+import Transaction from '../models/Transaction.js';
+import { SIGNED_AMOUNT, signedAmount } from './transferService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const dayKey = (date) => new Date(date).toISOString().substring(0, 10);
+const startOfDay = (date) => new Date(`${dayKey(date)}T00:00:00.000Z`);
+
+// Helper function to match each account's transactions from its opening date (earlier ones are in the opening balance)
+const accountWindows = (accounts, { from, before } = {}) => accounts.map(account => {
+  const start = from && from > account.openingDate ? from : startOfDay(account.openingDate);
+  const date = { $gte: start };
+  if (before) date.$lt = before;
+  return { accountId: account._id, date };
+});
+
+// Net movement per account id
+const netByAccount = async (tenantId, accounts, range = {}) => {
+  if (!accounts.length) return new Map();
+
+  const results = await Transaction.aggregate([
+    { $match: { tenantId, isDeleted: false, $or: accountWindows(accounts, range) } },
+    { $group: { _id: '$accountId', net: { $sum: SIGNED_AMOUNT }, count: { $sum: 1 } } }
+  ]);
+
+  return new Map(results.map(result => [String(result._id), result]));
+};
+
+// Balance of each account at the start of `before` (or now)
+export const getBalances = async (tenantId, accounts, { before } = {}) => {
+  const nets = await netByAccount(tenantId, accounts, { before });
+
+  return new Map(accounts.map(account => {
+    const opened = !before || startOfDay(account.openingDate) < before;
+    const net = nets.get(String(account._id));
+    return [String(account._id), {
+      balance: opened ? round2((account.openingBalance || 0) + (net?.net || 0)) : 0,
+      transactionCount: net?.count || 0
+    }];
+  }));
+};
+
+// Transactions of one account with a running balance
+export const getLedger = async (account, { startDate, endDate } = {}) => {
+  const openingDay = startOfDay(account.openingDate);
+  const periodStart = startDate && new Date(startDate) > openingDay ? startOfDay(startDate) : openingDay;
+  const periodEnd = endDate ? new Date(startOfDay(endDate).getTime() + DAY_MS - 1) : null;
+
+  const balances = await getBalances(account.tenantId, [account], { before: periodStart });
+  const { balance: openingBalance } = balances.get(String(account._id));
+
+  const query = {
+    tenantId: account.tenantId,
+    accountId: account._id,
+    isDeleted: false,
+    date: { $gte: periodStart }
+  };
+  if (periodEnd) query.date.$lte = periodEnd;
+
+  const transactions = await Transaction.find(query)
+    .select('date type transferId transferDirection amount category subCategory description paymentMode referenceNumber reconciled')
+    .sort({ date: 1, createdAt: 1 })
+    .lean();
+
+  let running = openingBalance;
+  let credits = 0;
+  let debits = 0;
+
+  const entries = transactions.map(transaction => {
+    const signed = signedAmount(transaction);
+    running = round2(running + signed);
+    if (signed > 0) credits += signed;
+    else debits -= signed;
+    return { ...transaction, signedAmount: signed, balance: running };
+  });
+
+  return {
+    periodStart,
+    periodEnd,
+    openingBalance,
+    closingBalance: running,
+    totals: {
+      credits: round2(credits),
+      debits: round2(debits),
+      count: entries.length
+    },
+    entries
+  };
+};
+
+// Combined end-of-day balance of the given accounts (all in one currency), sampled per day, week or month
+export const getBalanceHistory = async (tenantId, accounts, { startDate, endDate, interval = 'day' } = {}) => {
+  const end = startOfDay(endDate || new Date());
+  const start = startOfDay(startDate || new Date(end.getTime() - 89 * DAY_MS));
+
+  const startBalances = await getBalances(tenantId, accounts, { before: start });
+  let balance = [...startBalances.values()].reduce((sum, entry) => sum + entry.balance, 0);
+
+  const daily = accounts.length
+    ? await Transaction.aggregate([
+      {
+        $match: {
+          tenantId,
+          isDeleted: false,
+          $or: accountWindows(accounts, { from: start, before: new Date(end.getTime() + DAY_MS) })
+        }
+      },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+          net: { $sum: SIGNED_AMOUNT }
+        }
+      }
+    ])
+    : [];
+  const netByDay = new Map(daily.map(day => [day._id, day.net]));
+
+  // Opening balances take effect on the account's opening date
+  const openingsByDay = new Map();
+  accounts
+    .filter(account => startOfDay(account.openingDate) >= start)
+    .forEach(account => {
+      const key = dayKey(account.openingDate);
+      openingsByDay.set(key, (openingsByDay.get(key) || 0) + (account.openingBalance || 0));
+    });
+
+  const points = [];
+  for (let day = start; day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    const key = dayKey(day);
+    balance += (netByDay.get(key) || 0) + (openingsByDay.get(key) || 0);
+    points.push({ date: key, balance: round2(balance) });
+  }
+
+  if (interval === 'day') return points;
+
+  // Keep the last point of each week/month
+  const bucketOf = (key) => {
+    if (interval === 'month') return key.substring(0, 7);
+    const date = new Date(`${key}T00:00:00.000Z`);
+    const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    return dayKey(monday);
+  };
+
+  const buckets = new Map();
+  points.forEach(point => buckets.set(bucketOf(point.date), point));
+  return [...buckets.values()];
+};
+
+// Find the tenant account an imported statement belongs to: the exact number, or the only account with
+// the same last 4 digits. When several accounts share those digits the import is left unassigned
+export const findAccountByNumber = async (tenantId, accountNumber) => {
+  const digits = String(accountNumber || '').replace(/\D/g, '');
+  if (!digits) return null;
+
+  const accounts = await Account.find({ tenantId, isArchived: false, accountNumber: { $ne: '' } });
+  const exact = accounts.find(account => account.accountNumber.replace(/\D/g, '') === digits);
+  if (exact || digits.length < 4) return exact || null;
+
+  const sameEnding = accounts.filter(account => {
+    const own = account.accountNumber.replace(/\D/g, '');
+    return own.length >= 4 && own.slice(-4) === digits.slice(-4);
+  });
+  return sameEnding.length === 1 ? sameEnding[0] : null;
+};
+
+export default {
+  getBalances,
+  getLedger,
+  getBalanceHistory,
+  findAccountByNumber
+};
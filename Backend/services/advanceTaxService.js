@@ -0,0 +1,424 @@
+// services/advanceTaxService.js - advance tax installments from projected income, payments made, 234B/234C interest and reminders
+import Tax from '../models/Tax.js';
+import TaxConfig from '../models/TaxConfig.js';
+import Transaction from '../models/Transaction.js';
+import Income from '../models/income.js';
+import Notification from '../models/Notification.js';
+import { compareTaxRegimes, REGIME_RULES_FROM } from './taxService.js';
+import { financialYearOf } from './moneyService.js';
+import { getForecast as getRecurringForecast } from './recurringService.js';
+
+// Cumulative share of the year's tax due by each date (section 211). Interest under 234C is not charged
+// while the first two installments reach 12% / 36%, and runs for 3 months (1 month for the last one)
+export const ADVANCE_TAX_INSTALLMENTS = [
+  { installment: 1, month: 5, day: 15, percent: 15, reliefPercent: 12, interestMonths: 3 },
+  { installment: 2, month: 8, day: 15, percent: 45, reliefPercent: 36, interestMonths: 3 },
+  { installment: 3, month: 11, day: 15, percent: 75, reliefPercent: 75, interestMonths: 3 },
+  { installment: 4, month: 2, day: 15, percent: 100, reliefPercent: 100, interestMonths: 1 }
+];
+
+// Advance tax is only payable when the year's tax after TDS is at least this much (section 208)
+const MIN_ADVANCE_TAX = 10000;
+
+// Simple interest per month or part of a month, sections 234B and 234C
+const INTEREST_RATE = 0.01;
+
+// 234B applies when advance tax paid is below this share of the assessed tax
+const SECTION_234B_SHARE = 0.9;
+
+const UPCOMING_REMINDER_DAYS = 7;
+
+// One-off income is extrapolated from at least this many days, so a payment in the first week is not multiplied up
+const MIN_RUN_RATE_DAYS = 30;
+
+const SALARY_CATEGORY = /salary|salaries|payroll/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Rule 119A: interest is worked out on the amount rounded down to a multiple of ₹100
+const floorHundred = (amount) => Math.floor(amount / 100) * 100;
+
+const startOfDay = (date) => new Date(`${new Date(date).toISOString().substring(0, 10)}T00:00:00.000Z`);
+
+const formatAmount = (amount) => `₹${Math.round(amount).toLocaleString('en-IN')}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const yearBounds = (financialYear) => {
+  const startYear = parseInt(financialYear);
+  return { startYear, start: new Date(Date.UTC(startYear, 3, 1)), end: new Date(Date.UTC(startYear + 1, 3, 1)) };
+};
+
+export const installmentDueDate = (financialYear, installment) => {
+  const { startYear } = yearBounds(financialYear);
+  const { month, day } = ADVANCE_TAX_INSTALLMENTS.find(entry => entry.installment === installment);
+  return new Date(Date.UTC(month < 3 ? startYear + 1 : startYear, month, day));
+};
+
+// Months from `from` (the first of a month) up to `to`, a part month counting as a whole one
+const monthsOrPart = (from, to) =>
+  Math.max(0, (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth()) + 1);
+
+const splitBySalary = (records) => records.reduce((acc, record) => {
+  acc[SALARY_CATEGORY.test(record.category || '') ? 'salary' : 'other'] += record.amount || 0;
+  return acc;
+}, { salary: 0, other: 0 });
+
+// Income received so far in the year plus what is still expected: scheduled recurring income, future-dated
+// records and, for one-off income, the run rate so far (whichever of the last two is larger)
+export const projectAnnualIncome = async (tenantId, financialYear, asOf = new Date()) => {
+  const { start, end } = yearBounds(financialYear);
+  const cutoff = new Date(Math.min(end.getTime(), startOfDay(asOf).getTime() + DAY_MS));
+  const fields = 'amount category recurringTemplateId';
+
+  const actualQuery = { tenantId, isDeleted: false, date: { $gte: start, $lt: cutoff } };
+  const [transactions, incomes] = await Promise.all([
+    Transaction.find({ ...actualQuery, type: 'income' }).select(fields).lean(),
+    Income.find({ ...actualQuery, status: { $ne: 'cancelled' } }).select(fields).lean()
+  ]);
+  const received = [...transactions, ...incomes];
+  const actual = splitBySalary(received);
+
+  let scheduled = { salary: 0, other: 0 };
+  let oneOff = { salary: 0, other: 0 };
+  if (cutoff < end) {
+    const remainingDays = Math.round((end - cutoff) / DAY_MS);
+    const futureQuery = { tenantId, isDeleted: false, recurringTemplateId: null, date: { $gte: cutoff, $lt: end } };
+    const [recurring, futureTransactions, futureIncomes] = await Promise.all([
+      getRecurringForecast(tenantId, { days: remainingDays, from: cutoff }),
+      Transaction.find({ ...futureQuery, type: 'income' }).select(fields).lean(),
+      Income.find({ ...futureQuery, status: { $ne: 'cancelled' } }).select(fields).lean()
+    ]);
+    scheduled = splitBySalary(recurring.items.filter(item => item.type === 'income' && item.status !== 'skipped'));
+
+    const elapsedDays = Math.max(Math.round((cutoff - start) / DAY_MS), MIN_RUN_RATE_DAYS);
+    const runRate = splitBySalary(received.filter(record => !record.recurringTemplateId));
+    const futureOneOff = splitBySalary([...futureTransactions, ...futureIncomes]);
+    oneOff = {
+      salary: Math.max(futureOneOff.salary, (runRate.salary / elapsedDays) * remainingDays),
+      other: Math.max(futureOneOff.other, (runRate.other / elapsedDays) * remainingDays)
+    };
+  }
+
+  const salary = round2(actual.salary + scheduled.salary + oneOff.salary);
+  const other = round2(actual.other + scheduled.other + oneOff.other);
+  return {
+    receivedToDate: round2(actual.salary + actual.other),
+    scheduled: round2(scheduled.salary + scheduled.other),
+    extrapolated: round2(oneOff.salary + oneOff.other),
+    salary,
+    other,
+    projected: round2(salary + other)
+  };
+};
+
+// Advance tax paid for the year (Income Tax records with advanceTax.financialYear), oldest first
+const findPayments = async (tenantId, financialYear) => {
+  const records = await Tax.find({
+    tenantId,
+    isDeleted: false,
+    taxType: 'Income Tax',
+    status: 'paid',
+    'advanceTax.financialYear': financialYear
+  }).lean();
+
+  return records
+    .map(record => ({
+      _id: record._id,
+      amount: record.amount,
+      paidOn: new Date(record.paymentDetails?.paymentDate || record.date),
+      installment: record.advanceTax?.installment || null,
+      challanNumber: record.paymentDetails?.challanNumber || null
+    }))
+    .sort((a, b) => a.paidOn - b.paidOn);
+};
+
+// 234B: when advance tax paid by 31 March is under 90% of the assessed tax, 1% a month from 1 April on the
+// unpaid part, until it is paid as self-assessment tax (or asOf)
+const interest234B = (assessedTax, payments, end, asOf) => {
+  const advancePaid = payments.filter(payment => payment.paidOn < end).reduce((sum, payment) => sum + payment.amount, 0);
+  if (asOf < end || assessedTax < MIN_ADVANCE_TAX || advancePaid >= assessedTax * SECTION_234B_SHARE) {
+    return { applicable: false, shortfall: 0, months: 0, interest: 0 };
+  }
+
+  let outstanding = floorHundred(assessedTax - advancePaid);
+  const shortfall = outstanding;
+  let interest = 0;
+  payments.filter(payment => payment.paidOn >= end).forEach(payment => {
+    if (outstanding <= 0) return;
+    const settled = Math.min(payment.amount, outstanding);
+    interest += floorHundred(settled) * INTEREST_RATE * monthsOrPart(end, payment.paidOn);
+    outstanding -= settled;
+  });
+  const months = monthsOrPart(end, asOf);
+  if (outstanding > 0) interest += floorHundred(outstanding) * INTEREST_RATE * months;
+
+  return { applicable: true, shortfall, unpaid: round2(Math.max(outstanding, 0)), months, interest: Math.round(interest) };
+};
+
+const readSettings = async (tenantId) => {
+  const config = await TaxConfig.findOne({ tenantId }) || await TaxConfig.findOne({ tenantId: { $exists: false } });
+  const settings = config?.advanceTax || {};
+  return {
+    regime: config?.regime || 'new',
+    age: settings.age || 0,
+    expectedTds: settings.expectedTds ?? null,
+    presumptive: settings.presumptive === true,
+    hasBusinessIncome: settings.hasBusinessIncome !== false,
+    remindersEnabled: settings.remindersEnabled !== false
+  };
+};
+
+const SETTING_FIELDS = ['age', 'expectedTds', 'presumptive', 'hasBusinessIncome', 'remindersEnabled'];
+
+export const saveAdvanceTaxSettings = async (tenantId, changes) => {
+  const config = await TaxConfig.findOne({ tenantId }) || new TaxConfig({ tenantId });
+  SETTING_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) config.set(`advanceTax.${field}`, changes[field] === '' ? null : changes[field]);
+  });
+  config.lastUpdated = new Date();
+  await config.save();
+  return readSettings(tenantId);
+};
+
+// Installment plan for the year: what should have been paid by each date, what was paid, and the interest on shortfalls.
+// `overrides` replace the saved settings or the projection (projectedIncome is taken as non-salary income)
+export const getAdvanceTaxPlan = async (tenantId, { financialYear, asOf = new Date(), overrides = {} } = {}) => {
+  const year = financialYear || financialYearOf(asOf);
+  const { end } = yearBounds(year);
+  const settings = { ...(await readSettings(tenantId)), ...overrides };
+
+  // The slab rules in taxService start at FY 2025-26; earlier years only list what was paid
+  if (parseInt(year.substring(0, 4)) < REGIME_RULES_FROM) {
+    const payments = await findPayments(tenantId, year);
+    return {
+      financialYear: year,
+      asOf,
+      supported: false,
+      reason: `Advance tax planning and interest use the tax rules from FY ${REGIME_RULES_FROM}-${String(REGIME_RULES_FROM + 1).slice(-2)} onwards; FY ${year} is not supported`,
+      regime: settings.regime,
+      settings,
+      installments: [],
+      payments,
+      totalPaid: round2(payments.reduce((sum, payment) => sum + payment.amount, 0)),
+      interest: null,
+      nextInstallment: null
+    };
+  }
+
+  const projection = await projectAnnualIncome(tenantId, year, asOf);
+  const income = overrides.projectedIncome !== undefined
+    ? { ...projection, salary: 0, other: overrides.projectedIncome, projected: overrides.projectedIncome, overridden: true }
+    : projection;
+
+  const taxFor = (salary, other) => compareTaxRegimes({
+    financialYear: year,
+    age: settings.age,
+    salary: { basic: salary },
+    otherIncome: other
+  }).regimes[settings.regime];
+
+  const tax = taxFor(income.salary, income.other);
+  // Without a figure from the user, tax on the salary part is taken as covered by the employer's TDS
+  const tds = settings.expectedTds !== null && settings.expectedTds !== undefined
+    ? settings.expectedTds
+    : (income.salary > 0 ? taxFor(income.salary, 0).totalTax : 0);
+  const netTax = round2(Math.max(0, tax.totalTax - tds));
+
+  // Resident seniors without business income pay no advance tax (section 207)
+  const seniorExempt = settings.age >= 60 && !settings.hasBusinessIncome;
+  const applicable = netTax >= MIN_ADVANCE_TAX && !seniorExempt;
+
+  const payments = await findPayments(tenantId, year);
+  const schedule = settings.presumptive
+    ? ADVANCE_TAX_INSTALLMENTS.filter(entry => entry.installment === 4)
+    : ADVANCE_TAX_INSTALLMENTS;
+
+  let upcomingFound = false;
+  const installments = schedule.map(entry => {
+    const dueDate = installmentDueDate(year, entry.installment);
+    const dueBy = new Date(dueDate.getTime() + DAY_MS);
+    const required = applicable ? round2((netTax * entry.percent) / 100) : 0;
+    const paid = round2(payments.filter(payment => payment.paidOn < dueBy).reduce((sum, payment) => sum + payment.amount, 0));
+    const shortfall = round2(Math.max(0, required - paid));
+    const passed = asOf >= dueBy;
+
+    const interest = applicable && passed && paid < (netTax * entry.reliefPercent) / 100
+      ? Math.round(floorHundred(shortfall) * INTEREST_RATE * entry.interestMonths)
+      : 0;
+
+    let status = 'upcoming';
+    if (shortfall <= 0) status = 'paid';
+    else if (passed) status = 'short';
+    else if (!upcomingFound) status = 'due';
+    if (status === 'due') upcomingFound = true;
+
+    return {
+      installment: entry.installment,
+      dueDate,
+      cumulativePercent: entry.percent,
+      requiredCumulative: required,
+      paidCumulative: paid,
+      amountToPay: shortfall,
+      status,
+      interest234C: interest
+    };
+  });
+
+  const section234C = installments.reduce((sum, entry) => sum + entry.interest234C, 0);
+  const section234B = interest234B(applicable ? netTax : 0, payments, end, asOf);
+
+  return {
+    financialYear: year,
+    asOf,
+    supported: true,
+    regime: settings.regime,
+    settings,
+    income,
+    tax: {
+      totalTax: tax.totalTax,
+      tds: round2(tds),
+      netTax,
+      applicable,
+      reason: applicable
+        ? null
+        : seniorExempt
+          ? 'Senior citizens without business income do not pay advance tax'
+          : `Tax after TDS is under ${formatAmount(MIN_ADVANCE_TAX)}, so no advance tax is due`
+    },
+    installments,
+    payments,
+    totalPaid: round2(payments.reduce((sum, payment) => sum + payment.amount, 0)),
+    interest: {
+      section234B,
+      section234C,
+      total: section234B.interest + section234C
+    },
+    nextInstallment: installments.find(entry => entry.status === 'due') || null
+  };
+};
+
+// Record an advance tax (or, with no installment, self-assessment tax) payment as a paid Income Tax record
+export const recordAdvanceTaxPayment = async (tenantId, userId, { amount, date, financialYear, installment, challanNumber, bankName }) => {
+  const value = parseFloat(amount);
+  if (!(value > 0)) throw new Error('Amount must be greater than 0');
+
+  const paidOn = date ? new Date(date) : new Date();
+  if (isNaN(paidOn)) throw new Error('Invalid payment date');
+
+  const year = financialYear || financialYearOf(paidOn);
+  if (!/^\d{4}-\d{2}$/.test(year)) throw new Error('Financial year must look like 2025-26');
+
+  const number = installment ? parseInt(installment) : null;
+  if (number !== null && !ADVANCE_TAX_INSTALLMENTS.some(entry => entry.installment === number)) {
+    throw new Error('Installment must be 1, 2, 3 or 4');
+  }
+
+  const dueDate = number ? installmentDueDate(year, number) : paidOn;
+  return Tax.create({
+    tenantId,
+    createdBy: userId,
+    taxType: 'Income Tax',
+    amount: value,
+    date: paidOn,
+    dueDate,
+    status: 'paid',
+    formType: 'Challan 280',
+    taxPeriod: `FY ${year}`,
+    description: number ? `Advance tax - installment ${number}` : 'Self-assessment tax',
+    priority: 'high',
+    advanceTax: { financialYear: year, installment: number },
+    paymentDetails: {
+      paymentDate: paidOn,
+      paymentMethod: 'Online',
+      challanNumber,
+      bankName
+    }
+  });
+};
+
+// Notify once when an installment is a week away and once when the latest one was missed
+export const checkAdvanceTaxReminders = async (tenantId, { asOf = new Date() } = {}) => {
+  const settings = await readSettings(tenantId);
+  if (!settings.remindersEnabled) return { notifications: 0 };
+
+  const plan = await getAdvanceTaxPlan(tenantId, { asOf });
+  if (!plan.supported || !plan.tax.applicable) return { notifications: 0 };
+
+  const today = startOfDay(asOf);
+  const lastPassed = [...plan.installments].reverse().find(entry => entry.dueDate < today);
+  let created = 0;
+
+  for (const entry of plan.installments) {
+    if (entry.amountToPay <= 0) continue;
+    const daysLeft = Math.round((entry.dueDate - today) / DAY_MS);
+
+    let notification = null;
+    if (entry.status === 'due' && daysLeft <= UPCOMING_REMINDER_DAYS) {
+      notification = {
+        type: 'reminder',
+        title: `Advance tax due ${formatDate(entry.dueDate)} (FY ${plan.financialYear}, installment ${entry.installment})`,
+        message: `Pay ${formatAmount(entry.amountToPay)} through Challan 280 by ${formatDate(entry.dueDate)} ` +
+          `to reach ${entry.cumulativePercent}% of your estimated ${formatAmount(plan.tax.netTax)} tax for the year.`
+      };
+    } else if (entry.status === 'short' && entry === lastPassed) {
+      notification = {
+        type: 'overdue',
+        title: `Advance tax short (FY ${plan.financialYear}, installment ${entry.installment})`,
+        message: `You are ${formatAmount(entry.amountToPay)} short of the ${entry.cumulativePercent}% due on ${formatDate(entry.dueDate)}` +
+          (entry.interest234C > 0 ? `; interest under section 234C is ${formatAmount(entry.interest234C)}` : '') +
+          '. Paying now keeps the shortfall from growing.'
+      };
+    }
+    if (!notification) continue;
+
+    const existing = await Notification.findOne({ tenantId, title: notification.title });
+    if (existing) continue;
+
+    await Notification.create({
+      tenantId,
+      ...notification,
+      scheduledFor: new Date(),
+      sent: true,
+      sentAt: new Date()
+    });
+    created++;
+  }
+
+  return { notifications: created };
+};
+
+// Reminder check for every tenant with income this financial year (cron)
+export const runAdvanceTaxReminders = async (asOf = new Date()) => {
+  const { start } = yearBounds(financialYearOf(asOf));
+  const query = { isDeleted: false, date: { $gte: start } };
+  const [fromTransactions, fromIncomes] = await Promise.all([
+    Transaction.distinct('tenantId', { ...query, type: 'income' }),
+    Income.distinct('tenantId', query)
+  ]);
+  const tenantIds = [...new Set([...fromTransactions, ...fromIncomes].map(String))];
+
+  let notifications = 0;
+  for (const tenantId of tenantIds) {
+    try {
+      const result = await checkAdvanceTaxReminders(tenantId, { asOf });
+      notifications += result.notifications;
+    } catch (error) {
+      console.error('❌ Error in advance tax reminders for tenant ' + tenantId + ':', error.message);
+    }
+  }
+  return { tenants: tenantIds.length, notifications };
+};
+
+export default {
+  ADVANCE_TAX_INSTALLMENTS,
+  installmentDueDate,
+  projectAnnualIncome,
+  saveAdvanceTaxSettings,
+  getAdvanceTaxPlan,
+  recordAdvanceTaxPayment,
+  checkAdvanceTaxReminders,
+  runAdvanceTaxReminders
+};
@@ -0,0 +1,151 @@
+// services/billService.js - recurring bill schedules and paying a bill as a recorded expense
+import Transaction from '../models/Transaction.js';
+import { occurrenceDate } from './recurringService.js';
+import { withAtomicWrites } from './transferService.js';
+import { checkBudgetAlerts } from './budgetService.js';
+
+export const BILL_FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+const MAX_STEPS = 5000;
+
+const dayKey = (date) => new Date(date).toISOString().substring(0, 10);
+
+const isRecurring = (bill) => BILL_FREQUENCIES.includes(bill.frequency);
+
+const scheduleOf = (bill) => ({
+  startDate: bill.seriesStart || bill.dueDate,
+  frequency: bill.frequency,
+  interval: bill.interval || 1
+});
+
+// First due date of a recurring bill after `after` (null for one-off bills or once the series has ended)
+export const nextDueDate = (bill, after = bill.dueDate) => {
+  if (!isRecurring(bill)) return null;
+
+  const schedule = scheduleOf(bill);
+  for (let index = 1; index < MAX_STEPS; index++) {
+    const date = occurrenceDate(schedule, index);
+    if (dayKey(date) <= dayKey(after)) continue;
+    if (bill.endDate && dayKey(date) > dayKey(bill.endDate)) return null;
+    return date;
+  }
+  return null;
+};
+
+// Unpaid due dates of a bill up to `until`: the current one plus any later occurrences of a recurring bill
+export const dueDatesUntil = (bill, until) => {
+  if (bill.paid) return [];
+
+  const dates = [new Date(bill.dueDate)];
+  let next = nextDueDate(bill);
+  while (next && next <= until) {
+    dates.push(next);
+    next = nextDueDate(bill, next);
+  }
+  return dates;
+};
+
+// Pay the bill's current due date: record the expense, link it to the bill and
+// move a recurring bill on to its next due date (one-off bills are just marked paid)
+export const payBill = async (bill, {
+  amount,
+  paidDate,
+  accountId,
+  paymentMode,
+  description,
+  recordTransaction = true
+} = {}) => {
+  if (bill.paid) throw new Error('Bill is already paid');
+
+  const paidAmount = amount !== undefined && amount !== '' ? parseFloat(amount) : bill.amount;
+  if (!(paidAmount >= 0)) throw new Error('Amount must be a positive number');
+
+  const paidAt = paidDate ? new Date(paidDate) : new Date();
+  if (isNaN(paidAt)) throw new Error('Invalid payment date');
+
+  const mode = paymentMode || bill.paymentMode || 'Other';
+  const dueDate = bill.dueDate;
+  const next = nextDueDate(bill);
+
+  const transaction = await withAtomicWrites(async (session) => {
+    let record = null;
+    if (recordTransaction) {
+      [record] = await Transaction.create([{
+        tenantId: bill.tenantId,
+        type: 'expense',
+        amount: paidAmount,
+        category: bill.category,
+        description: description || bill.name,
+        date: paidAt,
+        paymentMode: mode,
+        paymentMethod: mode,
+        accountId: accountId || bill.accountId || null,
+        billId: bill._id,
+        status: 'completed'
+      }], { session });
+    }
+
+    bill.payments.push({ dueDate, paidAt, amount: paidAmount, transactionId: record?._id || null });
+    if (next) {
+      if (!bill.seriesStart) bill.seriesStart = dueDate;
+      bill.dueDate = next;
+      bill.paid = false;
+    } else {
+      bill.paid = true;
+    }
+    bill.notificationSent = false;
+    bill.lastNotificationSent = null;
+    await bill.save({ session });
+
+    return record;
+  });
+
+  if (transaction) {
+    checkBudgetAlerts(bill.tenantId).catch(error => console.error('❌ Error checking budget alerts:', error));
+  }
+
+  return { bill, transaction, nextDueDate: next };
+};
+
+// Undo the latest payment: remove its expense and bring the bill back to the due date that was paid
+export const undoLastPayment = async (bill) => {
+  const payment = bill.payments[bill.payments.length - 1];
+
+  if (!payment) {
+    // Bills marked paid before payments were tracked
+    if (!bill.paid) throw new Error('Bill has no payments to undo');
+    bill.paid = false;
+    await bill.save();
+    return { bill, transaction: null };
+  }
+
+  const transaction = await withAtomicWrites(async (session) => {
+    let record = null;
+    if (payment.transactionId) {
+      record = await Transaction.findOneAndUpdate(
+        { _id: payment.transactionId, tenantId: bill.tenantId, isDeleted: { $ne: true } },
+        { $set: { isDeleted: true, deletedAt: new Date() } },
+        { new: true, session }
+      );
+    }
+
+    bill.dueDate = payment.dueDate;
+    bill.paid = false;
+    bill.notificationSent = false;
+    bill.lastNotificationSent = null;
+    bill.payments.pull(payment._id);
+    await bill.save({ session });
+
+    return record;
+  });
+
+  return { bill, transaction };
+};
+
+export default {
+  BILL_FREQUENCIES,
+  nextDueDate,
+  dueDatesUntil,
+  payBill,
+  undoLastPayment
+};
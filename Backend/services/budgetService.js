@@ -0,0 +1,236 @@
+// services/budgetService.js - budget periods, actual vs budget from transactions, rollover and threshold alerts
+import Budget from '../models/Budget.js';
+import Transaction from '../models/Transaction.js';
+import Notification from '../models/Notification.js';
+
+export const PERIODS = ['monthly', 'quarterly', 'yearly'];
+
+// Percent of the available amount at which a notification is raised
+export const ALERT_THRESHOLDS = [80, 100];
+
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const monthIndex = (date) => new Date(date).getUTCFullYear() * 12 + new Date(date).getUTCMonth();
+const monthStart = (index) => new Date(Date.UTC(Math.floor(index / 12), index % 12, 1));
+const exactMatch = (value) => new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+// Period number `index` of a budget (0 is the period containing startDate)
+const periodAt = (budget, index) => {
+  const size = MONTHS_PER_PERIOD[budget.period];
+  const first = monthIndex(budget.startDate) + index * size;
+  return {
+    index,
+    start: monthStart(first),
+    end: new Date(monthStart(first + size).getTime() - 1)
+  };
+};
+
+// Period of a budget that contains `date` (index is negative before the budget starts)
+export const periodFor = (budget, date = new Date()) => {
+  const size = MONTHS_PER_PERIOD[budget.period];
+  return periodAt(budget, Math.floor((monthIndex(date) - monthIndex(budget.startDate)) / size));
+};
+
+// Expenses counted against a budget; category and tag names match case-insensitively
+const spendFilter = (budget) => {
+  const filter = { tenantId: budget.tenantId, type: 'expense', isDeleted: false };
+  if (budget.scope === 'tag') {
+    filter.tags = exactMatch(budget.tag);
+  } else {
+    filter.category = exactMatch(budget.category);
+    if (budget.subCategory) filter.subCategory = exactMatch(budget.subCategory);
+  }
+  return filter;
+};
+
+// Spend per calendar month (keyed by month index) between two dates
+const monthlySpend = async (budget, start, end) => {
+  const rows = await Transaction.aggregate([
+    { $match: { ...spendFilter(budget), date: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: { year: { $year: '$date' }, month: { $month: '$date' } },
+        total: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id.year * 12 + row._id.month - 1, row]));
+};
+
+const statusOf = (percent) => {
+  if (percent >= 100) return 'exceeded';
+  if (percent >= ALERT_THRESHOLDS[0]) return 'warning';
+  return 'ok';
+};
+
+// Budget vs actual for the periods `fromIndex`..`toIndex`. With rollover the unspent part of every
+// period since the budget started is carried forward, so the history is always computed from period 0
+const buildPeriods = async (budget, fromIndex, toIndex) => {
+  const firstIndex = budget.rollover ? 0 : Math.max(0, fromIndex);
+  if (toIndex < firstIndex) return [];
+
+  const size = MONTHS_PER_PERIOD[budget.period];
+  const spend = await monthlySpend(budget, periodAt(budget, firstIndex).start, periodAt(budget, toIndex).end);
+
+  const periods = [];
+  let carry = 0;
+  for (let index = firstIndex; index <= toIndex; index++) {
+    const period = periodAt(budget, index);
+    let spent = 0;
+    let count = 0;
+    for (let month = monthIndex(period.start); month < monthIndex(period.start) + size; month++) {
+      spent += spend.get(month)?.total || 0;
+      count += spend.get(month)?.count || 0;
+    }
+
+    const available = budget.amount + carry;
+    const percent = available > 0 ? (spent / available) * 100 : (spent > 0 ? 100 : 0);
+    carry = budget.rollover ? Math.max(0, available - spent) : 0;
+
+    if (index >= fromIndex) {
+      periods.push({
+        periodStart: period.start,
+        periodEnd: period.end,
+        budget: round2(budget.amount),
+        rolledOver: round2(available - budget.amount),
+        available: round2(available),
+        spent: round2(spent),
+        remaining: round2(available - spent),
+        percent: round2(percent),
+        transactionCount: count,
+        status: statusOf(percent)
+      });
+    }
+  }
+  return periods;
+};
+
+const describe = (budget) => ({
+  budgetId: budget._id,
+  name: budget.name || (budget.scope === 'tag' ? `#${budget.tag}` : [budget.category, budget.subCategory].filter(Boolean).join(' / ')),
+  scope: budget.scope,
+  category: budget.category,
+  subCategory: budget.subCategory,
+  tag: budget.tag,
+  period: budget.period,
+  rollover: budget.rollover
+});
+
+// Current period of one budget, or null when the budget has not started yet
+export const getBudgetStatus = async (budget, date = new Date()) => {
+  const { index } = periodFor(budget, date);
+  if (index < 0) return null;
+
+  const [current] = await buildPeriods(budget, index, index);
+  return { ...describe(budget), ...current };
+};
+
+// Previous `periods` periods of a budget, oldest first
+export const getBudgetHistory = async (budget, { periods = 6, date = new Date() } = {}) => {
+  const { index } = periodFor(budget, date);
+  return {
+    ...describe(budget),
+    periods: await buildPeriods(budget, index - periods + 1, index)
+  };
+};
+
+// Actual vs budget for all of a tenant's active budgets in the period containing `date`
+export const getBudgetVsActual = async (tenantId, { date = new Date() } = {}) => {
+  const budgets = await Budget.find({ tenantId, isActive: true }).sort({ period: 1, name: 1 });
+  const items = (await Promise.all(budgets.map(budget => getBudgetStatus(budget, date)))).filter(Boolean);
+
+  // Totals per period length; monthly and yearly budgets are not added together
+  const totals = {};
+  for (const item of items) {
+    const total = totals[item.period] || (totals[item.period] = { budget: 0, available: 0, spent: 0, remaining: 0, count: 0 });
+    total.budget = round2(total.budget + item.budget);
+    total.available = round2(total.available + item.available);
+    total.spent = round2(total.spent + item.spent);
+    total.remaining = round2(total.remaining + item.remaining);
+    total.count++;
+  }
+
+  return {
+    date,
+    items: items.sort((a, b) => b.percent - a.percent),
+    totals,
+    counts: {
+      ok: items.filter(item => item.status === 'ok').length,
+      warning: items.filter(item => item.status === 'warning').length,
+      exceeded: items.filter(item => item.status === 'exceeded').length
+    }
+  };
+};
+
+// Raise a notification the first time a budget crosses 80% / 100% in a period
+export const checkBudgetAlerts = async (tenantId, { date = new Date() } = {}) => {
+  const { items } = await getBudgetVsActual(tenantId, { date });
+  let created = 0;
+
+  for (const item of items) {
+    const budget = await Budget.findById(item.budgetId);
+    if (!budget) continue;
+
+    const periodKey = item.periodStart.getTime();
+    const alreadySent = new Set(
+      budget.alertsSent
+        .filter(alert => alert.periodStart.getTime() === periodKey)
+        .map(alert => alert.threshold)
+    );
+    const crossed = ALERT_THRESHOLDS.filter(threshold => item.percent >= threshold && !alreadySent.has(threshold));
+    if (crossed.length === 0) continue;
+
+    // Only the highest new threshold is notified when several are crossed at once
+    const threshold = Math.max(...crossed);
+    const exceeded = threshold >= 100;
+    await Notification.create({
+      tenantId,
+      budgetId: budget._id,
+      type: 'budget',
+      title: exceeded ? `Budget exceeded: ${item.name}` : `Budget ${threshold}% used: ${item.name}`,
+      message: `You have spent ₹${item.spent} of your ${item.period} budget of ₹${item.available} for ${item.name}` +
+        (exceeded ? ` (₹${round2(-item.remaining)} over).` : ` (₹${item.remaining} left).`),
+      scheduledFor: new Date(),
+      sent: true,
+      sentAt: new Date()
+    });
+    created++;
+
+    // Keep only this period's alerts
+    budget.alertsSent = [
+      ...budget.alertsSent.filter(alert => alert.periodStart.getTime() === periodKey),
+      ...crossed.map(value => ({ periodStart: item.periodStart, threshold: value }))
+    ];
+    await budget.save();
+  }
+
+  return { budgets: items.length, notifications: created };
+};
+
+// Alert check for every tenant with an active budget (cron)
+export const runBudgetAlerts = async (date = new Date()) => {
+  const tenantIds = await Budget.distinct('tenantId', { isActive: true });
+  let notifications = 0;
+  for (const tenantId of tenantIds) {
+    try {
+      const result = await checkBudgetAlerts(tenantId, { date });
+      notifications += result.notifications;
+    } catch (error) {
+      console.error('❌ Error in budget alerts for tenant ' + tenantId + ':', error.message);
+    }
+  }
+  return { tenants: tenantIds.length, notifications };
+};
+
+export default {
+  PERIODS,
+  ALERT_THRESHOLDS,
+  periodFor,
+  getBudgetStatus,
+  getBudgetHistory,
+  getBudgetVsActual,
+  checkBudgetAlerts,
+  runBudgetAlerts
+};
@@ -0,0 +1,333 @@
+// services/categorizationService.js - per-tenant rule engine for transaction categorization
+import CategoryRule from '../models/CategoryRule.js';
+import Transaction from '../models/Transaction.js';
+
+// Built-in fallback rules, used for imports when no tenant rule sets a field. They keep the keywords
+// and order of the import's former detectCategory/detectPaymentMode helpers (cash, then bank transfer,
+// then card, then wallet). Keywords added since then (food delivery, cab and rail brands, bank transfer
+// rails) are whole words only, so "ola" does not match "Coca-Cola". Tenants can copy these into their own
+// rule set and edit them.
+export const DEFAULT_RULES = [
+  { name: 'Food & groceries', conditions: { transactionType: 'expense', descriptionRegex: 'food|restaurant|grocery|coffee|\\bswiggy\\b|\\bzomato\\b' }, actions: { category: 'Food' } },
+  { name: 'Travel & commuting', conditions: { transactionType: 'expense', descriptionRegex: 'travel|fuel|transport|uber|\\bola\\b|\\birctc\\b' }, actions: { category: 'Travel & Commuting' } },
+  { name: 'Clothing', conditions: { transactionType: 'expense', descriptionRegex: 'shopping|clothing|saree|jeans' }, actions: { category: 'Clothing' } },
+  { name: 'Operating expenses', conditions: { transactionType: 'expense', descriptionRegex: 'salary|employee|rent|utility' }, actions: { category: 'Operating Expenses' } },
+  { name: 'Non-operating expenses', conditions: { transactionType: 'expense', descriptionRegex: 'loan|interest|tax' }, actions: { category: 'Non-Operating Expenses' } },
+  { name: 'Card / POS', conditions: { transactionType: 'expense', descriptionRegex: 'pos|card|payment' }, actions: { category: 'POS' } },
+  { name: 'Cash payment mode', conditions: { descriptionRegex: 'cash|atm' }, actions: { paymentMode: 'Cash' }, stopProcessing: false },
+  { name: 'Bank transfer payment mode', conditions: { descriptionRegex: 'transfer|bank|upi|\\bneft\\b|\\bimps\\b|\\brtgs\\b' }, actions: { paymentMode: 'Bank Transfer' }, stopProcessing: false },
+  { name: 'Card payment mode', conditions: { descriptionRegex: 'card|debit|credit' }, actions: { paymentMode: 'Card' }, stopProcessing: false },
+  { name: 'Wallet payment mode', conditions: { descriptionRegex: 'gpay|phonepe|paytm' }, actions: { paymentMode: 'GPay' }, stopProcessing: false }
+].map((rule, index) => ({ priority: 1000 + index, stopProcessing: false, ...rule, isDefault: true }));
+
+export const MAX_PATTERN_LENGTH = 200;
+const MAX_CACHED_PATTERNS = 500;
+
+const patternCache = new Map();
+
+// Why a description pattern is unsafe to run on every import, or null. Patterns run on the single request
+// thread, so ones that can backtrack exponentially - a repeated group that itself repeats or alternates,
+// like (a+)+ or (a|aa)* - and backreferences are refused along with very long ones
+export const unsafePatternReason = (pattern) => {
+  const text = String(pattern || '');
+  if (text.length > MAX_PATTERN_LENGTH) return `Description pattern is longer than ${MAX_PATTERN_LENGTH} characters`;
+  if (/\\[1-9]|\\k</.test(text)) return 'Description pattern cannot use backreferences';
+
+  const groups = [{ repeats: false, alternates: false }];
+  let inClass = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '\\') {
+      index++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+
+    const current = groups[groups.length - 1];
+    const next = text[index + 1];
+    const repeated = next === '*' || next === '+' || next === '{';
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (repeated && (group.repeats || group.alternates)) {
+        return 'Description pattern repeats a group that itself repeats or alternates, which can hang matching';
+      }
+      if (group.repeats || repeated) groups[groups.length - 1].repeats = true;
+    } else if (char === '|') {
+      current.alternates = true;
+    } else if (char === '*' || char === '+' || char === '{') {
+      current.repeats = true;
+    }
+  }
+  return null;
+};
+
+// Helper function to compile (and cache) a rule's description pattern. Unsafe or invalid patterns saved before
+// validation existed never match; the cache drops its oldest entries once it is full
+const compilePattern = (pattern) => {
+  if (!patternCache.has(pattern)) {
+    let compiled = null;
+    if (!unsafePatternReason(pattern)) {
+      try {
+        compiled = new RegExp(pattern, 'i');
+      } catch (error) {
+        compiled = null;
+      }
+    }
+    if (patternCache.size >= MAX_CACHED_PATTERNS) {
+      patternCache.delete(patternCache.keys().next().value);
+    }
+    patternCache.set(pattern, compiled);
+  }
+  return patternCache.get(pattern);
+};
+
+const containsText = (haystack, needle) =>
+  String(haystack || '').toLowerCase().includes(String(needle).toLowerCase());
+
+// Check a single rule against a transaction-like object
+export const matchesRule = (rule, transaction) => {
+  const conditions = rule.conditions || {};
+  const type = String(transaction.type || '').toLowerCase();
+  const amount = Number(transaction.amount) || 0;
+
+  if (conditions.transactionType && conditions.transactionType !== 'any' && conditions.transactionType !== type) {
+    return false;
+  }
+
+  if (conditions.descriptionRegex) {
+    const pattern = compilePattern(conditions.descriptionRegex);
+    if (!pattern || !pattern.test(transaction.description || '')) return false;
+  }
+
+  if (conditions.vendor && !containsText(transaction.vendor, conditions.vendor)) {
+    return false;
+  }
+
+  if (conditions.minAmount !== null && conditions.minAmount !== undefined && amount < conditions.minAmount) {
+    return false;
+  }
+
+  if (conditions.maxAmount !== null && conditions.maxAmount !== undefined && amount > conditions.maxAmount) {
+    return false;
+  }
+
+  if (conditions.account &&
+      !containsText(transaction.accountNumber, conditions.account) &&
+      !containsText(transaction.bankName, conditions.account)) {
+    return false;
+  }
+
+  if (conditions.paymentMode &&
+      String(transaction.paymentMode || transaction.paymentMethod || '').toLowerCase() !== conditions.paymentMode.toLowerCase()) {
+    return false;
+  }
+
+  return true;
+};
+
+// Apply an ordered rule list. Earlier rules win; fields the transaction already has are kept
+// unless overwrite is set. Tags are always unioned.
+export const applyRules = (transaction, rules, { overwrite = false } = {}) => {
+  const changes = {};
+  const matchedRules = [];
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, transaction)) continue;
+
+    const actions = rule.actions || {};
+    let applied = false;
+
+    for (const field of ['category', 'subCategory', 'paymentMode']) {
+      if (actions[field] && changes[field] === undefined && (overwrite || !transaction[field])) {
+        changes[field] = actions[field];
+        applied = true;
+      }
+    }
+
+    if (actions.projectId && changes.projectId === undefined && (overwrite || !transaction.projectId)) {
+      changes.projectId = actions.projectId;
+      applied = true;
+    }
+
+    if (actions.tags?.length) {
+      const existing = changes.tags || transaction.tags || [];
+      const merged = [...new Set([...existing, ...actions.tags])];
+      if (merged.length !== existing.length) {
+        changes.tags = merged;
+        applied = true;
+      }
+    }
+
+    if (applied) {
+      matchedRules.push(rule);
+      if (!changes.categoryRuleId && rule._id) {
+        changes.categoryRuleId = rule._id;
+      }
+    }
+
+    if (rule.stopProcessing !== false) break;
+  }
+
+  return { changes, matchedRules };
+};
+
+// Active tenant rules in priority order
+export const loadRules = (tenantId) =>
+  CategoryRule.find({ tenantId, isActive: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+
+// Load the tenant's rules once and return a categorizer for a batch of transactions.
+// Order: tenant rules, then the optional suggest(transaction) hook, then built-in defaults.
+export const createCategorizer = async (tenantId, { useDefaults = false, suggest = null } = {}) => {
+  const rules = await loadRules(tenantId);
+  const matchCounts = new Map();
+
+  const categorize = (transaction, options = {}) => {
+    const result = applyRules(transaction, rules, options);
+    if (result.changes.category) result.changes.categorySource = 'rule';
+
+    if (suggest && !transaction.category && !result.changes.category) {
+      const suggestion = suggest({ ...transaction, ...result.changes });
+      if (suggestion) {
+        result.changes.category = suggestion.category;
+        result.changes.categorySource = 'suggestion';
+        if (suggestion.subCategory && !transaction.subCategory && !result.changes.subCategory) {
+          result.changes.subCategory = suggestion.subCategory;
+        }
+        result.suggestion = suggestion;
+      }
+    }
+
+    if (useDefaults) {
+      const fallback = applyRules({ ...transaction, ...result.changes }, DEFAULT_RULES, { overwrite: false });
+      if (fallback.changes.category) fallback.changes.categorySource = 'default';
+      result.changes = { ...fallback.changes, ...result.changes };
+      delete result.changes.categoryRuleId;
+      if (result.matchedRules[0]?._id) result.changes.categoryRuleId = result.matchedRules[0]._id;
+      result.matchedRules = [...result.matchedRules, ...fallback.matchedRules];
+    }
+
+    result.matchedRules
+      .filter(rule => rule._id)
+      .forEach(rule => matchCounts.set(String(rule._id), (matchCounts.get(String(rule._id)) || 0) + 1));
+
+    return result;
+  };
+
+  // Persist match statistics gathered during the batch
+  const recordMatches = async () => {
+    if (!matchCounts.size) return;
+    const now = new Date();
+    await CategoryRule.bulkWrite([...matchCounts.entries()].map(([id, count]) => ({
+      updateOne: {
+        filter: { _id: id, tenantId },
+        update: { $inc: { matchCount: count }, $set: { lastMatchedAt: now } }
+      }
+    })));
+    matchCounts.clear();
+  };
+
+  return { rules, categorize, recordMatches };
+};
+
+// Dry-run a rule definition against the tenant's recent transactions without saving anything
+export const testRule = async (tenantId, rule, { days = 90, sampleSize = 50 } = {}) => {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const transactions = await Transaction.find({
+    tenantId,
+    isDeleted: false,
+    date: { $gte: since }
+  }).sort({ date: -1 }).lean();
+
+  const matches = [];
+  let wouldChange = 0;
+
+  for (const transaction of transactions) {
+    if (!matchesRule(rule, transaction)) continue;
+
+    const { changes } = applyRules(transaction, [{ ...rule, stopProcessing: true }], { overwrite: true });
+    delete changes.categoryRuleId;
+    const changed = Object.entries(changes).some(([field, value]) =>
+      JSON.stringify(value) !== JSON.stringify(transaction[field]));
+    if (changed) wouldChange++;
+
+    matches.push({
+      _id: transaction._id,
+      date: transaction.date,
+      description: transaction.description,
+      amount: transaction.amount,
+      type: transaction.type,
+      current: {
+        category: transaction.category,
+        subCategory: transaction.subCategory,
+        paymentMode: transaction.paymentMode,
+        tags: transaction.tags
+      },
+      proposed: changes,
+      changed
+    });
+  }
+
+  return {
+    days,
+    scanned: transactions.length,
+    matched: matches.length,
+    wouldChange,
+    samples: matches.slice(0, sampleSize)
+  };
+};
+
+// Re-run the tenant's rules over existing transactions
+export const reapplyRules = async (tenantId, { startDate, endDate, overwrite = false, importedOnly = false } = {}) => {
+  const categorizer = await createCategorizer(tenantId);
+
+  const query = { tenantId, isDeleted: false };
+  if (importedOnly) query.imported = true;
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  let scanned = 0;
+  let updated = 0;
+  const cursor = Transaction.find(query).lean().cursor();
+
+  for await (const transaction of cursor) {
+    scanned++;
+    const { changes } = categorizer.categorize(transaction, { overwrite });
+    const changed = Object.entries(changes).some(([field, value]) =>
+      JSON.stringify(value) !== JSON.stringify(transaction[field]));
+
+    if (changed) {
+      await Transaction.updateOne({ _id: transaction._id, tenantId }, { $set: changes });
+      updated++;
+    }
+  }
+
+  await categorizer.recordMatches();
+
+  return { scanned, updated, rulesApplied: categorizer.rules.length };
+};
+
+export default {
+  MAX_PATTERN_LENGTH,
+  unsafePatternReason,
+  DEFAULT_RULES,
+  matchesRule,
+  applyRules,
+  loadRules,
+  createCategorizer,
+  testRule,
+  reapplyRules
+};
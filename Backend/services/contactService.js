@@ -0,0 +1,426 @@
+// services/contactService.js - people behind borrow/lend records: matching free-text names, net positions, timelines and settle-ups
+import Contact from '../models/Contact.js';
+import MoneyTransaction from '../models/moneyTransaction.js';
+import { descriptionSimilarity } from './duplicateService.js';
+import { refreshBalance, accrueInterest } from './moneyService.js';
+import { withAtomicWrites } from './transferService.js';
+
+const OPEN_STATUSES = ['pending', 'overdue'];
+
+const NAME_TITLES = /\b(mr|mrs|ms|miss|dr|shri|sri|smt|kumari)\b/g;
+
+// Names at least this similar are suggested as possible duplicates (never merged automatically)
+const SIMILAR_NAME = 0.8;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const normalizeName = (name = '') => {
+  const lower = String(name).toLowerCase();
+  const key = lower
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(NAME_TITLES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return key || lower.trim();
+};
+
+// Last 10 digits, so +91 / leading 0 variants of the same number match
+export const normalizePhone = (phone = '') => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 6 ? digits.slice(-10) : '';
+};
+
+const normalizeEmail = (email = '') => String(email || '').trim().toLowerCase();
+
+// Existing contact for a person: same email, then same phone, then the same name or a known alias. A name
+// alone only matches when the email and phone given are empty or the contact's own; otherwise two people
+// sharing a name would become one, so a new contact is made and listed by findDuplicateContacts instead
+export const findMatchingContact = async (tenantId, { name, email, phone }) => {
+  const emailKey = normalizeEmail(email);
+  if (emailKey) {
+    const byEmail = await Contact.findOne({ tenantId, email: emailKey });
+    if (byEmail) return byEmail;
+  }
+
+  const phoneKey = normalizePhone(phone);
+  if (phoneKey) {
+    const byPhone = await Contact.findOne({ tenantId, phone: phoneKey });
+    if (byPhone) return byPhone;
+  }
+
+  const nameKey = normalizeName(name);
+  if (!nameKey) return null;
+  const byName = await Contact.find({ tenantId, $or: [{ normalizedName: nameKey }, { aliases: nameKey }] })
+    .sort({ createdAt: 1 });
+  return byName.find(contact =>
+    (!emailKey || emailKey === contact.email) && (!phoneKey || phoneKey === contact.phone)) || null;
+};
+
+// Match a person to a contact (filling in missing email/phone and remembering new spellings) or create one
+export const findOrCreateContact = async (tenantId, { name, email, phone }) => {
+  const emailKey = normalizeEmail(email);
+  const phoneKey = normalizePhone(phone);
+  const nameKey = normalizeName(name);
+
+  const contact = await findMatchingContact(tenantId, { name, email, phone });
+  if (!contact) {
+    return Contact.create({
+      tenantId,
+      name: String(name).trim(),
+      normalizedName: nameKey,
+      email: emailKey,
+      phone: phoneKey
+    });
+  }
+
+  if (emailKey && !contact.email) contact.email = emailKey;
+  if (phoneKey && !contact.phone) contact.phone = phoneKey;
+  if (nameKey && nameKey !== contact.normalizedName && !contact.aliases.includes(nameKey)) {
+    contact.aliases.push(nameKey);
+  }
+  if (contact.isModified()) await contact.save();
+  return contact;
+};
+
+// Link borrow/lend records created before contacts existed (or without a contact) to their person
+export const syncContacts = async (tenantId) => {
+  const records = await MoneyTransaction.find({ tenantId, isDeleted: false, contactId: null })
+    .select('personName personEmail personPhone')
+    .sort({ createdAt: 1 });
+  const before = await Contact.countDocuments({ tenantId });
+
+  for (const record of records) {
+    const contact = await findOrCreateContact(tenantId, {
+      name: record.personName,
+      email: record.personEmail,
+      phone: record.personPhone
+    });
+    await MoneyTransaction.updateOne({ _id: record._id }, { $set: { contactId: contact._id } });
+  }
+
+  const after = await Contact.countDocuments({ tenantId });
+  return { linked: records.length, created: after - before };
+};
+
+// Net position over a person's records; outstanding amounts include interest accrued to today
+const positionOf = (records) => {
+  const open = records.filter(record => OPEN_STATUSES.includes(record.status));
+  const theyOwe = round2(open.filter(record => record.type === 'lend').reduce((sum, record) => sum + record.outstandingAmount, 0));
+  const iOwe = round2(open.filter(record => record.type === 'borrow').reduce((sum, record) => sum + record.outstandingAmount, 0));
+  const net = round2(theyOwe - iOwe);
+  const counted = records.filter(record => record.status !== 'cancelled');
+
+  return {
+    theyOwe,
+    iOwe,
+    net,
+    position: net > 0 ? 'they_owe_me' : net < 0 ? 'i_owe_them' : 'settled',
+    openRecords: open.length,
+    overdueRecords: open.filter(record => record.status === 'overdue').length,
+    totalLent: round2(counted.filter(record => record.type === 'lend').reduce((sum, record) => sum + record.amount, 0)),
+    totalBorrowed: round2(counted.filter(record => record.type === 'borrow').reduce((sum, record) => sum + record.amount, 0))
+  };
+};
+
+const recordsOf = (tenantId, contactIds, { lean = true } = {}) => {
+  const query = MoneyTransaction.find({ tenantId, isDeleted: false, contactId: { $in: contactIds } });
+  return lean ? query.lean() : query;
+};
+
+export const listContacts = async (tenantId, { search } = {}) => {
+  const filter = { tenantId };
+  if (search) {
+    const key = normalizeName(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.$or = [{ normalizedName: new RegExp(key) }, { aliases: new RegExp(key) }];
+  }
+
+  const contacts = await Contact.find(filter).select('-settlements').sort({ name: 1 }).lean();
+  const records = await recordsOf(tenantId, contacts.map(contact => contact._id));
+  records.forEach(record => refreshBalance(record));
+
+  const byContact = new Map();
+  records.forEach(record => {
+    const key = String(record.contactId);
+    if (!byContact.has(key)) byContact.set(key, []);
+    byContact.get(key).push(record);
+  });
+
+  const items = contacts.map(contact => {
+    const own = byContact.get(String(contact._id)) || [];
+    const lastActivity = own.reduce((latest, record) => {
+      const dates = [record.transactionDate, ...(record.repayments || []).map(repayment => repayment.date)];
+      return dates.reduce((max, date) => (date && new Date(date) > max ? new Date(date) : max), latest);
+    }, new Date(0));
+    return {
+      ...contact,
+      ...positionOf(own),
+      recordCount: own.length,
+      lastActivity: own.length > 0 ? lastActivity : null
+    };
+  }).sort((a, b) => Math.abs(b.net) - Math.abs(a.net) || a.name.localeCompare(b.name));
+
+  return {
+    contacts: items,
+    totals: {
+      theyOwe: round2(items.reduce((sum, item) => sum + item.theyOwe, 0)),
+      iOwe: round2(items.reduce((sum, item) => sum + item.iOwe, 0)),
+      net: round2(items.reduce((sum, item) => sum + item.net, 0))
+    }
+  };
+};
+
+export const getContactPosition = async (contact) => {
+  const records = await recordsOf(contact.tenantId, [contact._id]);
+  records.forEach(record => refreshBalance(record));
+  return positionOf(records);
+};
+
+// Everything that happened with the person, oldest first, with a running balance (positive: they owe me)
+export const getContactTimeline = async (contact) => {
+  const records = await recordsOf(contact.tenantId, [contact._id]);
+  const asOf = new Date();
+  const events = [];
+
+  records.forEach(record => {
+    refreshBalance(record, asOf);
+    const lend = record.type === 'lend';
+    const cancelled = record.status === 'cancelled';
+    const sign = cancelled ? 0 : lend ? 1 : -1;
+
+    events.push({
+      date: record.transactionDate || record.createdAt,
+      kind: lend ? 'lent' : 'borrowed',
+      transactionId: record._id,
+      amount: record.amount,
+      description: record.purpose,
+      status: record.status,
+      effect: sign * record.amount
+    });
+
+    (record.repayments || []).forEach(repayment => {
+      events.push({
+        date: repayment.date,
+        kind: lend ? 'repayment_received' : 'repayment_made',
+        transactionId: record._id,
+        repaymentId: repayment._id,
+        settlementId: repayment.settlementId || null,
+        amount: repayment.amount,
+        description: repayment.note || repayment.method,
+        effect: -sign * repayment.amount
+      });
+    });
+
+    const { interestAccrued } = accrueInterest(record, asOf);
+    if (interestAccrued > 0) {
+      events.push({
+        date: asOf,
+        kind: lend ? 'interest_earned' : 'interest_owed',
+        transactionId: record._id,
+        amount: interestAccrued,
+        description: `${record.interest.rate}% ${record.interest.type} interest to date`,
+        effect: sign * interestAccrued
+      });
+    }
+
+    if (record.status === 'completed' && record.completedAt) {
+      events.push({
+        date: record.completedAt,
+        kind: 'completed',
+        transactionId: record._id,
+        amount: 0,
+        description: record.purpose,
+        effect: 0
+      });
+    }
+  });
+
+  (contact.settlements || []).forEach(settlement => {
+    events.push({
+      date: settlement.date,
+      kind: 'settle_up',
+      settlementId: settlement._id,
+      amount: settlement.amount,
+      description: settlement.note || `Settled ${settlement.allocations.length} records`,
+      effect: 0
+    });
+  });
+
+  events.sort((a, b) => new Date(a.date) - new Date(b.date));
+  let balance = 0;
+  events.forEach(event => {
+    balance = round2(balance + event.effect);
+    event.balance = balance;
+  });
+
+  return { position: positionOf(records), events };
+};
+
+// Settle several open records with one payment. Amounts owed both ways are first set off against each
+// other; the payment (default: the whole net balance) then clears the larger side, oldest due first
+export const settleUp = async (contact, { amount, method = 'Cash', note } = {}) => {
+  const records = await recordsOf(contact.tenantId, [contact._id], { lean: false })
+    .where('status').in(OPEN_STATUSES)
+    .sort({ dueDate: 1 });
+  records.forEach(record => refreshBalance(record));
+
+  const lends = records.filter(record => record.type === 'lend');
+  const borrows = records.filter(record => record.type === 'borrow');
+  const { theyOwe, iOwe, net } = positionOf(records);
+  if (theyOwe <= 0 && iOwe <= 0) throw new Error('Nothing to settle with this contact');
+
+  const due = Math.abs(net);
+  const cash = amount === undefined || amount === '' ? due : round2(parseFloat(amount));
+  if (!(cash >= 0)) throw new Error('Amount must be a positive number');
+  if (cash > due + 0.01) throw new Error(`Settle-up is more than the ₹${due} net balance`);
+
+  const offset = round2(Math.min(theyOwe, iOwe));
+  if (cash === 0 && offset === 0) throw new Error('Nothing to settle with this contact');
+
+  const settlement = contact.settlements.create({
+    amount: cash,
+    direction: cash > 0 ? (net > 0 ? 'received' : 'paid') : 'none',
+    offsetAmount: offset,
+    date: new Date(),
+    method,
+    note
+  });
+
+  const touched = new Set();
+  const allocate = (list, total, kind) => {
+    let left = total;
+    for (const record of list) {
+      if (left <= 0) break;
+      const take = round2(Math.min(left, record.outstandingAmount));
+      if (take <= 0) continue;
+      record.repayments.push({
+        amount: take,
+        date: settlement.date,
+        method: kind === 'set_off' ? 'Set-off' : method,
+        note: note || 'Settle-up',
+        settlementId: settlement._id
+      });
+      refreshBalance(record);
+      settlement.allocations.push({ transactionId: record._id, amount: take, kind });
+      touched.add(record);
+      left = round2(left - take);
+    }
+  };
+
+  allocate(lends, offset, 'set_off');
+  allocate(borrows, offset, 'set_off');
+  allocate(net > 0 ? lends : borrows, cash, 'payment');
+
+  contact.settlements.push(settlement);
+  await withAtomicWrites(async (session) => {
+    for (const record of touched) await record.save({ session });
+    await contact.save({ session });
+  });
+
+  return {
+    settlement: contact.settlements.id(settlement._id),
+    position: positionOf(records),
+    records: [...touched]
+  };
+};
+
+// Reverse a settle-up: its repayments are removed from every record it touched
+export const undoSettlement = async (contact, settlementId) => {
+  const settlement = contact.settlements.id(settlementId);
+  if (!settlement) throw new Error('Settlement not found');
+
+  const records = await MoneyTransaction.find({
+    tenantId: contact.tenantId,
+    _id: { $in: settlement.allocations.map(allocation => allocation.transactionId) }
+  });
+
+  records.forEach(record => {
+    record.repayments = record.repayments.filter(repayment => String(repayment.settlementId) !== String(settlement._id));
+    refreshBalance(record);
+  });
+  contact.settlements.pull(settlement._id);
+
+  await withAtomicWrites(async (session) => {
+    for (const record of records) await record.save({ session });
+    await contact.save({ session });
+  });
+
+  return { contact, records };
+};
+
+// Pairs of contacts that look like the same person
+export const findDuplicateContacts = async (tenantId) => {
+  const contacts = await Contact.find({ tenantId }).select('-settlements').sort({ createdAt: 1 }).lean();
+  const pairs = [];
+
+  for (let i = 0; i < contacts.length; i++) {
+    for (let j = i + 1; j < contacts.length; j++) {
+      const a = contacts[i];
+      const b = contacts[j];
+      const reasons = [];
+      if (a.email && a.email === b.email) reasons.push('same email');
+      if (a.phone && a.phone === b.phone) reasons.push('same phone');
+
+      const names = [a.normalizedName, ...(a.aliases || [])];
+      const otherNames = [b.normalizedName, ...(b.aliases || [])];
+      const score = Math.max(...names.flatMap(name => otherNames.map(other => descriptionSimilarity(name, other))));
+      const sameFirstName = a.normalizedName.split(' ')[0] === b.normalizedName.split(' ')[0] &&
+        (!a.normalizedName.includes(' ') || !b.normalizedName.includes(' '));
+      if (score >= SIMILAR_NAME) reasons.push('similar name');
+      else if (sameFirstName) reasons.push('same first name');
+
+      if (reasons.length > 0) {
+        pairs.push({ contacts: [a, b], reasons, nameSimilarity: round2(score) });
+      }
+    }
+  }
+
+  return pairs.sort((a, b) => b.reasons.length - a.reasons.length || b.nameSimilarity - a.nameSimilarity);
+};
+
+// Fold other contacts into `target`: their records, names, details and settle-ups move over
+export const mergeContacts = async (target, sourceIds = []) => {
+  const sources = await Contact.find({
+    tenantId: target.tenantId,
+    _id: { $in: sourceIds, $ne: target._id }
+  });
+  if (sources.length === 0) throw new Error('No contacts to merge');
+
+  sources.forEach(source => {
+    [source.normalizedName, ...source.aliases].forEach(name => {
+      if (name !== target.normalizedName && !target.aliases.includes(name)) target.aliases.push(name);
+    });
+    if (!target.email && source.email) target.email = source.email;
+    if (!target.phone && source.phone) target.phone = source.phone;
+    if (source.notes) target.notes = [target.notes, source.notes].filter(Boolean).join('\n');
+    source.settlements.forEach(settlement => target.settlements.push(settlement.toObject()));
+  });
+
+  const ids = sources.map(source => source._id);
+  const moved = await withAtomicWrites(async (session) => {
+    const result = await MoneyTransaction.updateMany(
+      { tenantId: target.tenantId, contactId: { $in: ids } },
+      { $set: { contactId: target._id } },
+      { session }
+    );
+    await Contact.deleteMany({ tenantId: target.tenantId, _id: { $in: ids } }, { session });
+    await target.save({ session });
+    return result.modifiedCount;
+  });
+
+  return { contact: target, merged: sources.length, recordsMoved: moved };
+};
+
+export default {
+  normalizeName,
+  normalizePhone,
+  findMatchingContact,
+  findOrCreateContact,
+  syncContacts,
+  listContacts,
+  getContactPosition,
+  getContactTimeline,
+  settleUp,
+  undoSettlement,
+  findDuplicateContacts,
+  mergeContacts
+};
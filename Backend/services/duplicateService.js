@@ -0,0 +1,250 @@
+// services/duplicateService.js - fuzzy duplicate detection and merging for transactions
+import Transaction from '../models/Transaction.js';
+import { withAtomicWrites } from './transferService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Without a start date the scan covers the last year rather than the tenant's whole history
+const DEFAULT_SCAN_DAYS = 365;
+
+// Helper function to reduce "UPI/123/SWIGGY" and "UPI-123-Swiggy" to the same text
+export const normalizeDescription = (text = '') => String(text)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Helper function to build character bigrams of a compacted string
+const bigrams = (text) => {
+  const compact = text.replace(/\s/g, '');
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.substring(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Dice coefficient over character bigrams (0..1)
+export const descriptionSimilarity = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (!left && !right) return 1;
+  if (!left || !right) return 0;
+  if (left.replace(/\s/g, '') === right.replace(/\s/g, '')) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let overlap = 0;
+  let total = 0;
+
+  leftGrams.forEach((count, gram) => {
+    overlap += Math.min(count, rightGrams.get(gram) || 0);
+    total += count;
+  });
+  rightGrams.forEach(count => { total += count; });
+
+  return total ? (2 * overlap) / total : 0;
+};
+
+// Score how likely two transactions are the same movement of money (0..1)
+export const scorePair = (a, b, { dateWindowDays = 3 } = {}) => {
+  if (a.type !== b.type) return { score: 0, reasons: [] };
+  // The two legs of one transfer look alike but move money in opposite directions
+  if (a.type === 'transfer' && a.transferDirection !== b.transferDirection) return { score: 0, reasons: [] };
+  if (Math.abs((a.amount || 0) - (b.amount || 0)) > 0.009) return { score: 0, reasons: [] };
+
+  const reasons = ['Same amount'];
+  const dayGap = Math.round(Math.abs(new Date(a.date) - new Date(b.date)) / DAY_MS);
+
+  if (a.externalId && a.externalId === b.externalId) {
+    return { score: 1, dayGap, reasons: [...reasons, 'Same external id'] };
+  }
+
+  const sameReference = Boolean(a.referenceNumber) && a.referenceNumber === b.referenceNumber;
+  if (!sameReference && dayGap > dateWindowDays) {
+    return { score: 0, dayGap, reasons: [] };
+  }
+
+  const similarity = descriptionSimilarity(a.description, b.description);
+  const dateScore = Math.max(0, 1 - dayGap / (dateWindowDays + 1));
+
+  let score = 0.2 + similarity * 0.5 + dateScore * 0.3;
+
+  if (similarity >= 0.8) reasons.push(`Similar description (${Math.round(similarity * 100)}%)`);
+  reasons.push(dayGap === 0 ? 'Same date' : `${dayGap} day(s) apart`);
+
+  if (sameReference) {
+    score = Math.max(score, 0.95);
+    reasons.push('Same reference number');
+  }
+
+  return {
+    score: Math.round(Math.min(score, 1) * 1000) / 1000,
+    similarity: Math.round(similarity * 1000) / 1000,
+    dayGap,
+    reasons
+  };
+};
+
+const summarize = (transaction) => ({
+  _id: transaction._id,
+  date: transaction.date,
+  type: transaction.type,
+  amount: transaction.amount,
+  description: transaction.description,
+  category: transaction.category,
+  referenceNumber: transaction.referenceNumber,
+  externalId: transaction.externalId,
+  imported: transaction.imported,
+  importSource: transaction.importSource,
+  createdAt: transaction.createdAt
+});
+
+// Find likely duplicate pairs for review. Only rows with the same type and amount are compared, and
+// within those only rows inside the date window or sharing a reference or external id.
+export const findDuplicates = async (tenantId, {
+  startDate,
+  endDate,
+  minScore = 0.75,
+  dateWindowDays = 3,
+  limit = 100
+} = {}) => {
+  const from = startDate ? new Date(startDate) : new Date(Date.now() - DEFAULT_SCAN_DAYS * DAY_MS);
+  const query = { tenantId, isDeleted: false, date: { $gte: from } };
+  if (endDate) query.date.$lte = new Date(endDate);
+
+  const transactions = await Transaction.find(query)
+    .select('date type transferDirection amount description category referenceNumber externalId imported importSource createdAt')
+    .sort({ date: 1 })
+    .lean();
+
+  // Bucket by type + amount in paise so only plausible pairs are scored
+  const buckets = new Map();
+  for (const transaction of transactions) {
+    const key = `${transaction.type}|${Math.round((transaction.amount || 0) * 100)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(transaction);
+  }
+
+  const pairs = [];
+  const consider = (a, b) => {
+    const { score, similarity, dayGap, reasons } = scorePair(a, b, { dateWindowDays });
+    if (score >= minScore) {
+      pairs.push({
+        score,
+        similarity,
+        dayGap,
+        reasons,
+        transactions: [summarize(a), summarize(b)]
+      });
+    }
+  };
+
+  const windowMs = (dateWindowDays + 0.5) * DAY_MS;
+  for (const bucket of buckets.values()) {
+    // Buckets are in date order, so each row is only compared with the rows inside its window
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length && new Date(bucket[j].date) - new Date(bucket[i].date) <= windowMs; j++) {
+        consider(bucket[i], bucket[j]);
+      }
+    }
+
+    // Rows further apart only pair up through a shared reference number or external id
+    const byIdentifier = new Map();
+    bucket.forEach(transaction => {
+      [transaction.referenceNumber && `ref:${transaction.referenceNumber}`, transaction.externalId && `ext:${transaction.externalId}`]
+        .filter(Boolean)
+        .forEach(key => {
+          if (!byIdentifier.has(key)) byIdentifier.set(key, []);
+          byIdentifier.get(key).push(transaction);
+        });
+    });
+
+    const seen = new Set();
+    for (const group of byIdentifier.values()) {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          const key = `${group[i]._id}|${group[j]._id}`;
+          if (seen.has(key) || new Date(group[j].date) - new Date(group[i].date) <= windowMs) continue;
+          seen.add(key);
+          consider(group[i], group[j]);
+        }
+      }
+    }
+  }
+
+  pairs.sort((a, b) => b.score - a.score);
+
+  return {
+    scanned: transactions.length,
+    totalPairs: pairs.length,
+    pairs: pairs.slice(0, limit)
+  };
+};
+
+// Keep one transaction, fold the other into it and soft-delete the other
+export const mergeTransactions = async (tenantId, keepId, removeId) => {
+  if (String(keepId) === String(removeId)) {
+    throw new Error('Cannot merge a transaction with itself');
+  }
+
+  const [keep, remove] = await Promise.all([
+    Transaction.findOne({ _id: keepId, tenantId, isDeleted: false }),
+    Transaction.findOne({ _id: removeId, tenantId, isDeleted: false })
+  ]);
+
+  if (!keep || !remove) {
+    return null;
+  }
+
+  if (remove.transferId) {
+    throw new Error('Delete the duplicate transfer instead of merging one of its legs');
+  }
+
+  if (keep.type !== remove.type || Math.abs((keep.amount || 0) - (remove.amount || 0)) > 0.009) {
+    throw new Error('Only transactions with the same type and amount can be merged');
+  }
+
+  // The statement line stays matched to the record that is removed, so keep that one instead
+  if (remove.reconciled) {
+    throw new Error('The duplicate is reconciled against a statement; keep it and merge the other record into it');
+  }
+
+  keep.tags = [...new Set([...(keep.tags || []), ...(remove.tags || [])])];
+
+  const attachmentKey = (attachment) => attachment.url || attachment.filename;
+  const existingAttachments = new Set((keep.attachments || []).map(attachmentKey));
+  (remove.attachments || []).forEach(attachment => {
+    if (!existingAttachments.has(attachmentKey(attachment))) {
+      keep.attachments.push(attachment.toObject ? attachment.toObject() : attachment);
+      existingAttachments.add(attachmentKey(attachment));
+    }
+  });
+
+  // Fill identifiers and details the kept record is missing
+  ['referenceNumber', 'externalId', 'externalSource', 'vendor', 'note', 'subCategory', 'accountId', 'accountNumber', 'bankName'].forEach(field => {
+    if (!keep[field] && remove[field]) {
+      keep[field] = remove[field];
+    }
+  });
+
+  remove.isDeleted = true;
+  remove.deletedAt = new Date();
+  remove.mergedInto = keep._id;
+
+  await withAtomicWrites(async (session) => {
+    await keep.save({ session });
+    await remove.save({ session });
+  });
+
+  return { kept: keep, removed: remove };
+};
+
+export default {
+  normalizeDescription,
+  descriptionSimilarity,
+  scorePair,
+  findDuplicates,
+  mergeTransactions
+};
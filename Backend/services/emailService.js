@@ -312,10 +312,94 @@ const sendPasswordResetEmail = async (email, resetToken, name = 'User') => {
   }
 };
 
+// Default wording of the reminders emailed to people who owe the user; {{placeholders}} are filled per record
+const REMINDER_PLACEHOLDERS = ['personName', 'senderName', 'amount', 'outstanding', 'dueNow', 'dueDate', 'daysOverdue', 'purpose', 'interest'];
+
+const DEFAULT_REMINDER_TEMPLATES = {
+  upcoming: {
+    subject: 'Reminder: ₹{{dueNow}} due on {{dueDate}}',
+    body: `Hi {{personName}},
+
+This is a friendly reminder from {{senderName}} that ₹{{dueNow}} for "{{purpose}}" is due on {{dueDate}}.
+
+Outstanding balance: ₹{{outstanding}}
+
+If you have already paid, please ignore this email.
+
+Thanks,
+{{senderName}}`
+  },
+  overdue: {
+    subject: 'Overdue: ₹{{dueNow}} was due on {{dueDate}}',
+    body: `Hi {{personName}},
+
+₹{{dueNow}} for "{{purpose}}" was due on {{dueDate}} and is now {{daysOverdue}} days overdue.
+
+Outstanding balance: ₹{{outstanding}}
+
+Please settle it at the earliest, or reply to this email if something is not right.
+
+Thanks,
+{{senderName}}`
+  }
+};
+
+// Fill {{placeholders}}; unknown ones are left as they are so typos show up in the preview
+const renderReminderTemplate = (template, values) => {
+  const fill = (text) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    (values[key] !== undefined && values[key] !== null ? String(values[key]) : match));
+  return { subject: fill(template.subject), body: fill(template.body) };
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Send a payment reminder on the user's behalf; replies go to the user
+const sendReminderEmail = async (email, { subject, body, senderName, replyTo }) => {
+  try {
+    const mailOptions = {
+      from: (senderName ? senderName + " via Finovo" : "Finovo App") + " <" + process.env.EMAIL_USER + ">",
+      to: email,
+      replyTo: replyTo || undefined,
+      subject,
+      text: body,
+      html: `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f5f5f5; padding: 20px;">
+    <div style="max-width: 600px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px;">
+        <div style="color: #333; font-size: 16px; line-height: 1.7;">${escapeHtml(body).replace(/\n/g, '<br>')}</div>
+        <p style="margin-top: 30px; padding-top: 15px; border-top: 1px solid #f0f0f0; color: #999; font-size: 13px;">
+            Sent with Finovo on behalf of ${escapeHtml(senderName || 'a Finovo user')}.
+        </p>
+    </div>
+</body>
+</html>`
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Reminder email sent to ' + email);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Error sending reminder email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 export {
   sendOtpEmail,
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendReminderEmail,
+  renderReminderTemplate,
+  REMINDER_PLACEHOLDERS,
+  DEFAULT_REMINDER_TEMPLATES,
   transporter,
   testEmailConfig
 };
\ No newline at end of file
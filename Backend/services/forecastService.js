@@ -0,0 +1,342 @@
+// services/forecastService.js - day-by-day cash-flow projection from known future items plus a baseline of everyday spend
+import Account from '../models/Account.js';
+import Bill from '../models/Bill.js';
+import MoneyTransaction from '../models/moneyTransaction.js';
+import Tax from '../models/Tax.js';
+import Transaction from '../models/Transaction.js';
+import Income from '../models/income.js';
+import { getBalances } from './accountService.js';
+import { getForecast as getRecurringForecast } from './recurringService.js';
+import { dueDatesUntil } from './billService.js';
+import { dueSchedule } from './moneyService.js';
+import { getTaxComplianceCalendar } from './taxService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts whose money can actually be spent; card and loan balances are settled through bills/EMIs
+const LIQUID_ACCOUNT_TYPES = ['bank', 'cash', 'upi_wallet'];
+
+// A pending Tax record within this many days of a calendar deadline is taken to be that deadline's payment
+const TAX_MATCH_DAYS = 10;
+
+const MAX_DRIVERS = 10;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const dayKey = (date) => new Date(date).toISOString().substring(0, 10);
+const startOfDay = (date) => new Date(`${dayKey(date)}T00:00:00.000Z`);
+
+// The compliance calendar builds its dates in server-local time; keep the calendar day
+const calendarDay = (date) => new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+// Calendar deadlines that involve a payment (GSTR-1/GSTR-9, TDS returns and the ITR are filings only)
+const isPayableDeadline = (deadline) =>
+  deadline.form === 'GSTR-3B' || deadline.form === 'Challan 280' || deadline.taxType === 'Professional Tax';
+
+// Balance of the tenant's liquid accounts at the end of `asOf`'s day
+const liquidBalance = async (tenantId, asOf) => {
+  const accounts = await Account.find({ tenantId, isArchived: false, type: { $in: LIQUID_ACCOUNT_TYPES } });
+  if (!accounts.length) return { balance: 0, accounts: 0 };
+
+  const balances = await getBalances(tenantId, accounts, { before: new Date(startOfDay(asOf).getTime() + DAY_MS) });
+  const balance = [...balances.values()].reduce((sum, entry) => sum + entry.balance, 0);
+  return { balance: round2(balance), accounts: accounts.length };
+};
+
+// Average daily spend over the trailing window, leaving out recurring expenses and bill payments (they are projected separately)
+const baselineSpend = async (tenantId, start, lookbackDays) => {
+  const [result] = await Transaction.aggregate([
+    {
+      $match: {
+        tenantId,
+        type: 'expense',
+        isDeleted: false,
+        isRecurring: { $ne: true },
+        recurringTemplateId: null,
+        billId: null,
+        date: { $gte: new Date(start.getTime() - lookbackDays * DAY_MS), $lt: start }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  return {
+    lookbackDays,
+    total: round2(result?.total || 0),
+    transactionCount: result?.count || 0,
+    daily: round2((result?.total || 0) / lookbackDays)
+  };
+};
+
+// Unpaid bills and later due dates of recurring bills; overdue ones are assumed to be paid on the first forecast day
+const billItems = async (tenantId, start, until) => {
+  const bills = await Bill.find({ tenantId, paid: false, dueDate: { $lte: until } }).lean();
+  return bills.flatMap(bill => dueDatesUntil(bill, until).map(dueDate => ({
+    source: 'bill',
+    sourceId: bill._id,
+    date: dueDate < start ? start : dueDate,
+    description: bill.name,
+    category: bill.category,
+    direction: 'out',
+    amount: bill.amount,
+    overdue: dueDate < start
+  })));
+};
+
+// Outstanding borrow (money going out) and lend (money coming back) balances by due date or installment
+const moneyItems = async (tenantId, start, until) => {
+  const transactions = await MoneyTransaction.find({
+    tenantId,
+    isDeleted: false,
+    status: { $in: ['pending', 'overdue'] },
+    dueDate: { $lte: until }
+  }).lean();
+
+  return transactions.flatMap(transaction => dueSchedule(transaction)
+    .filter(part => part.dueDate <= until)
+    .map(part => ({
+      source: 'money',
+      sourceId: transaction._id,
+      date: part.dueDate < start ? start : part.dueDate,
+      description: transaction.type === 'borrow'
+        ? `Repay ${transaction.personName}`
+        : `${transaction.personName} repays loan`,
+      category: transaction.purpose,
+      direction: transaction.type === 'borrow' ? 'out' : 'in',
+      amount: part.amount,
+      overdue: part.dueDate < start
+    })));
+};
+
+// Recurring occurrences (generated ahead or still scheduled) and other future-dated records
+const scheduledItems = async (tenantId, start, days) => {
+  const recurring = await getRecurringForecast(tenantId, { days, from: start });
+  const items = recurring.items
+    .filter(item => item.status !== 'skipped')
+    .map(item => ({
+      source: 'recurring',
+      sourceId: item.recordId || item.templateId,
+      date: item.date,
+      description: item.name || item.description || item.category,
+      category: item.category,
+      direction: item.type === 'income' ? 'in' : 'out',
+      amount: item.amount
+    }));
+
+  const futureQuery = {
+    tenantId,
+    isDeleted: false,
+    recurringTemplateId: null,
+    date: { $gte: start, $lte: recurring.period.end }
+  };
+  const [transactions, incomes] = await Promise.all([
+    Transaction.find({ ...futureQuery, type: { $in: ['income', 'expense'] } }).lean(),
+    Income.find(futureQuery).lean()
+  ]);
+
+  [...transactions, ...incomes].forEach(record => {
+    items.push({
+      source: 'scheduled',
+      sourceId: record._id,
+      date: record.date,
+      description: record.description || record.source || record.category,
+      category: record.category,
+      direction: record.type === 'expense' ? 'out' : 'in',
+      amount: record.amount
+    });
+  });
+
+  return items;
+};
+
+// Pending tax payments plus compliance-calendar deadlines. Deadlines without a recorded payment are
+// estimated from the average of the tenant's tax records of that type over the last year
+const taxItems = async (tenantId, start, until, { businessType, state }) => {
+  const [pending, history] = await Promise.all([
+    Tax.find({ tenantId, isDeleted: false, status: { $in: ['pending', 'overdue'] }, dueDate: { $lte: until } }).lean(),
+    Tax.aggregate([
+      { $match: { tenantId, isDeleted: false, dueDate: { $gte: new Date(start.getTime() - 365 * DAY_MS), $lt: start } } },
+      { $group: { _id: '$taxType', average: { $avg: '$amount' }, count: { $sum: 1 } } }
+    ])
+  ]);
+  const averages = new Map(history.map(row => [row._id, row.average]));
+
+  const items = pending.map(tax => ({
+    source: 'tax',
+    sourceId: tax._id,
+    date: tax.dueDate < start ? start : tax.dueDate,
+    description: tax.description || `${tax.taxType}${tax.formType ? ` (${tax.formType})` : ''}`,
+    category: tax.taxType,
+    direction: 'out',
+    amount: tax.amount,
+    overdue: tax.dueDate < start
+  }));
+
+  // The calendar is built per year and runs into the following one (advance tax, ITR), so look at the year before too
+  const years = [...new Set([start.getUTCFullYear() - 1, start.getUTCFullYear(), until.getUTCFullYear()])];
+  const calendars = await Promise.all(years.map(year => getTaxComplianceCalendar(businessType, state, tenantId, year)));
+  const seen = new Set();
+  const deadlines = [];
+
+  calendars.flatMap(calendar => calendar.calendar || []).forEach(entry => {
+    const deadline = { ...entry, dueDate: calendarDay(entry.dueDate) };
+    if (seen.has(deadline.id) || deadline.dueDate < start || deadline.dueDate > until) return;
+    seen.add(deadline.id);
+
+    const recorded = pending.some(tax =>
+      tax.taxType === deadline.taxType &&
+      Math.abs(new Date(tax.dueDate) - deadline.dueDate) <= TAX_MATCH_DAYS * DAY_MS
+    );
+    const average = averages.get(deadline.taxType);
+
+    if (!recorded && isPayableDeadline(deadline) && average > 0) {
+      items.push({
+        source: 'tax',
+        date: deadline.dueDate,
+        description: deadline.description,
+        category: deadline.taxType,
+        direction: 'out',
+        amount: round2(average),
+        estimated: true
+      });
+    } else {
+      deadlines.push({
+        date: deadline.dueDate,
+        taxType: deadline.taxType,
+        description: deadline.description,
+        form: deadline.form,
+        priority: deadline.priority,
+        paymentRecorded: recorded
+      });
+    }
+  });
+
+  return { items, deadlines: deadlines.sort((a, b) => a.date - b.date) };
+};
+
+// Stretches where the balance is below zero, with the outflows since the last high point that caused them
+const findDips = (days, openingBalance, dailyBaseline) => {
+  const dips = [];
+  let index = 0;
+  let searchFrom = 0;
+
+  while (index < days.length) {
+    if (!days[index].isNegative) {
+      index++;
+      continue;
+    }
+
+    let endIndex = index;
+    while (endIndex + 1 < days.length && days[endIndex + 1].isNegative) endIndex++;
+
+    // Highest balance between the previous dip and this one (-1 is the opening balance)
+    let peakIndex = searchFrom - 1;
+    for (let candidate = searchFrom; candidate < index; candidate++) {
+      const peakBalance = peakIndex < 0 ? openingBalance : days[peakIndex].closingBalance;
+      if (days[candidate].closingBalance >= peakBalance) peakIndex = candidate;
+    }
+
+    const stretch = days.slice(index, endIndex + 1);
+    const lowest = stretch.reduce((low, day) => (day.closingBalance < low.closingBalance ? day : low));
+    const leadUp = days.slice(peakIndex + 1, days.indexOf(lowest) + 1);
+    const outflows = leadUp.flatMap(day => day.items.filter(item => item.direction === 'out'));
+
+    dips.push({
+      startDate: days[index].date,
+      endDate: days[endIndex].date,
+      days: endIndex - index + 1,
+      lowestBalance: lowest.closingBalance,
+      lowestDate: lowest.date,
+      since: peakIndex >= 0 ? days[peakIndex].date : null,
+      drivers: [...outflows].sort((a, b) => b.amount - a.amount).slice(0, MAX_DRIVERS),
+      knownOutflows: round2(outflows.reduce((sum, item) => sum + item.amount, 0)),
+      baselineSpend: round2(dailyBaseline * leadUp.length),
+      inflows: round2(leadUp.reduce((sum, day) => sum + day.inflows, 0))
+    });
+
+    index = endIndex + 1;
+    searchFrom = index;
+  }
+
+  return dips;
+};
+
+// Projected balance for each of the next `days` days (starting tomorrow; today's activity is in the opening balance)
+export const getCashFlowForecast = async (tenantId, {
+  days = 90,
+  from = new Date(),
+  lookbackDays = 90,
+  openingBalance,
+  businessType,
+  state
+} = {}) => {
+  const start = new Date(startOfDay(from).getTime() + DAY_MS);
+  const until = new Date(start.getTime() + days * DAY_MS - 1);
+
+  const [opening, baseline, bills, money, scheduled, tax] = await Promise.all([
+    openingBalance !== undefined
+      ? { balance: round2(openingBalance), accounts: null }
+      : liquidBalance(tenantId, from),
+    baselineSpend(tenantId, start, lookbackDays),
+    billItems(tenantId, start, until),
+    moneyItems(tenantId, start, until),
+    scheduledItems(tenantId, start, days),
+    taxItems(tenantId, start, until, { businessType, state })
+  ]);
+
+  const itemsByDay = new Map();
+  [...bills, ...money, ...scheduled, ...tax.items].forEach(item => {
+    const key = dayKey(item.date);
+    if (!itemsByDay.has(key)) itemsByDay.set(key, []);
+    itemsByDay.get(key).push({ ...item, amount: round2(item.amount) });
+  });
+
+  const projection = [];
+  let balance = opening.balance;
+  for (let offset = 0; offset < days; offset++) {
+    const date = dayKey(new Date(start.getTime() + offset * DAY_MS));
+    const items = (itemsByDay.get(date) || []).sort((a, b) => b.amount - a.amount);
+    const inflows = round2(items.filter(item => item.direction === 'in').reduce((sum, item) => sum + item.amount, 0));
+    const outflows = round2(items.filter(item => item.direction === 'out').reduce((sum, item) => sum + item.amount, 0));
+    const net = round2(inflows - outflows - baseline.daily);
+
+    projection.push({
+      date,
+      openingBalance: balance,
+      inflows,
+      outflows,
+      baselineSpend: baseline.daily,
+      net,
+      closingBalance: round2(balance + net),
+      isNegative: round2(balance + net) < 0,
+      items
+    });
+    balance = round2(balance + net);
+  }
+
+  const lowest = projection.reduce((low, day) => (!low || day.closingBalance < low.closingBalance ? day : low), null);
+  const sumOf = (field) => round2(projection.reduce((sum, day) => sum + day[field], 0));
+
+  return {
+    period: { start, end: until, days },
+    openingBalance: opening.balance,
+    openingBalanceSource: opening.accounts === null ? 'provided' : (opening.accounts ? 'accounts' : 'none'),
+    closingBalance: balance,
+    lowestBalance: lowest?.closingBalance ?? opening.balance,
+    lowestDate: lowest?.date || null,
+    totals: {
+      inflows: sumOf('inflows'),
+      outflows: sumOf('outflows'),
+      baselineSpend: sumOf('baselineSpend'),
+      net: sumOf('net')
+    },
+    baseline,
+    negativeDays: projection.filter(day => day.isNegative).length,
+    dips: findDips(projection, opening.balance, baseline.daily),
+    taxDeadlines: tax.deadlines,
+    days: projection
+  };
+};
+
+export default {
+  getCashFlowForecast
+};
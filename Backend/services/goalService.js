@@ -0,0 +1,249 @@
+// services/goalService.js - savings goal progress, required monthly contribution and projected completion
+import Goal from '../models/Goal.js';
+import Account from '../models/Account.js';
+import Transaction from '../models/Transaction.js';
+import Investment from '../models/Investment.js';
+import { getBalances } from './accountService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30.4375 * DAY_MS;
+
+// Saving pace is measured over the last few months (or since the goal started, if later)
+const PACE_LOOKBACK_MONTHS = 6;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const exactMatch = (value) => new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+// Tagged money moved into savings: outgoing transfer legs only (the incoming leg would count it twice).
+// Tagged income and spending are not savings; an expense that is one (a SIP debit, a deposit) is linked
+// to the goal as a contribution instead
+const tagFilter = (goal) => ({
+  tenantId: goal.tenantId,
+  isDeleted: false,
+  tags: exactMatch(goal.tag),
+  type: 'transfer',
+  transferDirection: 'out'
+});
+
+// Whether linkedProgress already counts the transaction through the goal's tag
+const countedByTag = (goal, transaction) =>
+  transaction.type === 'transfer' && transaction.transferDirection === 'out' &&
+  (transaction.tags || []).some(tag => tag.toLowerCase() === goal.tag.toLowerCase());
+
+// Amount saved through the goal's linked account or tag, in total and since `since`
+const linkedProgress = async (goal, since, asOf) => {
+  if (goal.linkType === 'account' && goal.accountId) {
+    const account = await Account.findOne({ _id: goal.accountId, tenantId: goal.tenantId });
+    if (!account) return { total: 0, recent: 0 };
+
+    const [now, before] = await Promise.all([
+      getBalances(goal.tenantId, [account], { before: asOf }),
+      getBalances(goal.tenantId, [account], { before: since })
+    ]);
+    const total = now.get(String(account._id)).balance;
+    return { total, recent: total - before.get(String(account._id)).balance };
+  }
+
+  if (goal.linkType === 'tag' && goal.tag) {
+    const [result] = await Transaction.aggregate([
+      { $match: { ...tagFilter(goal), date: { $lt: asOf } } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$amount' },
+          recent: { $sum: { $cond: [{ $gte: ['$date', since] }, '$amount', 0] } }
+        }
+      }
+    ]);
+    return { total: result?.total || 0, recent: result?.recent || 0 };
+  }
+
+  return { total: 0, recent: 0 };
+};
+
+const statusOf = ({ remaining, targetDate, projectedCompletionDate, monthlyRate }, asOf) => {
+  if (remaining <= 0) return 'achieved';
+  if (targetDate && targetDate < asOf) return 'overdue';
+  if (!monthlyRate) return 'not_started';
+  if (!targetDate || projectedCompletionDate <= targetDate) return 'on_track';
+  return 'behind';
+};
+
+// Progress of one goal: saved so far, what is needed per month to hit the target date, and when the
+// current saving pace would reach the target
+export const getGoalProgress = async (goal, { asOf = new Date() } = {}) => {
+  const paceStart = new Date(Math.max(
+    new Date(goal.startDate).getTime(),
+    asOf.getTime() - PACE_LOOKBACK_MONTHS * MONTH_MS
+  ));
+  const linked = await linkedProgress(goal, paceStart, asOf);
+
+  const contributions = goal.contributions || [];
+  const contributed = contributions.reduce((sum, entry) => sum + entry.amount, 0);
+  const recentContributions = contributions
+    .filter(entry => entry.date >= paceStart && entry.date <= asOf)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  const saved = round2((goal.initialAmount || 0) + contributed + linked.total);
+  const remaining = round2(Math.max(0, goal.targetAmount - saved));
+  const targetDate = goal.targetDate ? new Date(goal.targetDate) : null;
+  const monthsLeft = targetDate ? round2(Math.max(0, (targetDate - asOf) / MONTH_MS)) : null;
+
+  // Less than a month left means the rest is needed now
+  const requiredMonthly = targetDate ? round2(remaining / Math.max(monthsLeft, 1)) : null;
+  const monthlyRate = round2(Math.max(0, recentContributions + linked.recent) / Math.max(1, (asOf - paceStart) / MONTH_MS));
+
+  let projectedCompletionDate = null;
+  if (remaining <= 0) projectedCompletionDate = goal.achievedAt || asOf;
+  else if (monthlyRate > 0) projectedCompletionDate = new Date(asOf.getTime() + (remaining / monthlyRate) * MONTH_MS);
+
+  const progress = {
+    goalId: goal._id,
+    name: goal.name,
+    icon: goal.icon,
+    priority: goal.priority,
+    linkType: goal.linkType,
+    targetAmount: goal.targetAmount,
+    targetDate,
+    saved,
+    remaining,
+    percent: round2(Math.min(100, (saved / goal.targetAmount) * 100)),
+    monthsLeft,
+    requiredMonthly,
+    monthlyRate,
+    shortfallPerMonth: requiredMonthly !== null ? round2(Math.max(0, requiredMonthly - monthlyRate)) : null,
+    projectedCompletionDate,
+    contributionCount: contributions.length
+  };
+  return { ...progress, status: statusOf(progress, asOf) };
+};
+
+// Goals that reached their target are marked achieved (linked goals can get there without a new contribution)
+const markAchieved = async (goal, progress) => {
+  if (goal.status !== 'active' || progress.status !== 'achieved') return;
+  goal.status = 'achieved';
+  goal.achievedAt = new Date();
+  await Goal.updateOne({ _id: goal._id }, { $set: { status: goal.status, achievedAt: goal.achievedAt } });
+};
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Progress of the tenant's goals (active and achieved by default) with totals for the dashboard and chatbot.
+// readOnly reports goals that reached their target as achieved without saving that (chatbot context)
+export const getGoalsSummary = async (tenantId, { includeArchived = false, readOnly = false } = {}) => {
+  const filter = { tenantId };
+  if (!includeArchived) filter.status = { $ne: 'archived' };
+
+  const goals = await Goal.find(filter);
+  const items = await Promise.all(goals.map(async goal => {
+    const progress = await getGoalProgress(goal);
+    if (readOnly) {
+      const goalStatus = goal.status === 'active' && progress.status === 'achieved' ? 'achieved' : goal.status;
+      return { ...progress, goalStatus };
+    }
+    await markAchieved(goal, progress);
+    return { ...progress, goalStatus: goal.status };
+  }));
+
+  items.sort((a, b) =>
+    (a.goalStatus === 'active' ? 0 : 1) - (b.goalStatus === 'active' ? 0 : 1) ||
+    PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] ||
+    (a.targetDate || Infinity) - (b.targetDate || Infinity)
+  );
+
+  const active = items.filter(item => item.goalStatus === 'active');
+  return {
+    items,
+    totals: {
+      target: round2(active.reduce((sum, item) => sum + item.targetAmount, 0)),
+      saved: round2(active.reduce((sum, item) => sum + item.saved, 0)),
+      requiredMonthly: round2(active.reduce((sum, item) => sum + (item.requiredMonthly || 0), 0)),
+      monthlyRate: round2(active.reduce((sum, item) => sum + item.monthlyRate, 0))
+    },
+    counts: {
+      active: active.length,
+      onTrack: active.filter(item => item.status === 'on_track').length,
+      behind: active.filter(item => ['behind', 'overdue', 'not_started'].includes(item.status)).length,
+      achieved: items.filter(item => item.status === 'achieved').length
+    }
+  };
+};
+
+// Add a contribution; linked transactions/investments default to their (unallocated) amount and date
+export const addContribution = async (goal, { amount, date, transactionId, investmentId, note }) => {
+  const contribution = { note: note || '' };
+
+  if (transactionId) {
+    const transaction = await Transaction.findOne({ _id: transactionId, tenantId: goal.tenantId, isDeleted: false });
+    if (!transaction) throw new Error('Transaction not found');
+
+    // Money already counted through the linked account or tag would be counted twice
+    if (goal.linkType === 'account' && String(transaction.accountId) === String(goal.accountId)) {
+      throw new Error('This transaction is already counted through the goal\'s linked account');
+    }
+    if (goal.linkType === 'tag' && countedByTag(goal, transaction)) {
+      throw new Error('This transaction is already counted through the goal\'s tag');
+    }
+
+    const [allocated] = await Goal.aggregate([
+      { $match: { tenantId: goal.tenantId } },
+      { $unwind: '$contributions' },
+      { $match: { 'contributions.transactionId': transaction._id } },
+      { $group: { _id: null, total: { $sum: '$contributions.amount' } } }
+    ]);
+    const available = round2(transaction.amount - (allocated?.total || 0));
+    if (available <= 0) throw new Error('This transaction is already fully allocated to goals');
+
+    contribution.transactionId = transaction._id;
+    contribution.amount = amount !== undefined ? parseFloat(amount) : available;
+    contribution.date = date ? new Date(date) : transaction.date;
+    if (contribution.amount > available) throw new Error(`Only ₹${available} of this transaction is left to allocate`);
+  } else if (investmentId) {
+    const investment = await Investment.findOne({ _id: investmentId, tenantId: goal.tenantId });
+    if (!investment) throw new Error('Investment not found');
+    if (investment.transactionType === 'sell') throw new Error('Only purchases and earnings can be counted towards a goal');
+    if (goal.contributions.some(entry => String(entry.investmentId) === String(investment._id))) {
+      throw new Error('This investment is already linked to the goal');
+    }
+
+    contribution.investmentId = investment._id;
+    contribution.amount = amount !== undefined ? parseFloat(amount) : investment.amount;
+    contribution.date = date ? new Date(date) : investment.createdAt;
+  } else {
+    contribution.amount = parseFloat(amount);
+    contribution.date = date ? new Date(date) : new Date();
+  }
+
+  if (!(contribution.amount > 0)) throw new Error('Contribution amount must be positive');
+
+  goal.contributions.push(contribution);
+  await goal.save();
+
+  const progress = await getGoalProgress(goal);
+  await markAchieved(goal, progress);
+  return { goal, progress };
+};
+
+// Remove a contribution; a goal that drops below its target becomes active again
+export const removeContribution = async (goal, contributionId) => {
+  const contribution = goal.contributions.id(contributionId);
+  if (!contribution) return null;
+
+  contribution.deleteOne();
+  await goal.save();
+
+  const progress = await getGoalProgress(goal);
+  if (goal.status === 'achieved' && progress.status !== 'achieved') {
+    goal.status = 'active';
+    goal.achievedAt = null;
+    await goal.save();
+  }
+  return { goal, progress };
+};
+
+export default {
+  getGoalProgress,
+  getGoalsSummary,
+  addContribution,
+  removeContribution
+};
@@ -0,0 +1,413 @@
+// services/groupService.js - shared group expenses: splitting, balances, settle-up suggestions and Splitwise CSV import
+import mongoose from 'mongoose';
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import GroupExpense from '../models/GroupExpense.js';
+import { findOrCreateContact, normalizeName } from './contactService.js';
+
+export const SPLIT_TYPES = ['equal', 'shares', 'exact'];
+
+// Splitwise export columns before the one-column-per-member balances
+const SPLITWISE_COLUMNS = ['date', 'description', 'category', 'cost', 'currency'];
+
+// Work in whole paise so splits and balances always add up exactly
+const toPaise = (value) => Math.round(value * 100);
+const fromPaise = (value) => value / 100;
+const dayKey = (date) => new Date(date).toISOString().substring(0, 10);
+
+const memberOf = (group, memberId) => group.members.id(memberId);
+
+// Split `amount` between the participants: equally, by shares (weights) or by exact amounts.
+// Leftover paise from rounding go to the participants with the largest fractions
+export const computeSplits = (amount, splitType, participants) => {
+  if (!SPLIT_TYPES.includes(splitType)) throw new Error(`Split type must be one of: ${SPLIT_TYPES.join(', ')}`);
+  if (!participants || participants.length === 0) throw new Error('Pick at least one member to split with');
+
+  const total = toPaise(amount);
+
+  if (splitType === 'exact') {
+    const splits = participants.map(participant => ({
+      memberId: participant.memberId,
+      amount: toPaise(parseFloat(participant.amount) || 0)
+    }));
+    if (splits.some(split => split.amount < 0)) throw new Error('Exact amounts cannot be negative');
+    const sum = splits.reduce((acc, split) => acc + split.amount, 0);
+    if (sum !== total) throw new Error(`Exact amounts add up to ₹${fromPaise(sum)}, not ₹${fromPaise(total)}`);
+    return splits.map(split => ({ ...split, amount: fromPaise(split.amount) }));
+  }
+
+  const weights = participants.map(participant => (splitType === 'shares' ? parseFloat(participant.shares) : 1));
+  const totalWeight = weights.reduce((acc, weight) => acc + (weight || 0), 0);
+  if (weights.some(weight => !(weight >= 0)) || totalWeight <= 0) throw new Error('Shares must be positive numbers');
+
+  const raw = weights.map(weight => (total * weight) / totalWeight);
+  const parts = raw.map(Math.floor);
+  const leftover = total - parts.reduce((acc, part) => acc + part, 0);
+  raw
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .slice(0, leftover)
+    .forEach(({ index }) => { parts[index]++; });
+
+  return participants.map((participant, index) => ({
+    memberId: participant.memberId,
+    shares: splitType === 'shares' ? weights[index] : null,
+    amount: fromPaise(parts[index])
+  }));
+};
+
+// Check members and build the splits of an expense; everyone shares equally when no participants are given
+const buildExpense = (group, { amount, paidBy, splitType = 'equal', participants }) => {
+  const value = parseFloat(amount);
+  if (!(value > 0)) throw new Error('Amount must be greater than 0');
+  if (!memberOf(group, paidBy)) throw new Error('Payer is not a member of the group');
+
+  const chosen = participants && participants.length > 0
+    ? participants
+    : group.members.map(member => ({ memberId: member._id, shares: 1 }));
+  const seen = new Set();
+  chosen.forEach(participant => {
+    if (!memberOf(group, participant.memberId)) throw new Error('Split includes someone who is not a member of the group');
+    if (seen.has(String(participant.memberId))) throw new Error('A member appears twice in the split');
+    seen.add(String(participant.memberId));
+  });
+
+  return { amount: value, paidBy, splitType, splits: computeSplits(value, splitType, chosen) };
+};
+
+export const createExpense = async (group, { description, amount, date, category, paidBy, splitType, participants, note }) => {
+  if (!description || !String(description).trim()) throw new Error('Description is required');
+
+  return GroupExpense.create({
+    tenantId: group.tenantId,
+    groupId: group._id,
+    description: String(description).trim(),
+    category: category || 'General',
+    date: date || new Date(),
+    note: note || '',
+    ...buildExpense(group, { amount, paidBy, splitType, participants })
+  });
+};
+
+// Re-split when the amount, payer, split type or participants change (keeping the current participants otherwise)
+export const updateExpense = async (expense, group, changes) => {
+  ['description', 'category', 'date', 'note'].forEach(field => {
+    if (changes[field] !== undefined) expense[field] = changes[field];
+  });
+
+  if (['amount', 'paidBy', 'splitType', 'participants'].some(field => changes[field] !== undefined)) {
+    if (expense.kind === 'settlement') throw new Error('Delete the settlement and record it again instead');
+    const rebuilt = buildExpense(group, {
+      amount: changes.amount ?? expense.amount,
+      paidBy: changes.paidBy ?? expense.paidBy,
+      splitType: changes.splitType ?? expense.splitType,
+      participants: changes.participants ?? expense.splits.map(split => ({
+        memberId: split.memberId,
+        shares: split.shares,
+        amount: split.amount
+      }))
+    });
+    Object.assign(expense, rebuilt);
+  }
+
+  await expense.save();
+  return expense;
+};
+
+// Record money handed over between two members
+export const recordSettlement = async (group, { from, to, amount, date, note }) => {
+  const payer = memberOf(group, from);
+  const receiver = memberOf(group, to);
+  if (!payer || !receiver) throw new Error('Both people must be members of the group');
+  if (String(payer._id) === String(receiver._id)) throw new Error('Pick two different members');
+
+  const value = parseFloat(amount);
+  if (!(value > 0)) throw new Error('Amount must be greater than 0');
+
+  return GroupExpense.create({
+    tenantId: group.tenantId,
+    groupId: group._id,
+    kind: 'settlement',
+    description: `${payer.name} paid ${receiver.name}`,
+    category: 'Settlement',
+    amount: value,
+    date: date || new Date(),
+    paidBy: payer._id,
+    splitType: 'exact',
+    splits: [{ memberId: receiver._id, amount: value }],
+    note: note || ''
+  });
+};
+
+// Fewest transfers that settle everyone (balances in paise): exact matches first, then the largest
+// debtor pays the largest creditor until one of them is square (at most members - 1 transfers)
+export const suggestSettlements = (balances) => {
+  const creditors = balances.filter(balance => balance.net > 0).map(balance => ({ ...balance, left: balance.net }));
+  const debtors = balances.filter(balance => balance.net < 0).map(balance => ({ ...balance, left: -balance.net }));
+  const transfers = [];
+  const transfer = (debtor, creditor, amount) => {
+    transfers.push({
+      from: debtor.memberId,
+      fromName: debtor.name,
+      to: creditor.memberId,
+      toName: creditor.name,
+      amount: fromPaise(amount)
+    });
+    debtor.left -= amount;
+    creditor.left -= amount;
+  };
+
+  debtors.forEach(debtor => {
+    const match = creditors.find(creditor => creditor.left > 0 && creditor.left === debtor.left);
+    if (match) transfer(debtor, match, debtor.left);
+  });
+
+  for (;;) {
+    const debtor = debtors.filter(entry => entry.left > 0).sort((a, b) => b.left - a.left)[0];
+    const creditor = creditors.filter(entry => entry.left > 0).sort((a, b) => b.left - a.left)[0];
+    if (!debtor || !creditor) break;
+    transfer(debtor, creditor, Math.min(debtor.left, creditor.left));
+  }
+
+  return transfers;
+};
+
+// What each member paid, their share of the expenses and where they stand (positive: is owed money)
+export const getGroupBalances = async (group) => {
+  const expenses = await GroupExpense.find({ tenantId: group.tenantId, groupId: group._id }).lean();
+  const totals = new Map(group.members.map(member => [String(member._id), { paid: 0, share: 0, sent: 0, received: 0 }]));
+  const entryOf = (memberId) => {
+    const key = String(memberId);
+    // Members removed from the group still carry their history
+    if (!totals.has(key)) totals.set(key, { paid: 0, share: 0, sent: 0, received: 0 });
+    return totals.get(key);
+  };
+
+  let spent = 0;
+  expenses.forEach(expense => {
+    const settlement = expense.kind === 'settlement';
+    entryOf(expense.paidBy)[settlement ? 'sent' : 'paid'] += toPaise(expense.amount);
+    expense.splits.forEach(split => {
+      entryOf(split.memberId)[settlement ? 'received' : 'share'] += toPaise(split.amount);
+    });
+    if (!settlement) spent += toPaise(expense.amount);
+  });
+
+  const balances = [...totals.entries()].map(([memberId, entry]) => {
+    const member = memberOf(group, memberId);
+    return {
+      memberId,
+      name: member?.name || 'Former member',
+      isSelf: member?.isSelf || false,
+      contactId: member?.contactId || null,
+      paid: entry.paid,
+      share: entry.share,
+      sent: entry.sent,
+      received: entry.received,
+      net: entry.paid + entry.sent - entry.share - entry.received
+    };
+  });
+
+  const transfers = suggestSettlements(balances);
+  return {
+    totalSpent: fromPaise(spent),
+    expenseCount: expenses.filter(expense => expense.kind === 'expense').length,
+    members: balances
+      .map(balance => ({
+        ...balance,
+        paid: fromPaise(balance.paid),
+        share: fromPaise(balance.share),
+        sent: fromPaise(balance.sent),
+        received: fromPaise(balance.received),
+        net: fromPaise(balance.net)
+      }))
+      .sort((a, b) => b.net - a.net),
+    transfers
+  };
+};
+
+// Add a member, linking people other than the user to their contact in the people ledger
+export const addMember = async (group, { name, email, isSelf = false, contactId }) => {
+  if (!name || !String(name).trim()) throw new Error('Member name is required');
+  const key = normalizeName(name);
+  if (group.members.some(member => normalizeName(member.name) === key)) {
+    throw new Error(`${name} is already in the group`);
+  }
+
+  let linkedContact = contactId || null;
+  if (!isSelf && !linkedContact) {
+    linkedContact = (await findOrCreateContact(group.tenantId, { name, email }))._id;
+  }
+  if (isSelf) group.members.forEach(member => { member.isSelf = false; });
+
+  group.members.push({ name: String(name).trim(), email: email || '', isSelf, contactId: isSelf ? null : linkedContact });
+  return group.members[group.members.length - 1];
+};
+
+// Rows of a CSV text (the uploaded Splitwise export)
+export const readCsvText = (text) => new Promise((resolve, reject) => {
+  const rows = [];
+  Readable.from([text])
+    .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+    .on('data', (row) => rows.push(row))
+    .on('end', () => resolve(rows))
+    .on('error', (error) => reject(error));
+});
+
+// Import a Splitwise "Export as spreadsheet" CSV: Date, Description, Category, Cost, Currency, then one
+// column per person with how much that row moved their balance (positive: paid more than their share).
+// Payment rows become settlements; rows with several payers become one expense per payer. Rows in a
+// currency other than the group's are left out and counted, since their amounts cannot be added up
+export const importSplitwise = async (group, rows, { selfName } = {}) => {
+  if (!rows.length) throw new Error('The file has no rows');
+
+  const headers = Object.keys(rows[0]);
+  const column = (name) => headers.find(header => header.toLowerCase() === name);
+  if (!column('description') || !column('cost')) throw new Error('This does not look like a Splitwise export');
+
+  const personColumns = headers.filter(header => !SPLITWISE_COLUMNS.includes(header.toLowerCase()));
+  if (personColumns.length < 2) throw new Error('The export needs at least two people');
+
+  let membersAdded = 0;
+  const memberIds = {};
+  for (const header of personColumns) {
+    const isSelf = !!selfName && normalizeName(selfName) === normalizeName(header);
+    let member = group.members.find(entry => normalizeName(entry.name) === normalizeName(header))
+      || (isSelf ? group.members.find(entry => entry.isSelf) : null);
+    if (!member) {
+      member = await addMember(group, { name: header, isSelf });
+      membersAdded++;
+    }
+    memberIds[header] = member._id;
+  }
+  if (membersAdded > 0) await group.save();
+
+  // Rows already imported (same day, description, amount and payer) are skipped, so re-importing is safe.
+  // Only stored rows count: two identical rows in one file are two real expenses, and each stored copy
+  // absorbs one row of the file
+  const importKey = (expense) => `${dayKey(expense.date)}|${expense.description}|${expense.amount}|${expense.paidBy}`;
+  const existing = await GroupExpense.find({ tenantId: group.tenantId, groupId: group._id, source: 'splitwise' })
+    .select('date description amount paidBy')
+    .lean();
+  const stored = new Map();
+  existing.forEach(expense => stored.set(importKey(expense), (stored.get(importKey(expense)) || 0) + 1));
+
+  const groupCurrency = String(group.currency || 'INR').toUpperCase();
+  const importBatchId = new mongoose.Types.ObjectId();
+  const documents = [];
+  const result = {
+    expenses: 0,
+    settlements: 0,
+    skipped: 0,
+    duplicates: 0,
+    otherCurrency: 0,
+    otherCurrencies: [],
+    membersAdded,
+    importBatchId
+  };
+  const add = (document) => {
+    const key = importKey(document);
+    if (stored.get(key) > 0) {
+      stored.set(key, stored.get(key) - 1);
+      result.duplicates++;
+      return;
+    }
+    documents.push(document);
+    result[document.kind === 'settlement' ? 'settlements' : 'expenses']++;
+  };
+
+  rows.forEach(row => {
+    const description = String(row[column('description')] || '').trim();
+    const cost = parseFloat(String(row[column('cost')] || '').replace(/,/g, ''));
+    const date = new Date(row[column('date')]);
+    if (!description || /^total balance$/i.test(description) || !(cost > 0) || isNaN(date)) {
+      result.skipped++;
+      return;
+    }
+
+    const currency = String(row[column('currency')] || '').trim().toUpperCase();
+    if (currency && currency !== groupCurrency) {
+      result.otherCurrency++;
+      if (!result.otherCurrencies.includes(currency)) result.otherCurrencies.push(currency);
+      return;
+    }
+
+    const effects = personColumns
+      .map(header => ({ memberId: memberIds[header], value: toPaise(parseFloat(String(row[header] || '0').replace(/,/g, '')) || 0) }))
+      .filter(effect => effect.value !== 0);
+    const payers = effects.filter(effect => effect.value > 0);
+    const owers = effects.filter(effect => effect.value < 0);
+    if (payers.length === 0 || owers.length === 0) {
+      result.skipped++;
+      return;
+    }
+
+    const base = {
+      tenantId: group.tenantId,
+      groupId: group._id,
+      kind: 'expense',
+      description,
+      date,
+      source: 'splitwise',
+      importBatchId,
+      category: String(row[column('category')] || '').trim() || 'General'
+    };
+
+    if (/^payment$/i.test(base.category)) {
+      owers.forEach(ower => add({
+        ...base,
+        kind: 'settlement',
+        category: 'Settlement',
+        amount: fromPaise(-ower.value),
+        paidBy: payers[0].memberId,
+        splitType: 'exact',
+        splits: [{ memberId: ower.memberId, amount: fromPaise(-ower.value) }]
+      }));
+      return;
+    }
+
+    if (payers.length === 1) {
+      const payer = payers[0];
+      const payerShare = toPaise(cost) - payer.value;
+      const splits = owers.map(ower => ({ memberId: ower.memberId, amount: fromPaise(-ower.value) }));
+      if (payerShare > 0) splits.push({ memberId: payer.memberId, amount: fromPaise(payerShare) });
+      add({
+        ...base,
+        amount: fromPaise(splits.reduce((acc, split) => acc + toPaise(split.amount), 0)),
+        paidBy: payer.memberId,
+        splitType: 'exact',
+        splits
+      });
+      return;
+    }
+
+    // Several payers: each payer's surplus is spread over the people who owe, in proportion to what they owe
+    payers.forEach(payer => {
+      const amount = fromPaise(payer.value);
+      add({
+        ...base,
+        amount,
+        paidBy: payer.memberId,
+        splitType: 'shares',
+        splits: computeSplits(amount, 'shares', owers.map(ower => ({ memberId: ower.memberId, shares: -ower.value }))),
+        note: `Imported from Splitwise; ₹${cost} paid by ${payers.length} people`
+      });
+    });
+  });
+
+  if (documents.length > 0) await GroupExpense.insertMany(documents);
+  return result;
+};
+
+export default {
+  SPLIT_TYPES,
+  computeSplits,
+  createExpense,
+  updateExpense,
+  recordSettlement,
+  suggestSettlements,
+  getGroupBalances,
+  addMember,
+  readCsvText,
+  importSplitwise
+};
@@ -0,0 +1,865 @@
+// services/gstReturnService.js - GSTR-1 sections and the GSTR-3B summary from tagged sales and purchases, with per-invoice validation
+import Transaction from '../models/Transaction.js';
+import TaxConfig from '../models/TaxConfig.js';
+import Gstr2b from '../models/Gstr2b.js';
+import { financialYearOf } from './moneyService.js';
+import { itcEntries, summarizeItc, upcomingReversals, parseGstr2b, reconcileGstr2b } from './itcService.js';
+
+// State codes used for the place of supply (first two digits of a GSTIN)
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '96': 'Foreign Country',
+  '97': 'Other Territory'
+};
+
+const STATE_ALIASES = {
+  'orissa': '21',
+  'pondicherry': '34',
+  'uttaranchal': '05',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'jammu & kashmir': '01',
+  'andaman & nicobar islands': '35'
+};
+
+export const GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28, 40];
+
+// Inter-state invoices to unregistered buyers above this value are reported one by one (B2CL)
+export const B2CL_LIMIT = 100000;
+
+// Tax on an invoice may differ from rate × taxable value by this much (rounding per line item)
+const TAX_TOLERANCE = 1;
+
+const NON_TAXABLE_SUPPLIES = ['nil_rated', 'exempt', 'non_gst'];
+
+// GSTR-2B is matched against purchases recorded up to this many months before the return period
+const GSTR2B_LOOKBACK_MONTHS = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Invoice and note numbers: up to 16 letters, digits, "/" or "-" (rule 46)
+const DOCUMENT_NUMBER_PATTERN = /^[A-Za-z0-9/-]{1,16}$/;
+
+const HSN_PATTERN = /^\d{4,8}$/;
+
+const OFFLINE_TOOL_VERSION = 'GST3.2.1';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = (date) => {
+  const day = new Date(date);
+  return `${pad(day.getDate())}-${pad(day.getMonth() + 1)}-${day.getFullYear()}`;
+};
+
+const formatAmount = (amount) => `₹${round2(amount).toLocaleString('en-IN')}`;
+
+// Format plus the check digit (base-36 weighted sum of the first 14 characters)
+export const isValidGstin = (gstin) => {
+  const value = String(gstin || '').trim().toUpperCase();
+  if (!GSTIN_PATTERN.test(value) || !GST_STATE_CODES[value.substring(0, 2)]) return false;
+
+  const sum = [...value.substring(0, 14)].reduce((acc, char, index) => {
+    const product = GSTIN_CHARS.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return acc + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36] === value[14];
+};
+
+// Two-digit state code from a code ("29", "9") or a state name ("Karnataka"); null when unknown
+export const stateCodeFor = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/^\d{1,2}$/.test(text)) return GST_STATE_CODES[pad(text)] ? pad(text) : null;
+
+  const name = text.toLowerCase().replace(/\s+/g, ' ');
+  if (STATE_ALIASES[name]) return STATE_ALIASES[name];
+  const normalized = name.replace(/&/g, 'and');
+  return Object.keys(GST_STATE_CODES).find(code => GST_STATE_CODES[code].toLowerCase() === normalized) || null;
+};
+
+// Return period: the calendar month and its "fp" code (MMYYYY)
+export const returnPeriod = (year, month) => {
+  const y = parseInt(year);
+  const m = parseInt(month);
+  if (!(y >= 2017 && y <= 2100) || !(m >= 1 && m <= 12)) throw new Error('Choose a valid month and year');
+  return {
+    year: y,
+    month: m,
+    fp: `${pad(m)}${y}`,
+    start: new Date(y, m - 1, 1),
+    end: new Date(y, m, 1)
+  };
+};
+
+export const getGstSettings = async (tenantId) => {
+  const config = await TaxConfig.findOne({ tenantId }).select('gst').lean();
+  const gstin = config?.gst?.gstin || null;
+  const stateCode = gstin ? gstin.substring(0, 2) : stateCodeFor(config?.gst?.state);
+  return {
+    gstin,
+    legalName: config?.gst?.legalName || '',
+    tradeName: config?.gst?.tradeName || '',
+    stateCode,
+    state: stateCode ? GST_STATE_CODES[stateCode] : null
+  };
+};
+
+export const saveGstSettings = async (tenantId, { gstin, legalName, tradeName, state }) => {
+  const config = await TaxConfig.findOne({ tenantId }) || new TaxConfig({ tenantId });
+  if (gstin !== undefined) {
+    const value = String(gstin || '').trim().toUpperCase();
+    if (value && !isValidGstin(value)) throw new Error(`${value} is not a valid GSTIN`);
+    config.set('gst.gstin', value || undefined);
+  }
+  if (legalName !== undefined) config.set('gst.legalName', legalName);
+  if (tradeName !== undefined) config.set('gst.tradeName', tradeName);
+  if (state !== undefined) {
+    const code = stateCodeFor(state);
+    if (state && !code) throw new Error(`${state} is not an Indian state or union territory`);
+    config.set('gst.state', code || undefined);
+  }
+  config.lastUpdated = new Date();
+  await config.save();
+  return getGstSettings(tenantId);
+};
+
+// Supplier and recipient state of a transaction and its GST split: CGST + SGST when both are the same state,
+// IGST otherwise (exports are always inter-state). `stateCode` is the business's own state; the other party's
+// comes from their GSTIN or location.state, and the place of supply on the invoice decides the recipient state
+export const gstSplitFor = (record, stateCode) => {
+  const invoice = record.gstInvoice || {};
+  const stored = record.gstSplit || {};
+  const gstin = String(record.gstNumber || '').trim().toUpperCase();
+  const counterpartyState = (isValidGstin(gstin) ? gstin.substring(0, 2) : null) || stateCodeFor(record.location?.state);
+  const placeOfSupply = stateCodeFor(invoice.placeOfSupply);
+
+  let supplierState;
+  let recipientState;
+  if (record.type === 'income') {
+    supplierState = stateCode || stateCodeFor(stored.supplierState);
+    recipientState = placeOfSupply || counterpartyState || stateCodeFor(stored.recipientState) || supplierState;
+  } else {
+    recipientState = placeOfSupply || stateCode || stateCodeFor(stored.recipientState);
+    supplierState = counterpartyState || stateCodeFor(stored.supplierState) || recipientState;
+  }
+
+  const interState = invoice.supplyType === 'zero_rated' || Boolean(supplierState && recipientState && supplierState !== recipientState);
+  const tax = round2(record.gstAmount || 0);
+  const cgst = interState ? 0 : round2(tax / 2);
+  return {
+    supplierState: supplierState || '',
+    recipientState: recipientState || '',
+    interState,
+    igst: interState ? tax : 0,
+    cgst,
+    sgst: interState ? 0 : round2(tax - cgst)
+  };
+};
+
+// The split stored with a transaction, when it has both states and still adds up to the transaction's gstAmount.
+// Reports use it so they keep showing what the record was saved with after the business's state changes
+export const storedGstSplit = (record) => {
+  const split = record.gstSplit;
+  if (!split?.supplierState || !split?.recipientState) return null;
+  const total = round2((split.igst || 0) + (split.cgst || 0) + (split.sgst || 0));
+  return Math.abs(total - round2(record.gstAmount || 0)) < 0.01 ? split : null;
+};
+
+// Store the split on one or more transactions (documents or plain objects) before they are saved; the
+// Transaction model does this on save and insertMany. The own state is only looked up when a record needs it
+export const applyGstSplit = async (tenantId, records) => {
+  const list = (Array.isArray(records) ? records : [records]).filter(record => ['income', 'expense'].includes(record?.type));
+  if (!list.length) return records;
+
+  const needsState = list.some(record =>
+    record.gstAmount > 0 || record.gstNumber || record.location?.state || record.gstInvoice?.placeOfSupply);
+  const { stateCode } = needsState ? await getGstSettings(tenantId) : { stateCode: null };
+  list.forEach(record => {
+    record.gstSplit = gstSplitFor(record, stateCode);
+  });
+  return records;
+};
+
+// Which GSTR-1 table a sales document belongs to
+const sectionFor = (doc) => {
+  if (NON_TAXABLE_SUPPLIES.includes(doc.supplyType)) return 'nil';
+  const note = doc.documentType !== 'invoice';
+  if (doc.counterpartyGstin) return note ? 'cdnr' : 'b2b';
+  if (doc.supplyType === 'zero_rated') return note ? 'cdnur' : 'exp';
+  if (doc.interState && doc.value > B2CL_LIMIT) return note ? 'cdnur' : 'b2cl';
+  return 'b2cs';
+};
+
+// One document (invoice or note) from a transaction. `amount` is taken as the total including GST and cess
+// unless gstInvoice.taxableValue is set; credit notes carry sign -1 in the totals
+const toDocument = (record, settings) => {
+  const invoice = record.gstInvoice || {};
+  const side = record.type === 'income' ? 'sale' : 'purchase';
+  const counterpartyGstin = String(record.gstNumber || '').trim().toUpperCase();
+
+  const tax = round2(record.gstAmount || 0);
+  const cess = round2(invoice.cess || 0);
+  const taxableValue = round2(invoice.taxableValue ?? ((record.amount || 0) - tax - cess));
+  const rate = invoice.rate ?? (record.taxPercentage || (taxableValue > 0 ? round2((tax / taxableValue) * 100) : 0));
+
+  const split = storedGstSplit(record) || gstSplitFor(record, settings.stateCode);
+  return {
+    transactionId: record._id,
+    side,
+    documentType: invoice.documentType || 'invoice',
+    invoiceNumber: String(invoice.invoiceNumber || '').trim(),
+    date: record.date,
+    counterpartyGstin,
+    counterpartyName: record.vendor || record.source || record.description || '',
+    category: [record.category, record.subCategory].filter(Boolean).join(' / '),
+    hsnCode: String(invoice.hsnCode || '').trim(),
+    uqc: invoice.uqc || 'NOS',
+    quantity: invoice.quantity || 0,
+    taxableValue,
+    rate,
+    tax,
+    igst: split.igst,
+    cgst: split.cgst,
+    sgst: split.sgst,
+    cess,
+    value: round2(taxableValue + tax + cess),
+    placeOfSupply: split.recipientState,
+    placeOfSupplyInvalid: Boolean(invoice.placeOfSupply) && !stateCodeFor(invoice.placeOfSupply),
+    interState: split.interState,
+    reverseCharge: invoice.reverseCharge === true,
+    supplyType: invoice.supplyType || 'taxable',
+    originalInvoiceNumber: invoice.originalInvoiceNumber || '',
+    originalInvoiceDate: invoice.originalInvoiceDate || null,
+    sign: invoice.documentType === 'credit_note' ? -1 : 1,
+    itcEligibility: invoice.itcEligibility || 'auto',
+    paidOn: invoice.paidOn || (record.status === 'pending' ? null : record.date)
+  };
+};
+
+const checkAmounts = (doc, errors) => {
+  if (doc.taxableValue <= 0) {
+    errors.push({ field: 'taxableValue', message: 'Taxable value must be greater than 0' });
+    return;
+  }
+  if (NON_TAXABLE_SUPPLIES.includes(doc.supplyType)) {
+    if (doc.tax > 0) errors.push({ field: 'gstAmount', message: `GST cannot be charged on a ${doc.supplyType.replace('_', '-')} supply` });
+    return;
+  }
+  if (!GST_RATES.includes(doc.rate)) {
+    errors.push({ field: 'rate', message: `${doc.rate}% is not a GST rate (${GST_RATES.join(', ')})` });
+    return;
+  }
+  const expected = round2((doc.taxableValue * doc.rate) / 100);
+  if (Math.abs(expected - doc.tax) > TAX_TOLERANCE && !(doc.supplyType === 'zero_rated' && doc.tax === 0)) {
+    errors.push({
+      field: 'gstAmount',
+      message: `GST ${formatAmount(doc.tax)} does not match ${doc.rate}% of ${formatAmount(doc.taxableValue)} (${formatAmount(expected)})`
+    });
+  }
+};
+
+const validateSale = (doc, settings) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!doc.invoiceNumber) errors.push({ field: 'invoiceNumber', message: 'Invoice number is missing' });
+  else if (!DOCUMENT_NUMBER_PATTERN.test(doc.invoiceNumber)) {
+    errors.push({ field: 'invoiceNumber', message: 'Invoice number must be up to 16 letters, digits, "/" or "-"' });
+  }
+
+  if (doc.counterpartyGstin && !isValidGstin(doc.counterpartyGstin)) {
+    errors.push({ field: 'gstNumber', message: `${doc.counterpartyGstin} is not a valid GSTIN` });
+  } else if (doc.counterpartyGstin && doc.counterpartyGstin === settings.gstin) {
+    errors.push({ field: 'gstNumber', message: 'Buyer GSTIN is your own GSTIN' });
+  }
+
+  if (doc.placeOfSupplyInvalid || !doc.placeOfSupply) {
+    errors.push({ field: 'placeOfSupply', message: 'Place of supply is not a valid state code' });
+  }
+
+  checkAmounts(doc, errors);
+
+  if (doc.documentType !== 'invoice' && !doc.originalInvoiceNumber) {
+    errors.push({ field: 'originalInvoiceNumber', message: 'Credit and debit notes need the original invoice number' });
+  }
+
+  if (doc.supplyType !== 'non_gst') {
+    if (!doc.hsnCode) errors.push({ field: 'hsnCode', message: 'HSN/SAC code is missing (needed for the HSN summary)' });
+    else if (!HSN_PATTERN.test(doc.hsnCode)) errors.push({ field: 'hsnCode', message: 'HSN/SAC code must be 4 to 8 digits' });
+  }
+  if (doc.reverseCharge && !doc.counterpartyGstin) {
+    warnings.push({ field: 'reverseCharge', message: 'Reverse charge applies only to registered buyers' });
+  }
+
+  return { errors, warnings };
+};
+
+const validatePurchase = (doc) => {
+  const errors = [];
+  const warnings = [];
+
+  if (doc.counterpartyGstin && !isValidGstin(doc.counterpartyGstin)) {
+    errors.push({ field: 'gstNumber', message: `${doc.counterpartyGstin} is not a valid supplier GSTIN` });
+  } else if (!doc.counterpartyGstin && !doc.reverseCharge) {
+    warnings.push({ field: 'gstNumber', message: 'Supplier GSTIN is missing, so no input tax credit is taken' });
+  }
+  if (!doc.invoiceNumber) warnings.push({ field: 'invoiceNumber', message: 'Supplier invoice number is missing' });
+
+  checkAmounts(doc, errors);
+  return { errors, warnings };
+};
+
+const requireSettings = async (tenantId) => {
+  const settings = await getGstSettings(tenantId);
+  if (!settings.gstin) throw new Error('Add your GSTIN in GST settings first');
+  return settings;
+};
+
+const findGstRecords = (tenantId, types, conditions) => Transaction.find({
+  tenantId,
+  isDeleted: false,
+  type: { $in: types },
+  status: { $nin: ['cancelled', 'failed'] },
+  $and: [
+    { $or: [{ gstAmount: { $gt: 0 } }, { 'gstInvoice.invoiceNumber': { $nin: ['', null] } }] },
+    ...conditions
+  ]
+}).sort({ date: 1 }).lean();
+
+// Purchases without errors that can carry credit into [start, end): invoices dated in the range, plus older ones
+// whose 180-day reversal or later payment falls in it
+const findPurchaseDocuments = async (tenantId, settings, { start, end }) => {
+  const reversalFrom = new Date(start.getTime() - 181 * DAY_MS);
+  const records = await findGstRecords(tenantId, ['expense'], [
+    { date: { $lt: end } },
+    { $or: [{ date: { $gte: reversalFrom } }, { status: 'pending' }, { 'gstInvoice.paidOn': { $gte: start } }] }
+  ]);
+  return records
+    .map(record => toDocument(record, settings))
+    .filter(doc => validatePurchase(doc).errors.length === 0);
+};
+
+// All GST documents of the month with their validation result
+export const collectDocuments = async (tenantId, { year, month }) => {
+  const settings = await requireSettings(tenantId);
+  const period = returnPeriod(year, month);
+  const records = await findGstRecords(tenantId, ['income', 'expense'], [{ date: { $gte: period.start, $lt: period.end } }]);
+
+  const seen = new Map();
+  const documents = records.map(record => {
+    const doc = toDocument(record, settings);
+    const result = doc.side === 'sale' ? validateSale(doc, settings) : validatePurchase(doc);
+
+    if (doc.side === 'sale' && doc.invoiceNumber) {
+      const key = `${doc.documentType}|${doc.invoiceNumber.toLowerCase()}`;
+      if (seen.has(key)) {
+        result.errors.push({ field: 'invoiceNumber', message: `Invoice number ${doc.invoiceNumber} is used more than once this month` });
+        seen.get(key).errors.push({ field: 'invoiceNumber', message: `Invoice number ${doc.invoiceNumber} is used more than once this month` });
+      } else {
+        seen.set(key, result);
+      }
+    }
+
+    return { ...doc, section: doc.side === 'sale' ? sectionFor(doc) : 'purchase', ...result };
+  });
+
+  return { settings, period, documents };
+};
+
+const validationSummary = (documents) => {
+  const flagged = documents.filter(doc => doc.errors.length || doc.warnings.length);
+  const errorCount = documents.reduce((sum, doc) => sum + doc.errors.length, 0);
+  return {
+    valid: errorCount === 0,
+    documents: documents.length,
+    errorCount,
+    warningCount: documents.reduce((sum, doc) => sum + doc.warnings.length, 0),
+    invoices: flagged.map(doc => ({
+      transactionId: doc.transactionId,
+      invoiceNumber: doc.invoiceNumber || null,
+      date: doc.date,
+      side: doc.side,
+      section: doc.section,
+      counterparty: doc.counterpartyName,
+      errors: doc.errors,
+      warnings: doc.warnings
+    }))
+  };
+};
+
+const emptyHeads = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const addHeads = (target, doc, sign = doc.sign) => {
+  target.txval = round2(target.txval + sign * doc.taxableValue);
+  target.iamt = round2(target.iamt + sign * doc.igst);
+  target.camt = round2(target.camt + sign * doc.cgst);
+  target.samt = round2(target.samt + sign * doc.sgst);
+  target.csamt = round2(target.csamt + sign * doc.cess);
+  return target;
+};
+
+// Line item in the offline tool format: inter-state items carry IGST, intra-state items CGST + SGST
+const itemFor = (doc) => ({
+  num: Math.round(doc.rate * 100) + 1,
+  itm_det: doc.interState
+    ? { txval: doc.taxableValue, rt: doc.rate, iamt: doc.igst, csamt: doc.cess }
+    : { txval: doc.taxableValue, rt: doc.rate, camt: doc.cgst, samt: doc.sgst, csamt: doc.cess }
+});
+
+const groupInto = (list, keyField, key, entry) => {
+  let group = list.find(item => item[keyField] === key);
+  if (!group) {
+    group = { [keyField]: key, ...entry };
+    list.push(group);
+  }
+  return group;
+};
+
+const hsnSummary = (docs) => {
+  const rows = new Map();
+  docs.forEach(doc => {
+    const key = `${doc.hsnCode}|${doc.uqc}|${doc.rate}`;
+    if (!rows.has(key)) {
+      rows.set(key, { hsn_sc: doc.hsnCode, desc: '', uqc: doc.uqc, qty: 0, rt: doc.rate, ...emptyHeads() });
+    }
+    const row = rows.get(key);
+    row.qty = round2(row.qty + doc.sign * doc.quantity);
+    addHeads(row, doc);
+  });
+  return [...rows.values()].map((row, index) => ({ num: index + 1, ...row }));
+};
+
+// GSTR-1 for the month. Only documents without errors go into the tables; the rest are listed under validation
+export const buildGstr1 = async (tenantId, { year, month }) => {
+  const { settings, period, documents } = await collectDocuments(tenantId, { year, month });
+  const sales = documents.filter(doc => doc.side === 'sale');
+  const valid = sales.filter(doc => doc.errors.length === 0);
+
+  const b2b = [];
+  const b2cl = [];
+  const b2cs = [];
+  const cdnr = [];
+  const cdnur = [];
+  const exp = [];
+  const nil = [];
+
+  valid.forEach(doc => {
+    const rchrg = doc.reverseCharge ? 'Y' : 'N';
+    switch (doc.section) {
+      case 'b2b':
+        groupInto(b2b, 'ctin', doc.counterpartyGstin, { inv: [] }).inv.push({
+          inum: doc.invoiceNumber,
+          idt: formatDate(doc.date),
+          val: doc.value,
+          pos: doc.placeOfSupply,
+          rchrg,
+          inv_typ: doc.supplyType === 'zero_rated' ? (doc.tax > 0 ? 'SEWP' : 'SEWOP') : 'R',
+          itms: [itemFor(doc)]
+        });
+        break;
+      case 'b2cl':
+        groupInto(b2cl, 'pos', doc.placeOfSupply, { inv: [] }).inv.push({
+          inum: doc.invoiceNumber,
+          idt: formatDate(doc.date),
+          val: doc.value,
+          itms: [itemFor(doc)]
+        });
+        break;
+      case 'exp':
+        groupInto(exp, 'exp_typ', doc.tax > 0 ? 'WPAY' : 'WOPAY', { inv: [] }).inv.push({
+          inum: doc.invoiceNumber,
+          idt: formatDate(doc.date),
+          val: doc.value,
+          itms: [{ txval: doc.taxableValue, rt: doc.rate, iamt: doc.igst, csamt: doc.cess }]
+        });
+        break;
+      case 'cdnr':
+        groupInto(cdnr, 'ctin', doc.counterpartyGstin, { nt: [] }).nt.push({
+          ntty: doc.documentType === 'credit_note' ? 'C' : 'D',
+          nt_num: doc.invoiceNumber,
+          nt_dt: formatDate(doc.date),
+          val: doc.value,
+          pos: doc.placeOfSupply,
+          rchrg,
+          inv_typ: 'R',
+          itms: [itemFor(doc)]
+        });
+        break;
+      case 'cdnur':
+        cdnur.push({
+          ntty: doc.documentType === 'credit_note' ? 'C' : 'D',
+          nt_num: doc.invoiceNumber,
+          nt_dt: formatDate(doc.date),
+          val: doc.value,
+          typ: doc.supplyType === 'zero_rated' ? (doc.tax > 0 ? 'EXPWP' : 'EXPWOP') : 'B2CL',
+          ...(doc.supplyType === 'zero_rated' ? {} : { pos: doc.placeOfSupply }),
+          itms: [itemFor(doc)]
+        });
+        break;
+      case 'nil': {
+        const splyTy = `${doc.interState ? 'INTR' : 'INTRA'}${doc.counterpartyGstin ? 'B2B' : 'B2C'}`;
+        const row = groupInto(nil, 'sply_ty', splyTy, { expt_amt: 0, nil_amt: 0, ngsup_amt: 0 });
+        const field = { exempt: 'expt_amt', nil_rated: 'nil_amt', non_gst: 'ngsup_amt' }[doc.supplyType];
+        row[field] = round2(row[field] + doc.sign * doc.taxableValue);
+        break;
+      }
+      default: {
+        // B2C (small) is reported as totals per place of supply and rate, with notes netted off
+        const splyTy = doc.interState ? 'INTER' : 'INTRA';
+        let row = b2cs.find(item => item.sply_ty === splyTy && item.pos === doc.placeOfSupply && item.rt === doc.rate);
+        if (!row) {
+          row = { sply_ty: splyTy, pos: doc.placeOfSupply, typ: 'OE', rt: doc.rate, ...emptyHeads() };
+          b2cs.push(row);
+        }
+        addHeads(row, doc);
+      }
+    }
+  });
+
+  // Intra-state rows carry no IGST and inter-state rows no CGST/SGST in the offline tool format
+  b2cs.forEach(row => {
+    if (row.sply_ty === 'INTER') {
+      delete row.camt;
+      delete row.samt;
+    } else {
+      delete row.iamt;
+    }
+  });
+
+  const hsnDocs = valid.filter(doc => doc.supplyType !== 'non_gst');
+  const summary = ['b2b', 'b2cl', 'b2cs', 'cdnr', 'cdnur', 'exp', 'nil'].reduce((acc, section) => {
+    const docs = valid.filter(doc => doc.section === section);
+    acc[section] = { documents: docs.length, ...docs.reduce((heads, doc) => addHeads(heads, doc), emptyHeads()) };
+    return acc;
+  }, {});
+  summary.total = valid.reduce((heads, doc) => addHeads(heads, doc), emptyHeads());
+
+  return {
+    period: { year: period.year, month: period.month, fp: period.fp },
+    gstin: settings.gstin,
+    sections: {
+      b2b,
+      b2cl,
+      b2cs,
+      cdnr,
+      cdnur,
+      exp,
+      nil: { inv: nil },
+      hsn: {
+        hsn_b2b: hsnSummary(hsnDocs.filter(doc => doc.counterpartyGstin)),
+        hsn_b2c: hsnSummary(hsnDocs.filter(doc => !doc.counterpartyGstin))
+      }
+    },
+    summary,
+    validation: validationSummary(sales)
+  };
+};
+
+// Set ITC off against the forward-charge liability in the rule 88A order: IGST credit first (IGST, then
+// CGST, then SGST), then CGST credit (CGST, IGST) and SGST credit (SGST, IGST). Cess only against cess
+const setOff = (liability, credit) => {
+  const due = { ...liability };
+  const left = { ...credit };
+  const use = (from, to) => {
+    const amount = Math.max(0, Math.min(left[from], due[to]));
+    left[from] = round2(left[from] - amount);
+    due[to] = round2(due[to] - amount);
+  };
+  use('iamt', 'iamt');
+  use('iamt', 'camt');
+  use('iamt', 'samt');
+  use('camt', 'camt');
+  use('camt', 'iamt');
+  use('samt', 'samt');
+  use('samt', 'iamt');
+  use('csamt', 'csamt');
+  return { due, left };
+};
+
+const taxHeads = ({ iamt, camt, samt, csamt }) => ({ iamt, camt, samt, csamt });
+
+const toReturnHeads = ({ igst, cgst, sgst, cess }) => ({ iamt: igst, camt: cgst, samt: sgst, csamt: cess });
+
+// ITC rows of GSTR-3B table 4 from the ledger entries of the month: 4(A) all credit from registered suppliers
+// (blocked included) and credit reclaimed, 4(B)(1) blocked credit, 4(B)(2) rule 37 reversals, 4(D)(1) credit
+// reclaimed and 4(D)(2) credit restricted by place of supply
+const itcTable = (entries) => {
+  const total = (filter) => entries.filter(filter).reduce((heads, entry) => {
+    heads.iamt = round2(heads.iamt + entry.igst);
+    heads.camt = round2(heads.camt + entry.cgst);
+    heads.samt = round2(heads.samt + entry.sgst);
+    heads.csamt = round2(heads.csamt + entry.cess);
+    return heads;
+  }, toReturnHeads({ igst: 0, cgst: 0, sgst: 0, cess: 0 }));
+
+  const claimed = (entry) => entry.kind === 'availed' || entry.kind === 'blocked';
+  return {
+    itc_avl: [
+      { ty: 'IMPG', ...total(() => false) },
+      { ty: 'IMPS', ...total(() => false) },
+      { ty: 'ISRC', ...total(entry => claimed(entry) && entry.reverseCharge) },
+      { ty: 'ISD', ...total(() => false) },
+      { ty: 'OTH', ...total(entry => (claimed(entry) && !entry.reverseCharge) || entry.kind === 'reclaimed') }
+    ],
+    itc_rev: [
+      { ty: 'RUL', ...total(entry => entry.kind === 'blocked') },
+      { ty: 'OTH', ...total(entry => entry.kind === 'reversed') }
+    ],
+    itc_inelg: [
+      { ty: 'RUL', ...total(entry => entry.kind === 'reclaimed') },
+      { ty: 'OTH', ...total(entry => entry.kind === 'ineligible') }
+    ]
+  };
+};
+
+// GSTR-3B summary for the month: outward supplies (3.1), inter-state supplies to unregistered persons (3.2),
+// ITC (4, see itcTable), exempt and non-GST inward supplies (5), and the tax payable in cash after ITC
+export const buildGstr3b = async (tenantId, { year, month }) => {
+  const { settings, period, documents } = await collectDocuments(tenantId, { year, month });
+  const valid = documents.filter(doc => doc.errors.length === 0);
+  const purchases = await findPurchaseDocuments(tenantId, settings, period);
+  const itc = itcTable(itcEntries(purchases, { start: period.start, end: period.end, stateCode: settings.stateCode }));
+
+  const osupDet = emptyHeads();
+  const osupZero = emptyHeads();
+  const osupNilExmp = emptyHeads();
+  const isupRev = emptyHeads();
+  const osupNonGst = emptyHeads();
+  const unregistered = [];
+  const inwardExempt = { inter: 0, intra: 0 };
+  const inwardNonGst = { inter: 0, intra: 0 };
+
+  valid.forEach(doc => {
+    if (doc.side === 'sale') {
+      if (doc.supplyType === 'taxable') addHeads(osupDet, doc);
+      else if (doc.supplyType === 'zero_rated') addHeads(osupZero, doc);
+      else if (doc.supplyType === 'non_gst') addHeads(osupNonGst, doc);
+      else addHeads(osupNilExmp, doc);
+
+      if (doc.supplyType === 'taxable' && doc.interState && !doc.counterpartyGstin) {
+        const row = groupInto(unregistered, 'pos', doc.placeOfSupply, { txval: 0, iamt: 0 });
+        row.txval = round2(row.txval + doc.sign * doc.taxableValue);
+        row.iamt = round2(row.iamt + doc.sign * doc.igst);
+      }
+      return;
+    }
+
+    if (NON_TAXABLE_SUPPLIES.includes(doc.supplyType)) {
+      const target = doc.supplyType === 'non_gst' ? inwardNonGst : inwardExempt;
+      const key = doc.interState ? 'inter' : 'intra';
+      target[key] = round2(target[key] + doc.sign * doc.taxableValue);
+    } else if (doc.reverseCharge) {
+      addHeads(isupRev, doc);
+    }
+  });
+
+  const itcNet = ['iamt', 'camt', 'samt', 'csamt'].reduce((acc, head) => {
+    const available = itc.itc_avl.reduce((sum, row) => sum + row[head], 0);
+    const reversed = itc.itc_rev.reduce((sum, row) => sum + row[head], 0);
+    acc[head] = round2(available - reversed);
+    return acc;
+  }, {});
+
+  // Reverse-charge tax is always paid in cash; ITC only covers the forward-charge liability
+  const forwardLiability = ['iamt', 'camt', 'samt', 'csamt'].reduce((acc, head) => {
+    acc[head] = round2(Math.max(0, osupDet[head] + osupZero[head]));
+    return acc;
+  }, {});
+  const { due, left } = setOff(forwardLiability, ['iamt', 'camt', 'samt', 'csamt'].reduce((acc, head) => {
+    acc[head] = Math.max(0, itcNet[head]);
+    return acc;
+  }, {}));
+  const cash = ['iamt', 'camt', 'samt', 'csamt'].reduce((acc, head) => {
+    acc[head] = round2(due[head] + isupRev[head]);
+    return acc;
+  }, {});
+
+  const json = {
+    gstin: settings.gstin,
+    ret_period: period.fp,
+    sup_details: {
+      osup_det: osupDet,
+      osup_zero: { txval: osupZero.txval, iamt: osupZero.iamt, csamt: osupZero.csamt },
+      osup_nil_exmp: { txval: osupNilExmp.txval },
+      isup_rev: isupRev,
+      osup_nongst: { txval: osupNonGst.txval }
+    },
+    inter_sup: {
+      unreg_details: unregistered,
+      comp_details: [],
+      uin_details: []
+    },
+    itc_elg: {
+      itc_avl: itc.itc_avl,
+      itc_rev: itc.itc_rev,
+      itc_net: itcNet,
+      itc_inelg: itc.itc_inelg
+    },
+    inward_sup: {
+      isup_details: [
+        { ty: 'GST', ...inwardExempt },
+        { ty: 'NONGST', ...inwardNonGst }
+      ]
+    }
+  };
+
+  return {
+    period: { year: period.year, month: period.month, fp: period.fp },
+    gstin: settings.gstin,
+    json,
+    payable: {
+      liability: forwardLiability,
+      reverseCharge: taxHeads(isupRev),
+      itcUsed: ['iamt', 'camt', 'samt', 'csamt'].reduce((acc, head) => {
+        acc[head] = round2(Math.max(0, itcNet[head]) - left[head]);
+        return acc;
+      }, {}),
+      cash,
+      totalCash: round2(cash.iamt + cash.camt + cash.samt + cash.csamt),
+      itcCarriedForward: left
+    },
+    validation: validationSummary(documents)
+  };
+};
+
+// Input tax credit ledger for a financial year: credit availed, blocked and ineligible per invoice, rule 37
+// reversals and reclaims, monthly totals and the unpaid invoices about to be reversed
+export const getItcLedger = async (tenantId, { financialYear, asOf = new Date() } = {}) => {
+  const settings = await requireSettings(tenantId);
+  const year = financialYear || financialYearOf(asOf);
+  if (!/^\d{4}-\d{2}$/.test(year)) throw new Error('Financial year must look like 2025-26');
+
+  const startYear = parseInt(year);
+  const range = { start: new Date(startYear, 3, 1), end: new Date(startYear + 1, 3, 1) };
+  const purchases = await findPurchaseDocuments(tenantId, settings, range);
+  const entries = itcEntries(purchases, { ...range, asOf, stateCode: settings.stateCode });
+
+  return {
+    financialYear: year,
+    gstin: settings.gstin,
+    entries,
+    ...summarizeItc(entries),
+    upcomingReversals: upcomingReversals(purchases, { asOf, stateCode: settings.stateCode })
+  };
+};
+
+const findBookDocumentsFor2b = async (tenantId, settings, period) => {
+  const from = new Date(period.start);
+  from.setMonth(from.getMonth() - GSTR2B_LOOKBACK_MONTHS);
+  const records = await findGstRecords(tenantId, ['expense'], [{ date: { $gte: from, $lt: period.end } }]);
+  return records.map(record => toDocument(record, settings));
+};
+
+// Match an uploaded GSTR-2B against the books; null when none was uploaded for the period
+export const getGstr2bReconciliation = async (tenantId, { year, month }) => {
+  const settings = await requireSettings(tenantId);
+  const period = returnPeriod(year, month);
+  const statement = await Gstr2b.findOne({ tenantId, period: period.fp }).lean();
+  if (!statement) return null;
+
+  const books = await findBookDocumentsFor2b(tenantId, settings, period);
+  return {
+    period: { year: period.year, month: period.month, fp: period.fp },
+    uploadedAt: statement.updatedAt,
+    fileName: statement.fileName,
+    ...reconcileGstr2b(books, statement.documents, period)
+  };
+};
+
+// Store a GSTR-2B JSON (replacing an earlier upload for the same period) and reconcile it
+export const uploadGstr2b = async (tenantId, userId, { json, fileName }) => {
+  const settings = await requireSettings(tenantId);
+  const parsed = parseGstr2b(json);
+  if (parsed.gstin && parsed.gstin !== settings.gstin) {
+    throw new Error(`This GSTR-2B is for GSTIN ${parsed.gstin}, not ${settings.gstin}`);
+  }
+  const period = returnPeriod(parsed.period.substring(2), parsed.period.substring(0, 2));
+
+  await Gstr2b.findOneAndUpdate(
+    { tenantId, period: period.fp },
+    { gstin: parsed.gstin || settings.gstin, fileName: fileName || '', documents: parsed.documents, uploadedBy: userId || null },
+    { new: true, upsert: true, runValidators: true }
+  );
+  return getGstr2bReconciliation(tenantId, { year: period.year, month: period.month });
+};
+
+// JSON in the structure the GST offline tool imports
+export const toGstr1Json = (report) => {
+  const { b2b, b2cl, b2cs, cdnr, cdnur, exp, nil, hsn } = report.sections;
+  const json = {
+    gstin: report.gstin,
+    fp: report.period.fp,
+    version: OFFLINE_TOOL_VERSION,
+    hash: 'hash'
+  };
+  if (b2b.length) json.b2b = b2b;
+  if (b2cl.length) json.b2cl = b2cl;
+  if (b2cs.length) json.b2cs = b2cs;
+  if (cdnr.length) json.cdnr = cdnr;
+  if (cdnur.length) json.cdnur = cdnur;
+  if (exp.length) json.exp = exp;
+  if (nil.inv.length) json.nil = nil;
+  if (hsn.hsn_b2b.length || hsn.hsn_b2c.length) json.hsn = hsn;
+  return json;
+};
+
+export default {
+  GST_STATE_CODES,
+  GST_RATES,
+  B2CL_LIMIT,
+  isValidGstin,
+  stateCodeFor,
+  returnPeriod,
+  gstSplitFor,
+  storedGstSplit,
+  applyGstSplit,
+  getGstSettings,
+  saveGstSettings,
+  collectDocuments,
+  buildGstr1,
+  buildGstr3b,
+  getItcLedger,
+  getGstr2bReconciliation,
+  uploadGstr2b,
+  toGstr1Json
+};
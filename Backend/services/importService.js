@@ -0,0 +1,363 @@
+// services/importService.js - bank statement parsing, column detection and normalization
+import fs from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+import xlsx from 'xlsx';
+import { readStatement } from './statementParsers.js';
+
+// Header names we recognise when guessing a column mapping
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction date', 'txn date', 'tran date', 'value date', 'posting date', 'value dt', 'txn posted date'],
+  description: ['description', 'narration', 'remarks', 'particulars', 'details', 'transaction remarks', 'transaction details'],
+  amount: ['amount', 'transaction amount', 'amt', 'amount (inr)', 'amount(inr)'],
+  debit: ['debit', 'withdrawal', 'withdrawals', 'withdrawal amt', 'withdrawal amount', 'withdrawal amount (inr)', 'dr', 'debit amount'],
+  credit: ['credit', 'deposit', 'deposits', 'deposit amt', 'deposit amount', 'deposit amount (inr)', 'cr', 'credit amount'],
+  type: ['type', 'dr/cr', 'cr/dr', 'transaction type', 'debit/credit'],
+  reference: ['reference', 'ref no', 'chq/ref no', 'cheque no', 'reference number', 'ref no./cheque no', 'utr', 'utr number'],
+  balance: ['balance', 'closing balance', 'running balance', 'available balance'],
+  category: ['category']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+export const DEFAULT_CREDIT_VALUES = ['CR', 'CREDIT', 'C', 'DEPOSIT'];
+
+// Helper function to normalise a header for alias comparison
+const normalizeHeader = (header) => String(header || '')
+  .toLowerCase()
+  .replace(/[._]/g, ' ')
+  .replace(/\s*\/\s*/g, '/')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Read the raw rows of a file, skipping any preamble rows above the header
+export const readRows = async (filePath, fileExtension, { skipRows = 0 } = {}) => {
+  if (fileExtension === 'csv') {
+    return new Promise((resolve, reject) => {
+      const results = [];
+      fs.createReadStream(filePath)
+        .pipe(csv({ skipLines: skipRows, mapHeaders: ({ header }) => header.trim() }))
+        .on('data', (data) => results.push(data))
+        .on('end', () => resolve(results))
+        .on('error', (error) => reject(error));
+    });
+  }
+
+  if (fileExtension === 'xlsx' || fileExtension === 'xls') {
+    const workbook = xlsx.readFile(filePath, { cellDates: true });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    return xlsx.utils.sheet_to_json(worksheet, { range: skipRows, defval: '' });
+  }
+
+  if (fileExtension === 'json') {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const rows = Array.isArray(data) ? data : (data.transactions || data.data || []);
+    return rows.slice(skipRows);
+  }
+
+  throw new Error('Unsupported file format');
+};
+
+// Guess a column mapping from the headers of the file
+export const detectColumns = (headers) => {
+  const columns = {};
+  const normalized = headers.map(header => ({ header, key: normalizeHeader(header) }));
+
+  for (const [field, fieldAliases] of Object.entries(COLUMN_ALIASES)) {
+    const aliases = fieldAliases.map(normalizeHeader);
+    const exact = normalized.find(({ key }) => aliases.includes(key));
+    const partial = exact || normalized.find(({ key }) => aliases.some(alias => alias.length > 3 && key.startsWith(alias)));
+    columns[field] = partial ? partial.header : '';
+  }
+
+  // A "Withdrawal Amount" header can match both amount and debit; keep it as debit
+  if (columns.amount && (columns.amount === columns.debit || columns.amount === columns.credit)) {
+    columns.amount = '';
+  }
+
+  let signConvention = 'negative_is_debit';
+  if (columns.debit && columns.credit) {
+    signConvention = 'split_columns';
+  } else if (columns.type && columns.amount) {
+    signConvention = 'type_column';
+  }
+
+  return {
+    skipRows: 0,
+    dateFormat: '',
+    signConvention,
+    creditValues: DEFAULT_CREDIT_VALUES,
+    columns
+  };
+};
+
+// Merge a partial mapping (from a request body) over a detected one
+export const resolveMapping = (detected, override = {}) => ({
+  ...detected,
+  ...override,
+  creditValues: override.creditValues?.length ? override.creditValues : detected.creditValues,
+  columns: { ...detected.columns, ...(override.columns || {}) }
+});
+
+// Parse a date cell using an explicit format (DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD, DD-MMM-YY ...)
+export const parseDate = (value, format = '') => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+
+  const text = String(value).trim();
+  const parts = text.split(/[\/\-.\s]+/).filter(Boolean);
+  const order = (format || '').toUpperCase().split(/[\/\-.\s]+/).filter(Boolean);
+
+  // Without a format, assume day-first for numeric dates (Indian bank default) unless year-first
+  let tokens = order;
+  if (!tokens.length && /^\d{1,4}[\/\-.]\d{1,2}[\/\-.]\d{1,4}$/.test(text)) {
+    tokens = parts[0].length === 4 ? ['YYYY', 'MM', 'DD'] : ['DD', 'MM', 'YYYY'];
+  } else if (!tokens.length && /^\d{1,2}[\/\-.\s][A-Za-z]{3,}[\/\-.\s]\d{2,4}$/.test(text)) {
+    tokens = ['DD', 'MMM', 'YYYY'];
+  }
+
+  if (!tokens.length || tokens.length !== parts.length) {
+    const fallback = new Date(text);
+    return isNaN(fallback.getTime()) ? null : new Date(Date.UTC(fallback.getFullYear(), fallback.getMonth(), fallback.getDate()));
+  }
+
+  let day = 1;
+  let month = 0;
+  let year = new Date().getFullYear();
+
+  tokens.forEach((token, index) => {
+    const part = parts[index];
+    if (token.startsWith('D')) {
+      day = parseInt(part, 10);
+    } else if (token === 'MMM' || token === 'MMMM') {
+      month = MONTHS.indexOf(part.substring(0, 3).toLowerCase());
+    } else if (token.startsWith('M')) {
+      month = parseInt(part, 10) - 1;
+    } else if (token.startsWith('Y')) {
+      year = parseInt(part, 10);
+      if (part.length === 2) year += 2000;
+    }
+  });
+
+  if (isNaN(day) || isNaN(month) || isNaN(year) || month < 0 || month > 11 || day < 1 || day > 31) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month ? date : null;
+};
+
+// Parse an amount cell: strips currency symbols/commas, handles (1,000.00) and "1,000.00 Dr"
+export const parseAmount = (value) => {
+  if (value === null || value === undefined || value === '') return { value: null, indicator: '' };
+  if (typeof value === 'number') return { value, indicator: '' };
+
+  let text = String(value).trim();
+  let indicator = '';
+
+  const suffix = text.match(/\s*(cr|dr)\.?$/i);
+  if (suffix) {
+    indicator = suffix[1].toUpperCase();
+    text = text.substring(0, suffix.index);
+  }
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+
+  text = text.replace(/[₹$€£,\s]|INR|Rs\.?/gi, '');
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.substring(1);
+  }
+
+  const parsed = parseFloat(text);
+  if (isNaN(parsed)) return { value: null, indicator };
+
+  return { value: negative ? -parsed : parsed, indicator };
+};
+
+// Turn one raw row into { date, description, amount, type, referenceNumber, balance, category }
+export const normalizeRow = (row, mapping) => {
+  const columns = mapping.columns || {};
+  const cell = (field) => (columns[field] ? row[columns[field]] : undefined);
+
+  const date = parseDate(cell('date'), mapping.dateFormat);
+  const description = String(cell('description') || '').trim() || 'Imported transaction';
+
+  let amount = null;
+  let type = null;
+
+  if (mapping.signConvention === 'split_columns') {
+    const debit = parseAmount(cell('debit')).value;
+    const credit = parseAmount(cell('credit')).value;
+    if (debit) {
+      amount = Math.abs(debit);
+      type = 'expense';
+    } else if (credit) {
+      amount = Math.abs(credit);
+      type = 'income';
+    }
+  } else {
+    const { value, indicator } = parseAmount(cell('amount'));
+    if (value !== null && value !== 0) {
+      amount = Math.abs(value);
+
+      if (mapping.signConvention === 'type_column' || indicator) {
+        const creditValues = (mapping.creditValues || DEFAULT_CREDIT_VALUES).map(v => String(v).toUpperCase());
+        const marker = String(cell('type') || indicator).trim().toUpperCase();
+        type = creditValues.includes(marker) ? 'income' : 'expense';
+      } else if (mapping.signConvention === 'negative_is_credit') {
+        type = value < 0 ? 'income' : 'expense';
+      } else {
+        type = value < 0 ? 'expense' : 'income';
+      }
+    }
+  }
+
+  const errors = [];
+  if (!date) errors.push('Invalid or missing date');
+  if (!amount) errors.push('Missing amount');
+
+  return {
+    date,
+    description,
+    amount,
+    type,
+    referenceNumber: String(cell('reference') || '').trim(),
+    balance: parseAmount(cell('balance')).value,
+    category: String(cell('category') || '').trim(),
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+// A single amount column says nothing about which sign is a debit. When every amount in the file is
+// positive the statement lists debits as plain numbers, so read them as expenses; either way the
+// preview warns that the convention was guessed
+export const detectSignConvention = (rows, mapping) => {
+  const amounts = rows
+    .map(row => parseAmount(mapping.columns.amount ? row[mapping.columns.amount] : undefined))
+    .filter(({ value, indicator }) => value !== null && value !== 0 && !indicator);
+  if (!amounts.length) return { signConvention: mapping.signConvention, warning: '' };
+
+  if (amounts.every(({ value }) => value > 0)) {
+    return {
+      signConvention: 'negative_is_credit',
+      warning: 'The file has a single amount column with no negative amounts, so every row is read as a debit (expense). Choose a different sign convention if the file lists credits this way.'
+    };
+  }
+
+  return {
+    signConvention: mapping.signConvention,
+    warning: 'The file has a single amount column, so negative amounts are read as debits (expenses) and positive amounts as credits (income). Choose a different sign convention if the file uses the opposite signs.'
+  };
+};
+
+// Summarise normalized rows for the preview returned to the client
+export const summarizeImport = ({ headers = [], mapping, rawSample = [], normalized, warnings = [] }, limit = 20) => {
+  const valid = normalized.filter(row => row.valid);
+  const credits = valid.filter(row => row.type === 'income');
+  const debits = valid.filter(row => row.type === 'expense');
+
+  return {
+    headers,
+    mapping,
+    totalRows: normalized.length,
+    rawSample,
+    rows: normalized.slice(0, limit),
+    warnings,
+    summary: {
+      valid: valid.length,
+      invalid: normalized.length - valid.length,
+      credits: credits.length,
+      debits: debits.length,
+      totalCredit: credits.reduce((sum, row) => sum + row.amount, 0),
+      totalDebit: debits.reduce((sum, row) => sum + row.amount, 0)
+    }
+  };
+};
+
+// Build the preview returned to the client before anything is written
+export const buildPreview = (rows, mapping, limit = 20) => summarizeImport({
+  headers: rows.length ? Object.keys(rows[0]) : [],
+  mapping,
+  rawSample: rows.slice(0, 5),
+  normalized: rows.map(row => normalizeRow(row, mapping))
+}, limit);
+
+// Accept a mapping sent as JSON or as a multipart string field
+export const parseMappingInput = (mapping) => {
+  if (!mapping) return {};
+  if (typeof mapping === 'string') {
+    try {
+      return JSON.parse(mapping);
+    } catch (error) {
+      throw new Error('Mapping must be valid JSON');
+    }
+  }
+  return mapping;
+};
+
+// Read a file into normalized rows plus a preview. OFX/QFX, CAMT.053 and MT940 statements are
+// self-describing; tables go through the column mapping (override merged over auto-detection).
+export const readImportFile = async (filePath, override = {}) => {
+  const fileExtension = path.extname(filePath).substring(1).toLowerCase();
+  const statement = await readStatement(filePath, fileExtension);
+
+  if (statement) {
+    const mapping = { format: statement.format, accountNumber: statement.accountNumber };
+    return {
+      mapping,
+      balances: statement.balances,
+      transactions: statement.rows,
+      preview: summarizeImport({ mapping, normalized: statement.rows })
+    };
+  }
+
+  const skipRows = Number(override.skipRows) || 0;
+  const rows = await readRows(filePath, fileExtension, { skipRows });
+  const mapping = resolveMapping(detectColumns(rows.length ? Object.keys(rows[0]) : []), override);
+  mapping.skipRows = skipRows;
+
+  const warnings = [];
+  if (!override.signConvention && mapping.signConvention === 'negative_is_debit') {
+    const { signConvention, warning } = detectSignConvention(rows, mapping);
+    mapping.signConvention = signConvention;
+    if (warning) warnings.push(warning);
+  }
+
+  const transactions = rows.map(row => normalizeRow(row, mapping));
+
+  return {
+    mapping,
+    balances: {},
+    transactions,
+    preview: summarizeImport({
+      headers: rows.length ? Object.keys(rows[0]) : [],
+      mapping,
+      rawSample: rows.slice(0, 5),
+      normalized: transactions,
+      warnings
+    })
+  };
+};
+
+export default {
+  readRows,
+  detectColumns,
+  resolveMapping,
+  parseDate,
+  parseAmount,
+  normalizeRow,
+  detectSignConvention,
+  summarizeImport,
+  buildPreview,
+  parseMappingInput,
+  readImportFile
+};
@@ -0,0 +1,306 @@
+// services/itcService.js - input tax credit rules: section 17(5) blocked credits, rule 37 reversal of unpaid invoices and GSTR-2B matching.
+// Works on the purchase documents built in services/gstReturnService.js
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Credit on an invoice not paid within this many days of its date is reversed until payment (rule 37)
+export const REVERSAL_DAYS = 180;
+
+// Unpaid invoices this close to the reversal date are listed as upcoming reversals
+const REVERSAL_WARNING_DAYS = 30;
+
+// Amounts in the books and in GSTR-2B may differ by this much and still match
+const MATCH_TOLERANCE = 1;
+
+// Purchase categories whose credit is blocked by section 17(5); checked against the category and subcategory
+export const BLOCKED_CREDIT_RULES = [
+  { clause: '17(5)(a)', label: 'Motor vehicles, their repair and insurance', pattern: /vehicle|\bcars?\b|\bmotor|\bbike|scooter|automobile/i },
+  { clause: '17(5)(b)(i)', label: 'Food, beverages and outdoor catering', pattern: /food|restaurant|dining|meal|catering|beverage|snack|grocer/i },
+  { clause: '17(5)(b)(i)', label: 'Beauty treatment, health services and cosmetic surgery', pattern: /beauty|salon|\bspa\b|cosmetic|medical|hospital|doctor|clinic/i },
+  { clause: '17(5)(b)(i)', label: 'Life and health insurance', pattern: /life insurance|health insurance|mediclaim/i },
+  { clause: '17(5)(b)(i)', label: 'Renting or hiring of motor vehicles', pattern: /\bcabs?\b|taxi|car rental|rent.?a.?cab/i },
+  { clause: '17(5)(b)(ii)', label: 'Club membership and health or fitness centres', pattern: /\bclub|\bgym\b|fitness/i },
+  { clause: '17(5)(b)(iii)', label: 'Travel benefits for employees on vacation', pattern: /vacation|holiday|leave travel/i },
+  { clause: '17(5)(c)/(d)', label: 'Works contracts and construction of immovable property', pattern: /construction|civil work|renovation|works contract/i },
+  { clause: '17(5)(g)', label: 'Goods or services for personal consumption', pattern: /personal/i },
+  { clause: '17(5)(h)', label: 'Gifts, free samples and lost or destroyed goods', pattern: /gift|free sample|\blost\b|stolen|destroyed|write.?off/i }
+];
+
+const HEADS = ['igst', 'cgst', 'sgst', 'cess'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const periodOf = (date) => `${pad(new Date(date).getMonth() + 1)}${new Date(date).getFullYear()}`;
+
+const emptyHeads = () => ({ igst: 0, cgst: 0, sgst: 0, cess: 0, total: 0 });
+
+const addHeads = (target, source, sign = 1) => {
+  HEADS.forEach(head => {
+    target[head] = round2(target[head] + sign * (source[head] || 0));
+  });
+  target.total = round2(HEADS.reduce((sum, head) => sum + target[head], 0));
+  return target;
+};
+
+// Whether the credit on a purchase can be taken: eligible, blocked (17(5)), ineligible (place of supply in
+// another state) or none (no GST charged, or an unregistered supplier without reverse charge)
+export const classifyItc = (doc, stateCode) => {
+  if (['nil_rated', 'exempt', 'non_gst'].includes(doc.supplyType) || doc.tax + doc.cess <= 0) {
+    return { status: 'none', reason: 'No GST charged' };
+  }
+  if (!doc.counterpartyGstin && !doc.reverseCharge) {
+    return { status: 'none', reason: 'Supplier GSTIN is missing' };
+  }
+  if (stateCode && doc.placeOfSupply !== stateCode) {
+    return { status: 'ineligible', reason: `Place of supply (${doc.placeOfSupply}) is outside your state of registration` };
+  }
+  if (doc.itcEligibility === 'eligible') return { status: 'eligible' };
+  if (doc.itcEligibility === 'blocked') return { status: 'blocked', clause: '17(5)', reason: 'Marked as blocked credit' };
+
+  const rule = BLOCKED_CREDIT_RULES.find(entry => entry.pattern.test(doc.category || ''));
+  return rule ? { status: 'blocked', clause: rule.clause, reason: rule.label } : { status: 'eligible' };
+};
+
+const reversalDateOf = (doc) => new Date(new Date(doc.date).getTime() + REVERSAL_DAYS * DAY_MS);
+
+const entryFor = (doc, kind, date, extra = {}) => ({
+  date,
+  period: periodOf(date),
+  kind,
+  transactionId: doc.transactionId,
+  supplier: doc.counterpartyName,
+  supplierGstin: doc.counterpartyGstin || null,
+  invoiceNumber: doc.invoiceNumber || null,
+  invoiceDate: doc.date,
+  reverseCharge: doc.reverseCharge,
+  ...addHeads(emptyHeads(), doc, doc.sign),
+  ...extra
+});
+
+// Ledger entries dated in [start, end): credit availed, blocked or ineligible on the invoice date, reversed
+// REVERSAL_DAYS later while unpaid, and reclaimed when the supplier is paid. Reverse-charge purchases are never
+// reversed, the tax having been paid by the buyer
+export const itcEntries = (docs, { start, end, asOf = new Date(), stateCode }) => {
+  const inRange = (date) => date >= start && date < end;
+  const entries = [];
+
+  docs.forEach(doc => {
+    const itc = classifyItc(doc, stateCode);
+    if (itc.status === 'none') return;
+
+    const invoiceDate = new Date(doc.date);
+    if (inRange(invoiceDate)) {
+      const kind = { eligible: 'availed', blocked: 'blocked', ineligible: 'ineligible' }[itc.status];
+      entries.push(entryFor(doc, kind, invoiceDate, { clause: itc.clause || null, reason: itc.reason || null }));
+    }
+    if (itc.status !== 'eligible' || doc.reverseCharge || doc.documentType === 'credit_note') return;
+
+    const reversalDate = reversalDateOf(doc);
+    const paidOn = doc.paidOn ? new Date(doc.paidOn) : null;
+    if (reversalDate > asOf || (paidOn && paidOn <= reversalDate)) return;
+
+    if (inRange(reversalDate)) {
+      entries.push(entryFor(doc, 'reversed', reversalDate, {
+        clause: 'Rule 37',
+        reason: `Supplier not paid within ${REVERSAL_DAYS} days`
+      }));
+    }
+    if (paidOn && paidOn <= asOf && inRange(paidOn)) {
+      entries.push(entryFor(doc, 'reclaimed', paidOn, { clause: 'Rule 37', reason: 'Supplier paid' }));
+    }
+  });
+
+  return entries.sort((a, b) => a.date - b.date);
+};
+
+// Unpaid invoices whose credit will be reversed soon
+export const upcomingReversals = (docs, { asOf = new Date(), stateCode }) => docs
+  .filter(doc => !doc.paidOn && !doc.reverseCharge && doc.documentType !== 'credit_note')
+  .filter(doc => classifyItc(doc, stateCode).status === 'eligible')
+  .map(doc => {
+    const reversalDate = reversalDateOf(doc);
+    return {
+      transactionId: doc.transactionId,
+      supplier: doc.counterpartyName,
+      supplierGstin: doc.counterpartyGstin,
+      invoiceNumber: doc.invoiceNumber || null,
+      invoiceDate: doc.date,
+      reversalDate,
+      daysLeft: Math.ceil((reversalDate - asOf) / DAY_MS),
+      ...addHeads(emptyHeads(), doc)
+    };
+  })
+  .filter(item => item.daysLeft > 0 && item.daysLeft <= REVERSAL_WARNING_DAYS)
+  .sort((a, b) => a.daysLeft - b.daysLeft);
+
+// Month-by-month totals per kind of entry, with net credit = availed - reversed + reclaimed
+export const summarizeItc = (entries) => {
+  const kinds = ['availed', 'blocked', 'ineligible', 'reversed', 'reclaimed'];
+  const blank = () => kinds.reduce((acc, kind) => ({ ...acc, [kind]: emptyHeads() }), { net: emptyHeads() });
+
+  const months = new Map();
+  const totals = blank();
+  entries.forEach(entry => {
+    if (!months.has(entry.period)) months.set(entry.period, { period: entry.period, ...blank() });
+    [months.get(entry.period), totals].forEach(target => {
+      addHeads(target[entry.kind], entry);
+      if (entry.kind === 'availed' || entry.kind === 'reclaimed') addHeads(target.net, entry);
+      if (entry.kind === 'reversed') addHeads(target.net, entry, -1);
+    });
+  });
+
+  return { months: [...months.values()], totals };
+};
+
+const parseStatementDate = (value) => {
+  const match = String(value || '').match(/^(\d{2})-(\d{2})-(\d{4})$/);
+  return match ? new Date(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1])) : null;
+};
+
+const statementDocument = (supplier, doc, { number, documentType }) => {
+  const items = doc.items || doc.itms || [];
+  const sum = (field) => round2(doc[field] ?? items.reduce((total, item) => total + (item[field] || 0), 0));
+  return {
+    ctin: String(supplier.ctin || '').toUpperCase(),
+    supplierName: supplier.trdnm || '',
+    documentType,
+    invoiceNumber: String(number || ''),
+    date: parseStatementDate(doc.dt),
+    value: round2(doc.val || 0),
+    taxableValue: sum('txval'),
+    igst: sum('igst'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    cess: sum('cess'),
+    placeOfSupply: doc.pos || '',
+    reverseCharge: doc.rev === 'Y',
+    itcAvailable: doc.itcavl !== 'N',
+    itcReason: doc.rsn || ''
+  };
+};
+
+// Invoices and credit/debit notes from a GSTR-2B JSON as downloaded from the GST portal
+export const parseGstr2b = (json) => {
+  const root = json?.data || json;
+  if (!root?.docdata) throw new Error('This does not look like a GSTR-2B JSON (no docdata section)');
+
+  const documents = [];
+  (root.docdata.b2b || []).forEach(supplier => {
+    (supplier.inv || []).forEach(invoice => {
+      documents.push(statementDocument(supplier, invoice, { number: invoice.inum, documentType: 'invoice' }));
+    });
+  });
+  (root.docdata.cdnr || []).forEach(supplier => {
+    (supplier.nt || []).forEach(note => {
+      documents.push(statementDocument(supplier, note, {
+        number: note.ntnum,
+        documentType: note.typ === 'D' ? 'debit_note' : 'credit_note'
+      }));
+    });
+  });
+
+  return {
+    gstin: String(root.gstin || '').toUpperCase(),
+    period: String(root.rtnprd || ''),
+    documents: documents.filter(doc => doc.ctin && doc.invoiceNumber)
+  };
+};
+
+// "INV/0042", "inv-42" and "INV42" are the same invoice: zero padding is dropped from every run of digits
+// before separators are, so "2024/0042" and "2024-42" still agree
+export const normalizeInvoiceNumber = (number) =>
+  String(number || '').toUpperCase().replace(/(^|\D)0+(?=\d)/g, '$1').replace(/[^A-Z0-9]/g, '');
+
+const matchKey = (ctin, documentType, number) => `${ctin}|${documentType}|${normalizeInvoiceNumber(number)}`;
+
+const sameDay = (a, b) => a && b && new Date(a).toDateString() === new Date(b).toDateString();
+
+// Compare the supplier invoices in the books with GSTR-2B: matched, mismatched (amounts or date differ), missing in
+// the books (supplier reported it, not recorded here) and missing in GSTR-2B (recorded here, dated in [start, end),
+// not yet reported by the supplier, so the credit cannot be taken yet)
+export const reconcileGstr2b = (bookDocs, statementDocs, { start, end }) => {
+  const books = new Map();
+  bookDocs.filter(doc => doc.counterpartyGstin).forEach(doc => {
+    const key = matchKey(doc.counterpartyGstin, doc.documentType, doc.invoiceNumber);
+    if (!books.has(key)) books.set(key, []);
+    books.get(key).push(doc);
+  });
+
+  const used = new Set();
+  const matched = [];
+  const mismatched = [];
+  const missingInBooks = [];
+
+  statementDocs.forEach(statement => {
+    const candidates = books.get(matchKey(statement.ctin, statement.documentType, statement.invoiceNumber)) || [];
+    const book = candidates.find(doc => !used.has(doc));
+    if (!book) {
+      missingInBooks.push(statement);
+      return;
+    }
+    used.add(book);
+
+    const differences = ['taxableValue', ...HEADS]
+      .filter(field => Math.abs((book[field] || 0) - (statement[field] || 0)) > MATCH_TOLERANCE)
+      .map(field => ({ field, books: book[field] || 0, gstr2b: statement[field] || 0 }));
+    if (!sameDay(book.date, statement.date)) {
+      differences.push({ field: 'date', books: book.date, gstr2b: statement.date });
+    }
+
+    const row = {
+      transactionId: book.transactionId,
+      ctin: statement.ctin,
+      supplierName: statement.supplierName || book.counterpartyName,
+      documentType: statement.documentType,
+      invoiceNumber: statement.invoiceNumber,
+      bookInvoiceNumber: book.invoiceNumber,
+      itcAvailable: statement.itcAvailable,
+      itcReason: statement.itcReason,
+      differences
+    };
+    (differences.length ? mismatched : matched).push(row);
+  });
+
+  const missingInStatement = bookDocs
+    .filter(doc => doc.counterpartyGstin && !used.has(doc))
+    .filter(doc => new Date(doc.date) >= start && new Date(doc.date) < end)
+    .map(doc => ({
+      transactionId: doc.transactionId,
+      ctin: doc.counterpartyGstin,
+      supplierName: doc.counterpartyName,
+      documentType: doc.documentType,
+      invoiceNumber: doc.invoiceNumber,
+      date: doc.date,
+      taxableValue: doc.taxableValue,
+      ...addHeads(emptyHeads(), doc)
+    }));
+
+  const taxOf = (docs) => round2(docs.reduce((sum, doc) => sum + HEADS.reduce((acc, head) => acc + (doc[head] || 0), 0), 0));
+  return {
+    summary: {
+      matched: matched.length,
+      mismatched: mismatched.length,
+      missingInBooks: missingInBooks.length,
+      missingInGstr2b: missingInStatement.length,
+      itcInGstr2b: taxOf(statementDocs.filter(doc => doc.itcAvailable)),
+      itcNotInGstr2b: taxOf(missingInStatement)
+    },
+    matched,
+    mismatched,
+    missingInBooks,
+    missingInGstr2b: missingInStatement
+  };
+};
+
+export default {
+  REVERSAL_DAYS,
+  BLOCKED_CREDIT_RULES,
+  classifyItc,
+  itcEntries,
+  upcomingReversals,
+  summarizeItc,
+  parseGstr2b,
+  normalizeInvoiceNumber,
+  reconcileGstr2b
+};
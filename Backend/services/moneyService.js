@@ -0,0 +1,408 @@
+// services/moneyService.js - repayments, interest, outstanding balance and installment (EMI) schedules for borrow/lend records
+import MoneyTransaction from '../models/moneyTransaction.js';
+import { occurrenceDate } from './recurringService.js';
+
+export const INSTALLMENT_FREQUENCIES = ['weekly', 'monthly', 'quarterly'];
+export const INTEREST_TYPES = ['none', 'simple', 'compound'];
+
+const INSTALLMENTS_PER_YEAR = { weekly: 52, monthly: 12, quarterly: 4 };
+const COMPOUNDING_MONTHS = { monthly: 1, quarterly: 3, half_yearly: 6, yearly: 12 };
+
+const MAX_INSTALLMENTS = 360;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Indian financial year (April to March) a date falls in, e.g. '2025-26'
+export const financialYearOf = (date) => {
+  const d = new Date(date);
+  const startYear = d.getUTCMonth() >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+const financialYearEnd = (date) => {
+  const startYear = parseInt(financialYearOf(date));
+  return new Date(Date.UTC(startYear + 1, 3, 1));
+};
+
+const startOfToday = (asOf = new Date()) => {
+  const today = new Date(asOf);
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+const byDueDate = (a, b) => new Date(a.dueDate) - new Date(b.dueDate);
+
+export const totalRepaid = (transaction) =>
+  round2((transaction.repayments || []).reduce((sum, repayment) => sum + repayment.amount, 0));
+
+const hasInterest = (transaction) =>
+  ['simple', 'compound'].includes(transaction.interest?.type) && transaction.interest.rate > 0;
+
+// Walk the loan from the interest start date to `asOf`. Interest accrues daily on the unpaid balance
+// (compound interest is added to that balance at the end of every compounding period) and each
+// repayment settles accrued interest before principal. Records without interest just net off repayments
+export const accrueInterest = (transaction, asOf = new Date()) => {
+  const rate = hasInterest(transaction) ? transaction.interest.rate / 100 : 0;
+  const compound = rate > 0 && transaction.interest.type === 'compound';
+  const start = new Date(transaction.interest?.startDate || transaction.transactionDate || transaction.createdAt || Date.now());
+  const end = new Date(asOf);
+  const compoundingSchedule = {
+    startDate: start,
+    frequency: 'monthly',
+    interval: COMPOUNDING_MONTHS[transaction.interest?.compounding] || 12
+  };
+
+  let principal = transaction.amount;
+  let capitalised = 0; // compounded interest not yet repaid
+  let pending = 0; // interest accrued since the last compounding date
+  let overpaid = 0;
+  let period = 1;
+  let nextCompounding = compound ? occurrenceDate(compoundingSchedule, period) : null;
+  let cursor = start;
+  const totals = { accrued: 0, paid: 0, principalPaid: 0 };
+  const byYear = new Map();
+  const yearOf = (date) => {
+    const key = financialYearOf(date);
+    if (!byYear.has(key)) byYear.set(key, { financialYear: key, accrued: 0, paid: 0 });
+    return byYear.get(key);
+  };
+
+  const accrueTo = (date) => {
+    if (rate === 0) return;
+    while (cursor < date) {
+      const segmentEnd = new Date(Math.min(date, financialYearEnd(cursor), nextCompounding || Infinity));
+      const interest = (principal + capitalised) * rate * (segmentEnd - cursor) / YEAR_MS;
+      pending += interest;
+      totals.accrued += interest;
+      yearOf(cursor).accrued += interest;
+      cursor = segmentEnd;
+      if (nextCompounding && cursor >= nextCompounding) {
+        capitalised += pending;
+        pending = 0;
+        period++;
+        nextCompounding = occurrenceDate(compoundingSchedule, period);
+      }
+    }
+  };
+
+  const repayments = [...(transaction.repayments || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+  for (const repayment of repayments) {
+    const date = new Date(repayment.date);
+    if (date > end) break;
+    accrueTo(date);
+
+    let left = repayment.amount;
+    const fromPending = Math.min(left, pending);
+    pending -= fromPending;
+    left -= fromPending;
+    const fromCapitalised = Math.min(left, capitalised);
+    capitalised -= fromCapitalised;
+    left -= fromCapitalised;
+    totals.paid += fromPending + fromCapitalised;
+    yearOf(date).paid += fromPending + fromCapitalised;
+
+    const toPrincipal = Math.min(left, principal);
+    principal -= toPrincipal;
+    totals.principalPaid += toPrincipal;
+    overpaid += left - toPrincipal;
+  }
+  accrueTo(end);
+
+  return {
+    asOf: end,
+    type: rate > 0 ? transaction.interest.type : 'none',
+    rate: rate * 100,
+    principalOutstanding: round2(principal),
+    interestOutstanding: round2(pending + capitalised),
+    outstanding: round2(principal + pending + capitalised),
+    interestAccrued: round2(totals.accrued),
+    interestPaid: round2(totals.paid),
+    principalPaid: round2(totals.principalPaid),
+    overpaid: round2(overpaid),
+    byFinancialYear: [...byYear.values()]
+      .map(year => ({ financialYear: year.financialYear, accrued: round2(year.accrued), paid: round2(year.paid) }))
+      .sort((a, b) => a.financialYear.localeCompare(b.financialYear))
+  };
+};
+
+// Recompute the balance (with interest to `asOf`) from the repayments: repayments made since the schedule
+// was generated are spread over the installments oldest first, dueDate moves to the next unpaid installment
+// and the status becomes completed, overdue (any installment past due, or the single due date) or pending
+export const refreshBalance = (transaction, asOf = new Date()) => {
+  const today = startOfToday(asOf);
+  const repaid = totalRepaid(transaction);
+  const balance = accrueInterest(transaction, asOf);
+
+  transaction.amountRepaid = repaid;
+  transaction.interestAccrued = balance.interestOutstanding;
+  transaction.outstandingAmount = balance.outstanding;
+
+  const installments = [...(transaction.installments || [])].sort(byDueDate);
+  let available = Math.max(round2(repaid - (transaction.installmentPlan?.repaidBefore || 0)), 0);
+  installments.forEach(installment => {
+    const paid = Math.min(available, installment.amount);
+    available = round2(available - paid);
+    installment.paidAmount = round2(paid);
+    if (paid >= installment.amount) installment.status = 'paid';
+    else if (installment.dueDate < today) installment.status = 'overdue';
+    else installment.status = paid > 0 ? 'partially_paid' : 'pending';
+  });
+
+  const nextInstallment = installments.find(installment => installment.status !== 'paid');
+  if (nextInstallment) transaction.dueDate = nextInstallment.dueDate;
+
+  if (transaction.status === 'cancelled') return transaction;
+
+  if (transaction.outstandingAmount <= 0) {
+    if (transaction.status !== 'completed') {
+      const lastRepayment = [...(transaction.repayments || [])].sort((a, b) => b.date - a.date)[0];
+      transaction.status = 'completed';
+      transaction.completedAt = lastRepayment?.date || new Date();
+    }
+    return transaction;
+  }
+
+  const overdue = installments.length > 0
+    ? installments.some(installment => installment.status === 'overdue')
+    : transaction.dueDate < today;
+  transaction.status = overdue ? 'overdue' : 'pending';
+  transaction.completedAt = undefined;
+  return transaction;
+};
+
+// Parts of the balance still to come in, by due date (each unpaid installment, or the whole balance on dueDate)
+export const dueSchedule = (transaction) => {
+  const outstanding = transaction.outstandingAmount ?? transaction.amount;
+  if (!transaction.installments?.length) {
+    return outstanding > 0 ? [{ dueDate: transaction.dueDate, amount: outstanding }] : [];
+  }
+  return [...transaction.installments]
+    .sort(byDueDate)
+    .filter(installment => installment.status !== 'paid')
+    .map(installment => ({
+      number: installment.number,
+      dueDate: installment.dueDate,
+      amount: round2(installment.amount - (installment.paidAmount || 0))
+    }));
+};
+
+// Amount to ask for now: everything overdue, or the next installment when nothing is overdue
+export const amountDue = (transaction, asOf = new Date()) => {
+  const today = startOfToday(asOf);
+  const parts = dueSchedule(transaction);
+  const overdue = parts.filter(part => part.dueDate < today);
+  const due = overdue.length > 0 ? overdue : parts.slice(0, 1);
+  return round2(due.reduce((sum, part) => sum + part.amount, 0));
+};
+
+export const addRepayment = async (transaction, { amount, date, method, note }) => {
+  if (transaction.status === 'cancelled') throw new Error('Cannot record a repayment on a cancelled transaction');
+
+  const value = round2(parseFloat(amount));
+  if (!(value > 0)) throw new Error('Repayment amount must be greater than 0');
+
+  const repaidOn = date ? new Date(date) : new Date();
+  if (isNaN(repaidOn)) throw new Error('Invalid repayment date');
+
+  transaction.repayments.push({ amount: value, date: repaidOn, method, note });
+  const { overpaid } = accrueInterest(transaction, new Date(Math.max(Date.now(), repaidOn)));
+  if (overpaid > 0.01) {
+    transaction.repayments.pop();
+    throw new Error(`Repayment is more than the ₹${round2(value - overpaid)} outstanding`);
+  }
+  refreshBalance(transaction);
+  await transaction.save();
+  return transaction;
+};
+
+export const removeRepayment = async (transaction, repaymentId) => {
+  const repayment = transaction.repayments.id(repaymentId);
+  if (!repayment) throw new Error('Repayment not found');
+
+  transaction.repayments.pull(repayment._id);
+  refreshBalance(transaction);
+  await transaction.save();
+  return transaction;
+};
+
+// Split the outstanding balance into equal installments (the last one absorbs rounding); with interest
+// these are reducing-balance EMIs at the record's rate. Give either `count` or a per-installment
+// `amount`; the first installment falls on `startDate` (default: one period from today)
+export const generateSchedule = async (transaction, { count, amount, frequency = 'monthly', startDate }) => {
+  if (!INSTALLMENT_FREQUENCIES.includes(frequency)) {
+    throw new Error(`Frequency must be one of: ${INSTALLMENT_FREQUENCIES.join(', ')}`);
+  }
+
+  refreshBalance(transaction);
+  const outstanding = transaction.outstandingAmount;
+  if (outstanding <= 0) throw new Error('Nothing left to repay');
+
+  const periodRate = hasInterest(transaction) ? transaction.interest.rate / 100 / INSTALLMENTS_PER_YEAR[frequency] : 0;
+  const perInstallment = parseFloat(amount);
+  if (perInstallment > 0 && perInstallment <= outstanding * periodRate) {
+    throw new Error('Installment amount does not cover the interest');
+  }
+
+  const installmentCount = perInstallment > 0
+    ? Math.ceil(periodRate > 0
+      ? -Math.log(1 - (outstanding * periodRate) / perInstallment) / Math.log(1 + periodRate)
+      : outstanding / perInstallment)
+    : parseInt(count);
+  if (!(installmentCount >= 1) || installmentCount > MAX_INSTALLMENTS) {
+    throw new Error(`Number of installments must be between 1 and ${MAX_INSTALLMENTS}`);
+  }
+
+  const first = startDate
+    ? new Date(startDate)
+    : occurrenceDate({ startDate: startOfToday(), frequency, interval: 1 }, 1);
+  if (isNaN(first)) throw new Error('Invalid start date');
+
+  const emi = periodRate > 0
+    ? (outstanding * periodRate) / (1 - Math.pow(1 + periodRate, -installmentCount))
+    : outstanding / installmentCount;
+  const regular = perInstallment > 0 ? round2(perInstallment) : round2(emi);
+  let balance = outstanding;
+  transaction.installments = Array.from({ length: installmentCount }, (_, index) => {
+    const interest = round2(balance * periodRate);
+    const installmentAmount = index === installmentCount - 1 ? round2(balance + interest) : regular;
+    balance = round2(balance + interest - installmentAmount);
+    return {
+      number: index + 1,
+      dueDate: occurrenceDate({ startDate: first, frequency, interval: 1 }, index),
+      amount: installmentAmount,
+      interest
+    };
+  });
+  transaction.installmentPlan = {
+    frequency,
+    repaidBefore: transaction.amountRepaid,
+    generatedAt: new Date()
+  };
+
+  refreshBalance(transaction);
+  await transaction.save();
+  return transaction;
+};
+
+// Interest earned (lend) and paid (borrow) per financial year: accrued in the year, and the
+// interest part of repayments received/made in the year
+export const getInterestReport = async (tenantId, { financialYear, asOf = new Date() } = {}) => {
+  const transactions = await MoneyTransaction.find({
+    tenantId,
+    isDeleted: false,
+    status: { $ne: 'cancelled' },
+    'interest.type': { $in: ['simple', 'compound'] },
+    'interest.rate': { $gt: 0 }
+  });
+
+  const years = new Map();
+  for (const transaction of transactions) {
+    const { byFinancialYear } = accrueInterest(transaction, asOf);
+    for (const entry of byFinancialYear) {
+      if (financialYear && entry.financialYear !== financialYear) continue;
+      if (!years.has(entry.financialYear)) {
+        years.set(entry.financialYear, {
+          financialYear: entry.financialYear,
+          earned: { accrued: 0, received: 0 },
+          paid: { accrued: 0, paid: 0 },
+          transactions: []
+        });
+      }
+      const year = years.get(entry.financialYear);
+      if (transaction.type === 'lend') {
+        year.earned.accrued = round2(year.earned.accrued + entry.accrued);
+        year.earned.received = round2(year.earned.received + entry.paid);
+      } else {
+        year.paid.accrued = round2(year.paid.accrued + entry.accrued);
+        year.paid.paid = round2(year.paid.paid + entry.paid);
+      }
+      year.transactions.push({
+        transactionId: transaction._id,
+        type: transaction.type,
+        personName: transaction.personName,
+        principal: transaction.amount,
+        interestType: transaction.interest.type,
+        rate: transaction.interest.rate,
+        accrued: entry.accrued,
+        [transaction.type === 'lend' ? 'received' : 'paid']: entry.paid
+      });
+    }
+  }
+
+  return {
+    asOf,
+    financialYears: [...years.values()].sort((a, b) => b.financialYear.localeCompare(a.financialYear))
+  };
+};
+
+// Drop the schedule; the last installment date stays as the single due date
+export const clearSchedule = async (transaction) => {
+  const installments = [...(transaction.installments || [])].sort(byDueDate);
+  if (installments.length === 0) throw new Error('Transaction has no installment schedule');
+
+  transaction.dueDate = installments[installments.length - 1].dueDate;
+  transaction.installments = [];
+  transaction.installmentPlan = undefined;
+  refreshBalance(transaction);
+  await transaction.save();
+  return transaction;
+};
+
+export const getLedger = (transaction) => {
+  refreshBalance(transaction);
+  return {
+    amount: transaction.amount,
+    amountRepaid: transaction.amountRepaid,
+    interestAccrued: transaction.interestAccrued,
+    outstandingAmount: transaction.outstandingAmount,
+    interest: accrueInterest(transaction),
+    amountDue: amountDue(transaction),
+    status: transaction.status,
+    dueDate: transaction.dueDate,
+    repayments: [...transaction.repayments].sort((a, b) => a.date - b.date),
+    installments: [...transaction.installments].sort(byDueDate),
+    installmentPlan: transaction.installments.length > 0 ? transaction.installmentPlan : null
+  };
+};
+
+// Re-evaluate open records with a schedule (installment by installment) or interest (the balance grows
+// daily); used by the hourly overdue cron
+export const updateOpenBalances = async (asOf = new Date()) => {
+  const transactions = await MoneyTransaction.find({
+    status: { $in: ['pending', 'overdue'] },
+    isDeleted: false,
+    $or: [
+      { 'installments.0': { $exists: true } },
+      { 'interest.type': { $in: ['simple', 'compound'] }, 'interest.rate': { $gt: 0 } }
+    ]
+  });
+
+  let overdue = 0;
+  for (const transaction of transactions) {
+    const wasOverdue = transaction.status === 'overdue';
+    refreshBalance(transaction, asOf);
+    if (transaction.status === 'overdue' && !wasOverdue) overdue++;
+    if (transaction.isModified()) await transaction.save();
+  }
+  return { checked: transactions.length, overdue };
+};
+
+export default {
+  INSTALLMENT_FREQUENCIES,
+  INTEREST_TYPES,
+  totalRepaid,
+  refreshBalance,
+  dueSchedule,
+  amountDue,
+  addRepayment,
+  removeRepayment,
+  generateSchedule,
+  clearSchedule,
+  getLedger,
+  financialYearOf,
+  accrueInterest,
+  getInterestReport,
+  updateOpenBalances
+};
@@ -0,0 +1,289 @@
+// services/reconciliationService.js - matching bank statement lines against recorded transactions
+import Transaction from '../models/Transaction.js';
+import Account from '../models/Account.js';
+import { descriptionSimilarity } from './duplicateService.js';
+import { SIGNED_AMOUNT, flowOf, signedAmount, withAtomicWrites } from './transferService.js';
+import { getBalances } from './accountService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_MATCH_OPTIONS = {
+  dateToleranceDays: 3,
+  amountTolerance: 0,
+  minScore: 0.6,
+  // Automatic matches also need the descriptions to agree this much (or a shared reference / bank id)
+  minDescriptionSimilarity: 0.3
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Helper function to build the query for book transactions that belong to this statement
+const bookQuery = (reconciliation, { toleranceDays = 0, before = false } = {}) => {
+  const query = {
+    tenantId: reconciliation.tenantId,
+    isDeleted: false
+  };
+
+  if (before) {
+    query.date = { $lt: reconciliation.periodStart };
+  } else {
+    query.date = {
+      $gte: new Date(reconciliation.periodStart.getTime() - toleranceDays * DAY_MS),
+      $lte: new Date(reconciliation.periodEnd.getTime() + toleranceDays * DAY_MS + DAY_MS - 1)
+    };
+  }
+
+  // Statements belong to one account; reconciliations made before accounts existed match on the number
+  if (reconciliation.accountId) {
+    query.accountId = reconciliation.accountId;
+  } else if (reconciliation.accountNumber) {
+    query.accountNumber = reconciliation.accountNumber;
+  }
+
+  return query;
+};
+
+// Helper function to check whether a statement line quotes the transaction's reference number
+const sharesReference = (line, transaction) => Boolean(line.referenceNumber) && (
+  line.referenceNumber === transaction.referenceNumber ||
+  (transaction.description || '').includes(line.referenceNumber)
+);
+
+// Helper function to check that a pair is about the same payment, not only the same amount on the same day
+const hasDescriptionSignal = (line, transaction, minSimilarity) =>
+  (Boolean(line.externalId) && line.externalId === transaction.externalId) ||
+  sharesReference(line, transaction) ||
+  descriptionSimilarity(line.description, transaction.description) >= minSimilarity;
+
+// Reason a manual match is not allowed, or null. The transaction must be on the statement's account and move
+// money the same way as the line; a different amount needs allowAmountMismatch
+export const manualMatchProblem = (reconciliation, line, transaction, { allowAmountMismatch = false } = {}) => {
+  const sameAccount = reconciliation.accountId
+    ? String(transaction.accountId || '') === String(reconciliation.accountId)
+    : !reconciliation.accountNumber || transaction.accountNumber === reconciliation.accountNumber;
+  if (!sameAccount) return 'Transaction belongs to a different account than the statement';
+
+  if (flowOf(line) !== flowOf(transaction)) {
+    return line.type === 'income'
+      ? 'The statement line is a credit; match it to money coming into the account'
+      : 'The statement line is a debit; match it to money going out of the account';
+  }
+
+  if (!allowAmountMismatch && Math.abs(line.amount - transaction.amount) > 0.009) {
+    return `Amounts differ (statement ${line.amount}, transaction ${transaction.amount}); send allowAmountMismatch to match anyway`;
+  }
+
+  return null;
+};
+
+// Score how well a statement line matches a book transaction (0..1)
+export const scoreMatch = (line, transaction, options = {}) => {
+  const { dateToleranceDays, amountTolerance } = { ...DEFAULT_MATCH_OPTIONS, ...options };
+
+  // Transfer legs match statement lines that moved money the same way
+  if (flowOf(line) !== flowOf(transaction)) return 0;
+
+  const amountGap = Math.abs(line.amount - transaction.amount);
+  if (amountGap > amountTolerance + 0.009) return 0;
+
+  if (line.externalId && line.externalId === transaction.externalId) return 1;
+
+  const dayGap = Math.round(Math.abs(new Date(line.date) - new Date(transaction.date)) / DAY_MS);
+  const sameReference = sharesReference(line, transaction);
+
+  if (!sameReference && dayGap > dateToleranceDays) return 0;
+
+  const dateScore = Math.max(0, 1 - dayGap / (dateToleranceDays + 1));
+  const similarity = descriptionSimilarity(line.description, transaction.description);
+  const amountPenalty = amountTolerance > 0 ? (amountGap / amountTolerance) * 0.1 : 0;
+
+  let score = 0.4 + dateScore * 0.3 + similarity * 0.3 - amountPenalty;
+  if (sameReference) score = Math.max(score, 0.95);
+
+  return Math.round(Math.max(0, Math.min(score, 1)) * 1000) / 1000;
+};
+
+// Flag transactions as reconciled against a statement
+export const markReconciled = (tenantId, transactionIds, reconciliationId, session = null) => {
+  if (!transactionIds.length) return Promise.resolve();
+  return Transaction.updateMany(
+    { _id: { $in: transactionIds }, tenantId },
+    { $set: { reconciled: true, reconciledAt: new Date(), reconciliationId } },
+    { session }
+  );
+};
+
+// Undo markReconciled
+export const clearReconciled = (tenantId, transactionIds, session = null) => {
+  if (!transactionIds.length) return Promise.resolve();
+  return Transaction.updateMany(
+    { _id: { $in: transactionIds }, tenantId },
+    { $set: { reconciled: false, reconciledAt: null, reconciliationId: null } },
+    { session }
+  );
+};
+
+// Save the reconciliation together with the reconciled flags of the transactions it matched or released,
+// so a failed save never leaves transactions pointing at a statement that was not stored
+export const saveReconciliation = (reconciliation, { matched = [], unmatched = [] } = {}) =>
+  withAtomicWrites(async (session) => {
+    await reconciliation.save({ session });
+    await clearReconciled(reconciliation.tenantId, unmatched, session);
+    await markReconciled(reconciliation.tenantId, matched, reconciliation._id, session);
+  });
+
+// Match unmatched lines to free book transactions, best scores first, one-to-one.
+// Mutates reconciliation.lines; the caller stores it with saveReconciliation(reconciliation, { matched: matchedIds }).
+export const autoMatch = async (reconciliation, options = {}) => {
+  const settings = { ...DEFAULT_MATCH_OPTIONS, ...options };
+
+  const takenIds = new Set(reconciliation.lines
+    .filter(line => line.transactionId)
+    .map(line => String(line.transactionId)));
+
+  const candidates = await Transaction.find({
+    ...bookQuery(reconciliation, { toleranceDays: settings.dateToleranceDays }),
+    reconciled: { $ne: true }
+  }).lean();
+
+  const freeTransactions = candidates.filter(transaction => !takenIds.has(String(transaction._id)));
+  const openLines = reconciliation.lines.filter(line => line.status === 'unmatched');
+
+  const pairs = [];
+  for (const line of openLines) {
+    for (const transaction of freeTransactions) {
+      const score = scoreMatch(line, transaction, settings);
+      if (score >= settings.minScore && hasDescriptionSignal(line, transaction, settings.minDescriptionSimilarity)) {
+        pairs.push({ line, transaction, score });
+      }
+    }
+  }
+
+  pairs.sort((a, b) => b.score - a.score);
+
+  const usedLines = new Set();
+  const matchedIds = [];
+
+  for (const { line, transaction, score } of pairs) {
+    const transactionId = String(transaction._id);
+    if (usedLines.has(String(line._id)) || takenIds.has(transactionId)) continue;
+
+    line.status = 'matched';
+    line.transactionId = transaction._id;
+    line.matchScore = score;
+    line.matchedBy = 'auto';
+
+    usedLines.add(String(line._id));
+    takenIds.add(transactionId);
+    matchedIds.push(transaction._id);
+  }
+
+  return { matched: matchedIds.length, remaining: openLines.length - matchedIds.length, matchedIds };
+};
+
+// Statement vs book comparison for the period, including opening/closing balance differences
+export const buildReport = async (reconciliation) => {
+  const lines = reconciliation.lines;
+  const bookTransactions = await Transaction.find(bookQuery(reconciliation))
+    .select('date type transferDirection amount description category referenceNumber reconciled reconciliationId')
+    .sort({ date: 1 })
+    .lean();
+
+  const account = reconciliation.accountId
+    ? await Account.findOne({ _id: reconciliation.accountId, tenantId: reconciliation.tenantId }).lean()
+    : null;
+
+  // Book balance when the statement starts: the account's opening balance plus its movement since then
+  let openingBook;
+  if (account) {
+    const balances = await getBalances(reconciliation.tenantId, [account], { before: reconciliation.periodStart });
+    openingBook = balances.get(String(account._id)).balance;
+  } else {
+    const [before] = await Transaction.aggregate([
+      { $match: bookQuery(reconciliation, { before: true }) },
+      {
+        $group: {
+          _id: null,
+          net: { $sum: SIGNED_AMOUNT }
+        }
+      }
+    ]);
+    openingBook = before?.net || 0;
+  }
+
+  const matchedIds = new Set(lines.filter(line => line.transactionId).map(line => String(line.transactionId)));
+  const transactionsById = new Map(bookTransactions.map(transaction => [String(transaction._id), transaction]));
+
+  const statementNet = round2(lines.reduce((sum, line) => sum + signedAmount(line), 0));
+  const bookNet = round2(bookTransactions.reduce((sum, transaction) => sum + signedAmount(transaction), 0));
+  const bookOpening = round2(openingBook);
+  const bookClosing = round2(bookOpening + bookNet);
+
+  const hasOpening = reconciliation.openingBalance !== null && reconciliation.openingBalance !== undefined;
+  const hasClosing = reconciliation.closingBalance !== null && reconciliation.closingBalance !== undefined;
+  const computedClosing = hasOpening ? round2(reconciliation.openingBalance + statementNet) : null;
+
+  // Matched pairs whose amounts differ (only possible with an amount tolerance)
+  const amountDifferences = lines
+    .filter(line => line.status === 'matched' && transactionsById.has(String(line.transactionId)))
+    .map(line => ({
+      lineNo: line.lineNo,
+      transactionId: line.transactionId,
+      statementAmount: line.amount,
+      bookAmount: transactionsById.get(String(line.transactionId)).amount
+    }))
+    .filter(pair => Math.abs(pair.statementAmount - pair.bookAmount) > 0.009);
+
+  const unmatchedLines = lines.filter(line => line.status === 'unmatched');
+  const unmatchedBook = bookTransactions.filter(transaction => !matchedIds.has(String(transaction._id)));
+
+  return {
+    period: {
+      start: reconciliation.periodStart,
+      end: reconciliation.periodEnd
+    },
+    balances: {
+      statementOpening: hasOpening ? reconciliation.openingBalance : null,
+      statementClosing: hasClosing ? reconciliation.closingBalance : null,
+      computedClosing,
+      // Non-zero means the statement lines do not add up to its own closing balance
+      statementDifference: hasClosing && computedClosing !== null ? round2(reconciliation.closingBalance - computedClosing) : null,
+      bookOpening,
+      bookClosing,
+      openingDifference: hasOpening ? round2(reconciliation.openingBalance - bookOpening) : null,
+      closingDifference: hasClosing ? round2(reconciliation.closingBalance - bookClosing) : null
+    },
+    statement: {
+      lines: lines.length,
+      net: statementNet,
+      credits: round2(lines.filter(line => line.type === 'income').reduce((sum, line) => sum + line.amount, 0)),
+      debits: round2(lines.filter(line => line.type === 'expense').reduce((sum, line) => sum + line.amount, 0))
+    },
+    book: {
+      transactions: bookTransactions.length,
+      net: bookNet
+    },
+    netDifference: round2(statementNet - bookNet),
+    counts: {
+      matched: lines.filter(line => line.status === 'matched').length,
+      ignored: lines.filter(line => line.status === 'ignored').length,
+      unmatchedStatementLines: unmatchedLines.length,
+      unmatchedBookTransactions: unmatchedBook.length
+    },
+    unmatchedStatementLines: unmatchedLines,
+    unmatchedBookTransactions: unmatchedBook,
+    amountDifferences,
+    isReconciled: unmatchedLines.length === 0 && unmatchedBook.length === 0 && amountDifferences.length === 0
+  };
+};
+
+export default {
+  DEFAULT_MATCH_OPTIONS,
+  manualMatchProblem,
+  scoreMatch,
+  markReconciled,
+  clearReconciled,
+  saveReconciliation,
+  autoMatch,
+  buildReport
+};
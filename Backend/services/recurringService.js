@@ -0,0 +1,498 @@
+// services/recurringService.js - recurring templates: schedules, generating occurrences, skips/edits and forecasts
+import RecurringTemplate from '../models/RecurringTemplate.js';
+import Transaction from '../models/Transaction.js';
+import Income from '../models/income.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety limit on occurrences generated for one template in one run
+const MAX_PER_RUN = 400;
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+
+export const EDITABLE_FIELDS = ['amount', 'category', 'subCategory', 'description', 'paymentMode', 'vendor', 'note', 'source', 'tags', 'accountId', 'projectId'];
+
+const MONTHS_PER_STEP = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const dayKey = (date) => new Date(date).toISOString().substring(0, 10);
+const endOfDay = (date) => new Date(new Date(`${dayKey(date)}T00:00:00.000Z`).getTime() + DAY_MS - 1);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const recordModel = (template) => (template.target === 'income' ? Income : Transaction);
+
+// Date of occurrence `index` (0 falls on startDate). Month-based schedules keep the start day,
+// clamped to the end of shorter months (a series on the 31st runs on 30 Apr, 28/29 Feb)
+export const occurrenceDate = (template, index) => {
+  const start = new Date(template.startDate);
+  const step = index * (template.interval || 1);
+
+  if (template.frequency === 'daily') return new Date(start.getTime() + step * DAY_MS);
+  if (template.frequency === 'weekly') return new Date(start.getTime() + step * 7 * DAY_MS);
+
+  const month = start.getUTCMonth() + step * MONTHS_PER_STEP[template.frequency];
+  const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    start.getUTCFullYear(),
+    month,
+    Math.min(start.getUTCDate(), lastDay),
+    start.getUTCHours(),
+    start.getUTCMinutes(),
+    start.getUTCSeconds()
+  ));
+};
+
+// Whether occurrence `index` still falls inside the end date / occurrence count
+const withinLimits = (template, index, date) =>
+  (!template.maxOccurrences || index < template.maxOccurrences) &&
+  (!template.endDate || date <= endOfDay(template.endDate));
+
+const findException = (template, date) =>
+  (template.exceptions || []).find(exception => dayKey(exception.date) === dayKey(date));
+
+// Scheduled occurrences from `fromIndex` up to `until`
+export const listOccurrences = (template, { fromIndex = template.nextIndex, until, limit = MAX_PER_RUN } = {}) => {
+  const occurrences = [];
+  for (let index = fromIndex; occurrences.length < limit; index++) {
+    const date = occurrenceDate(template, index);
+    if (!withinLimits(template, index, date) || (until && date > until)) break;
+    occurrences.push({ index, date, exception: findException(template, date) || null });
+  }
+  return occurrences;
+};
+
+// Index of the scheduled occurrence on the given day, or -1 when the series has none that day
+const indexOfDate = (template, date) => {
+  const target = dayKey(date);
+  for (let index = 0; ; index++) {
+    const scheduled = occurrenceDate(template, index);
+    if (!withinLimits(template, index, scheduled)) return -1;
+    const key = dayKey(scheduled);
+    if (key === target) return index;
+    if (key > target) return -1;
+  }
+};
+
+// Helper function to keep only the per-occurrence fields a user may change
+const pickFields = (changes = {}) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (changes[field] !== undefined) acc[field] = field === 'amount' ? parseFloat(changes[field]) : changes[field];
+  return acc;
+}, {});
+
+// Helper function to translate template fields to the record's own field names
+const toRecordFields = (template, fields) => {
+  if (template.target !== 'income') {
+    const { source, ...result } = fields;
+    if (fields.paymentMode) result.paymentMethod = fields.paymentMode;
+    return result;
+  }
+
+  const { note, vendor, accountId, type, ...rest } = fields;
+  const result = { ...rest };
+  if (note !== undefined) result.remarks = note;
+  return result;
+};
+
+const generatedRecordFor = (template, date) => recordModel(template).findOne({
+  tenantId: template.tenantId,
+  recurringTemplateId: template._id,
+  occurrenceDate: { $gte: new Date(`${dayKey(date)}T00:00:00.000Z`), $lte: endOfDay(date) },
+  isDeleted: false
+});
+
+const createOccurrence = async (template, date, overrides = {}) => {
+  const fields = { ...template.fields.toObject(), ...overrides };
+  const base = {
+    tenantId: template.tenantId,
+    date,
+    recurringTemplateId: template._id,
+    occurrenceDate: date,
+    recurringFrequency: template.frequency
+  };
+
+  if (template.target === 'income') {
+    return Income.create({
+      ...base,
+      ...toRecordFields(template, fields),
+      type: 'income',
+      recurring: true,
+      status: 'received'
+    });
+  }
+
+  return Transaction.create({
+    ...base,
+    ...toRecordFields(template, fields),
+    isRecurring: true,
+    status: 'completed'
+  });
+};
+
+// Helper function to point nextDate at the next occurrence, closing the series once it has run out
+const refreshNextDate = (template) => {
+  const next = occurrenceDate(template, template.nextIndex);
+  if (withinLimits(template, template.nextIndex, next)) {
+    template.nextDate = next;
+  } else {
+    template.nextDate = null;
+    template.isActive = false;
+  }
+};
+
+// Generate every occurrence that is due (including leadDays ahead) and not generated yet
+export const generateDueOccurrences = async (template, asOf = new Date()) => {
+  const horizon = endOfDay(new Date(asOf.getTime() + (template.leadDays || 0) * DAY_MS));
+  let created = 0;
+  let skipped = 0;
+
+  if (template.isActive) {
+    for (const occurrence of listOccurrences(template, { until: horizon })) {
+      if (occurrence.exception?.skip) {
+        skipped++;
+      } else if (!(await generatedRecordFor(template, occurrence.date))) {
+        await createOccurrence(template, occurrence.date, occurrence.exception?.overrides);
+        created++;
+      }
+      template.nextIndex = occurrence.index + 1;
+    }
+  }
+
+  refreshNextDate(template);
+  template.lastRunAt = new Date();
+  await template.save();
+
+  return { created, skipped };
+};
+
+// Run all active templates that have something due (cron entry point)
+export const runRecurringEngine = async (asOf = new Date(), { tenantId } = {}) => {
+  const filter = {
+    isActive: true,
+    nextDate: { $ne: null },
+    $expr: { $lte: ['$nextDate', { $add: [endOfDay(asOf), { $multiply: ['$leadDays', DAY_MS] }] }] }
+  };
+  if (tenantId) filter.tenantId = tenantId;
+
+  const templates = await RecurringTemplate.find(filter);
+  let created = 0;
+  let skipped = 0;
+
+  for (const template of templates) {
+    try {
+      const result = await generateDueOccurrences(template, asOf);
+      created += result.created;
+      skipped += result.skipped;
+    } catch (error) {
+      console.error(`❌ Error generating occurrences for recurring template ${template._id}:`, error);
+    }
+  }
+
+  return { templates: templates.length, created, skipped };
+};
+
+// Start a series; `record` (an existing Transaction/Income) becomes its first occurrence
+export const createTemplate = async (tenantId, {
+  target = 'transaction',
+  name,
+  fields,
+  frequency,
+  interval = 1,
+  startDate,
+  endDate = null,
+  maxOccurrences = null,
+  leadDays = 0,
+  record = null
+}) => {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const template = new RecurringTemplate({
+    tenantId,
+    name: name || fields.description || fields.category,
+    target,
+    fields,
+    frequency,
+    interval: Math.max(1, parseInt(interval) || 1),
+    startDate: record ? record.date : new Date(startDate || Date.now()),
+    endDate: endDate ? new Date(endDate) : null,
+    maxOccurrences: maxOccurrences ? parseInt(maxOccurrences) : null,
+    leadDays: Math.max(0, parseInt(leadDays) || 0),
+    nextIndex: record ? 1 : 0,
+    sourceId: record?._id || null
+  });
+
+  if (record) {
+    record.recurringTemplateId = template._id;
+    record.occurrenceDate = record.date;
+    await record.save();
+  }
+
+  // Back-dated series catch up straight away
+  await generateDueOccurrences(template);
+  return template;
+};
+
+// Template fields taken from an existing Transaction or Income record
+export const fieldsFromRecord = (record, target = 'transaction') => ({
+  type: target === 'income' ? 'income' : record.type,
+  amount: record.amount,
+  category: record.category,
+  subCategory: record.subCategory || '',
+  description: record.description || '',
+  paymentMode: record.paymentMode || 'Other',
+  vendor: record.vendor || '',
+  note: (target === 'income' ? record.remarks : record.note) || '',
+  source: record.source || '',
+  tags: record.tags || [],
+  accountId: record.accountId || null,
+  projectId: record.projectId || null,
+  userId: record.userId || null
+});
+
+// Skip (or un-skip) the occurrence scheduled on `date`; a generated record for that day is removed
+export const skipOccurrence = async (template, date, skip = true) => {
+  const generated = await generatedRecordFor(template, date);
+
+  if (!generated && indexOfDate(template, date) < template.nextIndex) {
+    throw new Error('No occurrence is scheduled on that date');
+  }
+
+  if (generated && skip) {
+    generated.isDeleted = true;
+    generated.deletedAt = new Date();
+    await generated.save();
+  }
+
+  const exception = findException(template, date);
+  if (exception) {
+    exception.skip = skip;
+  } else if (skip) {
+    template.exceptions.push({ date: generated?.occurrenceDate || date, skip: true });
+  }
+
+  template.markModified('exceptions');
+  await template.save();
+  return { removedRecord: Boolean(generated && skip) };
+};
+
+// Edit one occurrence ("this") or this and every later one ("future")
+export const editOccurrence = async (template, date, changes, scope = 'this') => {
+  const fields = pickFields(changes);
+  if (!Object.keys(fields).length) {
+    throw new Error(`Nothing to change; editable fields are: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+  if (fields.amount !== undefined && (isNaN(fields.amount) || fields.amount <= 0)) {
+    throw new Error('Amount must be a positive number');
+  }
+
+  const generated = await generatedRecordFor(template, date);
+  const index = indexOfDate(template, date);
+  if (!generated && index < template.nextIndex) {
+    throw new Error('No upcoming occurrence is scheduled on that date');
+  }
+
+  if (scope === 'this') {
+    if (generated) {
+      Object.assign(generated, toRecordFields(template, fields));
+      await generated.save();
+    } else {
+      const exception = findException(template, date);
+      if (exception) {
+        exception.overrides = { ...(exception.overrides || {}), ...fields };
+      } else {
+        template.exceptions.push({ date: occurrenceDate(template, index), overrides: fields });
+      }
+      template.markModified('exceptions');
+      await template.save();
+    }
+    return template;
+  }
+
+  // "future": already generated records on or after the date take the change directly
+  const from = new Date(`${dayKey(date)}T00:00:00.000Z`);
+  await recordModel(template).updateMany(
+    { tenantId: template.tenantId, recurringTemplateId: template._id, occurrenceDate: { $gte: from }, isDeleted: false },
+    { $set: toRecordFields(template, fields) }
+  );
+
+  // Occurrences still to be generated before the date keep the old values: split the series there
+  if (index > template.nextIndex) {
+    const continuation = new RecurringTemplate({
+      tenantId: template.tenantId,
+      name: template.name,
+      target: template.target,
+      fields: { ...template.fields.toObject(), ...fields },
+      frequency: template.frequency,
+      interval: template.interval,
+      startDate: occurrenceDate(template, index),
+      endDate: template.endDate,
+      maxOccurrences: template.maxOccurrences ? template.maxOccurrences - index : null,
+      leadDays: template.leadDays,
+      nextIndex: 0,
+      exceptions: template.exceptions
+        .filter(exception => exception.date >= from)
+        .map(exception => exception.toObject()),
+      sourceId: template.sourceId,
+      previousTemplateId: template._id
+    });
+    refreshNextDate(continuation);
+    await continuation.save();
+
+    template.maxOccurrences = index;
+    template.exceptions = template.exceptions.filter(exception => exception.date < from);
+    refreshNextDate(template);
+    await template.save();
+    return continuation;
+  }
+
+  Object.assign(template.fields, fields);
+  template.exceptions.forEach(exception => {
+    if (exception.date >= from && exception.overrides) {
+      EDITABLE_FIELDS.forEach(field => {
+        if (fields[field] !== undefined) delete exception.overrides[field];
+      });
+    }
+  });
+  template.markModified('fields');
+  template.markModified('exceptions');
+  await template.save();
+  return template;
+};
+
+// Change the schedule itself; a new frequency/interval restarts counting from the last generated occurrence
+export const updateSchedule = async (template, { frequency, interval, endDate, maxOccurrences, leadDays, name, isActive }) => {
+  const rescheduled = (frequency && frequency !== template.frequency) ||
+    (interval && parseInt(interval) !== template.interval);
+
+  if (frequency && !FREQUENCIES.includes(frequency)) {
+    throw new Error(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (rescheduled && template.nextIndex > 0) {
+    const done = template.nextIndex;
+    template.startDate = occurrenceDate(template, done - 1);
+    template.nextIndex = 1;
+    if (template.maxOccurrences) template.maxOccurrences -= done - 1;
+  }
+
+  if (frequency) template.frequency = frequency;
+  if (interval) template.interval = Math.max(1, parseInt(interval) || 1);
+  if (endDate !== undefined) template.endDate = endDate ? new Date(endDate) : null;
+  if (maxOccurrences !== undefined) template.maxOccurrences = maxOccurrences ? parseInt(maxOccurrences) : null;
+  if (leadDays !== undefined) template.leadDays = Math.max(0, parseInt(leadDays) || 0);
+  if (name !== undefined) template.name = name;
+  if (isActive !== undefined) template.isActive = Boolean(isActive);
+
+  if (template.isActive) {
+    refreshNextDate(template);
+  }
+  await template.save();
+  return template;
+};
+
+// Stop a series; optionally remove occurrences generated ahead of time
+export const stopTemplate = async (template, { removeFuture = false } = {}) => {
+  template.isActive = false;
+  template.nextDate = null;
+  await template.save();
+
+  if (!removeFuture) return 0;
+
+  const result = await recordModel(template).updateMany(
+    { tenantId: template.tenantId, recurringTemplateId: template._id, date: { $gt: new Date() }, isDeleted: false },
+    { $set: { isDeleted: true, deletedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+// Upcoming recurring items for the next `days` days: generated-ahead records plus scheduled occurrences
+export const getForecast = async (tenantId, { days = 90, from = new Date() } = {}) => {
+  const start = new Date(`${dayKey(from)}T00:00:00.000Z`);
+  const until = endOfDay(new Date(start.getTime() + (days - 1) * DAY_MS));
+
+  const templates = await RecurringTemplate.find({ tenantId, isActive: true });
+  const templatesById = new Map(templates.map(template => [String(template._id), template]));
+  const items = [];
+
+  templates.forEach(template => {
+    listOccurrences(template, { until }).forEach(({ date, exception }) => {
+      if (date < start) return;
+      const fields = { ...template.fields.toObject(), ...(exception?.overrides || {}) };
+      items.push({
+        templateId: template._id,
+        name: template.name,
+        date,
+        type: fields.type,
+        amount: fields.amount,
+        category: fields.category,
+        description: fields.description,
+        accountId: fields.accountId || null,
+        status: exception?.skip ? 'skipped' : (exception ? 'modified' : 'scheduled')
+      });
+    });
+  });
+
+  const generatedQuery = {
+    tenantId,
+    recurringTemplateId: { $ne: null },
+    date: { $gte: start, $lte: until },
+    isDeleted: false
+  };
+  const [transactions, incomes] = await Promise.all([
+    Transaction.find(generatedQuery).lean(),
+    Income.find(generatedQuery).lean()
+  ]);
+
+  [...transactions, ...incomes].forEach(record => {
+    const template = templatesById.get(String(record.recurringTemplateId));
+    items.push({
+      templateId: record.recurringTemplateId,
+      name: template?.name || record.description || record.category,
+      date: record.date,
+      type: record.type || 'income',
+      amount: record.amount,
+      category: record.category,
+      description: record.description,
+      accountId: record.accountId || null,
+      recordId: record._id,
+      status: 'generated'
+    });
+  });
+
+  items.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const counted = items.filter(item => item.status !== 'skipped');
+  const income = round2(counted.filter(item => item.type === 'income').reduce((sum, item) => sum + item.amount, 0));
+  const expense = round2(counted.filter(item => item.type === 'expense').reduce((sum, item) => sum + item.amount, 0));
+
+  const byMonth = counted.reduce((acc, item) => {
+    const month = dayKey(item.date).substring(0, 7);
+    if (!acc[month]) acc[month] = { income: 0, expense: 0, net: 0 };
+    acc[month][item.type] = round2(acc[month][item.type] + item.amount);
+    acc[month].net = round2(acc[month].income - acc[month].expense);
+    return acc;
+  }, {});
+
+  return {
+    period: { start, end: until, days },
+    totals: { income, expense, net: round2(income - expense), count: counted.length },
+    byMonth,
+    items
+  };
+};
+
+export default {
+  FREQUENCIES,
+  EDITABLE_FIELDS,
+  occurrenceDate,
+  listOccurrences,
+  generateDueOccurrences,
+  runRecurringEngine,
+  createTemplate,
+  fieldsFromRecord,
+  skipOccurrence,
+  editOccurrence,
+  updateSchedule,
+  stopTemplate,
+  getForecast
+};
@@ -0,0 +1,169 @@
+// services/reminderService.js - reminders emailed to people who owe the user: templates, rate limiting and the per-record log
+import MoneyTransaction from '../models/moneyTransaction.js';
+import ReminderTemplate from '../models/ReminderTemplate.js';
+import Contact from '../models/Contact.js';
+import User from '../models/User.js';
+import { refreshBalance, amountDue } from './moneyService.js';
+import { sendReminderEmail, renderReminderTemplate, DEFAULT_REMINDER_TEMPLATES } from './emailService.js';
+
+export const REMINDER_TEMPLATE_KEYS = Object.keys(DEFAULT_REMINDER_TEMPLATES);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An email that failed is not retried by the cron for a day, so a bad address does not fill the log
+const RETRY_AFTER_FAILURE_MS = DAY_MS;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+// The tenant's templates, with the defaults for any they have not edited
+export const getReminderTemplates = async (tenantId) => {
+  const saved = await ReminderTemplate.find({ tenantId }).lean();
+  return REMINDER_TEMPLATE_KEYS.reduce((templates, key) => {
+    const custom = saved.find(template => template.key === key);
+    templates[key] = custom
+      ? { subject: custom.subject, body: custom.body, isDefault: false, updatedAt: custom.updatedAt }
+      : { ...DEFAULT_REMINDER_TEMPLATES[key], isDefault: true };
+    return templates;
+  }, {});
+};
+
+export const saveReminderTemplate = async (tenantId, key, { subject, body }) => {
+  if (!REMINDER_TEMPLATE_KEYS.includes(key)) throw new Error(`Template must be one of: ${REMINDER_TEMPLATE_KEYS.join(', ')}`);
+  if (!subject || !String(subject).trim() || !body || !String(body).trim()) throw new Error('Subject and body are required');
+
+  return ReminderTemplate.findOneAndUpdate(
+    { tenantId, key },
+    { subject: String(subject).trim(), body: String(body) },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+export const resetReminderTemplate = async (tenantId, key) => {
+  if (!REMINDER_TEMPLATE_KEYS.includes(key)) throw new Error(`Template must be one of: ${REMINDER_TEMPLATE_KEYS.join(', ')}`);
+  await ReminderTemplate.deleteOne({ tenantId, key });
+  return { ...DEFAULT_REMINDER_TEMPLATES[key], isDefault: true };
+};
+
+// Where the reminder goes: the record's email, or the email of the contact it is linked to
+export const counterpartyEmail = async (transaction) => {
+  if (transaction.personEmail) return transaction.personEmail.trim().toLowerCase();
+  if (!transaction.contactId) return null;
+  const contact = await Contact.findOne({ _id: transaction.contactId, tenantId: transaction.tenantId }).select('email').lean();
+  return contact?.email || null;
+};
+
+// The overdue wording once the due date has passed, the upcoming one before that
+export const templateKeyFor = (transaction, asOf = new Date()) =>
+  new Date(transaction.dueDate) < startOfDay(asOf) ? 'overdue' : 'upcoming';
+
+// Values for the {{placeholders}} of a record (balances brought up to asOf)
+export const reminderValues = (transaction, senderName, asOf = new Date()) => {
+  refreshBalance(transaction, asOf);
+  const daysOverdue = Math.max(Math.floor((startOfDay(asOf) - startOfDay(transaction.dueDate)) / DAY_MS), 0);
+  return {
+    personName: transaction.personName,
+    senderName: senderName || 'Finovo user',
+    amount: transaction.amount,
+    outstanding: transaction.outstandingAmount,
+    dueNow: amountDue(transaction, asOf),
+    dueDate: formatDate(transaction.dueDate),
+    daysOverdue,
+    purpose: transaction.purpose,
+    interest: transaction.interestAccrued || 0
+  };
+};
+
+// Earliest time the person may be emailed again: one email per interval across all their records
+export const nextReminderAllowedAt = async (tenantId, email, intervalDays) => {
+  const [latest] = await MoneyTransaction.aggregate([
+    { $match: { tenantId, 'reminderLog.to': email } },
+    { $unwind: '$reminderLog' },
+    { $match: { 'reminderLog.to': email, 'reminderLog.status': 'sent' } },
+    { $sort: { 'reminderLog.sentAt': -1 } },
+    { $limit: 1 },
+    { $project: { sentAt: '$reminderLog.sentAt' } }
+  ]);
+  return latest ? new Date(latest.sentAt.getTime() + intervalDays * DAY_MS) : null;
+};
+
+const findSender = async (tenantId) => {
+  const user = await User.findOne({ tenantId }).select('name email').lean();
+  return { senderName: user?.name, replyTo: user?.email };
+};
+
+// Render a template for a record without sending it
+export const previewReminder = async (transaction, key = templateKeyFor(transaction)) => {
+  const [templates, sender] = await Promise.all([getReminderTemplates(transaction.tenantId), findSender(transaction.tenantId)]);
+  if (!templates[key]) throw new Error(`Template must be one of: ${REMINDER_TEMPLATE_KEYS.join(', ')}`);
+  return {
+    to: await counterpartyEmail(transaction),
+    template: key,
+    ...renderReminderTemplate(templates[key], reminderValues(transaction, sender.senderName))
+  };
+};
+
+// Email the counterparty of an open lend record, unless they were emailed within the interval.
+// Returns { sent: false, nextAllowedAt } when rate limited; the attempt is added to the record's log otherwise
+export const sendCounterpartyReminder = async (transaction, { trigger = 'auto', asOf = new Date() } = {}) => {
+  if (transaction.type !== 'lend') throw new Error('Reminders are only emailed for money you lent');
+  if (!['pending', 'overdue'].includes(transaction.status)) throw new Error('This record is already settled');
+
+  const to = await counterpartyEmail(transaction);
+  if (!to) throw new Error(`Add an email address for ${transaction.personName} first`);
+
+  const intervalDays = transaction.emailReminders?.intervalDays || parseInt(process.env.MONEY_EMAIL_REMINDER_INTERVAL_DAYS || '7');
+  const nextAllowedAt = await nextReminderAllowedAt(transaction.tenantId, to, intervalDays);
+  if (nextAllowedAt && nextAllowedAt > asOf) return { sent: false, to, nextAllowedAt };
+
+  if (trigger === 'auto') {
+    const lastFailure = [...(transaction.reminderLog || [])].reverse().find(entry => entry.status === 'failed');
+    if (lastFailure && asOf - lastFailure.sentAt < RETRY_AFTER_FAILURE_MS) {
+      return { sent: false, to, nextAllowedAt: new Date(lastFailure.sentAt.getTime() + RETRY_AFTER_FAILURE_MS) };
+    }
+  }
+
+  const key = templateKeyFor(transaction, asOf);
+  const [templates, sender] = await Promise.all([getReminderTemplates(transaction.tenantId), findSender(transaction.tenantId)]);
+  const { subject, body } = renderReminderTemplate(templates[key], reminderValues(transaction, sender.senderName, asOf));
+  const result = await sendReminderEmail(to, { subject, body, ...sender });
+
+  transaction.reminderLog.push({
+    to,
+    template: key,
+    subject,
+    status: result.success ? 'sent' : 'failed',
+    error: result.error,
+    messageId: result.messageId,
+    trigger,
+    sentAt: asOf
+  });
+  if (result.success) transaction.emailReminders.lastSentAt = asOf;
+  await transaction.save();
+
+  return {
+    sent: result.success,
+    to,
+    error: result.error,
+    entry: transaction.reminderLog[transaction.reminderLog.length - 1],
+    nextAllowedAt: result.success ? new Date(asOf.getTime() + intervalDays * DAY_MS) : null
+  };
+};
+
+export default {
+  REMINDER_TEMPLATE_KEYS,
+  getReminderTemplates,
+  saveReminderTemplate,
+  resetReminderTemplate,
+  counterpartyEmail,
+  templateKeyFor,
+  reminderValues,
+  nextReminderAllowedAt,
+  previewReminder,
+  sendCounterpartyReminder
+};
@@ -0,0 +1,276 @@
+// services/statementParsers.js - OFX/QFX, ISO 20022 CAMT.053 and SWIFT MT940 statement parsers
+import fs from 'fs';
+
+// Extensions that carry a structured statement instead of a table
+export const STATEMENT_EXTENSIONS = ['ofx', 'qfx', 'xml', 'sta', 'mt940', '940', 'txt'];
+
+// Helper function to decode the XML entities banks actually emit
+const decodeEntities = (text = '') => String(text)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Helper function to return every <tag>...</tag> block (namespace prefixes allowed)
+const xmlBlocks = (xml, tag) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+};
+
+// Helper function to return the text of the first <tag> found in a fragment
+const xmlValue = (xml, tag) => {
+  const block = xmlBlocks(xml || '', tag)[0];
+  return block === undefined ? '' : decodeEntities(block.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' '));
+};
+
+// Amount with either "." or "," as the decimal separator and possibly the other as thousands separator:
+// the last of the two marks the decimals. A lone "." is the decimal point (OFX writes amounts that way, and
+// "-12.500" or "0.125" are decimals). A lone "," is a thousands separator only when it repeats or follows a
+// non-zero integer part with exactly three digits ("1,000"); otherwise it is a decimal comma ("25,50").
+// Formats that fix the decimal separator (MT940 always uses ",") pass it in
+const parseDecimal = (text = '', decimal = null) => {
+  let value = String(text).trim().replace(/[\s']/g, '');
+  if (decimal) {
+    return parseFloat(value.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.'));
+  }
+
+  const lastDot = value.lastIndexOf('.');
+  const lastComma = value.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    const separator = lastDot > lastComma ? '.' : ',';
+    const thousands = separator === '.' ? ',' : '.';
+    value = value.split(thousands).join('').replace(separator, '.');
+  } else if (lastComma !== -1) {
+    const parts = value.split(',');
+    const grouped = parts.length > 2 ||
+      (parts[1].length === 3 && /[1-9]/.test(parts[0]));
+    value = grouped ? parts.join('') : parts.join('.');
+  }
+
+  return parseFloat(value);
+};
+
+// Helper function to build a normalized row in the same shape as importService.normalizeRow
+const buildRow = ({ date, description, amount, type, referenceNumber = '', externalId = '', accountNumber = '', balance = null }) => {
+  const errors = [];
+  if (!date || isNaN(date.getTime())) errors.push('Invalid or missing date');
+  if (!amount) errors.push('Missing amount');
+
+  return {
+    date: errors.includes('Invalid or missing date') ? null : date,
+    description: description || 'Imported transaction',
+    amount: amount ? Math.abs(amount) : null,
+    type,
+    referenceNumber,
+    externalId,
+    accountNumber,
+    balance,
+    category: '',
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+// ==================== OFX / QFX ====================
+
+// OFX dates look like 20240131, 20240131120000 or 20240131120000.000[-5:EST]
+const parseOfxDate = (value = '') => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+};
+
+// Leaf values in OFX 1.x (SGML) are not closed, so read up to the next tag or line break
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1]) : '';
+};
+
+export const parseOfx = (text) => {
+  const accountNumber = ofxValue(text, 'ACCTID');
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+
+  const rows = blocks.map(block => {
+    const amount = parseDecimal(ofxValue(block, 'TRNAMT'));
+    const name = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE');
+    const memo = ofxValue(block, 'MEMO');
+
+    return buildRow({
+      date: parseOfxDate(ofxValue(block, 'DTPOSTED') || ofxValue(block, 'DTUSER')),
+      description: [name, memo].filter(Boolean).filter((part, index, parts) => parts.indexOf(part) === index).join(' - '),
+      amount: isNaN(amount) ? null : amount,
+      type: amount < 0 ? 'expense' : 'income',
+      referenceNumber: ofxValue(block, 'CHECKNUM') || ofxValue(block, 'REFNUM'),
+      externalId: ofxValue(block, 'FITID'),
+      accountNumber
+    });
+  });
+
+  const ledgerBalance = parseDecimal(ofxValue(text.split(/<LEDGERBAL>/i)[1] || '', 'BALAMT'));
+  const balances = { opening: null, closing: isNaN(ledgerBalance) ? null : ledgerBalance };
+
+  return { format: 'ofx', accountNumber, balances, rows };
+};
+
+// ==================== CAMT.053 ====================
+
+export const parseCamt053 = (text) => {
+  const rows = [];
+  const balances = { opening: null, closing: null };
+  let accountNumber = '';
+
+  for (const statement of xmlBlocks(text, 'Stmt')) {
+    const account = xmlBlocks(statement, 'Acct')[0] || '';
+    const statementAccount = xmlValue(account, 'IBAN') || xmlValue(account, 'Id');
+    accountNumber = accountNumber || statementAccount;
+
+    // OPBD/CLBD are the booked opening and closing balances
+    for (const balance of xmlBlocks(statement, 'Bal')) {
+      const code = xmlValue(balance, 'Cd').toUpperCase();
+      const amount = parseFloat(xmlValue(balance, 'Amt'));
+      const signed = xmlValue(balance, 'CdtDbtInd').toUpperCase() === 'DBIT' ? -amount : amount;
+      if (code === 'OPBD' && balances.opening === null) balances.opening = signed;
+      if (code === 'CLBD') balances.closing = signed;
+    }
+
+    for (const entry of xmlBlocks(statement, 'Ntry')) {
+      const amount = parseFloat(xmlValue(entry, 'Amt'));
+      const isCredit = xmlValue(entry, 'CdtDbtInd').toUpperCase() === 'CRDT';
+      const booked = xmlBlocks(entry, 'BookgDt')[0] || xmlBlocks(entry, 'ValDt')[0] || '';
+      const dateText = xmlValue(booked, 'Dt') || xmlValue(booked, 'DtTm');
+
+      const remittance = xmlBlocks(entry, 'Ustrd').map(decodeEntities).join(' ');
+      const counterparty = xmlBlocks(entry, isCredit ? 'Dbtr' : 'Cdtr')[0] || '';
+      const description = remittance || xmlValue(entry, 'AddtlNtryInf') || xmlValue(entry, 'AddtlTxInf') || xmlValue(counterparty, 'Nm');
+
+      // AcctSvcrRef is the bank's unique entry reference; NtryRef is only unique within a statement
+      const serviceRef = xmlValue(entry, 'AcctSvcrRef');
+      const entryRef = xmlValue(entry, 'NtryRef');
+      const endToEnd = xmlValue(entry, 'EndToEndId');
+
+      rows.push(buildRow({
+        date: dateText ? new Date(`${dateText.substring(0, 10)}T00:00:00Z`) : null,
+        description,
+        amount: isNaN(amount) ? null : amount,
+        type: isCredit ? 'income' : 'expense',
+        referenceNumber: endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : entryRef,
+        externalId: serviceRef || entryRef,
+        accountNumber: statementAccount
+      }));
+    }
+  }
+
+  return { format: 'camt053', accountNumber, balances, rows };
+};
+
+// ==================== MT940 ====================
+
+// :61: YYMMDD[MMDD]{C|D|RC|RD}[funds code]amount{N|F|S}xxx customer-ref[//bank-ref]
+const MT940_LINE = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([NFS][A-Z0-9]{3})([^\/\r\n]*)(?:\/\/([^\r\n]*))?/;
+
+const parseMt940Date = (value) => {
+  const year = 2000 + parseInt(value.substring(0, 2), 10);
+  return new Date(Date.UTC(year, parseInt(value.substring(2, 4), 10) - 1, parseInt(value.substring(4, 6), 10)));
+};
+
+// :60F:/:62F: balances look like C240101EUR1000,00
+const parseMt940Balance = (value) => {
+  const match = value.match(/^([CD])\d{6}[A-Z]{3}(\d+,\d*)/);
+  if (!match) return null;
+  const amount = parseDecimal(match[2], ',');
+  return match[1] === 'D' ? -amount : amount;
+};
+
+export const parseMt940 = (text) => {
+  const rows = [];
+  const balances = { opening: null, closing: null };
+  let accountNumber = '';
+  let current = null;
+
+  // Fields run until the next line that starts with a :NN: tag
+  const fields = [...text.replace(/\r\n/g, '\n').matchAll(/^:(\d{2}[A-Z]?):([\s\S]*?)(?=^:\d{2}[A-Z]?:|^-\}?\s*$|(?![\s\S]))/gm)];
+
+  const flush = () => {
+    if (current) rows.push(buildRow(current));
+    current = null;
+  };
+
+  for (const [, tag, rawValue] of fields) {
+    const value = rawValue.trim();
+
+    if (tag === '25') {
+      accountNumber = value;
+    } else if (tag === '60F' || tag === '60M') {
+      if (balances.opening === null) balances.opening = parseMt940Balance(value);
+    } else if (tag === '62F' || tag === '62M') {
+      balances.closing = parseMt940Balance(value);
+    } else if (tag === '61') {
+      flush();
+      const match = value.match(MT940_LINE);
+      if (!match) {
+        current = { date: null, description: value, amount: null, type: null };
+        continue;
+      }
+
+      const [, valueDate, , mark, , amountText, , customerRef, bankRef] = match;
+      const amount = parseDecimal(amountText, ',');
+      // RC (reversal of credit) is money going out, RD money coming back in
+      const isCredit = mark === 'C' || mark === 'RD';
+      const reference = customerRef.trim() !== 'NONREF' ? customerRef.trim() : '';
+      const supplementary = value.split('\n').slice(1).join(' ').trim();
+
+      current = {
+        date: parseMt940Date(valueDate),
+        description: supplementary,
+        amount,
+        type: isCredit ? 'income' : 'expense',
+        referenceNumber: reference || (bankRef || '').trim(),
+        externalId: (bankRef || '').trim() || (reference ? `${valueDate}-${reference}-${amountText}` : ''),
+        accountNumber
+      };
+    } else if (tag === '86' && current) {
+      // Structured :86: narratives use ?20..?29 sub-fields; keep just the text
+      const narrative = value.replace(/\?\d{2}/g, ' ').replace(/\s+/g, ' ').trim();
+      current.description = [narrative, current.description].filter(Boolean).join(' - ');
+    }
+  }
+  flush();
+
+  return { format: 'mt940', accountNumber, balances, rows };
+};
+
+// Sniff the file contents rather than trusting the extension
+export const detectStatementFormat = (text, fileExtension = '') => {
+  const head = text.substring(0, 4096);
+  if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+  if (/BkToCstmrStmt|camt\.053/i.test(head)) return 'camt053';
+  if (/^:20:/m.test(text) && /^:61:/m.test(text)) return 'mt940';
+  if (['ofx', 'qfx'].includes(fileExtension)) return 'ofx';
+  return null;
+};
+
+// Parse a statement file, or return null when it is not one of the structured formats
+export const readStatement = async (filePath, fileExtension) => {
+  if (!STATEMENT_EXTENSIONS.includes(fileExtension)) return null;
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  const format = detectStatementFormat(text, fileExtension);
+
+  if (format === 'ofx') return parseOfx(text);
+  if (format === 'camt053') return parseCamt053(text);
+  if (format === 'mt940') return parseMt940(text);
+
+  throw new Error('Unrecognised statement format. Supported: OFX/QFX, CAMT.053 XML and MT940.');
+};
+
+export default {
+  STATEMENT_EXTENSIONS,
+  parseOfx,
+  parseCamt053,
+  parseMt940,
+  detectStatementFormat,
+  readStatement
+};
@@ -0,0 +1,318 @@
+// services/subscriptionService.js - detect repeating charges (subscriptions), price changes and turn them into recurring templates
+import Subscription from '../models/Subscription.js';
+import Transaction from '../models/Transaction.js';
+import { normalizeDescription } from './duplicateService.js';
+import { createTemplate, fieldsFromRecord, occurrenceDate } from './recurringService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Nominal length and allowed drift (days) of each cadence
+export const CADENCES = [
+  { cadence: 'weekly', days: 7, tolerance: 2, perYear: 52 },
+  { cadence: 'monthly', days: 30.44, tolerance: 4, perYear: 12 },
+  { cadence: 'quarterly', days: 91.31, tolerance: 10, perYear: 4 },
+  { cadence: 'yearly', days: 365.25, tolerance: 15, perYear: 1 }
+];
+
+// Well-known subscription merchants; their charges are grouped even when descriptions differ
+export const KNOWN_SUBSCRIPTIONS = [
+  { name: 'Netflix', pattern: /netflix/ },
+  { name: 'Amazon Prime', pattern: /amazon ?prime|prime ?video/ },
+  { name: 'Disney+ Hotstar', pattern: /hotstar/ },
+  { name: 'Spotify', pattern: /spotify/ },
+  { name: 'YouTube Premium', pattern: /youtube/ },
+  { name: 'Google Workspace', pattern: /google ?workspace|gsuite|g suite/ },
+  { name: 'Google One', pattern: /google ?one|google ?storage/ },
+  { name: 'AWS', pattern: /\baws\b|amazon ?web ?services/, variable: true },
+  { name: 'Microsoft 365', pattern: /microsoft|office ?365|msft/ },
+  { name: 'Canva', pattern: /canva/ },
+  { name: 'Adobe', pattern: /adobe/ },
+  { name: 'Apple', pattern: /apple ?com|itunes|icloud/ },
+  { name: 'GitHub', pattern: /github/ },
+  { name: 'Notion', pattern: /notion/ },
+  { name: 'Slack', pattern: /slack/ },
+  { name: 'Zoom', pattern: /\bzoom\b/ },
+  { name: 'Dropbox', pattern: /dropbox/ },
+  { name: 'OpenAI', pattern: /openai|chatgpt/ },
+  { name: 'Jio', pattern: /\bjio\b/, variable: true },
+  { name: 'Airtel', pattern: /airtel/, variable: true }
+];
+
+// Words that say how a payment was made rather than who was paid
+const NOISE_WORDS = new Set([
+  'upi', 'pos', 'ach', 'nach', 'ecs', 'ecom', 'neft', 'imps', 'rtgs', 'payment', 'paid', 'debit', 'credit', 'card',
+  'ref', 'txn', 'tx', 'purchase', 'autopay', 'mandate', 'si', 'to', 'by', 'via', 'for', 'the', 'www', 'com', 'in',
+  'co', 'pvt', 'ltd', 'private', 'limited', 'inc', 'llc', 'india', 'bil', 'onl', 'dr', 'cr',
+  // UPI handles
+  'okaxis', 'oksbi', 'okhdfcbank', 'okicici', 'ybl', 'ibl', 'axl', 'apl', 'paytm'
+]);
+
+// Charges within this fraction of each other count as the same price
+const SAME_PRICE = 0.02;
+// Fixed-price subscriptions need at least this share of consecutive charges at the same price
+const MIN_PRICE_STABILITY = 0.5;
+const MIN_REGULARITY = 0.6;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+const samePrice = (a, b) => Math.abs(a - b) <= SAME_PRICE * Math.max(a, b);
+const startOfToday = () => new Date(`${new Date().toISOString().substring(0, 10)}T00:00:00.000Z`);
+
+// Merchant a charge is grouped under: a known service, or the first meaningful words of the vendor/description
+export const merchantOf = (transaction) => {
+  const text = normalizeDescription(`${transaction.vendor || ''} ${transaction.description || ''}`);
+  const known = KNOWN_SUBSCRIPTIONS.find(entry => entry.pattern.test(text));
+  if (known) {
+    return { key: `known:${known.name.toLowerCase()}`, name: known.name, known: true, variable: Boolean(known.variable) };
+  }
+
+  const source = normalizeDescription(transaction.vendor) || normalizeDescription(transaction.description);
+  const words = source.split(' ')
+    .filter(word => word.length > 1 && !/\d/.test(word) && !NOISE_WORDS.has(word))
+    .slice(0, 3);
+  if (!words.length) return null;
+
+  return {
+    key: words.join(' '),
+    name: transaction.vendor || words.map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+    known: false,
+    variable: false
+  };
+};
+
+// Next charge after `date` for a cadence (month-based cadences keep the day of month)
+const nextChargeDate = (date, cadence, steps = 1) =>
+  occurrenceDate({ startDate: date, frequency: cadence, interval: 1 }, steps);
+
+// Charges that change price and keep the new price (or are the latest charge)
+const findPriceChanges = (charges) => {
+  const changes = [];
+  for (let index = 1; index < charges.length; index++) {
+    const previous = charges[index - 1].amount;
+    const current = charges[index].amount;
+    const next = charges[index + 1]?.amount;
+    if (samePrice(previous, current) || (next !== undefined && !samePrice(current, next))) continue;
+
+    changes.push({
+      date: charges[index].date,
+      from: round2(previous),
+      to: round2(current),
+      changePercent: round2(((current - previous) / previous) * 100)
+    });
+  }
+  return changes;
+};
+
+// Decide whether one merchant's charges look like a subscription
+export const analyseCharges = (charges, merchant, asOf = new Date()) => {
+  const sorted = [...charges].sort((a, b) => new Date(a.date) - new Date(b.date));
+  if (sorted.length < (merchant.known ? 2 : 3)) return null;
+
+  const intervals = sorted.slice(1).map((charge, index) => (new Date(charge.date) - new Date(sorted[index].date)) / DAY_MS);
+  const typical = median(intervals);
+  const match = CADENCES.find(entry => Math.abs(typical - entry.days) <= entry.tolerance);
+  if (!match) return null;
+
+  const regularity = intervals.filter(days => Math.abs(days - match.days) <= match.tolerance).length / intervals.length;
+  if (regularity < MIN_REGULARITY) return null;
+
+  const amounts = sorted.map(charge => charge.amount);
+  const stability = amounts.slice(1).filter((amount, index) => samePrice(amount, amounts[index])).length / (amounts.length - 1);
+  const variableAmount = merchant.variable || stability < MIN_PRICE_STABILITY;
+  if (variableAmount && !merchant.known) return null;
+
+  const latest = sorted[sorted.length - 1];
+  const recentAverage = amounts.slice(-3).reduce((sum, amount) => sum + amount, 0) / Math.min(3, amounts.length);
+  const amount = variableAmount ? recentAverage : latest.amount;
+  const nextExpectedDate = nextChargeDate(latest.date, match.cadence);
+  const lapseDays = Math.max(match.tolerance * 2, match.days / 2);
+
+  const categories = sorted.reduce((acc, charge) => {
+    if (charge.category) acc.set(charge.category, (acc.get(charge.category) || 0) + 1);
+    return acc;
+  }, new Map());
+
+  return {
+    merchantKey: merchant.key,
+    name: merchant.name,
+    category: [...categories.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || '',
+    cadence: match.cadence,
+    intervalDays: round2(typical),
+    amount: round2(amount),
+    averageAmount: round2(amounts.reduce((sum, value) => sum + value, 0) / amounts.length),
+    variableAmount,
+    annualCost: round2(amount * match.perYear),
+    firstChargeDate: sorted[0].date,
+    lastChargeDate: latest.date,
+    nextExpectedDate,
+    chargeCount: sorted.length,
+    confidence: round2(Math.min(1, regularity * 0.5 + (variableAmount ? 0.35 : stability * 0.5) + (merchant.known ? 0.1 : 0))),
+    priceChanges: variableAmount ? [] : findPriceChanges(sorted),
+    transactionIds: sorted.map(charge => charge._id),
+    accountId: latest.accountId || null,
+    isLapsed: asOf - nextExpectedDate > lapseDays * DAY_MS
+  };
+};
+
+// Scan the tenant's expenses and refresh the stored subscriptions. Charges generated by recurring
+// templates are left out (they are already tracked), and user decisions on earlier results are kept
+export const detectSubscriptions = async (tenantId, { lookbackDays = 400, asOf = new Date() } = {}) => {
+  const transactions = await Transaction.find({
+    tenantId,
+    type: 'expense',
+    isDeleted: false,
+    recurringTemplateId: null,
+    date: { $gte: new Date(asOf.getTime() - lookbackDays * DAY_MS), $lte: asOf }
+  })
+    .select('date amount description vendor category accountId')
+    .lean();
+
+  const groups = new Map();
+  transactions.forEach(transaction => {
+    const merchant = merchantOf(transaction);
+    if (!merchant) return;
+    if (!groups.has(merchant.key)) groups.set(merchant.key, { merchant, charges: [] });
+    groups.get(merchant.key).charges.push(transaction);
+  });
+
+  const detected = [...groups.values()]
+    .map(({ merchant, charges }) => analyseCharges(charges, merchant, asOf))
+    .filter(Boolean);
+
+  const existing = new Map((await Subscription.find({ tenantId })).map(entry => [entry.merchantKey, entry]));
+  const results = [];
+
+  for (const found of detected) {
+    let subscription = existing.get(found.merchantKey);
+    existing.delete(found.merchantKey);
+
+    // Confirmed subscriptions are tracked by their recurring template from here on
+    if (subscription?.status === 'confirmed') {
+      results.push(subscription);
+      continue;
+    }
+
+    if (!subscription) subscription = new Subscription({ tenantId });
+    subscription.set({ ...found, lastDetectedAt: new Date() });
+    if (subscription.status === 'cancel_flagged' && subscription.flaggedAt) {
+      subscription.chargedAfterFlag = new Date(found.lastChargeDate) > subscription.flaggedAt;
+    }
+    await subscription.save();
+    results.push(subscription);
+  }
+
+  // Earlier detections that no longer qualify and were never acted on
+  const stale = [...existing.values()].filter(entry => entry.status === 'detected');
+  if (stale.length) await Subscription.deleteMany({ _id: { $in: stale.map(entry => entry._id) } });
+
+  return { scanned: transactions.length, subscriptions: results, removed: stale.length };
+};
+
+// Stored subscriptions with monthly/annual totals of the ones still being paid
+export const listSubscriptions = async (tenantId, { includeDismissed = false } = {}) => {
+  const filter = { tenantId };
+  if (!includeDismissed) filter.status = { $ne: 'dismissed' };
+
+  const subscriptions = await Subscription.find(filter).sort({ annualCost: -1 });
+  const active = subscriptions.filter(entry => entry.status !== 'dismissed' && !entry.isLapsed);
+  const annual = round2(active.reduce((sum, entry) => sum + entry.annualCost, 0));
+
+  return {
+    subscriptions,
+    totals: {
+      count: active.length,
+      monthly: round2(annual / 12),
+      annual,
+      // What cancelling the flagged ones would save per year
+      flaggedAnnual: round2(active.filter(entry => entry.status === 'cancel_flagged').reduce((sum, entry) => sum + entry.annualCost, 0)),
+      priceIncreases: active.filter(entry => entry.priceChanges.some(change => change.changePercent > 0)).length
+    }
+  };
+};
+
+// Turn a subscription into a recurring template. The latest charge becomes the first occurrence when the
+// next charge is still ahead; otherwise the series starts at the next charge date from today
+export const confirmSubscription = async (subscription, { name, category, startDate } = {}) => {
+  if (subscription.status === 'confirmed' && subscription.recurringTemplateId) {
+    throw new Error('This subscription is already a recurring series');
+  }
+
+  const latest = await Transaction.findOne({
+    _id: subscription.transactionIds[subscription.transactionIds.length - 1],
+    tenantId: subscription.tenantId,
+    isDeleted: false
+  });
+
+  const fields = latest
+    ? fieldsFromRecord(latest)
+    : { type: 'expense', description: subscription.name, paymentMode: 'Other', accountId: subscription.accountId };
+  fields.amount = subscription.amount;
+  fields.category = category || subscription.category || fields.category || 'Subscriptions';
+  fields.vendor = fields.vendor || subscription.name;
+
+  const useLatest = latest && !latest.recurringTemplateId && !startDate && subscription.nextExpectedDate >= startOfToday();
+  let firstDate = startDate ? new Date(startDate) : subscription.nextExpectedDate;
+  for (let steps = 1; !startDate && firstDate < startOfToday(); steps++) {
+    firstDate = nextChargeDate(subscription.lastChargeDate, subscription.cadence, steps);
+  }
+
+  const template = await createTemplate(subscription.tenantId, {
+    target: 'transaction',
+    name: name || subscription.name,
+    fields,
+    frequency: subscription.cadence,
+    startDate: firstDate,
+    record: useLatest ? latest : null
+  });
+
+  subscription.status = 'confirmed';
+  subscription.recurringTemplateId = template._id;
+  subscription.flaggedAt = null;
+  subscription.chargedAfterFlag = false;
+  await subscription.save();
+
+  return { subscription, template };
+};
+
+// Flag (or unflag) a subscription the user wants to cancel
+export const flagForCancellation = async (subscription, { flag = true, note } = {}) => {
+  if (subscription.status === 'confirmed') {
+    throw new Error('Stop the recurring series before flagging this subscription for cancellation');
+  }
+
+  subscription.status = flag ? 'cancel_flagged' : 'detected';
+  subscription.flaggedAt = flag ? new Date() : null;
+  subscription.chargedAfterFlag = false;
+  if (note !== undefined) subscription.note = note;
+  await subscription.save();
+  return subscription;
+};
+
+// Hide a false positive from the list (or bring it back); it stays hidden on later scans
+export const dismissSubscription = async (subscription, dismiss = true) => {
+  if (subscription.status === 'confirmed') {
+    throw new Error('A confirmed subscription cannot be dismissed');
+  }
+
+  subscription.status = dismiss ? 'dismissed' : 'detected';
+  subscription.flaggedAt = null;
+  subscription.chargedAfterFlag = false;
+  await subscription.save();
+  return subscription;
+};
+
+export default {
+  CADENCES,
+  KNOWN_SUBSCRIPTIONS,
+  merchantOf,
+  analyseCharges,
+  detectSubscriptions,
+  listSubscriptions,
+  confirmSubscription,
+  flagForCancellation,
+  dismissSubscription
+};
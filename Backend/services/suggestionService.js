@@ -0,0 +1,174 @@
+// services/suggestionService.js - learned category suggestions from a tenant's own history
+import Transaction from '../models/Transaction.js';
+
+const MODEL_TTL_MS = 10 * 60 * 1000;
+const TRAINING_LIMIT = 5000;
+
+// Suggestions below this confidence are shown in the UI but never applied automatically
+export const AUTO_APPLY_CONFIDENCE = 0.6;
+
+// With little history the posterior is meaningless (a single label always scores 1.0), so a suggestion
+// is only auto-applied once the tenant has categorised this many records of the type, across at least
+// MIN_LABELS categories, and the suggested category itself has MIN_LABEL_SAMPLES examples
+export const MIN_TRAINING_SAMPLES = 20;
+export const MIN_LABELS = 2;
+export const MIN_LABEL_SAMPLES = 3;
+
+// Fallback categories written by imports carry no signal about the user's choices
+const IGNORED_CATEGORIES = ['Miscellaneous Expenses', 'Other Income', 'Uncategorized'];
+
+// Bank boilerplate that appears in most narrations
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'from', 'with', 'upi', 'neft', 'imps', 'rtgs', 'txn', 'ref', 'payment',
+  'paid', 'transfer', 'debit', 'credit', 'ach', 'nach', 'pos', 'via', 'bank', 'ltd', 'pvt'
+]);
+
+const modelCache = new Map();
+
+// Helper function to split a description/vendor into comparable tokens
+export const tokenize = (description = '', vendor = '') => {
+  const tokens = String(description)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 2 && !/\d/.test(token) && !STOP_WORDS.has(token));
+
+  const vendorKey = String(vendor || '').trim().toLowerCase();
+  if (vendorKey) {
+    tokens.push(`vendor:${vendorKey}`);
+  }
+
+  return tokens;
+};
+
+// Count token frequencies per (type, category, subCategory) label
+const trainModel = (transactions) => {
+  const labels = new Map();
+  const vocabulary = new Set();
+
+  for (const transaction of transactions) {
+    const tokens = tokenize(transaction.description, transaction.vendor);
+    if (!tokens.length) continue;
+
+    const key = [transaction.type, transaction.category, transaction.subCategory || ''].join('|');
+    if (!labels.has(key)) {
+      labels.set(key, {
+        type: transaction.type,
+        category: transaction.category,
+        subCategory: transaction.subCategory || '',
+        documents: 0,
+        tokenTotal: 0,
+        tokens: new Map()
+      });
+    }
+
+    const label = labels.get(key);
+    label.documents++;
+    for (const token of tokens) {
+      label.tokens.set(token, (label.tokens.get(token) || 0) + 1);
+      label.tokenTotal++;
+      vocabulary.add(token);
+    }
+  }
+
+  return { labels: [...labels.values()], vocabulary, builtAt: Date.now() };
+};
+
+// Build (or reuse) the tenant's model from the categories the tenant chose; categories filled by rules,
+// suggestions or the built-in defaults would only teach the model its own output. Records saved before
+// categorySource was stored count only if they were entered by hand and no rule touched them
+export const getModel = async (tenantId) => {
+  const cached = modelCache.get(tenantId);
+  if (cached && Date.now() - cached.builtAt < MODEL_TTL_MS) {
+    return cached;
+  }
+
+  const transactions = await Transaction.find({
+    tenantId,
+    isDeleted: false,
+    type: { $in: ['income', 'expense'] },
+    category: { $nin: IGNORED_CATEGORIES },
+    $or: [
+      { categorySource: 'user' },
+      { categorySource: { $exists: false }, imported: { $ne: true }, categoryRuleId: null }
+    ]
+  })
+    .select('type category subCategory description vendor')
+    .sort({ date: -1 })
+    .limit(TRAINING_LIMIT)
+    .lean();
+
+  const model = trainModel(transactions);
+  modelCache.set(tenantId, model);
+  return model;
+};
+
+// Drop the cached model after the tenant's categories change
+export const invalidateModel = (tenantId) => {
+  modelCache.delete(tenantId);
+};
+
+// Multinomial naive Bayes with Laplace smoothing; confidence is the normalised posterior and
+// autoApply tells imports whether the suggestion may be written without the user seeing it
+export const rankSuggestions = (model, { description, vendor, type } = {}, limit = 3) => {
+  const tokens = tokenize(description, vendor).filter(token => model.vocabulary.has(token));
+  if (!tokens.length) return [];
+
+  const candidates = model.labels.filter(label => !type || label.type === type);
+  const totalDocuments = candidates.reduce((sum, label) => sum + label.documents, 0);
+  if (!totalDocuments) return [];
+
+  const vocabularySize = model.vocabulary.size;
+  const scored = candidates.map(label => {
+    let score = Math.log(label.documents / totalDocuments);
+    let matchedTokens = 0;
+    for (const token of tokens) {
+      const count = label.tokens.get(token) || 0;
+      if (count) matchedTokens++;
+      score += Math.log((count + 1) / (label.tokenTotal + vocabularySize));
+    }
+    return { label, score, matchedTokens };
+  }).filter(candidate => candidate.matchedTokens > 0);
+
+  if (!scored.length) return [];
+
+  const enoughHistory = totalDocuments >= MIN_TRAINING_SAMPLES && new Set(candidates.map(label => label.category)).size >= MIN_LABELS;
+
+  const maxScore = Math.max(...scored.map(candidate => candidate.score));
+  const weights = scored.map(candidate => Math.exp(candidate.score - maxScore));
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return scored
+    .map((candidate, index) => {
+      const confidence = Math.round((weights[index] / weightTotal) * 1000) / 1000;
+      return {
+        type: candidate.label.type,
+        category: candidate.label.category,
+        subCategory: candidate.label.subCategory,
+        confidence,
+        basedOn: candidate.label.documents,
+        autoApply: enoughHistory &&
+          candidate.label.documents >= MIN_LABEL_SAMPLES &&
+          confidence >= AUTO_APPLY_CONFIDENCE
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+};
+
+// Top suggestions for a description/vendor typed by the user
+export const suggestCategories = async (tenantId, input, limit = 3) => {
+  const model = await getModel(tenantId);
+  return rankSuggestions(model, input, limit);
+};
+
+export default {
+  AUTO_APPLY_CONFIDENCE,
+  MIN_TRAINING_SAMPLES,
+  MIN_LABELS,
+  MIN_LABEL_SAMPLES,
+  tokenize,
+  getModel,
+  invalidateModel,
+  rankSuggestions,
+  suggestCategories
+};
@@ -1,6 +1,8 @@
 // services/taxService.js
 import Tax from '../models/Tax.js';
 import Project from '../models/Project.js';
+import { financialYearOf } from './moneyService.js';
+import { getGstSettings, stateCodeFor } from './gstReturnService.js';
 
 // Utility functions for safe data processing
 const safeString = (str) => {
@@ -231,7 +233,6 @@ export const calculateGST = async (transactionData, businessType, turnover, stat
     const safeTransactionData = safeObject(transactionData);
     const { 
       amount = 0, 
-      isInterState = false, 
       productCategory = '', 
       hsnCode = '', 
       isService = false 
@@ -242,6 +243,14 @@ export const calculateGST = async (transactionData, businessType, turnover, stat
     const safeTurnover = safeNumber(turnover);
     const safeState = safeString(state);
     
+    // Inter-state when the recipient's state (`state`) differs from the supplier's, which defaults to
+    // the business's own state; an explicit isInterState wins
+    const supplierState = stateCodeFor(safeTransactionData.supplierState) || (tenantId ? (await getGstSettings(tenantId)).stateCode : null);
+    const recipientState = stateCodeFor(safeState);
+    const isInterState = typeof safeTransactionData.isInterState === 'boolean'
+      ? safeTransactionData.isInterState
+      : Boolean(supplierState && recipientState && supplierState !== recipientState);
+    
     // Enhanced GST rate determination
     const gstRates = {
       'essential': { rate: 0, description: 'Nil rated' },
@@ -303,6 +312,8 @@ export const calculateGST = async (transactionData, businessType, turnover, stat
       applicableForm,
       hsnCode: safeString(hsnCode),
       productCategory: gstConfig.description,
+      supplierState: supplierState || '',
+      recipientState: recipientState || '',
       isInterState,
       calculationMethod: 'automated',
       timestamp: new Date().toISOString(),
@@ -744,6 +755,313 @@ export const calculateIncomeTax = async (incomeData, tenantId) => {
   }
 };
 
+// ==================== OLD VS NEW REGIME COMPARISON ====================
+
+// Individual (resident) rules from FY 2025-26, amounts in ₹ per year
+export const REGIME_RULES_FROM = 2025;
+
+const NEW_REGIME_SLABS = [
+  { upTo: 400000, rate: 0 },
+  { upTo: 800000, rate: 5 },
+  { upTo: 1200000, rate: 10 },
+  { upTo: 1600000, rate: 15 },
+  { upTo: 2000000, rate: 20 },
+  { upTo: 2400000, rate: 25 },
+  { upTo: Infinity, rate: 30 }
+];
+
+// Basic exemption goes up to ₹3L at 60 and ₹5L at 80 in the old regime
+const oldRegimeSlabs = (age) => {
+  const exemption = age >= 80 ? 500000 : age >= 60 ? 300000 : 250000;
+  return [
+    { upTo: exemption, rate: 0 },
+    ...(exemption < 500000 ? [{ upTo: 500000, rate: 5 }] : []),
+    { upTo: 1000000, rate: 20 },
+    { upTo: Infinity, rate: 30 }
+  ];
+};
+
+const REGIME_RULES = {
+  new: {
+    label: 'New regime (section 115BAC)',
+    slabs: () => NEW_REGIME_SLABS,
+    standardDeduction: 75000,
+    rebate: { incomeUpTo: 1200000, maxRebate: 60000, marginalRelief: true },
+    surcharge: [
+      { above: 5000000, rate: 10 },
+      { above: 10000000, rate: 15 },
+      { above: 20000000, rate: 25 }
+    ],
+    employerNpsLimit: 0.14
+  },
+  old: {
+    label: 'Old regime',
+    slabs: oldRegimeSlabs,
+    standardDeduction: 50000,
+    rebate: { incomeUpTo: 500000, maxRebate: 12500, marginalRelief: false },
+    surcharge: [
+      { above: 5000000, rate: 10 },
+      { above: 10000000, rate: 15 },
+      { above: 20000000, rate: 25 },
+      { above: 50000000, rate: 37 }
+    ],
+    employerNpsLimit: 0.10
+  }
+};
+
+const DEDUCTION_LIMITS = {
+  section80C: 150000,
+  section80CCD1B: 50000,
+  homeLoanInterest: 200000,
+  professionalTax: 2500,
+  section80D: { regular: 25000, senior: 50000 }
+};
+
+const CESS_RATE = 0.04;
+
+// Sections 288A / 288B: taxable income and tax are rounded to the nearest ₹10
+const roundToTen = (amount) => Math.round(amount / 10) * 10;
+const rupees = (amount) => `₹${Math.round(amount).toLocaleString('en-IN')}`;
+
+const taxOnSlabs = (income, slabs) => {
+  let lower = 0;
+  let tax = 0;
+  const rows = [];
+  slabs.forEach(slab => {
+    const portion = Math.max(0, Math.min(income, slab.upTo) - lower);
+    if (portion > 0) {
+      const slabTax = (portion * slab.rate) / 100;
+      rows.push({
+        range: slab.upTo === Infinity ? `Above ${rupees(lower)}` : `${rupees(lower)} - ${rupees(slab.upTo)}`,
+        rate: slab.rate,
+        taxableAmount: Math.round(portion),
+        tax: Math.round(slabTax)
+      });
+      tax += slabTax;
+    }
+    lower = slab.upTo;
+  });
+  return { tax, rows };
+};
+
+// Surcharge on the slab tax, with marginal relief so crossing a threshold never costs more than the income above it
+const surchargeOn = (taxableIncome, tax, rules, slabs) => {
+  const index = rules.surcharge.map(band => taxableIncome > band.above).lastIndexOf(true);
+  if (index < 0) return { rate: 0, surcharge: 0, relief: 0 };
+
+  const band = rules.surcharge[index];
+  const lowerRate = index > 0 ? rules.surcharge[index - 1].rate : 0;
+  const surcharge = (tax * band.rate) / 100;
+  const atThreshold = taxOnSlabs(band.above, slabs).tax * (1 + lowerRate / 100);
+  const relief = Math.max(0, tax + surcharge - (atThreshold + taxableIncome - band.above));
+  return { rate: band.rate, surcharge, relief: Math.min(relief, surcharge) };
+};
+
+// HRA exemption u/s 10(13A): the least of HRA received, rent over 10% of salary, and 50% (metro) / 40% of salary
+const hraExemption = ({ basic, da, hra }, rentPaid, metroCity) => {
+  if (!hra || !rentPaid) return 0;
+  const salary = basic + da;
+  return Math.max(0, Math.min(hra, rentPaid - 0.1 * salary, salary * (metroCity ? 0.5 : 0.4)));
+};
+
+const readComparisonInput = (incomeData) => {
+  const data = safeObject(incomeData);
+  const salaryData = safeObject(data.salary);
+  const deductionData = safeObject(data.deductions);
+  const amount = (value, label) => {
+    const parsed = safeNumber(value);
+    if (parsed < 0) throw new Error(`${label} cannot be negative`);
+    return parsed;
+  };
+
+  const section80D = typeof deductionData.section80D === 'object' && deductionData.section80D !== null
+    ? deductionData.section80D
+    : { self: deductionData.section80D };
+
+  const startYear = data.financialYear
+    ? parseInt(String(data.financialYear).substring(0, 4))
+    : parseInt(financialYearOf(new Date()).substring(0, 4));
+  if (isNaN(startYear)) throw new Error('Financial year must look like 2025-26');
+  if (startYear < REGIME_RULES_FROM) {
+    throw new Error(`Regime comparison uses the rules from FY ${REGIME_RULES_FROM}-${String(REGIME_RULES_FROM + 1).slice(-2)} onwards`);
+  }
+
+  return {
+    financialYear: `${startYear}-${String(startYear + 1).slice(-2)}`,
+    age: amount(data.age, 'Age'),
+    salary: {
+      basic: amount(salaryData.basic, 'Basic salary'),
+      da: amount(salaryData.da, 'Dearness allowance'),
+      hra: amount(salaryData.hra, 'HRA'),
+      specialAllowance: amount(salaryData.specialAllowance, 'Special allowance'),
+      bonus: amount(salaryData.bonus, 'Bonus'),
+      otherAllowances: amount(salaryData.otherAllowances, 'Other allowances'),
+      employerNps: amount(salaryData.employerNps, 'Employer NPS contribution'),
+      professionalTax: amount(salaryData.professionalTax, 'Professional tax')
+    },
+    otherIncome: amount(data.otherIncome, 'Other income'),
+    rentPaid: amount(data.rentPaid, 'Rent paid'),
+    metroCity: data.metroCity === true,
+    deductions: {
+      section80C: amount(deductionData.section80C, '80C'),
+      section80CCD1B: amount(deductionData.section80CCD1B, '80CCD(1B)'),
+      homeLoanInterest: amount(deductionData.homeLoanInterest, 'Home loan interest'),
+      section80D: {
+        self: amount(section80D.self, '80D (self and family)'),
+        parents: amount(section80D.parents, '80D (parents)'),
+        parentsSenior: section80D.parentsSenior === true
+      }
+    }
+  };
+};
+
+// Tax under one regime with a line-by-line breakdown; extraDeduction is only used to find the break-even point
+const computeRegimeTax = (regime, input, extraDeduction = 0) => {
+  const rules = REGIME_RULES[regime];
+  const isOld = regime === 'old';
+  const { salary, deductions } = input;
+  const lines = [];
+  const line = (label, amount, type, section) => lines.push({ label, section: section || null, amount: Math.round(amount), type });
+
+  const grossSalary = salary.basic + salary.da + salary.hra + salary.specialAllowance + salary.bonus +
+    salary.otherAllowances + salary.employerNps;
+  line('Gross salary', grossSalary, 'income', '17(1)');
+
+  const hra = isOld ? hraExemption(salary, input.rentPaid, input.metroCity) : 0;
+  if (hra > 0) line('Less: HRA exemption', hra, 'exemption', '10(13A)');
+
+  const standardDeduction = Math.min(rules.standardDeduction, grossSalary);
+  if (standardDeduction > 0) line('Less: Standard deduction', standardDeduction, 'deduction', '16(ia)');
+
+  const professionalTax = isOld ? Math.min(salary.professionalTax, DEDUCTION_LIMITS.professionalTax) : 0;
+  if (professionalTax > 0) line('Less: Professional tax', professionalTax, 'deduction', '16(iii)');
+
+  const salaryIncome = Math.max(0, grossSalary - hra - standardDeduction - professionalTax);
+  line('Income from salary', salaryIncome, 'subtotal');
+
+  // Interest on a self-occupied home loan is only deductible in the old regime
+  const homeLoanInterest = isOld ? Math.min(deductions.homeLoanInterest, DEDUCTION_LIMITS.homeLoanInterest) : 0;
+  if (homeLoanInterest > 0) line('Less: Interest on home loan (self-occupied)', homeLoanInterest, 'deduction', '24(b)');
+  if (input.otherIncome > 0) line('Add: Income from other sources', input.otherIncome, 'income');
+
+  const grossTotalIncome = Math.max(0, salaryIncome + input.otherIncome - homeLoanInterest);
+  line('Gross total income', grossTotalIncome, 'subtotal');
+
+  const chapterVIA = [];
+  const employerNps = Math.min(salary.employerNps, (salary.basic + salary.da) * rules.employerNpsLimit);
+  if (isOld) {
+    const selfLimit = input.age >= 60 ? DEDUCTION_LIMITS.section80D.senior : DEDUCTION_LIMITS.section80D.regular;
+    const parentsLimit = deductions.section80D.parentsSenior ? DEDUCTION_LIMITS.section80D.senior : DEDUCTION_LIMITS.section80D.regular;
+    chapterVIA.push(
+      { label: 'Less: Investments (PPF, ELSS, EPF, life insurance...)', section: '80C', amount: Math.min(deductions.section80C, DEDUCTION_LIMITS.section80C) },
+      { label: 'Less: Own NPS contribution', section: '80CCD(1B)', amount: Math.min(deductions.section80CCD1B, DEDUCTION_LIMITS.section80CCD1B) },
+      { label: 'Less: Health insurance (self and family)', section: '80D', amount: Math.min(deductions.section80D.self, selfLimit) },
+      { label: 'Less: Health insurance (parents)', section: '80D', amount: Math.min(deductions.section80D.parents, parentsLimit) }
+    );
+  }
+  chapterVIA.push({ label: "Less: Employer's NPS contribution", section: '80CCD(2)', amount: employerNps });
+  if (extraDeduction > 0) chapterVIA.push({ label: 'Less: Additional deductions', section: null, amount: extraDeduction });
+
+  // Chapter VI-A deductions cannot exceed the gross total income
+  let room = grossTotalIncome;
+  const allowed = chapterVIA.map(item => {
+    const amount = Math.min(item.amount, room);
+    room -= amount;
+    if (amount > 0) line(item.label, amount, 'deduction', item.section);
+    return { section: item.section, amount };
+  });
+  const totalDeductions = hra + standardDeduction + professionalTax + homeLoanInterest +
+    allowed.reduce((sum, item) => sum + item.amount, 0);
+
+  const taxableIncome = roundToTen(Math.max(0, grossTotalIncome - allowed.reduce((sum, item) => sum + item.amount, 0)));
+  line('Taxable income', taxableIncome, 'subtotal', '288A');
+
+  const slabs = rules.slabs(input.age);
+  const { tax: slabTax, rows } = taxOnSlabs(taxableIncome, slabs);
+  line('Tax on taxable income', slabTax, 'tax');
+
+  // 87A: full rebate up to the limit; above it (new regime) the tax cannot exceed the income over the limit
+  let rebate = 0;
+  let rebateRelief = 0;
+  if (taxableIncome <= rules.rebate.incomeUpTo) {
+    rebate = Math.min(slabTax, rules.rebate.maxRebate);
+  } else if (rules.rebate.marginalRelief) {
+    rebateRelief = Math.max(0, slabTax - (taxableIncome - rules.rebate.incomeUpTo));
+  }
+  if (rebate > 0) line('Less: Rebate', rebate, 'relief', '87A');
+  if (rebateRelief > 0) line('Less: Marginal relief on rebate', rebateRelief, 'relief', '87A');
+  const taxAfterRebate = slabTax - rebate - rebateRelief;
+
+  const { rate: surchargeRate, surcharge, relief: surchargeRelief } = surchargeOn(taxableIncome, taxAfterRebate, rules, slabs);
+  if (surcharge > 0) line(`Add: Surcharge @ ${surchargeRate}%`, surcharge, 'tax');
+  if (surchargeRelief > 0) line('Less: Marginal relief on surcharge', surchargeRelief, 'relief');
+
+  const taxWithSurcharge = taxAfterRebate + surcharge - surchargeRelief;
+  const cess = taxWithSurcharge * CESS_RATE;
+  if (cess > 0) line('Add: Health & education cess @ 4%', cess, 'tax');
+
+  const totalTax = roundToTen(taxWithSurcharge + cess);
+  line('Total tax payable', totalTax, 'total', '288B');
+
+  const grossIncome = grossSalary + input.otherIncome;
+  return {
+    regime,
+    label: rules.label,
+    grossIncome: Math.round(grossIncome),
+    totalDeductions: Math.round(totalDeductions),
+    taxableIncome,
+    slabs: rows,
+    taxOnIncome: Math.round(slabTax),
+    rebate87A: Math.round(rebate + rebateRelief),
+    surchargeRate,
+    surcharge: Math.round(surcharge - surchargeRelief),
+    cess: Math.round(cess),
+    totalTax,
+    effectiveRate: grossIncome > 0 ? Math.round((totalTax / grossIncome) * 10000) / 100 : 0,
+    monthlyTax: Math.round(totalTax / 12),
+    lines
+  };
+};
+
+// Extra old-regime deductions needed before the old regime costs no more than the new one
+const oldRegimeBreakEven = (input, newRegimeTax) => {
+  const ceiling = computeRegimeTax('old', input).grossIncome;
+  if (computeRegimeTax('old', input, ceiling).totalTax > newRegimeTax) return null;
+
+  let low = 0;
+  let high = ceiling;
+  while (high - low > 100) {
+    const middle = (low + high) / 2;
+    if (computeRegimeTax('old', input, middle).totalTax <= newRegimeTax) high = middle;
+    else low = middle;
+  }
+  return Math.ceil(high / 100) * 100;
+};
+
+// Old and new regime side by side for the same salary and deductions, with the cheaper one recommended
+export const compareTaxRegimes = (incomeData) => {
+  const input = readComparisonInput(incomeData);
+  const oldRegime = computeRegimeTax('old', input);
+  const newRegime = computeRegimeTax('new', input);
+
+  // Ties go to the new regime, the default when no choice is made
+  const recommended = oldRegime.totalTax < newRegime.totalTax ? 'old' : 'new';
+  const savings = Math.abs(oldRegime.totalTax - newRegime.totalTax);
+
+  return {
+    financialYear: input.financialYear,
+    regimes: { old: oldRegime, new: newRegime },
+    recommended,
+    savings,
+    breakEvenAdditionalDeductions: recommended === 'new' && savings > 0
+      ? oldRegimeBreakEven(input, newRegime.totalTax)
+      : null,
+    summary: savings === 0
+      ? 'Both regimes cost the same; the new regime needs no investment proofs'
+      : `${REGIME_RULES[recommended].label} saves ${rupees(savings)} a year`
+  };
+};
+
 // Enhanced Tax Saving Recommendations with safe data processing
 export const getTaxSavingRecommendations = async (incomeData, tenantId) => {
   try {
@@ -966,5 +1284,6 @@ export default {
   calculateManualTax,
   getTaxComplianceCalendar,
   calculateIncomeTax,
+  compareTaxRegimes,
   getTaxSavingRecommendations
 };
\ No newline at end of file
@@ -0,0 +1,422 @@
+// services/transferService.js - transfers between the tenant's own accounts (two linked transaction legs)
+import mongoose from 'mongoose';
+import Account from '../models/Account.js';
+import Transaction from '../models/Transaction.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRANSFER_CATEGORY = 'Transfer';
+
+const TRANSFER_KEYWORDS = /\b(transfer|trf|tfr|self|own a\/?c|card payment|cc payment|credit card|autopay|sweep)\b/i;
+
+// Money in or out of the account a transaction belongs to
+export const flowOf = (transaction) => {
+  if (transaction.type === 'transfer') return transaction.transferDirection === 'in' ? 'in' : 'out';
+  return transaction.type === 'income' ? 'in' : 'out';
+};
+
+export const signedAmount = (transaction) => (flowOf(transaction) === 'in' ? transaction.amount : -transaction.amount);
+
+// Aggregation expression for signedAmount
+export const SIGNED_AMOUNT = {
+  $cond: [
+    {
+      $or: [
+        { $eq: ['$type', 'income'] },
+        { $and: [{ $eq: ['$type', 'transfer'] }, { $eq: ['$transferDirection', 'in'] }] }
+      ]
+    },
+    '$amount',
+    { $multiply: ['$amount', -1] }
+  ]
+};
+
+// Matches an income/expense type, or the transfer legs that moved money the same way
+export const sameFlowFilter = (type) => ({
+  $or: [
+    { type },
+    { type: 'transfer', transferDirection: type === 'income' ? 'in' : 'out' }
+  ]
+});
+
+// Run writes in a MongoDB transaction, falling back to plain writes on
+// standalone servers that do not support multi-document transactions
+export const withAtomicWrites = async (work) => {
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message)) {
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const loadAccounts = async (tenantId, fromAccountId, toAccountId) => {
+  if (!fromAccountId || !toAccountId) {
+    throw new Error('Both fromAccountId and toAccountId are required');
+  }
+  if (String(fromAccountId) === String(toAccountId)) {
+    throw new Error('Cannot transfer to the same account');
+  }
+
+  const accounts = await Account.find({ tenantId, _id: { $in: [fromAccountId, toAccountId] } });
+  const from = accounts.find(account => String(account._id) === String(fromAccountId));
+  const to = accounts.find(account => String(account._id) === String(toAccountId));
+  if (!from || !to) {
+    throw new Error('Account not found');
+  }
+
+  return { from, to };
+};
+
+// Collapse the two legs into one transfer record
+export const toTransfer = (legs) => {
+  const out = legs.find(leg => leg.transferDirection === 'out');
+  const inLeg = legs.find(leg => leg.transferDirection === 'in');
+  const base = out || inLeg;
+
+  return {
+    _id: base.transferId,
+    date: base.date,
+    amount: base.amount,
+    description: base.description,
+    fromAccountId: out?.accountId || null,
+    toAccountId: inLeg?.accountId || null,
+    complete: Boolean(out && inLeg),
+    legs
+  };
+};
+
+// Record a transfer as an outgoing leg on one account and an incoming leg on the other
+export const createTransfer = async (tenantId, { fromAccountId, toAccountId, amount, date, description, note, referenceNumber }) => {
+  const value = parseFloat(amount);
+  if (isNaN(value) || value <= 0) {
+    throw new Error('Amount must be a positive number');
+  }
+
+  const { from, to } = await loadAccounts(tenantId, fromAccountId, toAccountId);
+  const transferId = new mongoose.Types.ObjectId();
+  const when = date ? new Date(date) : new Date();
+
+  const shared = {
+    tenantId,
+    type: 'transfer',
+    transferId,
+    amount: value,
+    date: when,
+    category: TRANSFER_CATEGORY,
+    paymentMode: 'Bank Transfer',
+    paymentMethod: 'Bank Transfer',
+    note: note || '',
+    referenceNumber: referenceNumber || '',
+    status: 'completed'
+  };
+
+  const legs = await withAtomicWrites(session => Transaction.insertMany([
+    {
+      ...shared,
+      accountId: from._id,
+      transferDirection: 'out',
+      subCategory: to.name,
+      description: description || `Transfer to ${to.name}`
+    },
+    {
+      ...shared,
+      accountId: to._id,
+      transferDirection: 'in',
+      subCategory: from.name,
+      description: description || `Transfer from ${from.name}`
+    }
+  ], { session }));
+
+  return toTransfer(legs.map(leg => leg.toObject()));
+};
+
+const findLegs = (tenantId, transferId) => Transaction.find({
+  tenantId,
+  transferId,
+  isDeleted: false
+}).lean();
+
+export const getTransfer = async (tenantId, transferId) => {
+  const legs = await findLegs(tenantId, transferId);
+  return legs.length ? toTransfer(legs) : null;
+};
+
+export const listTransfers = async (tenantId, { startDate, endDate, accountId, limit = 100 } = {}) => {
+  const query = { tenantId, type: 'transfer', isDeleted: false };
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  const legs = await Transaction.find(query).sort({ date: -1 }).lean();
+
+  const groups = new Map();
+  legs.forEach(leg => {
+    const key = String(leg.transferId);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(leg);
+  });
+
+  return [...groups.values()]
+    .map(toTransfer)
+    .filter(transfer => !accountId ||
+      String(transfer.fromAccountId) === String(accountId) ||
+      String(transfer.toAccountId) === String(accountId))
+    .slice(0, limit);
+};
+
+// Apply shared changes (amount, date, description, note, accounts) to both legs together
+export const updateTransfer = async (tenantId, transferId, changes) => {
+  const legs = await findLegs(tenantId, transferId);
+  if (!legs.length) return null;
+
+  const current = toTransfer(legs);
+  const shared = {};
+
+  if (changes.amount !== undefined) {
+    const value = parseFloat(changes.amount);
+    if (isNaN(value) || value <= 0) {
+      throw new Error('Amount must be a positive number');
+    }
+    shared.amount = value;
+  }
+  if (changes.date) shared.date = new Date(changes.date);
+  if (changes.description !== undefined) shared.description = changes.description;
+  if (changes.note !== undefined) shared.note = changes.note;
+  if (changes.referenceNumber !== undefined) shared.referenceNumber = changes.referenceNumber;
+
+  const perLeg = { out: {}, in: {} };
+  if (changes.fromAccountId || changes.toAccountId) {
+    const { from, to } = await loadAccounts(
+      tenantId,
+      changes.fromAccountId || current.fromAccountId,
+      changes.toAccountId || current.toAccountId
+    );
+    perLeg.out = { accountId: from._id };
+    perLeg.in = { accountId: to._id };
+  }
+
+  await withAtomicWrites(async (session) => {
+    for (const leg of legs) {
+      await Transaction.updateOne(
+        { _id: leg._id, tenantId },
+        { $set: { ...shared, ...perLeg[leg.transferDirection] } },
+        { session, runValidators: true }
+      );
+    }
+  });
+
+  return getTransfer(tenantId, transferId);
+};
+
+export const deleteTransfer = async (tenantId, transferId) => {
+  const result = await withAtomicWrites(session => Transaction.updateMany(
+    { tenantId, transferId, isDeleted: false },
+    { $set: { isDeleted: true, deletedAt: new Date() } },
+    { session }
+  ));
+  return result.modifiedCount;
+};
+
+// Turn an existing expense (money out) and income (money in) into the two legs of one transfer.
+// Their categories are kept so unlinking gives back the original entries.
+export const linkAsTransfer = async (tenantId, firstId, secondId) => {
+  const pair = await Transaction.find({ tenantId, _id: { $in: [firstId, secondId] }, isDeleted: false });
+  const out = pair.find(transaction => transaction.type === 'expense');
+  const inLeg = pair.find(transaction => transaction.type === 'income');
+
+  if (pair.length !== 2 || !out || !inLeg) {
+    throw new Error('A transfer needs one expense and one income transaction');
+  }
+  if (Math.abs(out.amount - inLeg.amount) > 0.009) {
+    throw new Error('Both legs of a transfer must have the same amount');
+  }
+  if (out.accountId && inLeg.accountId && String(out.accountId) === String(inLeg.accountId)) {
+    throw new Error('Both legs are on the same account');
+  }
+
+  const transferId = new mongoose.Types.ObjectId();
+  await withAtomicWrites(async (session) => {
+    await Transaction.updateOne(
+      { _id: out._id, tenantId },
+      { $set: { type: 'transfer', transferId, transferDirection: 'out' } },
+      { session }
+    );
+    await Transaction.updateOne(
+      { _id: inLeg._id, tenantId },
+      { $set: { type: 'transfer', transferId, transferDirection: 'in' } },
+      { session }
+    );
+  });
+
+  return getTransfer(tenantId, transferId);
+};
+
+// Split a transfer back into a plain expense and income
+export const unlinkTransfer = async (tenantId, transferId) => {
+  const legs = await findLegs(tenantId, transferId);
+  if (!legs.length) return 0;
+
+  await withAtomicWrites(async (session) => {
+    for (const leg of legs) {
+      await Transaction.updateOne(
+        { _id: leg._id, tenantId },
+        {
+          $set: {
+            type: leg.transferDirection === 'in' ? 'income' : 'expense',
+            transferId: null,
+            transferDirection: null
+          }
+        },
+        { session }
+      );
+    }
+  });
+
+  return legs.length;
+};
+
+// Helper function to score an expense/income pair on different accounts as a likely transfer (0..1)
+const scoreTransferPair = (out, inLeg, accountsById, dateWindowDays) => {
+  if (Math.abs(out.amount - inLeg.amount) > 0.009) return 0;
+  if (String(out.accountId) === String(inLeg.accountId)) return 0;
+
+  const dayGap = Math.round(Math.abs(new Date(out.date) - new Date(inLeg.date)) / DAY_MS);
+  if (dayGap > dateWindowDays) return 0;
+
+  // The description often names the other account (last digits) or says it is a transfer
+  const mentionsAccount = (transaction, otherAccountId) => {
+    const digits = String(accountsById.get(String(otherAccountId))?.accountNumber || '').replace(/\D/g, '');
+    return digits.length >= 4 && String(transaction.description || '').includes(digits.slice(-4));
+  };
+
+  const hinted = TRANSFER_KEYWORDS.test(out.description || '') || TRANSFER_KEYWORDS.test(inLeg.description || '');
+  const named = mentionsAccount(out, inLeg.accountId) || mentionsAccount(inLeg, out.accountId);
+
+  // Same amount and date alone is too weak: ordinary income and spending often coincide
+  if (!hinted && !named) return 0;
+
+  let score = 0.5 + (1 - dayGap / (dateWindowDays + 1)) * 0.2;
+  if (hinted) score += 0.15;
+  if (named) score += 0.15;
+  return Math.round(Math.min(score, 1) * 1000) / 1000;
+};
+
+// Find expense/income pairs across the tenant's accounts that look like the two legs of a transfer.
+// Scope to an import batch to check only the rows it brought in against everything already recorded.
+export const detectTransfers = async (tenantId, {
+  importBatchId,
+  startDate,
+  endDate,
+  dateWindowDays = 2,
+  minScore = 0.6,
+  apply = false
+} = {}) => {
+  const base = { tenantId, isDeleted: false, type: { $in: ['income', 'expense'] }, accountId: { $ne: null } };
+
+  const scoped = importBatchId
+    ? await Transaction.find({ ...base, importBatchId }).lean()
+    : await Transaction.find({
+      ...base,
+      date: {
+        $gte: startDate ? new Date(startDate) : new Date(Date.now() - 90 * DAY_MS),
+        $lte: endDate ? new Date(endDate) : new Date()
+      }
+    }).lean();
+
+  if (!scoped.length) return [];
+
+  const dates = scoped.map(transaction => new Date(transaction.date).getTime());
+  const pool = importBatchId
+    ? await Transaction.find({
+      ...base,
+      amount: { $in: [...new Set(scoped.map(transaction => transaction.amount))] },
+      date: {
+        $gte: new Date(Math.min(...dates) - dateWindowDays * DAY_MS),
+        $lte: new Date(Math.max(...dates) + dateWindowDays * DAY_MS)
+      }
+    }).lean()
+    : scoped;
+
+  const accounts = await Account.find({ tenantId }).lean();
+  const accountsById = new Map(accounts.map(account => [String(account._id), account]));
+
+  const scopedIds = new Set(scoped.map(transaction => String(transaction._id)));
+  const pairs = [];
+  for (const out of pool.filter(transaction => transaction.type === 'expense')) {
+    for (const inLeg of pool.filter(transaction => transaction.type === 'income')) {
+      if (!scopedIds.has(String(out._id)) && !scopedIds.has(String(inLeg._id))) continue;
+      const score = scoreTransferPair(out, inLeg, accountsById, dateWindowDays);
+      if (score >= minScore) pairs.push({ out, in: inLeg, score });
+    }
+  }
+
+  // Best pairs first; each transaction can be part of one transfer only
+  pairs.sort((a, b) => b.score - a.score);
+  const used = new Set();
+  const matches = [];
+  for (const pair of pairs) {
+    const outId = String(pair.out._id);
+    const inId = String(pair.in._id);
+    if (used.has(outId) || used.has(inId)) continue;
+    used.add(outId);
+    used.add(inId);
+    matches.push(pair);
+  }
+
+  if (apply) {
+    for (const match of matches) {
+      const transfer = await linkAsTransfer(tenantId, match.out._id, match.in._id);
+      match.transferId = transfer._id;
+    }
+  }
+
+  return matches.map(match => ({
+    transferId: match.transferId || null,
+    score: match.score,
+    amount: match.out.amount,
+    out: {
+      _id: match.out._id,
+      date: match.out.date,
+      description: match.out.description,
+      accountId: match.out.accountId,
+      accountName: accountsById.get(String(match.out.accountId))?.name || ''
+    },
+    in: {
+      _id: match.in._id,
+      date: match.in.date,
+      description: match.in.description,
+      accountId: match.in.accountId,
+      accountName: accountsById.get(String(match.in.accountId))?.name || ''
+    }
+  }));
+};
+
+export default {
+  TRANSFER_CATEGORY,
+  SIGNED_AMOUNT,
+  flowOf,
+  signedAmount,
+  sameFlowFilter,
+  withAtomicWrites,
+  toTransfer,
+  createTransfer,
+  getTransfer,
+  listTransfers,
+  updateTransfer,
+  deleteTransfer,
+  linkAsTransfer,
+  unlinkTransfer,
+  detectTransfers
+};
@@ -0,0 +1,29 @@
+// backend/tests/categorizationService.test.js - run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RULES, applyRules } from '../services/categorizationService.js';
+
+const defaultsFor = (description, type = 'expense') =>
+  applyRules({ description, type }, DEFAULT_RULES).changes;
+
+test('default payment modes keep the import order: cash, bank transfer, card, wallet', () => {
+  assert.equal(defaultsFor('ATM cash withdrawal').paymentMode, 'Cash');
+  assert.equal(defaultsFor('UPI/GPAY/1234/Grocer').paymentMode, 'Bank Transfer');
+  assert.equal(defaultsFor('Debit card purchase paytm').paymentMode, 'Card');
+  assert.equal(defaultsFor('PhonePe wallet').paymentMode, 'GPay');
+});
+
+test('default categories use the import keywords for expenses only', () => {
+  assert.equal(defaultsFor('Coffee with client').category, 'Food');
+  assert.equal(defaultsFor('Uber ride').category, 'Travel & Commuting');
+  assert.equal(defaultsFor('Coca-Cola crate').category, undefined);
+  assert.equal(defaultsFor('Coffee refund', 'income').category, undefined);
+});
+
+test('newer default keywords match whole words only', () => {
+  assert.equal(defaultsFor('SWIGGY*Order 1234').category, 'Food');
+  assert.equal(defaultsFor('OLA cabs Bangalore').category, 'Travel & Commuting');
+  assert.equal(defaultsFor('IRCTC e-ticket').category, 'Travel & Commuting');
+  assert.equal(defaultsFor('Payola settlement').category, undefined);
+  assert.equal(defaultsFor('NEFT-HDFC0001-Vendor').paymentMode, 'Bank Transfer');
+});
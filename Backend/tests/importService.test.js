@@ -0,0 +1,29 @@
+// backend/tests/importService.test.js - run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectColumns, detectSignConvention, normalizeRow } from '../services/importService.js';
+
+const mapping = detectColumns(['Date', 'Description', 'Amount']);
+
+test('a single amount column with only positive values is read as debits', () => {
+  const rows = [
+    { Date: '01/04/2025', Description: 'Coffee', Amount: '150' },
+    { Date: '02/04/2025', Description: 'Rent', Amount: '20,000' }
+  ];
+  const { signConvention, warning } = detectSignConvention(rows, mapping);
+
+  assert.equal(signConvention, 'negative_is_credit');
+  assert.ok(warning);
+  assert.equal(normalizeRow(rows[0], { ...mapping, signConvention }).type, 'expense');
+});
+
+test('signed amounts keep negative as debit and still warn', () => {
+  const rows = [
+    { Date: '01/04/2025', Description: 'Coffee', Amount: '-150' },
+    { Date: '02/04/2025', Description: 'Salary', Amount: '50,000' }
+  ];
+  const { signConvention, warning } = detectSignConvention(rows, mapping);
+
+  assert.equal(signConvention, 'negative_is_debit');
+  assert.ok(warning);
+});
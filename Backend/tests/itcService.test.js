@@ -0,0 +1,53 @@
+// backend/tests/itcService.test.js - run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeInvoiceNumber, reconcileGstr2b } from '../services/itcService.js';
+
+test('normalizeInvoiceNumber treats separators, case and zero padding as the same invoice', () => {
+  assert.equal(normalizeInvoiceNumber('INV/0042'), 'INV42');
+  assert.equal(normalizeInvoiceNumber('inv-42'), 'INV42');
+  assert.equal(normalizeInvoiceNumber('INV42'), 'INV42');
+  assert.equal(normalizeInvoiceNumber('0042'), '42');
+  assert.equal(normalizeInvoiceNumber('INV/2024/0042'), normalizeInvoiceNumber('INV-2024-42'));
+});
+
+test('normalizeInvoiceNumber keeps significant zeros', () => {
+  assert.equal(normalizeInvoiceNumber('100'), '100');
+  assert.equal(normalizeInvoiceNumber('0'), '0');
+  assert.notEqual(normalizeInvoiceNumber('INV-10'), normalizeInvoiceNumber('INV-1'));
+});
+
+test('reconcileGstr2b matches a zero-padded supplier invoice with the number recorded in the books', () => {
+  const date = new Date(2026, 8, 10);
+  const book = {
+    transactionId: 'txn1',
+    counterpartyGstin: '29AABCU9603R1ZJ',
+    counterpartyName: 'Supplier',
+    documentType: 'invoice',
+    invoiceNumber: 'inv-42',
+    date,
+    taxableValue: 1000,
+    igst: 0,
+    cgst: 90,
+    sgst: 90,
+    cess: 0
+  };
+  const statement = {
+    ctin: '29AABCU9603R1ZJ',
+    documentType: 'invoice',
+    invoiceNumber: 'INV/0042',
+    date,
+    taxableValue: 1000,
+    igst: 0,
+    cgst: 90,
+    sgst: 90,
+    cess: 0,
+    itcAvailable: true
+  };
+
+  const result = reconcileGstr2b([book], [statement], { start: new Date(2026, 8, 1), end: new Date(2026, 9, 1) });
+
+  assert.equal(result.summary.matched, 1);
+  assert.equal(result.summary.missingInBooks, 0);
+  assert.equal(result.summary.missingInGstr2b, 0);
+});
@@ -0,0 +1,72 @@
+// backend/tests/moneyService.test.js - run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { accrueInterest, generateSchedule } from '../services/moneyService.js';
+
+const loan = (fields = {}) => ({
+  amount: 10000,
+  transactionDate: new Date('2026-01-01'),
+  dueDate: new Date('2026-01-01'),
+  status: 'pending',
+  repayments: [],
+  installments: [],
+  save: async () => {},
+  ...fields
+});
+
+test('compound interest is added to the balance at the end of each period', () => {
+  const balance = accrueInterest(loan({
+    amount: 100000,
+    interest: { type: 'compound', rate: 12, compounding: 'yearly', startDate: new Date('2024-04-01') }
+  }), new Date('2026-04-01'));
+
+  // 12% of 1,00,000, then 12% of 1,12,000
+  assert.equal(balance.interestAccrued, 25440);
+  assert.equal(balance.outstanding, 125440);
+  assert.deepEqual(balance.byFinancialYear, [
+    { financialYear: '2024-25', accrued: 12000, paid: 0 },
+    { financialYear: '2025-26', accrued: 13440, paid: 0 }
+  ]);
+});
+
+test('interest is split at 31 March and a repayment after it settles interest first', () => {
+  const balance = accrueInterest(loan({
+    amount: 100000,
+    interest: { type: 'simple', rate: 12, startDate: new Date('2025-01-01') },
+    repayments: [{ amount: 50000, date: new Date('2025-05-01') }]
+  }), new Date('2025-05-01'));
+
+  // 90 days to 1 April and 30 days after it, at 12% a year on 1,00,000
+  assert.deepEqual(balance.byFinancialYear, [
+    { financialYear: '2024-25', accrued: 2958.9, paid: 0 },
+    { financialYear: '2025-26', accrued: 986.3, paid: 3945.21 }
+  ]);
+  assert.equal(balance.interestOutstanding, 0);
+  assert.equal(balance.principalPaid, 46054.79);
+  assert.equal(balance.outstanding, 53945.21);
+});
+
+test('a schedule from an installment amount ends with a smaller last installment', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01') });
+  const transaction = await generateSchedule(loan(), { amount: 3000, startDate: '2026-01-31' });
+
+  assert.deepEqual(transaction.installments.map(installment => installment.amount), [3000, 3000, 3000, 1000]);
+  assert.deepEqual(
+    transaction.installments.map(installment => installment.dueDate.toISOString().slice(0, 10)),
+    ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']
+  );
+  assert.equal(transaction.installmentPlan.frequency, 'monthly');
+});
+
+test('with interest the installment count covers the reducing balance', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01') });
+  const transaction = await generateSchedule(loan({ interest: { type: 'simple', rate: 12 } }), { amount: 2000, startDate: '2026-01-31' });
+
+  // 1% a month: five full installments and 311.17 to clear the rest
+  assert.deepEqual(transaction.installments.map(installment => installment.amount), [2000, 2000, 2000, 2000, 2000, 311.17]);
+  assert.equal(transaction.installments[0].interest, 100);
+  await assert.rejects(
+    generateSchedule(loan({ interest: { type: 'simple', rate: 12 } }), { amount: 100 }),
+    /does not cover the interest/
+  );
+});
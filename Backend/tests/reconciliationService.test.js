@@ -0,0 +1,23 @@
+// backend/tests/reconciliationService.test.js - run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { manualMatchProblem } from '../services/reconciliationService.js';
+
+const reconciliation = { accountId: 'savings' };
+const debitLine = { type: 'expense', amount: 100 };
+
+test('manual matches must be on the statement account', () => {
+  assert.match(manualMatchProblem(reconciliation, debitLine, { accountId: 'card', type: 'expense', amount: 100 }), /different account/);
+  assert.match(manualMatchProblem(reconciliation, debitLine, { accountId: null, type: 'expense', amount: 100 }), /different account/);
+});
+
+test('manual matches must move money the same way as the line', () => {
+  assert.match(manualMatchProblem(reconciliation, debitLine, { accountId: 'savings', type: 'income', amount: 100 }), /debit/);
+  assert.equal(manualMatchProblem(reconciliation, debitLine, { accountId: 'savings', type: 'transfer', transferDirection: 'out', amount: 100 }), null);
+});
+
+test('a different amount needs the explicit override', () => {
+  const transaction = { accountId: 'savings', type: 'expense', amount: 90 };
+  assert.match(manualMatchProblem(reconciliation, debitLine, transaction), /Amounts differ/);
+  assert.equal(manualMatchProblem(reconciliation, debitLine, transaction, { allowAmountMismatch: true }), null);
+});
@@ -0,0 +1,34 @@
+// backend/tests/statementParsers.test.js - run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOfx } from '../services/statementParsers.js';
+
+const ofxWithAmount = (amount) =>
+  `<OFX><ACCTID>12345678<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260105<TRNAMT>${amount}<FITID>1<NAME>Rent</STMTTRN></OFX>`;
+
+const amountOf = (text) => parseOfx(ofxWithAmount(text)).rows[0].amount;
+
+test('parseOfx reads thousands separators and decimal commas', () => {
+  assert.equal(amountOf('-1,000.00'), 1000);
+  assert.equal(amountOf('1,234,567.89'), 1234567.89);
+  assert.equal(amountOf('1.000,50'), 1000.5);
+  assert.equal(amountOf('-25,50'), 25.5);
+  assert.equal(amountOf('12.5'), 12.5);
+});
+
+test('parseOfx reads a lone point as the decimal point, even before three digits', () => {
+  assert.equal(amountOf('0.125'), 0.125);
+  assert.equal(amountOf('-1.234'), 1.234);
+  assert.equal(amountOf('-12.500'), 12.5);
+  assert.equal(amountOf('1000.00'), 1000);
+});
+
+test('parseOfx never reads a zero integer part as a thousands group', () => {
+  assert.equal(amountOf('0,125'), 0.125);
+  assert.equal(amountOf('-1,000'), 1000);
+});
+
+test('parseOfx keeps the sign as the transaction type', () => {
+  assert.equal(parseOfx(ofxWithAmount('-1,000.00')).rows[0].type, 'expense');
+  assert.equal(parseOfx(ofxWithAmount('1,000.00')).rows[0].type, 'income');
+});
@@ -0,0 +1,104 @@
+// backend/tests/suggestionService.test.js - run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Transaction from '../models/Transaction.js';
+import { getModel, invalidateModel, rankSuggestions } from '../services/suggestionService.js';
+
+// Just enough of MongoDB's query language for getModel's filter
+const matches = (row, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(branch => matches(row, branch));
+  const value = row[field];
+  if (condition === null) return value === null || value === undefined;
+  if (typeof condition !== 'object') return value === condition;
+  if ('$exists' in condition && (value !== undefined) !== condition.$exists) return false;
+  if ('$ne' in condition && value === condition.$ne) return false;
+  if ('$in' in condition && !condition.$in.includes(value)) return false;
+  if ('$nin' in condition && condition.$nin.includes(value)) return false;
+  return true;
+});
+
+// Serve getModel's query from an in-memory history for the length of one test
+const stubHistory = (t, rows) => {
+  t.mock.method(Transaction, 'find', (filter) => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      limit: () => chain,
+      lean: async () => rows.filter(row => matches(row, filter))
+    };
+    return chain;
+  });
+};
+
+const expenses = (count, category, description, fields = {}) =>
+  Array.from({ length: count }, () => ({
+    tenantId: 't',
+    isDeleted: false,
+    type: 'expense',
+    category,
+    subCategory: '',
+    description,
+    vendor: '',
+    categorySource: 'user',
+    ...fields
+  }));
+
+const modelFor = async (t, tenantId, rows) => {
+  stubHistory(t, rows.map(row => ({ ...row, tenantId })));
+  invalidateModel(tenantId);
+  return getModel(tenantId);
+};
+
+test('a single learned category is suggested but never auto-applied', async (t) => {
+  const model = await modelFor(t, 't1', expenses(30, 'Food', 'Swiggy order'));
+
+  const [best] = rankSuggestions(model, { description: 'Swiggy order', type: 'expense' });
+  assert.equal(best.category, 'Food');
+  assert.equal(best.confidence, 1);
+  assert.equal(best.autoApply, false);
+});
+
+test('suggestions auto-apply once there is enough history across categories', async (t) => {
+  const model = await modelFor(t, 't2', [...expenses(15, 'Food', 'Swiggy order'), ...expenses(15, 'Travel', 'Uber trip')]);
+
+  const [best] = rankSuggestions(model, { description: 'Swiggy order', type: 'expense' });
+  assert.equal(best.category, 'Food');
+  assert.equal(best.autoApply, true);
+});
+
+test('too little history keeps suggestions manual', async (t) => {
+  const model = await modelFor(t, 't3', [...expenses(5, 'Food', 'Swiggy order'), ...expenses(5, 'Travel', 'Uber trip')]);
+
+  const [best] = rankSuggestions(model, { description: 'Swiggy order', type: 'expense' });
+  assert.equal(best.autoApply, false);
+});
+
+test('categories from imports, rules, suggestions and defaults do not train the model', async (t) => {
+  const model = await modelFor(t, 't4', [
+    ...expenses(15, 'Food', 'Swiggy order'),
+    ...expenses(15, 'Travel', 'Uber trip'),
+    ...expenses(40, 'Shopping', 'Swiggy order', { categorySource: 'import', imported: true }),
+    ...expenses(40, 'Shopping', 'Swiggy order', { categorySource: 'rule', categoryRuleId: 'r1' }),
+    ...expenses(40, 'Shopping', 'Swiggy order', { categorySource: 'suggestion', imported: true }),
+    ...expenses(40, 'Shopping', 'Swiggy order', { categorySource: 'default', imported: true }),
+    // Saved before categorySource existed: imported or rule-filled rows are left out too
+    ...expenses(40, 'Shopping', 'Swiggy order', { categorySource: undefined, imported: true }),
+    ...expenses(40, 'Shopping', 'Swiggy order', { categorySource: undefined, categoryRuleId: 'r1' })
+  ]);
+
+  const suggestions = rankSuggestions(model, { description: 'Swiggy order', type: 'expense' });
+  assert.deepEqual(suggestions.map(suggestion => suggestion.category), ['Food']);
+  assert.equal(suggestions[0].basedOn, 15);
+  assert.equal(suggestions[0].autoApply, true);
+});
+
+test('hand-entered records saved before categorySource existed still train the model', async (t) => {
+  const model = await modelFor(t, 't5', [
+    ...expenses(15, 'Travel', 'Uber trip'),
+    ...expenses(15, 'Food', 'Swiggy order', { categorySource: undefined, imported: false, categoryRuleId: null })
+  ]);
+
+  const [best] = rankSuggestions(model, { description: 'Swiggy order', type: 'expense' });
+  assert.equal(best.category, 'Food');
+  assert.equal(best.basedOn, 15);
+});
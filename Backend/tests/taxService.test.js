@@ -0,0 +1,41 @@
+// backend/tests/taxService.test.js - run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compareTaxRegimes } from '../services/taxService.js';
+
+// Income from other sources gets no standard deduction, so it is taxed as given
+const taxOf = (regime, otherIncome, extra = {}) =>
+  compareTaxRegimes({ financialYear: '2025-26', otherIncome, ...extra }).regimes[regime];
+
+const cases = [
+  // New regime 87A: ₹60,000 slab tax on ₹12L is fully rebated
+  { name: 'new regime at the ₹12L rebate limit', regime: 'new', income: 1200000, totalTax: 0 },
+  // ₹61,500 slab tax, capped at the ₹10,000 over the limit, plus 4% cess
+  { name: 'new regime just over ₹12L gets marginal relief', regime: 'new', income: 1210000, totalTax: 10400 },
+  // ₹71,250 slab tax is below the ₹75,000 over the limit, so no relief: 71,250 + 2,850 cess
+  { name: 'new regime at ₹12.75L of other income', regime: 'new', income: 1275000, totalTax: 74100 },
+  { name: 'new regime ₹12.75L salary is ₹12L after the standard deduction', regime: 'new', income: 0, salary: 1275000, totalTax: 0 },
+  // Old regime 87A: ₹12,500 rebate up to ₹5L and no marginal relief above it
+  { name: 'old regime at the ₹5L rebate limit', regime: 'old', income: 500000, totalTax: 0 },
+  { name: 'old regime just over ₹5L pays the full tax', regime: 'old', income: 500010, totalTax: 13000 },
+  // ₹10.8L slab tax at ₹50L, no surcharge yet
+  { name: 'new regime at ₹50L has no surcharge', regime: 'new', income: 5000000, totalTax: 1123200, surcharge: 0 },
+  // 10% surcharge relieved down to the ₹10,000 earned above ₹50L: 10,80,000 + 10,000 + 4% cess
+  { name: 'new regime just over ₹50L gets surcharge relief', regime: 'new', income: 5010000, totalTax: 1133600, surcharge: 7000 },
+  { name: 'old regime just over ₹50L gets surcharge relief', regime: 'old', income: 5010000, totalTax: 1375400, surcharge: 7000 },
+  // 10% surcharge at ₹1Cr, and relief to ₹28,38,000 + ₹10,000 just above it when the rate steps to 15%
+  { name: 'new regime at ₹1Cr pays 10% surcharge', regime: 'new', income: 10000000, totalTax: 2951520, surcharge: 258000 },
+  { name: 'new regime just over ₹1Cr gets surcharge relief', regime: 'new', income: 10010000, totalTax: 2961920, surcharge: 265000 }
+];
+
+for (const { name, regime, income, salary, totalTax, surcharge } of cases) {
+  test(`compareTaxRegimes: ${name}`, () => {
+    const result = taxOf(regime, income, salary ? { salary: { basic: salary } } : {});
+    assert.equal(result.totalTax, totalTax);
+    if (surcharge !== undefined) assert.equal(result.surcharge, surcharge);
+  });
+}
+
+test('compareTaxRegimes refuses years before its rules start', () => {
+  assert.throws(() => compareTaxRegimes({ financialYear: '2024-25', otherIncome: 100000 }), /FY 2025-26 onwards/);
+});
@@ -3,8 +3,26 @@ import {
   InformationCircleIcon, 
   ExclamationTriangleIcon, 
   ArrowPathIcon,
-  CalculatorIcon
+  CalculatorIcon,
+  ScaleIcon
 } from '@heroicons/react/24/outline';
+import taxService from '../services/taxService';
+
+const REGIME_FIELDS = [
+  { key: 'basic', label: 'Basic + DA (annual)' },
+  { key: 'hra', label: 'HRA received' },
+  { key: 'specialAllowance', label: 'Special & other allowances' },
+  { key: 'employerNps', label: "Employer's NPS contribution" },
+  { key: 'professionalTax', label: 'Professional tax paid' },
+  { key: 'otherIncome', label: 'Other income (interest etc.)' },
+  { key: 'rentPaid', label: 'Rent paid (annual)' },
+  { key: 'section80C', label: '80C investments' },
+  { key: 'section80CCD1B', label: '80CCD(1B) own NPS' },
+  { key: 'section80DSelf', label: '80D health insurance (self)' },
+  { key: 'section80DParents', label: '80D health insurance (parents)' },
+  { key: 'homeLoanInterest', label: '24(b) home loan interest' },
+  { key: 'age', label: 'Your age' }
+];
 
 const TaxCalculator = ({ userSession }) => {
   const [taxData, setTaxData] = useState(null);
@@ -12,6 +30,9 @@ const TaxCalculator = ({ userSession }) => {
   const [error, setError] = useState(null);
   const [manualIncome, setManualIncome] = useState('');
   const [isCalculatingManual, setIsCalculatingManual] = useState(false);
+  const [regimeInput, setRegimeInput] = useState({ metroCity: false, parentsSenior: false });
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
 
   useEffect(() => {
     // Simulate loading tax data
@@ -115,6 +136,45 @@ const TaxCalculator = ({ userSession }) => {
     }
   };
 
+  const handleCompareRegimes = async () => {
+    const value = (key) => parseFloat(regimeInput[key]) || 0;
+
+    try {
+      setIsComparing(true);
+      setError(null);
+
+      const response = await taxService.compareRegimes({
+        age: value('age'),
+        salary: {
+          basic: value('basic'),
+          hra: value('hra'),
+          specialAllowance: value('specialAllowance'),
+          employerNps: value('employerNps'),
+          professionalTax: value('professionalTax')
+        },
+        otherIncome: value('otherIncome'),
+        rentPaid: value('rentPaid'),
+        metroCity: regimeInput.metroCity,
+        deductions: {
+          section80C: value('section80C'),
+          section80CCD1B: value('section80CCD1B'),
+          homeLoanInterest: value('homeLoanInterest'),
+          section80D: {
+            self: value('section80DSelf'),
+            parents: value('section80DParents'),
+            parentsSenior: regimeInput.parentsSenior
+          }
+        }
+      });
+      setComparison(response.data.data);
+    } catch (error) {
+      console.error('Error comparing regimes:', error);
+      setError(error.message);
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
   const handleResetToIncomeTax = async () => {
     setManualIncome('');
     loadTaxData();
@@ -252,6 +312,127 @@ const TaxCalculator = ({ userSession }) => {
         )}
       </div>
 
+      {/* Regime Comparison Section */}
+      <div className="bg-gradient-to-r from-indigo-50 to-purple-50 border border-indigo-200 rounded-xl p-6 mb-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center">
+          <ScaleIcon className="h-6 w-6 mr-2 text-indigo-600" />
+          Old vs New Regime
+        </h3>
+
+        <p className="text-indigo-700 text-sm mb-4">
+          Enter your salary and deductions to see both regimes side by side, including HRA, surcharge, marginal relief and the 87A rebate.
+        </p>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+          {REGIME_FIELDS.map(field => (
+            <div key={field.key}>
+              <label className="block text-sm font-medium text-indigo-700 mb-1">{field.label}</label>
+              <input
+                type="number"
+                min="0"
+                value={regimeInput[field.key] || ''}
+                onChange={(e) => setRegimeInput({ ...regimeInput, [field.key]: e.target.value })}
+                className="w-full px-3 py-2 border-2 border-indigo-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 bg-white text-gray-900"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+          <label className="flex items-center text-sm text-indigo-800">
+            <input
+              type="checkbox"
+              checked={regimeInput.metroCity}
+              onChange={(e) => setRegimeInput({ ...regimeInput, metroCity: e.target.checked })}
+              className="mr-2"
+            />
+            I live in a metro city (HRA)
+          </label>
+          <label className="flex items-center text-sm text-indigo-800">
+            <input
+              type="checkbox"
+              checked={regimeInput.parentsSenior}
+              onChange={(e) => setRegimeInput({ ...regimeInput, parentsSenior: e.target.checked })}
+              className="mr-2"
+            />
+            Parents are senior citizens
+          </label>
+          <button
+            onClick={handleCompareRegimes}
+            disabled={isComparing}
+            className="sm:ml-auto bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white px-6 py-3 rounded-lg font-medium transition-colors duration-200 flex items-center justify-center"
+          >
+            {isComparing ? (
+              <>
+                <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+                Comparing...
+              </>
+            ) : (
+              <>
+                <ScaleIcon className="h-4 w-4 mr-2" />
+                Compare Regimes
+              </>
+            )}
+          </button>
+        </div>
+
+        {comparison && (
+          <div className="mt-6">
+            <div className="mb-4 p-4 bg-white border-2 border-indigo-300 rounded-lg">
+              <p className="text-indigo-900 font-bold">
+                Recommended: {comparison.regimes[comparison.recommended].label}
+              </p>
+              <p className="text-sm text-indigo-700 mt-1">{comparison.summary} (FY {comparison.financialYear})</p>
+              {comparison.breakEvenAdditionalDeductions && (
+                <p className="text-sm text-gray-600 mt-1">
+                  The old regime would need ₹{comparison.breakEvenAdditionalDeductions.toLocaleString('en-IN')} more in deductions to match.
+                </p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {['old', 'new'].map(key => {
+                const regime = comparison.regimes[key];
+                const isRecommended = comparison.recommended === key;
+                return (
+                  <div
+                    key={key}
+                    className={`bg-white rounded-xl p-5 shadow-sm border-2 ${isRecommended ? 'border-green-400' : 'border-gray-200'}`}
+                  >
+                    <div className="flex justify-between items-center mb-4 border-b pb-2">
+                      <h4 className="font-bold text-lg text-gray-800">{regime.label}</h4>
+                      {isRecommended && (
+                        <span className="bg-green-100 text-green-800 px-3 py-1 rounded-lg text-xs font-bold">Recommended</span>
+                      )}
+                    </div>
+                    <div className="space-y-1">
+                      {regime.lines.map((line, index) => (
+                        <div
+                          key={index}
+                          className={`flex justify-between items-center py-1.5 px-3 rounded ${
+                            line.type === 'total' ? 'bg-red-50 font-bold text-red-900' :
+                            line.type === 'subtotal' ? 'bg-gray-50 font-semibold text-gray-900' : 'text-gray-700'
+                          }`}
+                        >
+                          <span className="text-sm">
+                            {line.label}
+                            {line.section && <span className="text-xs text-gray-400 ml-1">({line.section})</span>}
+                          </span>
+                          <span className="text-sm">₹{line.amount.toLocaleString('en-IN')}</span>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="text-sm text-gray-600 mt-3 px-3 py-2 bg-gray-50 rounded-lg">
+                      Effective rate {regime.effectiveRate}% · ₹{regime.monthlyTax.toLocaleString('en-IN')} a month
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* Refresh Button */}
       <div className="mb-6">
         <button
@@ -0,0 +1,516 @@
+// src/pages/AccountBalances.jsx
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import styled from 'styled-components';
+import { Line } from 'react-chartjs-2';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Filler,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import API_BASE from '../config/api';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+const API_HOST = API_BASE.replace(/\/$/, '');
+
+const ACCOUNT_ICONS = {
+    bank: '🏦',
+    cash: '💵',
+    credit_card: '💳',
+    upi_wallet: '📱',
+    loan: '📄'
+};
+
+const RANGES = [
+    { days: 30, label: '30D', interval: 'day' },
+    { days: 90, label: '90D', interval: 'day' },
+    { days: 365, label: '1Y', interval: 'week' }
+];
+
+// --- STYLED COMPONENTS ---
+
+const Summary = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 24px;
+  margin-bottom: 24px;
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+`;
+
+const SummaryLabel = styled.span`
+  font-size: 0.85rem;
+  color: #64748b;
+`;
+
+const SummaryValue = styled.span`
+  font-size: 1.5rem;
+  font-weight: 700;
+  color: ${props => (props.negative ? '#dc2626' : '#1e293b')};
+`;
+
+const AccountGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+  gap: 16px;
+  margin-bottom: 28px;
+`;
+
+const AccountCard = styled.button`
+  text-align: left;
+  background: ${props => (props.active ? '#eef2ff' : '#f8fafc')};
+  border: 1px solid ${props => (props.active ? '#667eea' : '#e2e8f0')};
+  border-left: 4px solid ${props => props.accent || '#667eea'};
+  border-radius: 12px;
+  padding: 16px 18px;
+  cursor: pointer;
+  transition: transform 0.2s ease, box-shadow 0.2s ease;
+
+  &:hover {
+    transform: translateY(-3px);
+    box-shadow: 0 6px 18px rgba(0, 0, 0, 0.06);
+  }
+`;
+
+const AccountName = styled.div`
+  font-weight: 600;
+  color: #1e293b;
+  display: flex;
+  align-items: center;
+  gap: 8px;
+`;
+
+const AccountMeta = styled.div`
+  font-size: 0.8rem;
+  color: #94a3b8;
+  margin-top: 2px;
+`;
+
+const AccountBalance = styled.div`
+  font-size: 1.25rem;
+  font-weight: 700;
+  margin-top: 10px;
+  color: ${props => (props.negative ? '#dc2626' : '#059669')};
+`;
+
+const ChartHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 12px;
+  gap: 12px;
+  flex-wrap: wrap;
+`;
+
+const ChartTitle = styled.h3`
+  margin: 0;
+  font-size: 1.1rem;
+  color: #1e293b;
+`;
+
+const RangeButtons = styled.div`
+  display: flex;
+  gap: 6px;
+`;
+
+const RangeButton = styled.button`
+  border: 1px solid ${props => (props.active ? '#667eea' : '#e2e8f0')};
+  background: ${props => (props.active ? '#667eea' : 'white')};
+  color: ${props => (props.active ? 'white' : '#475569')};
+  border-radius: 8px;
+  padding: 4px 12px;
+  font-size: 0.85rem;
+  cursor: pointer;
+`;
+
+const ChartWrapper = styled.div`
+  height: 260px;
+`;
+
+const LedgerTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-top: 24px;
+  font-size: 0.9rem;
+
+  th, td {
+    padding: 8px 10px;
+    border-bottom: 1px solid #f1f5f9;
+    text-align: left;
+  }
+
+  th {
+    color: #64748b;
+    font-weight: 600;
+  }
+
+  td.amount, th.amount {
+    text-align: right;
+  }
+`;
+
+const Amount = styled.td`
+  color: ${props => (props.negative ? '#dc2626' : '#059669')};
+`;
+
+const TransferForm = styled.form`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 12px;
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 12px;
+  padding: 16px;
+  margin-bottom: 24px;
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    font-size: 0.8rem;
+    color: #64748b;
+  }
+
+  select, input {
+    border: 1px solid #cbd5e1;
+    border-radius: 8px;
+    padding: 6px 10px;
+    font-size: 0.9rem;
+  }
+`;
+
+const FormMessage = styled.span`
+  font-size: 0.85rem;
+  color: ${props => (props.error ? '#dc2626' : '#059669')};
+`;
+
+const EmptyState = styled.div`
+  color: #64748b;
+  text-align: center;
+  padding: 24px;
+`;
+
+const formatCurrency = (value, currency = 'INR') => new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: 0
+}).format(value || 0);
+
+const AccountBalances = () => {
+    const [accounts, setAccounts] = useState([]);
+    const [totals, setTotals] = useState({});
+    const [selectedId, setSelectedId] = useState(null);
+    const [range, setRange] = useState(RANGES[1]);
+    const [historyCurrency, setHistoryCurrency] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [ledger, setLedger] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showTransfer, setShowTransfer] = useState(false);
+    const [transfer, setTransfer] = useState({ fromAccountId: '', toAccountId: '', amount: '', date: new Date().toISOString().substring(0, 10) });
+    const [transferMessage, setTransferMessage] = useState(null);
+
+    const getHeaders = () => {
+        const token = localStorage.getItem('token');
+        const tenantId = localStorage.getItem('tenantId');
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        if (tenantId) headers['x-tenant-id'] = tenantId;
+        return headers;
+    };
+
+    const fetchAccounts = async () => {
+        try {
+            const response = await axios.get(`${API_HOST}/api/accounts`, { headers: getHeaders() });
+            setAccounts(response.data.data || []);
+            setTotals(response.data.totals || {});
+            setError(null);
+        } catch (err) {
+            console.error('❌ Error fetching accounts:', err);
+            setError(err.response?.data?.message || 'Could not load accounts');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchAccounts();
+    }, []);
+
+    // A transfer moves money between two accounts without counting as income or expense
+    const handleTransfer = async (e) => {
+        e.preventDefault();
+        setTransferMessage(null);
+        try {
+            await axios.post(`${API_HOST}/api/transfers`, transfer, { headers: getHeaders() });
+            setTransfer(prev => ({ ...prev, amount: '' }));
+            setTransferMessage({ text: 'Transfer recorded' });
+            fetchAccounts();
+        } catch (err) {
+            console.error('❌ Error creating transfer:', err);
+            setTransferMessage({ text: err.response?.data?.error || 'Transfer failed', error: true });
+        }
+    };
+
+    // Currencies of the accounts; the combined history shows one of them at a time
+    const currencyCodes = Object.keys(totals);
+    const combinedCurrency = currencyCodes.includes(historyCurrency) ? historyCurrency : currencyCodes[0];
+
+    // Combined history, or one account's history and ledger when a card is selected
+    useEffect(() => {
+        if (!accounts.length) return;
+
+        const fetchHistory = async () => {
+            const params = { days: range.days, interval: range.interval };
+            if (!selectedId && combinedCurrency) params.currency = combinedCurrency;
+            const base = selectedId ? `${API_HOST}/api/accounts/${selectedId}` : `${API_HOST}/api/accounts`;
+            try {
+                const response = await axios.get(`${base}/balance-history`, { headers: getHeaders(), params });
+                setHistory(response.data.data || []);
+
+                if (selectedId) {
+                    const startDate = new Date(Date.now() - (range.days - 1) * 24 * 60 * 60 * 1000)
+                        .toISOString()
+                        .substring(0, 10);
+                    const ledgerResponse = await axios.get(`${base}/ledger`, { headers: getHeaders(), params: { startDate } });
+                    setLedger(ledgerResponse.data.data);
+                } else {
+                    setLedger(null);
+                }
+            } catch (err) {
+                console.error('❌ Error fetching balance history:', err);
+                setHistory([]);
+                setLedger(null);
+            }
+        };
+
+        fetchHistory();
+    }, [accounts, selectedId, range, combinedCurrency]);
+
+    if (isLoading) {
+        return <EmptyState>Loading accounts...</EmptyState>;
+    }
+
+    if (error) {
+        return <EmptyState>{error}</EmptyState>;
+    }
+
+    if (!accounts.length) {
+        return <EmptyState>Add a bank, cash, card or wallet account to see balances here.</EmptyState>;
+    }
+
+    const selected = accounts.find(account => account._id === selectedId);
+    const currency = selected?.currency || combinedCurrency || 'INR';
+    const chartData = {
+        labels: history.map(point => new Date(point.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })),
+        datasets: [
+            {
+                label: selected ? selected.name : 'All accounts',
+                data: history.map(point => point.balance),
+                borderColor: '#667eea',
+                backgroundColor: 'rgba(102, 126, 234, 0.12)',
+                fill: true,
+                tension: 0.3,
+                pointRadius: 0
+            }
+        ]
+    };
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                callbacks: {
+                    label: (context) => formatCurrency(context.parsed.y, currency)
+                }
+            }
+        },
+        scales: {
+            y: {
+                ticks: { callback: (value) => formatCurrency(value, currency) }
+            }
+        }
+    };
+
+    return (
+        <div>
+            <Summary>
+                {Object.entries(totals).map(([code, total]) => (
+                    <React.Fragment key={code}>
+                        <SummaryItem>
+                            <SummaryLabel>Net worth ({code})</SummaryLabel>
+                            <SummaryValue negative={total.netWorth < 0}>{formatCurrency(total.netWorth, code)}</SummaryValue>
+                        </SummaryItem>
+                        <SummaryItem>
+                            <SummaryLabel>Assets</SummaryLabel>
+                            <SummaryValue>{formatCurrency(total.assets, code)}</SummaryValue>
+                        </SummaryItem>
+                        <SummaryItem>
+                            <SummaryLabel>Owed</SummaryLabel>
+                            <SummaryValue negative={total.liabilities > 0}>{formatCurrency(total.liabilities, code)}</SummaryValue>
+                        </SummaryItem>
+                    </React.Fragment>
+                ))}
+            </Summary>
+
+            {accounts.length > 1 && (
+                <RangeButtons style={{ marginBottom: 16 }}>
+                    <RangeButton active={showTransfer} onClick={() => setShowTransfer(!showTransfer)}>
+                        ⇄ Move money
+                    </RangeButton>
+                </RangeButtons>
+            )}
+
+            {showTransfer && (
+                <TransferForm onSubmit={handleTransfer}>
+                    <label>
+                        From
+                        <select
+                            value={transfer.fromAccountId}
+                            onChange={(e) => setTransfer({ ...transfer, fromAccountId: e.target.value })}
+                            required
+                        >
+                            <option value="">Select account</option>
+                            {accounts.map(account => (
+                                <option key={account._id} value={account._id}>{account.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label>
+                        To
+                        <select
+                            value={transfer.toAccountId}
+                            onChange={(e) => setTransfer({ ...transfer, toAccountId: e.target.value })}
+                            required
+                        >
+                            <option value="">Select account</option>
+                            {accounts
+                                .filter(account => account._id !== transfer.fromAccountId)
+                                .map(account => (
+                                    <option key={account._id} value={account._id}>{account.name}</option>
+                                ))}
+                        </select>
+                    </label>
+                    <label>
+                        Amount
+                        <input
+                            type="number"
+                            min="0.01"
+                            step="0.01"
+                            value={transfer.amount}
+                            onChange={(e) => setTransfer({ ...transfer, amount: e.target.value })}
+                            required
+                        />
+                    </label>
+                    <label>
+                        Date
+                        <input
+                            type="date"
+                            value={transfer.date}
+                            onChange={(e) => setTransfer({ ...transfer, date: e.target.value })}
+                            required
+                        />
+                    </label>
+                    <RangeButton type="submit" active>Transfer</RangeButton>
+                    {transferMessage && (
+                        <FormMessage error={transferMessage.error}>{transferMessage.text}</FormMessage>
+                    )}
+                </TransferForm>
+            )}
+
+            <AccountGrid>
+                {accounts.map(account => (
+                    <AccountCard
+                        key={account._id}
+                        accent={account.color}
+                        active={account._id === selectedId}
+                        onClick={() => setSelectedId(account._id === selectedId ? null : account._id)}
+                    >
+                        <AccountName>
+                            <span>{ACCOUNT_ICONS[account.type] || '🏦'}</span>
+                            {account.name}
+                        </AccountName>
+                        <AccountMeta>
+                            {account.institution || account.type.replace('_', ' ')}
+                            {account.accountNumber ? ` •••• ${account.accountNumber.slice(-4)}` : ''}
+                        </AccountMeta>
+                        <AccountBalance negative={account.balance < 0}>
+                            {formatCurrency(account.balance, account.currency)}
+                        </AccountBalance>
+                    </AccountCard>
+                ))}
+            </AccountGrid>
+
+            <ChartHeader>
+                <ChartTitle>{selected ? `${selected.name} balance` : `Total balance${currencyCodes.length > 1 ? ` (${currency})` : ''}`}</ChartTitle>
+                <RangeButtons>
+                    {!selected && currencyCodes.length > 1 && currencyCodes.map(code => (
+                        <RangeButton
+                            key={code}
+                            active={code === combinedCurrency}
+                            onClick={() => setHistoryCurrency(code)}
+                        >
+                            {code}
+                        </RangeButton>
+                    ))}
+                    {RANGES.map(option => (
+                        <RangeButton
+                            key={option.days}
+                            active={option.days === range.days}
+                            onClick={() => setRange(option)}
+                        >
+                            {option.label}
+                        </RangeButton>
+                    ))}
+                </RangeButtons>
+            </ChartHeader>
+            <ChartWrapper>
+                <Line data={chartData} options={chartOptions} />
+            </ChartWrapper>
+
+            {ledger && (
+                ledger.entries.length ? (
+                    <LedgerTable>
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Description</th>
+                                <th className="amount">Amount</th>
+                                <th className="amount">Balance</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {ledger.entries.slice(-10).reverse().map(entry => (
+                                <tr key={entry._id}>
+                                    <td>{new Date(entry.date).toLocaleDateString('en-IN')}</td>
+                                    <td>{entry.description || entry.category}</td>
+                                    <Amount className="amount" negative={entry.signedAmount < 0}>
+                                        {formatCurrency(entry.signedAmount, currency)}
+                                    </Amount>
+                                    <td className="amount">{formatCurrency(entry.balance, currency)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </LedgerTable>
+                ) : (
+                    <EmptyState>No transactions in this period.</EmptyState>
+                )
+            )}
+        </div>
+    );
+};
+
+export default AccountBalances;
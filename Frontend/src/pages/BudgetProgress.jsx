@@ -0,0 +1,324 @@
+// src/pages/BudgetProgress.jsx
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import styled from 'styled-components';
+import API_BASE from '../config/api';
+
+const API_HOST = API_BASE.replace(/\/$/, '');
+
+const STATUS_COLORS = {
+    ok: '#10b981',
+    warning: '#f59e0b',
+    exceeded: '#dc2626'
+};
+
+const PERIOD_LABELS = {
+    monthly: 'this month',
+    quarterly: 'this quarter',
+    yearly: 'this year'
+};
+
+const EMPTY_BUDGET = { scope: 'category', category: '', tag: '', amount: '', period: 'monthly', rollover: false };
+
+// --- STYLED COMPONENTS ---
+
+const Toolbar = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 12px;
+  margin-bottom: 20px;
+`;
+
+const Counts = styled.div`
+  display: flex;
+  gap: 16px;
+  font-size: 0.9rem;
+  color: #64748b;
+
+  strong {
+    color: #1e293b;
+  }
+`;
+
+const ToggleButton = styled.button`
+  border: 1px solid #667eea;
+  background: ${props => (props.active ? '#667eea' : 'white')};
+  color: ${props => (props.active ? 'white' : '#667eea')};
+  border-radius: 8px;
+  padding: 6px 14px;
+  font-weight: 600;
+  cursor: pointer;
+`;
+
+const BudgetForm = styled.form`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 12px;
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 12px;
+  padding: 16px;
+  margin-bottom: 20px;
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    font-size: 0.8rem;
+    color: #64748b;
+  }
+
+  label.inline {
+    flex-direction: row;
+    align-items: center;
+    gap: 6px;
+  }
+
+  select, input[type='text'], input[type='number'] {
+    border: 1px solid #cbd5e1;
+    border-radius: 8px;
+    padding: 6px 10px;
+    font-size: 0.9rem;
+  }
+`;
+
+const FormMessage = styled.span`
+  font-size: 0.85rem;
+  color: ${props => (props.error ? '#dc2626' : '#059669')};
+`;
+
+const BudgetList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+`;
+
+const BudgetRow = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+`;
+
+const BudgetHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: baseline;
+  gap: 12px;
+  font-size: 0.95rem;
+  color: #1e293b;
+
+  .name {
+    font-weight: 600;
+  }
+
+  .meta {
+    font-size: 0.8rem;
+    color: #64748b;
+  }
+`;
+
+const Track = styled.div`
+  height: 10px;
+  background: #e2e8f0;
+  border-radius: 999px;
+  overflow: hidden;
+`;
+
+const Fill = styled.div`
+  height: 100%;
+  width: ${props => Math.min(props.percent, 100)}%;
+  background: ${props => STATUS_COLORS[props.status] || STATUS_COLORS.ok};
+  border-radius: 999px;
+  transition: width 0.4s ease;
+`;
+
+const BudgetFooter = styled.div`
+  display: flex;
+  justify-content: space-between;
+  font-size: 0.8rem;
+  color: ${props => (props.status === 'exceeded' ? '#dc2626' : '#64748b')};
+
+  button {
+    border: none;
+    background: none;
+    color: #94a3b8;
+    cursor: pointer;
+    font-size: 0.8rem;
+  }
+
+  button:hover {
+    color: #dc2626;
+  }
+`;
+
+const EmptyState = styled.div`
+  color: #64748b;
+  text-align: center;
+  padding: 24px;
+`;
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0
+}).format(value || 0);
+
+const BudgetProgress = () => {
+    const [report, setReport] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [budget, setBudget] = useState(EMPTY_BUDGET);
+    const [formMessage, setFormMessage] = useState(null);
+
+    const getHeaders = () => {
+        const token = localStorage.getItem('token');
+        const tenantId = localStorage.getItem('tenantId');
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        if (tenantId) headers['x-tenant-id'] = tenantId;
+        return headers;
+    };
+
+    const fetchReport = async () => {
+        try {
+            const response = await axios.get(`${API_HOST}/api/budgets/vs-actual`, { headers: getHeaders() });
+            setReport(response.data.data);
+            setError(null);
+        } catch (err) {
+            console.error('❌ Error fetching budgets:', err);
+            setError(err.response?.data?.message || 'Could not load budgets');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchReport();
+    }, []);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setFormMessage(null);
+        try {
+            await axios.post(`${API_HOST}/api/budgets`, budget, { headers: getHeaders() });
+            setBudget(EMPTY_BUDGET);
+            setFormMessage({ text: 'Budget added' });
+            fetchReport();
+        } catch (err) {
+            console.error('❌ Error creating budget:', err);
+            setFormMessage({ text: err.response?.data?.error || err.response?.data?.message || 'Could not add budget', error: true });
+        }
+    };
+
+    const handleDelete = async (budgetId) => {
+        if (!window.confirm('Delete this budget?')) return;
+        try {
+            await axios.delete(`${API_HOST}/api/budgets/${budgetId}`, { headers: getHeaders() });
+            fetchReport();
+        } catch (err) {
+            console.error('❌ Error deleting budget:', err);
+        }
+    };
+
+    if (isLoading) {
+        return <EmptyState>Loading budgets...</EmptyState>;
+    }
+
+    if (error) {
+        return <EmptyState>{error}</EmptyState>;
+    }
+
+    const items = report?.items || [];
+
+    return (
+        <div>
+            <Toolbar>
+                <Counts>
+                    <span><strong>{report?.counts?.ok || 0}</strong> on track</span>
+                    <span><strong>{report?.counts?.warning || 0}</strong> above 80%</span>
+                    <span><strong>{report?.counts?.exceeded || 0}</strong> over budget</span>
+                </Counts>
+                <ToggleButton type="button" active={showForm} onClick={() => setShowForm(!showForm)}>
+                    + Budget
+                </ToggleButton>
+            </Toolbar>
+
+            {showForm && (
+                <BudgetForm onSubmit={handleCreate}>
+                    <label>
+                        For
+                        <select value={budget.scope} onChange={(e) => setBudget({ ...budget, scope: e.target.value })}>
+                            <option value="category">Category</option>
+                            <option value="tag">Tag</option>
+                        </select>
+                    </label>
+                    {budget.scope === 'category' ? (
+                        <label>
+                            Category
+                            <input type="text" value={budget.category} onChange={(e) => setBudget({ ...budget, category: e.target.value })} required />
+                        </label>
+                    ) : (
+                        <label>
+                            Tag
+                            <input type="text" value={budget.tag} onChange={(e) => setBudget({ ...budget, tag: e.target.value })} required />
+                        </label>
+                    )}
+                    <label>
+                        Amount
+                        <input type="number" min="1" step="0.01" value={budget.amount} onChange={(e) => setBudget({ ...budget, amount: e.target.value })} required />
+                    </label>
+                    <label>
+                        Period
+                        <select value={budget.period} onChange={(e) => setBudget({ ...budget, period: e.target.value })}>
+                            <option value="monthly">Monthly</option>
+                            <option value="quarterly">Quarterly</option>
+                            <option value="yearly">Yearly</option>
+                        </select>
+                    </label>
+                    <label className="inline">
+                        <input type="checkbox" checked={budget.rollover} onChange={(e) => setBudget({ ...budget, rollover: e.target.checked })} />
+                        Roll over unspent
+                    </label>
+                    <ToggleButton type="submit" active>Save</ToggleButton>
+                    {formMessage && <FormMessage error={formMessage.error}>{formMessage.text}</FormMessage>}
+                </BudgetForm>
+            )}
+
+            {items.length === 0 ? (
+                <EmptyState>Set a monthly, quarterly or yearly budget for a category or tag to track spending against it.</EmptyState>
+            ) : (
+                <BudgetList>
+                    {items.map(item => (
+                        <BudgetRow key={item.budgetId}>
+                            <BudgetHeader>
+                                <span className="name">{item.name}</span>
+                                <span>
+                                    {formatCurrency(item.spent)} of {formatCurrency(item.available)}
+                                    <span className="meta"> {PERIOD_LABELS[item.period]}</span>
+                                </span>
+                            </BudgetHeader>
+                            <Track>
+                                <Fill percent={item.percent} status={item.status} />
+                            </Track>
+                            <BudgetFooter status={item.status}>
+                                <span>
+                                    {item.remaining >= 0
+                                        ? `${formatCurrency(item.remaining)} left`
+                                        : `${formatCurrency(-item.remaining)} over`}
+                                    {item.rolledOver > 0 && ` · includes ${formatCurrency(item.rolledOver)} rolled over`}
+                                </span>
+                                <button type="button" onClick={() => handleDelete(item.budgetId)}>Remove</button>
+                            </BudgetFooter>
+                        </BudgetRow>
+                    ))}
+                </BudgetList>
+            )}
+        </div>
+    );
+};
+
+export default BudgetProgress;
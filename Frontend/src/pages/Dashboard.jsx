@@ -8,6 +8,9 @@ import FinancialInsights from '../pages/FinancialInsights';
 import Schemes from '../pages/Schemes'; 
 import Chatbot from './chatbot.jsx';
 import AISuggestions from '../pages/AISuggestions';
+import AccountBalances from '../pages/AccountBalances';
+import BudgetProgress from '../pages/BudgetProgress';
+import GoalProgress from '../pages/GoalProgress';
 import MarketNews from './MarketNews.jsx';
 
 ChartJS.register(ArcElement, Tooltip, Legend);
@@ -778,6 +781,27 @@ const Dashboardpage = () => {
         </HeaderSection>
 
         <MainContent>
+          <AIInsightsSection>
+            <SectionHeader>
+              <SectionIcon>🏦</SectionIcon>
+              <SectionTitle>Accounts & Balances</SectionTitle>
+            </SectionHeader>
+            <AccountBalances />
+          </AIInsightsSection>
+          <AIInsightsSection>
+            <SectionHeader>
+              <SectionIcon>🎯</SectionIcon>
+              <SectionTitle>Budgets</SectionTitle>
+            </SectionHeader>
+            <BudgetProgress />
+          </AIInsightsSection>
+          <AIInsightsSection>
+            <SectionHeader>
+              <SectionIcon>🏁</SectionIcon>
+              <SectionTitle>Savings Goals</SectionTitle>
+            </SectionHeader>
+            <GoalProgress />
+          </AIInsightsSection>
           <AIInsightsSection>
             <SectionHeader>
               <SectionIcon>💡</SectionIcon>
@@ -124,8 +124,11 @@ const Expenditure = ({ userSession }) => {
     subCategory: '',
     description: '',
     amount: '',
-    paymentMode: ''
+    paymentMode: '',
+    accountId: '',
+    recurringFrequency: ''
   });
+  const [accounts, setAccounts] = useState([]);
   const [editingId, setEditingId] = useState(null);
   const [editFormData, setEditFormData] = useState({});
   const [categories] = useState(Object.keys(initialSubCategories));
@@ -185,6 +188,11 @@ const Expenditure = ({ userSession }) => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [processing, setProcessing] = useState(false);
   const [syncResult, setSyncResult] = useState(null);
+  const [importProfiles, setImportProfiles] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState('');
+  const [importAccountId, setImportAccountId] = useState('');
+  const [categorySuggestions, setCategorySuggestions] = useState([]);
+  const [importBatches, setImportBatches] = useState([]);
 
   // Date input refs for calendar opening
   const dateInputRef = useRef(null);
@@ -327,6 +335,9 @@ const Expenditure = ({ userSession }) => {
 
     const formData = new FormData();
     formData.append('file', file);
+    if (selectedProfileId) {
+      formData.append('profileId', selectedProfileId);
+    }
 
     try {
       setProcessing(true);
@@ -349,6 +360,9 @@ const Expenditure = ({ userSession }) => {
         localStorage.setItem('tenantId', fallbackTenantId);
       }
       
+      // Let the browser set the multipart boundary
+      delete authHeaders['Content-Type'];
+
       const response = await fetch(`${API_HOST}/api/sync/upload`, {
         method: 'POST',
         body: formData,
@@ -360,7 +374,7 @@ const Expenditure = ({ userSession }) => {
       if (result.success) {
         setSyncResult({ 
           type: 'upload_success', 
-          message: 'File uploaded successfully! Click Process to import transactions.',
+          message: 'File uploaded! Review the preview below, then confirm to import.',
           data: result.data 
         });
       } else {
@@ -382,7 +396,7 @@ const Expenditure = ({ userSession }) => {
     }
   };
 
-  const handleProcess = async () => {
+  const handleProcess = async (allowDuplicateFile = false) => {
     if (!selectedFile || !syncResult?.data) {
       setSyncResult({ 
         type: 'error', 
@@ -421,11 +435,27 @@ const Expenditure = ({ userSession }) => {
         headers: authHeaders,
         body: JSON.stringify({
           filename: syncResult.data.filename,
-          tenantId: tenantId
+          tenantId: tenantId,
+          profileId: selectedProfileId || undefined,
+          mapping: selectedProfileId ? undefined : syncResult.data.preview?.mapping,
+          originalName: syncResult.data.originalname,
+          accountId: importAccountId || undefined,
+          allowDuplicateFile,
+          confirmed: true
         }),
       });
 
       const result = await response.json();
+
+      // Same file was imported before - only continue if the user insists
+      if (response.status === 409 && !allowDuplicateFile) {
+        if (window.confirm(result.message)) {
+          await handleProcess(true);
+        } else {
+          setSyncResult(prev => ({ ...prev, message: result.message }));
+        }
+        return;
+      }
       
       if (result.success) {
         setSyncResult({ 
@@ -437,6 +467,7 @@ const Expenditure = ({ userSession }) => {
         
         // Refresh transactions list
         await fetchTransactions();
+        fetchImportBatches();
         
         // Reset after successful processing
         setTimeout(() => {
@@ -461,6 +492,140 @@ const Expenditure = ({ userSession }) => {
     }
   };
 
+  // Import mapping profiles
+  const getSyncHeaders = () => {
+    try {
+      return authService.getAuthHeaders();
+    } catch (e) {
+      const tenantId = authService.getTenantId();
+      const token = authService.getToken();
+      return {
+        'Authorization': token ? `Bearer ${token}` : '',
+        'x-tenant-id': tenantId,
+        'tenant-id': tenantId,
+        'Content-Type': 'application/json'
+      };
+    }
+  };
+
+  const fetchImportProfiles = async () => {
+    try {
+      const response = await fetch(`${API_HOST}/api/sync/profiles`, { headers: getSyncHeaders() });
+      const result = await response.json();
+      if (result.success) {
+        setImportProfiles(result.data || []);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load import profiles:', error.message);
+    }
+  };
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await fetch(`${API_HOST}/api/accounts`, { headers: getSyncHeaders() });
+      const result = await response.json();
+      if (result.success) {
+        setAccounts(result.data || []);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load accounts:', error.message);
+    }
+  };
+
+  const fetchImportBatches = async () => {
+    try {
+      const response = await fetch(`${API_HOST}/api/sync/batches?limit=5`, { headers: getSyncHeaders() });
+      const result = await response.json();
+      if (result.success) {
+        setImportBatches(result.data || []);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load import batches:', error.message);
+    }
+  };
+
+  const handleRollbackBatch = async (batch) => {
+    if (!window.confirm(`Remove all ${batch.counts.saved} transactions imported from "${batch.fileName}"?`)) return;
+
+    try {
+      setProcessing(true);
+      const response = await fetch(`${API_HOST}/api/sync/batches/${batch._id}/rollback`, {
+        method: 'POST',
+        headers: getSyncHeaders()
+      });
+      const result = await response.json();
+      if (result.success) {
+        setImportBatches(prev => prev.map(b => (b._id === batch._id ? { ...b, ...result.data } : b)));
+        showMessage(setSuccessMessage, result.message);
+        await fetchTransactions();
+      } else {
+        showMessage(setError, result.message || 'Rollback failed');
+      }
+    } catch (error) {
+      showMessage(setError, 'Rollback failed: ' + error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleProfileChange = async (profileId) => {
+    setSelectedProfileId(profileId);
+    if (!syncResult?.data?.filename) return;
+
+    try {
+      setProcessing(true);
+      const response = await fetch(`${API_HOST}/api/sync/preview`, {
+        method: 'POST',
+        headers: getSyncHeaders(),
+        body: JSON.stringify({
+          filename: syncResult.data.filename,
+          profileId: profileId || undefined
+        })
+      });
+      const result = await response.json();
+      if (result.success) {
+        setSyncResult(prev => ({ ...prev, data: { ...prev.data, ...result.data } }));
+      } else {
+        setSyncResult(prev => ({ ...prev, message: result.message || 'Preview failed' }));
+      }
+    } catch (error) {
+      console.error('Preview error:', error);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleSaveProfile = async () => {
+    const mapping = syncResult?.data?.preview?.mapping;
+    if (!mapping) return;
+
+    const name = window.prompt('Save this column mapping as (e.g. "HDFC savings CSV"):');
+    if (!name || !name.trim()) return;
+
+    try {
+      const fileType = (selectedFile?.name || '').split('.').pop().toLowerCase();
+      const response = await fetch(`${API_HOST}/api/sync/profiles`, {
+        method: 'POST',
+        headers: getSyncHeaders(),
+        body: JSON.stringify({
+          ...mapping,
+          name: name.trim(),
+          fileType: ['csv', 'xlsx', 'json'].includes(fileType) ? fileType : 'any'
+        })
+      });
+      const result = await response.json();
+      if (result.success) {
+        setImportProfiles(prev => [result.data, ...prev]);
+        setSelectedProfileId(result.data._id);
+        showMessage(setSuccessMessage, `Mapping profile "${result.data.name}" saved`);
+      } else {
+        showMessage(setError, result.message || 'Failed to save profile');
+      }
+    } catch (error) {
+      showMessage(setError, 'Failed to save profile: ' + error.message);
+    }
+  };
+
   // Optimized fetch with lazy loading and caching
   const fetchTransactions = useCallback(async (forceRefresh = false) => {
   setLoading(true);
@@ -564,6 +729,31 @@ const Expenditure = ({ userSession }) => {
     fetchTransactions();
   }, [fetchTransactions]);
 
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  // Suggest categories from past expenses while the user types a description
+  useEffect(() => {
+    const description = formData.description.trim();
+    if (description.length < 3) {
+      setCategorySuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ description, type: 'expense' });
+        const response = await apiFetch(`suggestions?${params.toString()}`);
+        setCategorySuggestions(response.data || []);
+      } catch (err) {
+        setCategorySuggestions([]);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [formData.description, apiFetch]);
+
   // NEW: Calculate period expenses when period filter or transactions change
   useEffect(() => {
     const calculatePeriodExpenses = () => {
@@ -1751,6 +1941,12 @@ const Expenditure = ({ userSession }) => {
     setShowSubCategoryDropdown(false);
   };
 
+  const applySuggestion = (suggestion) => {
+    setFormData(prev => ({ ...prev, category: suggestion.category, subCategory: suggestion.subCategory || '' }));
+    setFilteredSubCategories(subCategories[suggestion.category] || []);
+    setShowCategoryDropdown(false);
+  };
+
   // FIXED: Payment mode mapping to match backend requirements
   const getBackendPaymentMode = (frontendPaymentMode) => {
     const paymentModeMap = {
@@ -1793,7 +1989,10 @@ const Expenditure = ({ userSession }) => {
       subCategory: formData.subCategory || '',
       description: formData.description || '',
       amount: parseFloat(formData.amount),
-      paymentMode: getBackendPaymentMode(formData.paymentMode)
+      paymentMode: getBackendPaymentMode(formData.paymentMode),
+      accountId: formData.accountId || null,
+      isRecurring: Boolean(formData.recurringFrequency),
+      recurringFrequency: formData.recurringFrequency || 'none'
     };
 
     console.log('Sending transaction:', newTransaction); // Debug log
@@ -1819,7 +2018,9 @@ const Expenditure = ({ userSession }) => {
         subCategory: '',
         description: '',
         amount: '',
-        paymentMode: ''
+        paymentMode: '',
+        accountId: formData.accountId,
+        recurringFrequency: ''
       });
       
       // Clear cache
@@ -2378,6 +2579,45 @@ const Expenditure = ({ userSession }) => {
                   </select>
                 </div>
 
+                {/* Account */}
+                {accounts.length > 0 && (
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-700">
+                      Account
+                    </label>
+                    <select
+                      name="accountId"
+                      value={formData.accountId}
+                      onChange={handleInputChange}
+                      className={styles.inputField}
+                    >
+                      <option value="">No account</option>
+                      {accounts.map(account => (
+                        <option key={account._id} value={account._id}>{account.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* Repeat */}
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Repeat
+                  </label>
+                  <select
+                    name="recurringFrequency"
+                    value={formData.recurringFrequency}
+                    onChange={handleInputChange}
+                    className={styles.inputField}
+                  >
+                    <option value="">Does not repeat</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                    <option value="quarterly">Quarterly</option>
+                    <option value="yearly">Yearly</option>
+                  </select>
+                </div>
+
                 {/* Description */}
                 <div className="space-y-2">
                   <label className="block text-sm font-medium text-gray-700">
@@ -2391,6 +2631,28 @@ const Expenditure = ({ userSession }) => {
                     placeholder="Optional description"
                     className={styles.inputField}
                   />
+                  {categorySuggestions.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="text-xs text-gray-500">Suggested:</span>
+                      {categorySuggestions.map((suggestion) => (
+                        <button
+                          key={`${suggestion.category}-${suggestion.subCategory}`}
+                          type="button"
+                          onClick={() => applySuggestion(suggestion)}
+                          className={`px-2 py-1 text-xs rounded-full border ${
+                            formData.category === suggestion.category && formData.subCategory === (suggestion.subCategory || '')
+                              ? 'bg-purple-600 text-white border-purple-600'
+                              : 'bg-purple-50 text-purple-700 border-purple-200 hover:bg-purple-100'
+                          }`}
+                          title={`Based on ${suggestion.basedOn} past expenses`}
+                        >
+                          {suggestion.category}
+                          {suggestion.subCategory ? ` / ${suggestion.subCategory}` : ''}
+                          {` · ${Math.round(suggestion.confidence * 100)}%`}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -2590,7 +2852,13 @@ const Expenditure = ({ userSession }) => {
                 </button>
 
                 <button
-                  onClick={() => setShowSync(!showSync)}
+                  onClick={() => {
+                    if (!showSync) {
+                      fetchImportProfiles();
+                      fetchImportBatches();
+                    }
+                    setShowSync(!showSync);
+                  }}
                   className="flex items-center justify-center px-3 py-2 bg-gradient-to-r from-green-600 to-emerald-600 text-white font-medium rounded-lg shadow-md hover:shadow-lg hover:from-green-700 hover:to-emerald-700 transition-all duration-200 text-xs whitespace-nowrap"
                 >
                   <RefreshCw className="mr-1" size={14} />
@@ -2636,6 +2904,40 @@ const Expenditure = ({ userSession }) => {
               {showSync && (
                 <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
                   <h4 className="text-sm font-semibold text-gray-700 mb-3">Upload Transaction File</h4>
+
+                  {/* Mapping Profile */}
+                  <div className="flex items-center gap-2 mb-3">
+                    <label className="text-xs text-gray-600" htmlFor="sync-profile-select">Mapping profile</label>
+                    <select
+                      id="sync-profile-select"
+                      value={selectedProfileId}
+                      onChange={(e) => handleProfileChange(e.target.value)}
+                      disabled={processing}
+                      className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+                    >
+                      <option value="">Auto-detect columns</option>
+                      {importProfiles.map(profile => (
+                        <option key={profile._id} value={profile._id}>{profile.name}</option>
+                      ))}
+                    </select>
+                    {accounts.length > 0 && (
+                      <>
+                        <label className="text-xs text-gray-600 ml-2" htmlFor="sync-account-select">Account</label>
+                        <select
+                          id="sync-account-select"
+                          value={importAccountId}
+                          onChange={(e) => setImportAccountId(e.target.value)}
+                          disabled={processing}
+                          className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+                        >
+                          <option value="">Match by account number</option>
+                          {accounts.map(account => (
+                            <option key={account._id} value={account._id}>{account.name}</option>
+                          ))}
+                        </select>
+                      </>
+                    )}
+                  </div>
                   
                   {/* File Upload Area */}
                   <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center mb-4 hover:border-green-400 transition-colors duration-200">
@@ -2654,7 +2956,7 @@ const Expenditure = ({ userSession }) => {
                           Drag and drop your file here or click to browse
                         </p>
                         <p className="text-xs text-gray-500 mb-3">
-                          Supported formats: CSV, Excel, JSON
+                          Supported formats: CSV, Excel, JSON, OFX/QFX, CAMT.053 XML, MT940
                         </p>
                       </>
                     )}
@@ -2662,7 +2964,7 @@ const Expenditure = ({ userSession }) => {
                     <input
                       type="file"
                       onChange={handleFileUpload}
-                      accept=".csv,.xlsx,.xls,.json"
+                      accept=".csv,.xlsx,.xls,.json,.ofx,.qfx,.xml,.sta,.mt940,.940,.txt"
                       className="hidden"
                       id="sync-file-input"
                     />
@@ -2676,11 +2978,72 @@ const Expenditure = ({ userSession }) => {
                     </button>
                   </div>
 
+                  {/* Same file imported before */}
+                  {selectedFile && syncResult?.type === 'upload_success' && syncResult.data?.previousImport && (
+                    <div className="mb-3 p-2 text-xs bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg flex items-center">
+                      <AlertCircle className="mr-2 flex-shrink-0" size={14} />
+                      This file was already imported on {new Date(syncResult.data.previousImport.createdAt).toLocaleDateString('en-IN')} ({syncResult.data.previousImport.counts?.saved || 0} transactions).
+                    </div>
+                  )}
+
+                  {/* Guessed sign convention and other mapping warnings */}
+                  {selectedFile && syncResult?.type === 'upload_success' && syncResult.data?.preview?.warnings?.map((warning) => (
+                    <div key={warning} className="mb-3 p-2 text-xs bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg flex items-center">
+                      <AlertCircle className="mr-2 flex-shrink-0" size={14} />
+                      {warning}
+                    </div>
+                  ))}
+
+                  {/* Import Preview */}
+                  {selectedFile && syncResult?.type === 'upload_success' && syncResult.data?.preview && (
+                    <div className="mb-4 text-xs">
+                      <div className="flex justify-between items-center mb-2">
+                        <span className="text-gray-600">
+                          {syncResult.data.preview.totalRows} rows • {syncResult.data.preview.summary.credits} credits • {syncResult.data.preview.summary.debits} debits
+                          {syncResult.data.preview.summary.invalid > 0 && (
+                            <span className="text-red-600"> • {syncResult.data.preview.summary.invalid} unreadable</span>
+                          )}
+                        </span>
+                        {!selectedProfileId && !syncResult.data.preview.mapping?.format && (
+                          <button
+                            onClick={handleSaveProfile}
+                            className="text-green-700 hover:underline"
+                            disabled={processing}
+                          >
+                            Save mapping as profile
+                          </button>
+                        )}
+                      </div>
+                      <div className="overflow-x-auto border border-gray-200 rounded-lg bg-white">
+                        <table className="min-w-full">
+                          <thead className="bg-gray-100 text-gray-600">
+                            <tr>
+                              <th className="px-2 py-1 text-left">Date</th>
+                              <th className="px-2 py-1 text-left">Description</th>
+                              <th className="px-2 py-1 text-left">Type</th>
+                              <th className="px-2 py-1 text-right">Amount</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {syncResult.data.preview.rows.slice(0, 10).map((row, index) => (
+                              <tr key={index} className={row.valid ? '' : 'bg-red-50 text-red-700'}>
+                                <td className="px-2 py-1">{row.date ? new Date(row.date).toLocaleDateString('en-IN') : '—'}</td>
+                                <td className="px-2 py-1 truncate max-w-xs">{row.valid ? row.description : row.errors.join(', ')}</td>
+                                <td className="px-2 py-1">{row.type || '—'}</td>
+                                <td className="px-2 py-1 text-right">{row.amount ? `₹${row.amount.toLocaleString('en-IN')}` : '—'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  )}
+
                   {/* Process Button */}
                   {selectedFile && syncResult?.type === 'upload_success' && (
                     <div className="text-center">
                       <button
-                        onClick={handleProcess}
+                        onClick={() => handleProcess()}
                         disabled={processing}
                         className="flex items-center justify-center px-4 py-2 bg-green-600 text-white font-medium rounded-lg shadow-md hover:bg-green-700 transition-all duration-200 text-sm mx-auto"
                       >
@@ -2692,7 +3055,7 @@ const Expenditure = ({ userSession }) => {
                         ) : (
                           <>
                             <Play className="mr-2" size={14} />
-                            Process Transactions
+                            Confirm & Import
                           </>
                         )}
                       </button>
@@ -2733,6 +3096,36 @@ const Expenditure = ({ userSession }) => {
                       )}
                     </div>
                   )}
+
+                  {/* Recent Imports */}
+                  {importBatches.length > 0 && (
+                    <div className="mt-4 text-xs">
+                      <h5 className="font-semibold text-gray-700 mb-2">Recent imports</h5>
+                      <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg bg-white">
+                        {importBatches.map(batch => (
+                          <li key={batch._id} className="flex items-center justify-between px-3 py-2">
+                            <div>
+                              <div className="font-medium text-gray-700">{batch.fileName}</div>
+                              <div className="text-gray-500">
+                                {new Date(batch.createdAt).toLocaleString('en-IN')} • {batch.counts.saved} imported • {batch.counts.duplicates} duplicates • {batch.counts.failed} failed
+                              </div>
+                            </div>
+                            {batch.status === 'rolled_back' ? (
+                              <span className="text-gray-400">Rolled back</span>
+                            ) : (
+                              <button
+                                onClick={() => handleRollbackBatch(batch)}
+                                disabled={processing || batch.status !== 'completed'}
+                                className="text-red-600 hover:underline disabled:text-gray-400"
+                              >
+                                Undo import
+                              </button>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -0,0 +1,354 @@
+// src/pages/GoalProgress.jsx
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import styled from 'styled-components';
+import API_BASE from '../config/api';
+
+const API_HOST = API_BASE.replace(/\/$/, '');
+
+const STATUS_STYLES = {
+    achieved: { label: 'Achieved', color: '#059669', background: '#d1fae5' },
+    on_track: { label: 'On track', color: '#2563eb', background: '#dbeafe' },
+    behind: { label: 'Behind', color: '#d97706', background: '#fef3c7' },
+    overdue: { label: 'Past target date', color: '#dc2626', background: '#fee2e2' },
+    not_started: { label: 'No recent savings', color: '#64748b', background: '#f1f5f9' }
+};
+
+const EMPTY_GOAL = { name: '', targetAmount: '', targetDate: '', priority: 'medium', tag: '' };
+
+// --- STYLED COMPONENTS ---
+
+const Toolbar = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 12px;
+  margin-bottom: 20px;
+`;
+
+const Totals = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 16px;
+  font-size: 0.9rem;
+  color: #64748b;
+
+  strong {
+    color: #1e293b;
+  }
+`;
+
+const ToggleButton = styled.button`
+  border: 1px solid #667eea;
+  background: ${props => (props.active ? '#667eea' : 'white')};
+  color: ${props => (props.active ? 'white' : '#667eea')};
+  border-radius: 8px;
+  padding: 6px 14px;
+  font-weight: 600;
+  cursor: pointer;
+`;
+
+const GoalForm = styled.form`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 12px;
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 12px;
+  padding: 16px;
+  margin-bottom: 20px;
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    font-size: 0.8rem;
+    color: #64748b;
+  }
+
+  select, input {
+    border: 1px solid #cbd5e1;
+    border-radius: 8px;
+    padding: 6px 10px;
+    font-size: 0.9rem;
+  }
+`;
+
+const FormMessage = styled.span`
+  font-size: 0.85rem;
+  color: ${props => (props.error ? '#dc2626' : '#059669')};
+`;
+
+const GoalGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+  gap: 16px;
+`;
+
+const GoalCard = styled.div`
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 12px;
+  padding: 16px 18px;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+`;
+
+const GoalHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 8px;
+
+  .name {
+    font-weight: 600;
+    color: #1e293b;
+  }
+`;
+
+const StatusBadge = styled.span`
+  font-size: 0.75rem;
+  font-weight: 600;
+  padding: 2px 8px;
+  border-radius: 999px;
+  color: ${props => STATUS_STYLES[props.status]?.color};
+  background: ${props => STATUS_STYLES[props.status]?.background};
+`;
+
+const Track = styled.div`
+  height: 10px;
+  background: #e2e8f0;
+  border-radius: 999px;
+  overflow: hidden;
+`;
+
+const Fill = styled.div`
+  height: 100%;
+  width: ${props => props.percent}%;
+  background: linear-gradient(90deg, #667eea, #764ba2);
+  border-radius: 999px;
+  transition: width 0.4s ease;
+`;
+
+const GoalFacts = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  font-size: 0.8rem;
+  color: #64748b;
+
+  strong {
+    color: #1e293b;
+  }
+`;
+
+const ContributionRow = styled.form`
+  display: flex;
+  gap: 8px;
+
+  input {
+    flex: 1;
+    min-width: 0;
+    border: 1px solid #cbd5e1;
+    border-radius: 8px;
+    padding: 4px 8px;
+    font-size: 0.85rem;
+  }
+
+  button {
+    border: none;
+    background: #667eea;
+    color: white;
+    border-radius: 8px;
+    padding: 4px 10px;
+    font-size: 0.85rem;
+    cursor: pointer;
+  }
+`;
+
+const EmptyState = styled.div`
+  color: #64748b;
+  text-align: center;
+  padding: 24px;
+`;
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0
+}).format(value || 0);
+
+const formatMonth = (value) => new Date(value).toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
+
+const GoalProgress = () => {
+    const [goals, setGoals] = useState([]);
+    const [totals, setTotals] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [goal, setGoal] = useState(EMPTY_GOAL);
+    const [formMessage, setFormMessage] = useState(null);
+    const [contributions, setContributions] = useState({});
+
+    const getHeaders = () => {
+        const token = localStorage.getItem('token');
+        const tenantId = localStorage.getItem('tenantId');
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        if (tenantId) headers['x-tenant-id'] = tenantId;
+        return headers;
+    };
+
+    const fetchGoals = async () => {
+        try {
+            const response = await axios.get(`${API_HOST}/api/goals`, { headers: getHeaders() });
+            setGoals(response.data.data || []);
+            setTotals(response.data.totals || null);
+            setError(null);
+        } catch (err) {
+            console.error('❌ Error fetching goals:', err);
+            setError(err.response?.data?.message || 'Could not load goals');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchGoals();
+    }, []);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setFormMessage(null);
+        try {
+            await axios.post(`${API_HOST}/api/goals`, {
+                ...goal,
+                linkType: goal.tag ? 'tag' : 'none'
+            }, { headers: getHeaders() });
+            setGoal(EMPTY_GOAL);
+            setFormMessage({ text: 'Goal added' });
+            fetchGoals();
+        } catch (err) {
+            console.error('❌ Error creating goal:', err);
+            setFormMessage({ text: err.response?.data?.error || err.response?.data?.message || 'Could not add goal', error: true });
+        }
+    };
+
+    const handleContribute = async (e, goalId) => {
+        e.preventDefault();
+        const amount = contributions[goalId];
+        if (!amount) return;
+        try {
+            await axios.post(`${API_HOST}/api/goals/${goalId}/contributions`, { amount }, { headers: getHeaders() });
+            setContributions(prev => ({ ...prev, [goalId]: '' }));
+            fetchGoals();
+        } catch (err) {
+            console.error('❌ Error adding contribution:', err);
+        }
+    };
+
+    if (isLoading) {
+        return <EmptyState>Loading goals...</EmptyState>;
+    }
+
+    if (error) {
+        return <EmptyState>{error}</EmptyState>;
+    }
+
+    return (
+        <div>
+            <Toolbar>
+                {totals && goals.length > 0 ? (
+                    <Totals>
+                        <span><strong>{formatCurrency(totals.saved)}</strong> of {formatCurrency(totals.target)} saved</span>
+                        <span>Needed: <strong>{formatCurrency(totals.requiredMonthly)}</strong>/month</span>
+                        <span>Saving: <strong>{formatCurrency(totals.monthlyRate)}</strong>/month</span>
+                    </Totals>
+                ) : <span />}
+                <ToggleButton type="button" active={showForm} onClick={() => setShowForm(!showForm)}>
+                    + Goal
+                </ToggleButton>
+            </Toolbar>
+
+            {showForm && (
+                <GoalForm onSubmit={handleCreate}>
+                    <label>
+                        Goal
+                        <input type="text" placeholder="Laptop, wedding..." value={goal.name} onChange={(e) => setGoal({ ...goal, name: e.target.value })} required />
+                    </label>
+                    <label>
+                        Target amount
+                        <input type="number" min="1" step="0.01" value={goal.targetAmount} onChange={(e) => setGoal({ ...goal, targetAmount: e.target.value })} required />
+                    </label>
+                    <label>
+                        Target date
+                        <input type="date" value={goal.targetDate} onChange={(e) => setGoal({ ...goal, targetDate: e.target.value })} />
+                    </label>
+                    <label>
+                        Priority
+                        <select value={goal.priority} onChange={(e) => setGoal({ ...goal, priority: e.target.value })}>
+                            <option value="high">High</option>
+                            <option value="medium">Medium</option>
+                            <option value="low">Low</option>
+                        </select>
+                    </label>
+                    <label>
+                        Track transfers tagged (optional)
+                        <input type="text" value={goal.tag} onChange={(e) => setGoal({ ...goal, tag: e.target.value })} />
+                    </label>
+                    <ToggleButton type="submit" active>Save</ToggleButton>
+                    {formMessage && <FormMessage error={formMessage.error}>{formMessage.text}</FormMessage>}
+                </GoalForm>
+            )}
+
+            {goals.length === 0 ? (
+                <EmptyState>Add a goal like a laptop, a wedding or an emergency fund to see whether you are on track.</EmptyState>
+            ) : (
+                <GoalGrid>
+                    {goals.map(item => (
+                        <GoalCard key={item.goalId}>
+                            <GoalHeader>
+                                <span className="name">{item.icon} {item.name}</span>
+                                <StatusBadge status={item.status}>{STATUS_STYLES[item.status]?.label}</StatusBadge>
+                            </GoalHeader>
+                            <Track>
+                                <Fill percent={item.percent} />
+                            </Track>
+                            <GoalFacts>
+                                <span><strong>{formatCurrency(item.saved)}</strong> of {formatCurrency(item.targetAmount)} ({item.percent}%)</span>
+                                {item.requiredMonthly !== null && item.remaining > 0 && (
+                                    <span>Needs <strong>{formatCurrency(item.requiredMonthly)}</strong>/month until {formatMonth(item.targetDate)}</span>
+                                )}
+                                {item.remaining > 0 && (
+                                    <span>
+                                        {item.projectedCompletionDate
+                                            ? <>At {formatCurrency(item.monthlyRate)}/month: done by <strong>{formatMonth(item.projectedCompletionDate)}</strong></>
+                                            : 'No contributions in the last few months'}
+                                    </span>
+                                )}
+                            </GoalFacts>
+                            {item.goalStatus === 'active' && (
+                                <ContributionRow onSubmit={(e) => handleContribute(e, item.goalId)}>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        step="0.01"
+                                        placeholder="Add amount"
+                                        value={contributions[item.goalId] || ''}
+                                        onChange={(e) => setContributions(prev => ({ ...prev, [item.goalId]: e.target.value }))}
+                                    />
+                                    <button type="submit">Add</button>
+                                </ContributionRow>
+                            )}
+                        </GoalCard>
+                    ))}
+                </GoalGrid>
+            )}
+        </div>
+    );
+};
+
+export default GoalProgress;
@@ -108,7 +108,8 @@ const MonthPage = () => {
     name: '',
     amount: '',
     dueDate: '',
-    category: categories[0] || ''
+    category: categories[0] || '',
+    frequency: 'none'
   };
   const [newBill, setNewBill] = useState(initialNewBillState);
 
@@ -211,7 +212,8 @@ const MonthPage = () => {
         name: newBill.name,
         amount: parseFloat(newBill.amount),
         dueDate: newBill.dueDate,
-        category: newBill.category
+        category: newBill.category,
+        frequency: newBill.frequency
       };
 
       const addedBill = await makeApiCall(`${API_BASE_URL}/bills`, {
@@ -395,7 +397,7 @@ const MonthPage = () => {
               {/* Add Bill Form */}
               <div className="bg-gradient-to-r from-blue-500 to-indigo-600 rounded-2xl p-8 text-white">
                 <h2 className="text-2xl font-bold mb-6">Add New Bill</h2>
-                <form onSubmit={handleAddBill} className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+                <form onSubmit={handleAddBill} className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-4">
                   <div>
                     <label className="block text-sm font-medium mb-2">Bill Name</label>
                     <input
@@ -464,6 +466,23 @@ const MonthPage = () => {
                     </div>
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Repeats</label>
+                    <select
+                      name="frequency"
+                      value={newBill.frequency}
+                      onChange={handleInputChange}
+                      className="w-full px-4 py-3 rounded-lg bg-white/20 backdrop-blur-sm border border-white/30 text-white focus:outline-none focus:ring-2 focus:ring-white focus:border-transparent"
+                      disabled={loading}
+                    >
+                      <option value="none" className="text-gray-800">Never</option>
+                      <option value="weekly" className="text-gray-800">Weekly</option>
+                      <option value="monthly" className="text-gray-800">Monthly</option>
+                      <option value="quarterly" className="text-gray-800">Quarterly</option>
+                      <option value="yearly" className="text-gray-800">Yearly</option>
+                    </select>
+                  </div>
+
                   <div className="flex items-end">
                     <button
                       type="submit"
@@ -536,6 +555,9 @@ const MonthPage = () => {
                             <div className="flex flex-wrap gap-4 text-sm text-gray-600">
                               <span>Category: {bill.category}</span>
                               <span>Due: {bill.dueDate}</span>
+                              {bill.frequency && bill.frequency !== 'none' && (
+                                <span className="capitalize">Repeats {bill.frequency}</span>
+                              )}
                               <span className="font-semibold text-lg text-gray-800">₹{parseFloat(bill.amount).toFixed(2)}</span>
                             </div>
                             {!bill.paid && bill.daysUntilDue <= 2 && bill.daysUntilDue >= 0 && (
@@ -188,9 +188,28 @@ const ProfitLossPage = ({ userSession }) => {
         biliaryPayment: initializeArray(12),
         miscellaneous: initializeArray(12),
         domainSubscription: initializeArray(12),
+      },
+      // GST charged on sales (output) and paid on purchases (input), by component
+      gst: {
+        outputCgst: initializeArray(12),
+        outputSgst: initializeArray(12),
+        outputIgst: initializeArray(12),
+        inputCgst: initializeArray(12),
+        inputSgst: initializeArray(12),
+        inputIgst: initializeArray(12)
       }
     };
 
+    // CGST/SGST/IGST split saved with the record (the same one the GST report uses); records
+    // without a complete split that adds up to their GST are taken as intra-state
+    const gstComponents = (record) => {
+      const split = record.gstSplit;
+      const gstAmount = parseFloat(record.gstAmount) || 0;
+      const total = split ? (split.cgst || 0) + (split.sgst || 0) + (split.igst || 0) : 0;
+      if (split?.supplierState && split?.recipientState && Math.abs(total - gstAmount) < 0.01) return split;
+      return { cgst: gstAmount / 2, sgst: gstAmount / 2, igst: 0 };
+    };
+
     // Process income data - FIXED LOGIC
     incomeData.forEach(income => {
       if (income.date && income.amount) {
@@ -214,6 +233,10 @@ const ProfitLossPage = ({ userSession }) => {
             // Fallback: add to Other Revenue
             monthlyData.revenue.otherRevenue[month] += amount;
           }
+          const outputGst = gstComponents(income);
+          monthlyData.gst.outputCgst[month] += outputGst.cgst;
+          monthlyData.gst.outputSgst[month] += outputGst.sgst;
+          monthlyData.gst.outputIgst[month] += outputGst.igst;
         }
       }
     });
@@ -265,6 +288,10 @@ const ProfitLossPage = ({ userSession }) => {
             // Fallback: add to Miscellaneous
             monthlyData.expenses.miscellaneous[month] += amount;
           }
+          const inputGst = gstComponents(expense);
+          monthlyData.gst.inputCgst[month] += inputGst.cgst;
+          monthlyData.gst.inputSgst[month] += inputGst.sgst;
+          monthlyData.gst.inputIgst[month] += inputGst.igst;
         }
       }
     });
@@ -909,6 +936,15 @@ const AnalysisView = ({ data, analysis, formatINR, formatPercent, loading, hasDa
         <ExpensesTable data={data} formatINR={formatINR} />
       </div>
 
+      {/* GST Components */}
+      <div className="analysis-section">
+        <div className="section-header">
+          <h3>GST Summary</h3>
+          <span className="section-subtitle">CGST, SGST and IGST on Sales and Purchases</span>
+        </div>
+        <GSTTable data={data} formatINR={formatINR} />
+      </div>
+
       {/* Monthly Profit & Loss Statement */}
       <div className="analysis-section">
         <div className="section-header">
@@ -1330,6 +1366,71 @@ const COGSTable = ({ data, formatINR }) => {
   );
 };
 
+// Output and input GST by component, with the net for each month
+const GSTTable = ({ data, formatINR }) => {
+  const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+  
+  const gstCategories = [
+    { key: 'outputCgst', label: 'Output CGST' },
+    { key: 'outputSgst', label: 'Output SGST' },
+    { key: 'outputIgst', label: 'Output IGST' },
+    { key: 'inputCgst', label: 'Input CGST', isDeduction: true },
+    { key: 'inputSgst', label: 'Input SGST', isDeduction: true },
+    { key: 'inputIgst', label: 'Input IGST', isDeduction: true }
+  ];
+
+  const getTotal = (categoryKey) => {
+    return (data.gst?.[categoryKey] || []).reduce((sum, val) => sum + (val || 0), 0);
+  };
+
+  // Output tax less input tax for a month (index) or the whole year
+  const getNet = (index) => {
+    const valueOf = (category) => index === undefined
+      ? getTotal(category.key)
+      : data.gst?.[category.key]?.[index] || 0;
+    return gstCategories.reduce((sum, category) => 
+      sum + (category.isDeduction ? -valueOf(category) : valueOf(category)), 0);
+  };
+
+  return (
+    <div className="table-container">
+      <table className="financial-table">
+        <thead>
+          <tr>
+            <th>GST Component</th>
+            {months.map(month => (
+              <th key={month}>{month}</th>
+            ))}
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {gstCategories.map(category => (
+            <tr key={category.key} className={category.isDeduction ? 'deduction' : ''}>
+              <td className="category-name">{category.label}</td>
+              {months.map((_, index) => (
+                <td key={index}>
+                  {formatINR(data.gst?.[category.key]?.[index] || 0)}
+                </td>
+              ))}
+              <td className="total-column">
+                {formatINR(getTotal(category.key))}
+              </td>
+            </tr>
+          ))}
+          <tr className="total-row">
+            <td className="category-name">Net GST</td>
+            {months.map((_, index) => (
+              <td key={index}>{formatINR(getNet(index))}</td>
+            ))}
+            <td className="total-column">{formatINR(getNet())}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
 const ExpensesTable = ({ data, formatINR }) => {
   const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
   
@@ -50,7 +50,8 @@ import {
   ArrowDownward as ArrowDownwardIcon,
   Person as PersonIcon,
   CalendarToday as CalendarIcon,
-  Refresh as RefreshIcon
+  Refresh as RefreshIcon,
+  Email as EmailIcon
 } from '@mui/icons-material';
 
 // API Configuration with central base
@@ -225,13 +226,18 @@ const TransactionForm = ({ open, onClose, onSuccess, editTransaction, formType }
   const [formData, setFormData] = useState({
     type: 'borrow',
     personName: '',
+    personEmail: '',
+    personPhone: '',
     amount: '',
     purpose: '',
     transactionDate: new Date().toISOString().split('T')[0],
     dueDate: '',
     upiLink: '',
     notes: '',
-    reminderEnabled: true
+    reminderEnabled: true,
+    interestType: 'none',
+    interestRate: '',
+    compounding: 'yearly'
   });
 
   useEffect(() => {
@@ -240,25 +246,35 @@ const TransactionForm = ({ open, onClose, onSuccess, editTransaction, formType }
         setFormData({
           type: editTransaction.type,
           personName: editTransaction.personName,
+          personEmail: editTransaction.personEmail || '',
+          personPhone: editTransaction.personPhone || '',
           amount: editTransaction.amount.toString(),
           purpose: editTransaction.purpose,
           transactionDate: editTransaction.transactionDate ? new Date(editTransaction.transactionDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0],
           dueDate: editTransaction.dueDate ? new Date(editTransaction.dueDate).toISOString().split('T')[0] : '',
           upiLink: editTransaction.upiLink || '',
           notes: editTransaction.notes || '',
-          reminderEnabled: editTransaction.reminderEnabled !== false
+          reminderEnabled: editTransaction.reminderEnabled !== false,
+          interestType: editTransaction.interest?.type || 'none',
+          interestRate: editTransaction.interest?.rate ? editTransaction.interest.rate.toString() : '',
+          compounding: editTransaction.interest?.compounding || 'yearly'
         });
       } else {
         setFormData({
           type: formType,
           personName: '',
+          personEmail: '',
+          personPhone: '',
           amount: '',
           purpose: '',
           transactionDate: new Date().toISOString().split('T')[0],
           dueDate: '',
           upiLink: '',
           notes: '',
-          reminderEnabled: true
+          reminderEnabled: true,
+          interestType: 'none',
+          interestRate: '',
+          compounding: 'yearly'
         });
       }
       setError('');
@@ -277,6 +293,10 @@ const TransactionForm = ({ open, onClose, onSuccess, editTransaction, formType }
       setError(formData.type === 'borrow' ? 'Lender name is required' : 'Borrower name is required');
       return false;
     }
+    if (formData.personEmail.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.personEmail.trim())) {
+      setError('Enter a valid email address or leave it empty');
+      return false;
+    }
     if (!formData.amount || parseFloat(formData.amount) <= 0) {
       setError('Valid amount is required');
       return false;
@@ -315,6 +335,7 @@ const TransactionForm = ({ open, onClose, onSuccess, editTransaction, formType }
       const payload = {
         ...formData,
         amount: parseFloat(formData.amount),
+        interestRate: parseFloat(formData.interestRate) || 0,
         transactionDate: new Date(formData.transactionDate).toISOString(),
         dueDate: new Date(formData.dueDate).toISOString()
       };
@@ -389,6 +410,33 @@ const TransactionForm = ({ open, onClose, onSuccess, editTransaction, formType }
               />
             </Grid>
 
+            <Grid item xs={12} container spacing={2}>
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  size="medium"
+                  type="email"
+                  label="Email"
+                  placeholder="For emailed payment reminders"
+                  value={formData.personEmail}
+                  onChange={handleChange('personEmail')}
+                  sx={{ borderRadius: 2 }}
+                />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  size="medium"
+                  type="tel"
+                  label="Phone"
+                  placeholder="Enter phone number"
+                  value={formData.personPhone}
+                  onChange={handleChange('personPhone')}
+                  sx={{ borderRadius: 2 }}
+                />
+              </Grid>
+            </Grid>
+
             <Grid item xs={12}>
               <TextField
                 fullWidth
@@ -407,6 +455,56 @@ const TransactionForm = ({ open, onClose, onSuccess, editTransaction, formType }
               />
             </Grid>
 
+            <Grid item xs={12} container spacing={2}>
+              <Grid item xs={4}>
+                <TextField
+                  select
+                  fullWidth
+                  size="medium"
+                  label="Interest"
+                  value={formData.interestType}
+                  onChange={handleChange('interestType')}
+                  sx={{ borderRadius: 2 }}
+                >
+                  <MenuItem value="none">None</MenuItem>
+                  <MenuItem value="simple">Simple</MenuItem>
+                  <MenuItem value="compound">Compound</MenuItem>
+                </TextField>
+              </Grid>
+              <Grid item xs={4}>
+                <TextField
+                  fullWidth
+                  size="medium"
+                  type="number"
+                  label="Rate"
+                  value={formData.interestRate}
+                  onChange={handleChange('interestRate')}
+                  disabled={formData.interestType === 'none'}
+                  InputProps={{
+                    endAdornment: <InputAdornment position="end">% p.a.</InputAdornment>,
+                  }}
+                  sx={{ borderRadius: 2 }}
+                />
+              </Grid>
+              <Grid item xs={4}>
+                <TextField
+                  select
+                  fullWidth
+                  size="medium"
+                  label="Compounding"
+                  value={formData.compounding}
+                  onChange={handleChange('compounding')}
+                  disabled={formData.interestType !== 'compound'}
+                  sx={{ borderRadius: 2 }}
+                >
+                  <MenuItem value="monthly">Monthly</MenuItem>
+                  <MenuItem value="quarterly">Quarterly</MenuItem>
+                  <MenuItem value="half_yearly">Half-yearly</MenuItem>
+                  <MenuItem value="yearly">Yearly</MenuItem>
+                </TextField>
+              </Grid>
+            </Grid>
+
             <Grid item xs={12}>
               <TextField
                 fullWidth
@@ -527,19 +625,29 @@ const TransactionForm = ({ open, onClose, onSuccess, editTransaction, formType }
 // Enhanced Transaction Item Component
 const TransactionItem = ({ transaction, onMenuAction }) => {
   const [anchorEl, setAnchorEl] = useState(null);
+  const [reminderTo, setReminderTo] = useState(null);
   const theme = useTheme();
+  const canRemind = transaction.type === 'lend' && transaction.status !== 'completed' && transaction.status !== 'cancelled';
 
   const handleMenuOpen = (event) => {
     event.stopPropagation();
     setAnchorEl(event.currentTarget);
+
+    // Reminders go to the record's email or to the linked contact's; the server knows which applies
+    if (canRemind) {
+      apiFetch(`/money/${transaction._id}/reminders`)
+        .then(result => setReminderTo(result.success ? result.to : null))
+        .catch(() => setReminderTo(null));
+    }
   };
 
   const handleMenuClose = () => {
     setAnchorEl(null);
+    setReminderTo(null);
   };
 
   const handleAction = (action) => {
-    onMenuAction(transaction, action);
+    onMenuAction(transaction, action, { reminderTo });
     handleMenuClose();
   };
 
@@ -675,6 +783,21 @@ const TransactionItem = ({ transaction, onMenuAction }) => {
             <Typography component="span" variant="body1" color="text.primary" sx={{ fontWeight: 500, mb: 1, display: 'block' }}>
               ₹{transaction.amount?.toLocaleString() || '0'} • {transaction.purpose}
             </Typography>
+            {transaction.status !== 'completed' && transaction.interestAccrued > 0 && (
+              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                Interest {transaction.interest?.rate}% p.a. • ₹{transaction.interestAccrued.toLocaleString()} accrued
+              </Typography>
+            )}
+            {transaction.status !== 'completed' && (transaction.amountRepaid > 0 || transaction.interestAccrued > 0) && (
+              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                Repaid ₹{transaction.amountRepaid.toLocaleString()} • Outstanding ₹{transaction.outstandingAmount?.toLocaleString() || '0'}
+              </Typography>
+            )}
+            {transaction.installments?.length > 0 && (
+              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                {transaction.installments.filter(installment => installment.status === 'paid').length} of {transaction.installments.length} installments paid
+              </Typography>
+            )}
             <Box component="span" sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 1 }}>
               <Typography component="span" variant="body2" color="text.secondary">
                 Due: {formattedDueDate}
@@ -738,6 +861,30 @@ const TransactionItem = ({ transaction, onMenuAction }) => {
           <EditIcon sx={{ mr: 2, fontSize: 20, color: 'primary.main' }} />
           Edit
         </MenuItem>
+        {transaction.status !== 'completed' && transaction.status !== 'cancelled' && (
+          <MenuItem onClick={() => handleAction('repayment')} dense sx={{ py: 1.5 }}>
+            <PaidIcon sx={{ mr: 2, fontSize: 20, color: 'primary.main' }} />
+            Record Repayment
+          </MenuItem>
+        )}
+        {transaction.status !== 'completed' && transaction.status !== 'cancelled' && !transaction.installments?.length && (
+          <MenuItem onClick={() => handleAction('schedule')} dense sx={{ py: 1.5 }}>
+            <ScheduleIcon sx={{ mr: 2, fontSize: 20, color: 'primary.main' }} />
+            Split into EMIs
+          </MenuItem>
+        )}
+        {canRemind && reminderTo && (
+          <MenuItem onClick={() => handleAction('remind')} dense sx={{ py: 1.5 }}>
+            <EmailIcon sx={{ mr: 2, fontSize: 20, color: 'primary.main' }} />
+            Email Reminder Now
+          </MenuItem>
+        )}
+        {canRemind && reminderTo && (
+          <MenuItem onClick={() => handleAction('autoRemind')} dense sx={{ py: 1.5 }}>
+            <EmailIcon sx={{ mr: 2, fontSize: 20, color: 'text.secondary' }} />
+            {transaction.emailReminders?.enabled ? 'Stop Auto Emails' : 'Auto Email Reminders'}
+          </MenuItem>
+        )}
         {transaction.status === 'pending' && (
           <MenuItem onClick={() => handleAction('complete')} dense sx={{ py: 1.5 }}>
             <CheckCircleIcon sx={{ mr: 2, fontSize: 20, color: 'success.main' }} />
@@ -830,7 +977,7 @@ const SmartBorrowForm = () => {
     setEditTransaction(null);
   };
 
-  const handleMenuAction = async (transaction, action) => {
+  const handleMenuAction = async (transaction, action, { reminderTo } = {}) => {
     try {
       switch (action) {
         case 'edit':
@@ -849,6 +996,70 @@ const SmartBorrowForm = () => {
           }
           break;
 
+        case 'repayment': {
+          const outstanding = transaction.outstandingAmount ?? transaction.amount;
+          const amount = window.prompt(`Repayment amount (outstanding ₹${outstanding})`, outstanding);
+          if (!amount) break;
+
+          const repaymentResult = await apiFetch(`/money/${transaction._id}/repayments`, {
+            method: 'POST',
+            body: JSON.stringify({ amount: parseFloat(amount) })
+          });
+
+          if (repaymentResult.success) {
+            handleTransactionCreated();
+          }
+          break;
+        }
+
+        case 'schedule': {
+          const count = window.prompt('Number of monthly installments', '6');
+          if (!count) break;
+
+          const scheduleResult = await apiFetch(`/money/${transaction._id}/schedule`, {
+            method: 'POST',
+            body: JSON.stringify({ count: parseInt(count), frequency: 'monthly' })
+          });
+
+          if (scheduleResult.success) {
+            handleTransactionCreated();
+          }
+          break;
+        }
+
+        case 'remind': {
+          if (!window.confirm(`Email a payment reminder to ${reminderTo}?`)) break;
+
+          const remindResult = await apiFetch(`/money/${transaction._id}/reminders`, {
+            method: 'POST'
+          });
+
+          if (remindResult.success) {
+            alert(remindResult.message);
+            handleTransactionCreated();
+          }
+          break;
+        }
+
+        case 'autoRemind': {
+          const enabled = !transaction.emailReminders?.enabled;
+          let intervalDays;
+          if (enabled) {
+            intervalDays = window.prompt(`Email ${transaction.personName} at most once every how many days?`, transaction.emailReminders?.intervalDays || 7);
+            if (!intervalDays) break;
+          }
+
+          const autoResult = await apiFetch(`/money/${transaction._id}/reminders`, {
+            method: 'PUT',
+            body: JSON.stringify({ enabled, intervalDays: intervalDays ? parseInt(intervalDays) : undefined })
+          });
+
+          if (autoResult.success) {
+            handleTransactionCreated();
+          }
+          break;
+        }
+
         case 'delete':
           if (window.confirm('Are you sure you want to delete this transaction?')) {
             const deleteResult = await apiFetch(`/money/${transaction._id}`, {
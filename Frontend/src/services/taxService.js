@@ -538,6 +538,131 @@ const taxService = {
     }
   },
 
+  // POST /api/tax/compare-regimes - Old vs new regime for the same salary and deductions
+  async compareRegimes(incomeData) {
+    try {
+      console.log('⚖️ Comparing tax regimes...');
+      const response = await api.post('/tax/compare-regimes', { incomeData });
+      return response;
+    } catch (error) {
+      console.error('❌ compareRegimes failed:', error.message);
+      throw new Error(error.response?.data?.message || 'Failed to compare tax regimes: ' + error.message);
+    }
+  },
+
+  // GET /api/tax/advance-tax - Installments, payments and 234B/234C interest for the year
+  async getAdvanceTaxPlan(params = {}) {
+    try {
+      console.log('📆 Fetching advance tax plan...');
+      const response = await api.get('/tax/advance-tax', { params });
+      return response;
+    } catch (error) {
+      console.error('❌ getAdvanceTaxPlan failed:', error.message);
+      throw new Error(error.response?.data?.message || 'Failed to fetch advance tax plan: ' + error.message);
+    }
+  },
+
+  // PUT /api/tax/advance-tax/settings
+  async saveAdvanceTaxSettings(settings) {
+    try {
+      const response = await api.put('/tax/advance-tax/settings', settings);
+      return response;
+    } catch (error) {
+      console.error('❌ saveAdvanceTaxSettings failed:', error.message);
+      throw new Error(error.response?.data?.message || 'Failed to save advance tax settings: ' + error.message);
+    }
+  },
+
+  // POST /api/tax/advance-tax/payments
+  async recordAdvanceTaxPayment(payment) {
+    try {
+      const response = await api.post('/tax/advance-tax/payments', payment);
+      return response;
+    } catch (error) {
+      console.error('❌ recordAdvanceTaxPayment failed:', error.message);
+      throw new Error(error.response?.data?.message || 'Failed to record advance tax payment: ' + error.message);
+    }
+  },
+
+  // GET /api/gst-returns/:form - GSTR-1 tables or the GSTR-3B summary for a month, with validation per invoice
+  async getGstReturn(form, { year, month } = {}) {
+    try {
+      console.log(`🧾 Building ${form.toUpperCase()}...`);
+      const response = await api.get(`/gst-returns/${form}`, { params: { year, month } });
+      return response;
+    } catch (error) {
+      console.error('❌ getGstReturn failed:', error.message);
+      throw new Error(error.response?.data?.error || error.response?.data?.message || 'Failed to build GST return: ' + error.message);
+    }
+  },
+
+  // GET /api/gst-returns/:form/export - JSON file for the GST offline tool
+  async exportGstReturn(form, { year, month, skipInvalid = false } = {}) {
+    try {
+      const response = await api.get(`/gst-returns/${form}/export`, {
+        params: { year, month, skipInvalid },
+        responseType: 'blob'
+      });
+      return response;
+    } catch (error) {
+      console.error('❌ exportGstReturn failed:', error.message);
+      throw new Error('Failed to export GST return: ' + error.message);
+    }
+  },
+
+  // GET /api/gst-returns/itc-ledger - Input tax credit availed, blocked, reversed and reclaimed in a financial year
+  async getItcLedger(financialYear) {
+    try {
+      const response = await api.get('/gst-returns/itc-ledger', { params: { financialYear } });
+      return response;
+    } catch (error) {
+      console.error('❌ getItcLedger failed:', error.message);
+      throw new Error(error.response?.data?.error || 'Failed to fetch ITC ledger: ' + error.message);
+    }
+  },
+
+  // POST /api/gst-returns/gstr2b - Upload a GSTR-2B JSON and match it against recorded purchases
+  async uploadGstr2b(file) {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await api.post('/gst-returns/gstr2b', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response;
+    } catch (error) {
+      console.error('❌ uploadGstr2b failed:', error.message);
+      throw new Error(error.response?.data?.error || error.response?.data?.message || 'Failed to upload GSTR-2B: ' + error.message);
+    }
+  },
+
+  // GET /api/gst-returns/gstr2b/reconciliation
+  async getGstr2bReconciliation({ year, month } = {}) {
+    try {
+      const response = await api.get('/gst-returns/gstr2b/reconciliation', { params: { year, month } });
+      return response;
+    } catch (error) {
+      console.error('❌ getGstr2bReconciliation failed:', error.message);
+      throw new Error(error.response?.data?.error || error.response?.data?.message || 'Failed to reconcile GSTR-2B: ' + error.message);
+    }
+  },
+
+  // GET/PUT /api/gst-returns/settings - GSTIN the returns are filed under
+  async getGstSettings() {
+    const response = await api.get('/gst-returns/settings');
+    return response;
+  },
+
+  async saveGstSettings(settings) {
+    try {
+      const response = await api.put('/gst-returns/settings', settings);
+      return response;
+    } catch (error) {
+      console.error('❌ saveGstSettings failed:', error.message);
+      throw new Error(error.response?.data?.error || 'Failed to save GST settings: ' + error.message);
+    }
+  },
+
   // POST /api/tax/reset
   async resetToIncomeTax() {
     try {